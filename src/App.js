@@ -1,18 +1,24 @@
 /** /src/app/app.jsx
  * Project: Cost Manager Front End
  * File: src/app.jsx
- * Description: Root application component with routing. Wraps all pages in Layout.
- * Updated: 2025-09-12
+ * Description: Root application component with routing. Wraps all pages in Layout and stores due recurring costs on start.
+ * Updated: 2026-10-19
  */
 
-import React from 'react';
+import React, { useEffect } from 'react';
 import { Routes, Route } from 'react-router-dom';
 import Layout from './components/Layout';
 import HomePage from './pages/HomePage';
 import AddCostPage from './pages/AddCostPage';
 import ReportPage from './pages/ReportPage';
 import ChartsPage from './pages/ChartsPage';
+import BudgetsPage from './pages/BudgetsPage';
+import TransactionsPage from './pages/TransactionsPage';
+import SharedPage from './pages/SharedPage';
+import ImportPage from './pages/ImportPage';
 import SettingsPage from './pages/SettingsPage';
+import { materializeRecurring } from './services/recurring';
+import { readCachedRates } from './services/exchange';
 
 /** =========================================================================
  * Component
@@ -21,9 +27,15 @@ import SettingsPage from './pages/SettingsPage';
 /**
  * App
  * Root application component configuring React Router routes and Layout wrapper.
+ * On start, stores any recurring cost occurrences missed since the last visit.
  * @returns {JSX.Element}
  */
 export default function App() {
+    useEffect(() => {
+        materializeRecurring(new Date(), readCachedRates()?.rates)
+            .catch((err) => console.error(err));
+    }, []);
+
     return (
         <Routes>
             <Route element={<Layout />}>
@@ -31,6 +43,10 @@ export default function App() {
                 <Route path='/add' element={<AddCostPage />} />
                 <Route path='/report' element={<ReportPage />} />
                 <Route path='/charts' element={<ChartsPage />} />
+                <Route path='/budgets' element={<BudgetsPage />} />
+                <Route path='/transactions' element={<TransactionsPage />} />
+                <Route path='/shared' element={<SharedPage />} />
+                <Route path='/import' element={<ImportPage />} />
                 <Route path='/settings' element={<SettingsPage />} />
             </Route>
         </Routes>
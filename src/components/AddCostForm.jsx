@@ -2,10 +2,10 @@
  * Project: Cost Manager Front End
  * File: src/components/AddCostForm.jsx
  * Description: Form for adding a new cost entry with validation and theme-based styling.
- * Updated: 2025-09-11
+ * Updated: 2026-10-19
  */
 
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import {
     Stack,
     TextField,
@@ -18,16 +18,36 @@ import {
     Alert,
     Card,
     CardContent,
-    CardActions
+    CardActions,
+    ListItemIcon,
+    ListItemText,
+    ListSubheader,
+    Autocomplete,
+    Chip,
+    IconButton,
+    Typography,
+    Checkbox,
+    FormControlLabel
 } from '@mui/material';
 import { useTheme } from '@mui/material/styles';
-import { addCost } from '../services/idb';
-
-const CURRENCIES = ['USD', 'ILS', 'GBP', 'EURO'];
-const CATEGORIES = [
-    'Food', 'Transportation', 'Housing', 'Utilities', 'Health',
-    'Education', 'Entertainment', 'Shopping', 'Travel', 'Other'
-];
+import AttachFileIcon from '@mui/icons-material/AttachFile';
+import PhotoCameraIcon from '@mui/icons-material/PhotoCamera';
+import CallSplitIcon from '@mui/icons-material/CallSplit';
+import AddIcon from '@mui/icons-material/Add';
+import RemoveCircleOutlineIcon from '@mui/icons-material/RemoveCircleOutline';
+import GroupIcon from '@mui/icons-material/Group';
+import { addCost, getTags } from '../services/idb';
+import { getFutureDateToleranceDays } from '../services/settings';
+import { getRates } from '../services/exchange';
+import { getEnabledCurrencies, getDefaultCurrency } from '../services/currencies';
+import { getCategories, groupCategories, getCategoryPath } from '../services/categories';
+import { findExceededBudgets, getBudgetLabel } from '../services/budgets';
+import { normalizeTags, formatTag } from '../services/tags';
+import { getPeople } from '../services/people';
+import { normalizeShared, SHARE_MODES } from '../services/shares';
+import { addAttachments, isAttachmentType, ATTACHMENT_ACCEPT, MAX_ATTACHMENT_BYTES } from '../services/attachments';
+import { toIsoDate } from '../services/periods';
+import CategoryIcon from './CategoryIcon';
 
 /** =========================================================================
  * Configurable constants
@@ -35,8 +55,6 @@ const CATEGORIES = [
 
 /** @constant {number} SNACK_DURATION_MS - Snackbar auto-hide duration */
 const SNACK_DURATION_MS = 3000;
-/** @constant {string} DEFAULT_CURRENCY - Default selected currency */
-const DEFAULT_CURRENCY = 'USD';
 /** @constant {string} SAVE_BUSY_LABEL - Button text while saving */
 const SAVE_BUSY_LABEL = 'Saving…';
 /** @constant {string} SAVE_IDLE_LABEL - Button text when idle */
@@ -49,10 +67,113 @@ const ERR_CURRENCY_REQUIRED = 'Currency is required';
 const ERR_CATEGORY_REQUIRED = 'Category is required';
 /** @constant {string} ERR_DESC_REQUIRED - Validation message for description */
 const ERR_DESC_REQUIRED = 'Description is required';
+/** @constant {string} ERR_DATE_REQUIRED - Validation message for date */
+const ERR_DATE_REQUIRED = 'Date is required';
+/** @constant {string} ERR_DATE_FUTURE - Validation message for a date too far ahead */
+const ERR_DATE_FUTURE = 'Date is too far in the future';
 /** @constant {string} MSG_ADD_OK - Success message on add */
 const MSG_ADD_OK = 'Cost added successfully';
+/** @constant {string} MSG_OVER_BUDGET - Prefix of the warning shown when a new cost exceeds budgets */
+const MSG_OVER_BUDGET = 'Cost added — over budget:';
 /** @constant {string} MSG_ADD_FAIL - Error message on add failure */
 const MSG_ADD_FAIL = 'Failed to add cost';
+/** @constant {string} MSG_ATTACH_FAIL - Error when the cost was saved but its receipts were not */
+const MSG_ATTACH_FAIL = 'Cost added, but its receipts could not be saved';
+/** @constant {string} ERR_ATTACH_FILE - Prefix of the error for a file that cannot be attached */
+const ERR_ATTACH_FILE = `Only images and PDFs up to ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB can be attached:`;
+/** @constant {string} BTN_ATTACH_LABEL - File picker button text */
+const BTN_ATTACH_LABEL = 'Attach Receipt';
+/** @constant {string} BTN_CAMERA_LABEL - Camera capture button text */
+const BTN_CAMERA_LABEL = 'Take Photo';
+/** @constant {string} ERR_SPLIT_LINE - Validation message for an incomplete split line */
+const ERR_SPLIT_LINE = 'Each split line needs a category and a positive amount';
+/** @constant {string} ERR_SPLIT_TOTAL - Validation message for split lines that do not add up */
+const ERR_SPLIT_TOTAL = 'Split lines must add up to the sum';
+/** @constant {string} BTN_SPLIT_LABEL - Button text that divides the cost into category lines */
+const BTN_SPLIT_LABEL = 'Split';
+/** @constant {string} BTN_UNSPLIT_LABEL - Button text that goes back to a single category */
+const BTN_UNSPLIT_LABEL = 'Single Category';
+/** @constant {string} BTN_ADD_LINE_LABEL - Button text that adds a split line */
+const BTN_ADD_LINE_LABEL = 'Add Line';
+/** @constant {string} SPLIT_REMAINING_LABEL - Prefix of the amount still to assign to split lines */
+const SPLIT_REMAINING_LABEL = 'Remaining:';
+/** @constant {number} MIN_SPLIT_LINES - A split needs at least this many lines */
+const MIN_SPLIT_LINES = 2;
+/** @constant {string} BTN_SHARE_LABEL - Button text that records who paid and who shares the cost */
+const BTN_SHARE_LABEL = 'Shared';
+/** @constant {string} BTN_UNSHARE_LABEL - Button text that makes the cost personal again */
+const BTN_UNSHARE_LABEL = 'Not Shared';
+/** @constant {string} ERR_PAID_BY_REQUIRED - Validation message for a shared cost without a payer */
+const ERR_PAID_BY_REQUIRED = 'Choose who paid';
+/** @constant {string} SHARED_NO_PEOPLE - Hint shown when no people exist to share with */
+const SHARED_NO_PEOPLE = 'Add people on the Shared page first.';
+/** @constant {string} TAGS_HELPER - Hint under the tags field */
+const TAGS_HELPER = 'Optional. Type a tag such as #reimbursable and press Enter.';
+
+/** =========================================================================
+ * Utils
+ * =======================================================================*/
+
+/**
+ * Parse a `YYYY-MM-DD` date input value into a local Date at the current time of day,
+ * so items added for the same day keep their entry order.
+ * @param {string} value
+ * @returns {Date|null} Parsed date, or null if the value is not a valid date.
+ */
+function fromInputDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!match) return null;
+    const now = new Date();
+    const d = new Date(
+        Number(match[1]), Number(match[2]) - 1, Number(match[3]),
+        now.getHours(), now.getMinutes(), now.getSeconds(), now.getMilliseconds()
+    );
+    return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * Menu item for a selectable (leaf) category.
+ * @param {import('../services/categories').Category} category
+ * @param {number} [indent=2] - Left padding in spacing units; subcategories are indented under their group.
+ * @returns {JSX.Element}
+ */
+function renderCategoryItem(category, indent = 2) {
+    return (
+        <MenuItem key={category.id} value={category.name} sx={{ pl: indent }}>
+            <ListItemIcon sx={{ minWidth: 32 }}>
+                <CategoryIcon icon={category.icon} color={category.color} />
+            </ListItemIcon>
+            <ListItemText primary={category.name} />
+        </MenuItem>
+    );
+}
+
+/**
+ * Menu items for every selectable category, leaves grouped under their parent.
+ * @param {import('../services/categories').Category[]} categories
+ * @returns {JSX.Element[]}
+ */
+function renderCategoryOptions(categories) {
+    return groupCategories(categories).flatMap(({ category: parent, children }) =>
+        children.length
+            ? [
+                <ListSubheader key={`group-${parent.id}`}>{parent.name}</ListSubheader>,
+                ...children.map((c) => renderCategoryItem(c, 4))
+            ]
+            : [renderCategoryItem(parent)]
+    );
+}
+
+/**
+ * Amount of the sum not yet assigned to split lines, in cents to avoid float drift.
+ * @param {string} sum - Sum field value.
+ * @param {Array<{ category:string, sum:string }>} lines
+ * @returns {number} Remaining amount (negative when the lines exceed the sum).
+ */
+function getSplitRemaining(sum, lines) {
+    const cents = (value) => Math.round((Number(value) || 0) * 100);
+    return (cents(sum) - lines.reduce((acc, l) => acc + cents(l.sum), 0)) / 100;
+}
 
 /** =========================================================================
  * Component
@@ -71,18 +192,111 @@ export default function AddCostForm() {
     const textColor = theme.custom.colors.text.primary;
 
     const [sum, setSum] = useState('');
-    const [currency, setCurrency] = useState(DEFAULT_CURRENCY);
+    const [currencies] = useState(getEnabledCurrencies);
+    const [currency, setCurrency] = useState(getDefaultCurrency);
+    const [categories, setCategories] = useState([]);
     const [category, setCategory] = useState('');
+    const [splits, setSplits] = useState(null);
+    const [people, setPeople] = useState([]);
+    const [shared, setShared] = useState(null);
     const [description, setDescription] = useState('');
+    const [date, setDate] = useState(() => toIsoDate(new Date()));
+    const [tags, setTags] = useState([]);
+    const [knownTags, setKnownTags] = useState([]);
+    const [files, setFiles] = useState([]);
     const [busy, setBusy] = useState(false);
     const [snack, setSnack] = useState({ open: false, type: 'success', msg: '' });
 
+    useEffect(() => {
+        getCategories({ includeArchived: false })
+            .then(setCategories)
+            .catch((err) => console.error(err));
+        getTags()
+            .then(setKnownTags)
+            .catch((err) => console.error(err));
+        getPeople()
+            .then((list) => setPeople(list.map((p) => p.name)))
+            .catch((err) => console.error(err));
+    }, []);
+
     /**
      * Close snackbar.
      * @returns {void}
      */
     const closeSnack = () => setSnack((s) => ({ ...s, open: false }));
 
+    /**
+     * Add picked receipt files, rejecting any that cannot be attached.
+     * @param {React.ChangeEvent<HTMLInputElement>} e
+     * @returns {void}
+     */
+    const onPickFiles = (e) => {
+        const picked = Array.from(e.target.files ?? []);
+        e.target.value = '';
+        const rejected = picked.filter((f) => !isAttachmentType(f.type) || f.size > MAX_ATTACHMENT_BYTES);
+        if (rejected.length) {
+            setSnack({ open: true, type: 'error', msg: `${ERR_ATTACH_FILE} ${rejected.map((f) => f.name).join(', ')}` });
+        }
+        setFiles((current) => [...current, ...picked.filter((f) => !rejected.includes(f))]);
+    };
+
+    /**
+     * Switch between a single category and split lines. Splitting starts from the chosen category.
+     * @returns {void}
+     */
+    const toggleSplit = () => {
+        setSplits((current) => (current
+            ? null
+            : [{ category, sum }, { category: '', sum: '' }]));
+    };
+
+    /**
+     * Change one field of a split line.
+     * @param {number} index
+     * @param {'category'|'sum'} field
+     * @param {string} value
+     * @returns {void}
+     */
+    const updateSplitLine = (index, field, value) => {
+        setSplits((current) => current.map((l, i) => (i === index ? { ...l, [field]: value } : l)));
+    };
+
+    /**
+     * Switch between a personal and a shared cost. Sharing starts with everyone, divided equally.
+     * @returns {void}
+     */
+    const toggleShared = () => {
+        setShared((current) => (current
+            ? null
+            : { paidBy: people[0] ?? '', mode: 'equal', included: [...people], values: {} }));
+    };
+
+    /**
+     * Include or leave out one person from a shared cost.
+     * @param {string} person
+     * @returns {void}
+     */
+    const toggleSharer = (person) => {
+        setShared((current) => ({
+            ...current,
+            included: current.included.includes(person)
+                ? current.included.filter((p) => p !== person)
+                : people.filter((p) => p === person || current.included.includes(p))
+        }));
+    };
+
+    /**
+     * The sharing in the shape addCost expects.
+     * @returns {{ paidBy:string, mode:string, shares:Array<{ person:string, value:string }> }|undefined}
+     */
+    const buildShared = () => (shared
+        ? {
+            paidBy: shared.paidBy,
+            mode: shared.mode,
+            shares: shared.included.map((person) => ({ person, value: shared.values[person] ?? '' }))
+        }
+        : undefined);
+
     /**
      * Basic form validation.
      * @returns {boolean} True if valid, otherwise false.
@@ -97,14 +311,48 @@ export default function AddCostForm() {
             setSnack({ open: true, type: 'error', msg: ERR_CURRENCY_REQUIRED });
             return false;
         }
-        if (!category) {
+        if (splits) {
+            if (splits.some((l) => !l.category || !(Number(l.sum) > 0))) {
+                setSnack({ open: true, type: 'error', msg: ERR_SPLIT_LINE });
+                return false;
+            }
+            if (getSplitRemaining(sum, splits) !== 0) {
+                setSnack({ open: true, type: 'error', msg: ERR_SPLIT_TOTAL });
+                return false;
+            }
+        } else if (!category) {
             setSnack({ open: true, type: 'error', msg: ERR_CATEGORY_REQUIRED });
             return false;
         }
+        if (shared) {
+            if (!shared.paidBy) {
+                setSnack({ open: true, type: 'error', msg: ERR_PAID_BY_REQUIRED });
+                return false;
+            }
+            try {
+                normalizeShared(buildShared(), num);
+            } catch (err) {
+                setSnack({ open: true, type: 'error', msg: err.message });
+                return false;
+            }
+        }
         if (!description.trim()) {
             setSnack({ open: true, type: 'error', msg: ERR_DESC_REQUIRED });
             return false;
         }
+        const picked = fromInputDate(date);
+        if (!picked) {
+            setSnack({ open: true, type: 'error', msg: ERR_DATE_REQUIRED });
+            return false;
+        }
+        const today = new Date();
+        const firstRejectedDay = new Date(
+            today.getFullYear(), today.getMonth(), today.getDate() + 1 + getFutureDateToleranceDays()
+        );
+        if (picked >= firstRejectedDay) {
+            setSnack({ open: true, type: 'error', msg: ERR_DATE_FUTURE });
+            return false;
+        }
         return true;
     };
 
@@ -118,12 +366,51 @@ export default function AddCostForm() {
         if (!validate()) return;
         try {
             setBusy(true);
-            await addCost({ sum: Number(sum), currency, category, description: description.trim() });
-            setSnack({ open: true, type: 'success', msg: MSG_ADD_OK });
+            // Snapshot the rates in effect now for historical reports; adding works without them.
+            // A back-dated cost gets no snapshot, as today's rates were not in effect on its date.
+            const rates = await getRates().then((info) => info.rates).catch(() => undefined);
+            const snapshot = date === toIsoDate(new Date()) ? rates : undefined;
+            const added = await addCost({
+                sum: Number(sum),
+                currency,
+                category: splits ? splits[0].category : category,
+                splits: splits ? splits.map((l) => ({ category: l.category, sum: Number(l.sum) })) : undefined,
+                shared: buildShared(),
+                description: description.trim(),
+                date: fromInputDate(date),
+                tags,
+                rates: snapshot
+            });
+            setKnownTags((known) => normalizeTags([...known, ...added.tags]).sort());
+            const attached = await addAttachments(added.id, files).then(() => true).catch((err) => {
+                console.error(err);
+                return false;
+            });
+            const exceeded = rates
+                ? await findExceededBudgets(added, rates).catch((err) => {
+                    console.error(err);
+                    return [];
+                })
+                : [];
+            if (!attached) {
+                setSnack({ open: true, type: 'error', msg: MSG_ATTACH_FAIL });
+            } else if (exceeded.length) {
+                const details = exceeded
+                    .map((b) => `${getBudgetLabel(b)} ${b.actual.toFixed(2)} / ${b.amount.toFixed(2)} ${b.currency}`)
+                    .join(', ');
+                setSnack({ open: true, type: 'warning', msg: `${MSG_OVER_BUDGET} ${details}` });
+            } else {
+                setSnack({ open: true, type: 'success', msg: MSG_ADD_OK });
+            }
             setSum('');
-            setCurrency(DEFAULT_CURRENCY);
+            setCurrency(getDefaultCurrency());
             setCategory('');
+            setSplits(null);
+            setShared(null);
             setDescription('');
+            setDate(toIsoDate(new Date()));
+            setTags([]);
+            setFiles([]);
         } catch (err) {
             // eslint-disable-next-line no-console
             console.error(err);
@@ -203,36 +490,202 @@ export default function AddCostForm() {
                                 variant='outlined'
                                 sx={selectSx}
                             >
-                                {CURRENCIES.map((c) => (
+                                {currencies.map((c) => (
                                     <MenuItem key={c} value={c}>{c}</MenuItem>
                                 ))}
                             </Select>
                         </FormControl>
 
-                        <FormControl fullWidth required>
-                            <InputLabel
-                                id='category-label'
-                                sx={{
-                                    color: accentColor,
-                                    '&.Mui-focused': { color: accentColor },
-                                    '& .MuiFormLabel-asterisk': { color: accentColor }
-                                }}
+                        {!splits && (
+                            <FormControl fullWidth required>
+                                <InputLabel
+                                    id='category-label'
+                                    sx={{
+                                        color: accentColor,
+                                        '&.Mui-focused': { color: accentColor },
+                                        '& .MuiFormLabel-asterisk': { color: accentColor }
+                                    }}
+                                >
+                                    Category
+                                </InputLabel>
+                                <Select
+                                    labelId='category-label'
+                                    label='Category'
+                                    value={category}
+                                    onChange={(e) => setCategory(e.target.value)}
+                                    renderValue={(value) => {
+                                        const selected = categories.find((c) => c.name === value);
+                                        return selected ? getCategoryPath(selected, categories) : value;
+                                    }}
+                                    variant='outlined'
+                                    sx={selectSx}
+                                >
+                                    {renderCategoryOptions(categories)}
+                                </Select>
+                            </FormControl>
+                        )}
+
+                        {splits && splits.map((line, i) => (
+                            <Stack key={i} direction='row' spacing={1} alignItems='center'>
+                                <FormControl fullWidth required size='small'>
+                                    <InputLabel
+                                        id={`split-category-label-${i}`}
+                                        sx={{
+                                            color: accentColor,
+                                            '&.Mui-focused': { color: accentColor },
+                                            '& .MuiFormLabel-asterisk': { color: accentColor }
+                                        }}
+                                    >
+                                        {`Category ${i + 1}`}
+                                    </InputLabel>
+                                    <Select
+                                        labelId={`split-category-label-${i}`}
+                                        label={`Category ${i + 1}`}
+                                        value={line.category}
+                                        onChange={(e) => updateSplitLine(i, 'category', e.target.value)}
+                                        renderValue={(value) => {
+                                            const selected = categories.find((c) => c.name === value);
+                                            return selected ? getCategoryPath(selected, categories) : value;
+                                        }}
+                                        variant='outlined'
+                                        sx={selectSx}
+                                    >
+                                        {renderCategoryOptions(categories)}
+                                    </Select>
+                                </FormControl>
+                                <TextField
+                                    label='Amount'
+                                    size='small'
+                                    value={line.sum}
+                                    onChange={(e) => updateSplitLine(i, 'sum', e.target.value)}
+                                    required
+                                    sx={{ ...inputSx, width: 140, flexShrink: 0 }}
+                                />
+                                <IconButton
+                                    aria-label='Remove line'
+                                    disabled={splits.length <= MIN_SPLIT_LINES}
+                                    onClick={() => setSplits((current) => current.filter((_, j) => j !== i))}
+                                >
+                                    <RemoveCircleOutlineIcon fontSize='small' />
+                                </IconButton>
+                            </Stack>
+                        ))}
+
+                        <Stack direction='row' spacing={1} alignItems='center'>
+                            <Button
+                                variant='outlined'
+                                startIcon={<CallSplitIcon />}
+                                onClick={toggleSplit}
+                                sx={{ color: accentColor, borderColor }}
                             >
-                                Category
-                            </InputLabel>
-                            <Select
-                                labelId='category-label'
-                                label='Category'
-                                value={category}
-                                onChange={(e) => setCategory(e.target.value)}
+                                {splits ? BTN_UNSPLIT_LABEL : BTN_SPLIT_LABEL}
+                            </Button>
+                            {splits && (
+                                <Button
+                                    startIcon={<AddIcon />}
+                                    onClick={() => setSplits((current) => [...current, { category: '', sum: '' }])}
+                                    sx={{ color: accentColor }}
+                                >
+                                    {BTN_ADD_LINE_LABEL}
+                                </Button>
+                            )}
+                            {splits && (
+                                <Typography
+                                    variant='body2'
+                                    color={getSplitRemaining(sum, splits) === 0 ? 'text.secondary' : 'error'}
+                                    sx={{ ml: 'auto' }}
+                                >
+                                    {`${SPLIT_REMAINING_LABEL} ${getSplitRemaining(sum, splits).toFixed(2)} ${currency}`}
+                                </Typography>
+                            )}
+                        </Stack>
+
+                        <Stack direction='row' spacing={1} alignItems='center'>
+                            <Button
                                 variant='outlined'
-                                sx={selectSx}
+                                startIcon={<GroupIcon />}
+                                onClick={toggleShared}
+                                sx={{ color: accentColor, borderColor }}
                             >
-                                {CATEGORIES.map((c) => (
-                                    <MenuItem key={c} value={c}>{c}</MenuItem>
+                                {shared ? BTN_UNSHARE_LABEL : BTN_SHARE_LABEL}
+                            </Button>
+                            {shared && people.length === 0 && (
+                                <Typography variant='body2' color='text.secondary'>
+                                    {SHARED_NO_PEOPLE}
+                                </Typography>
+                            )}
+                        </Stack>
+
+                        {shared && people.length > 0 && (
+                            <Stack spacing={1}>
+                                <Stack direction='row' spacing={1}>
+                                    <TextField
+                                        select
+                                        label='Paid by'
+                                        size='small'
+                                        value={shared.paidBy}
+                                        onChange={(e) => setShared((current) => ({ ...current, paidBy: e.target.value }))}
+                                        fullWidth
+                                        sx={inputSx}
+                                    >
+                                        {people.map((p) => (
+                                            <MenuItem key={p} value={p}>{p}</MenuItem>
+                                        ))}
+                                    </TextField>
+                                    <TextField
+                                        select
+                                        label='Divide'
+                                        size='small'
+                                        value={shared.mode}
+                                        onChange={(e) => setShared((current) => ({ ...current, mode: e.target.value }))}
+                                        fullWidth
+                                        sx={inputSx}
+                                    >
+                                        {SHARE_MODES.map((m) => (
+                                            <MenuItem key={m.value} value={m.value}>{m.label}</MenuItem>
+                                        ))}
+                                    </TextField>
+                                </Stack>
+                                {people.map((p) => (
+                                    <Stack key={p} direction='row' spacing={1} alignItems='center'>
+                                        <FormControlLabel
+                                            control={
+                                                <Checkbox
+                                                    checked={shared.included.includes(p)}
+                                                    onChange={() => toggleSharer(p)}
+                                                    sx={{ color: accentColor, '&.Mui-checked': { color: accentColor } }}
+                                                />
+                                            }
+                                            label={p}
+                                            sx={{ flex: 1, textAlign: 'left' }}
+                                        />
+                                        {shared.mode !== 'equal' && shared.included.includes(p) && (
+                                            <TextField
+                                                label={shared.mode === 'percent' ? '%' : currency}
+                                                size='small'
+                                                value={shared.values[p] ?? ''}
+                                                onChange={(e) => setShared((current) => ({
+                                                    ...current,
+                                                    values: { ...current.values, [p]: e.target.value }
+                                                }))}
+                                                sx={{ ...inputSx, width: 140, flexShrink: 0 }}
+                                            />
+                                        )}
+                                    </Stack>
                                 ))}
-                            </Select>
-                        </FormControl>
+                            </Stack>
+                        )}
+
+                        <TextField
+                            label='Date'
+                            type='date'
+                            value={date}
+                            onChange={(e) => setDate(e.target.value)}
+                            InputLabelProps={{ shrink: true }}
+                            required
+                            fullWidth
+                            sx={inputSx}
+                        />
 
                         <TextField
                             label='Description'
@@ -244,6 +697,50 @@ export default function AddCostForm() {
                             minRows={2}
                             sx={inputSx}
                         />
+
+                        <Autocomplete
+                            multiple
+                            freeSolo
+                            autoSelect
+                            filterSelectedOptions
+                            options={knownTags}
+                            value={tags}
+                            onChange={(e, value) => setTags(normalizeTags(value))}
+                            getOptionLabel={formatTag}
+                            slotProps={{ chip: { size: 'small' } }}
+                            renderInput={(params) => (
+                                <TextField {...params} label='Tags' helperText={TAGS_HELPER} sx={inputSx} />
+                            )}
+                        />
+
+                        <Stack direction='row' spacing={1} flexWrap='wrap' useFlexGap alignItems='center'>
+                            <Button
+                                component='label'
+                                variant='outlined'
+                                startIcon={<AttachFileIcon />}
+                                sx={{ color: accentColor, borderColor }}
+                            >
+                                {BTN_ATTACH_LABEL}
+                                <input hidden type='file' accept={ATTACHMENT_ACCEPT} multiple onChange={onPickFiles} />
+                            </Button>
+                            <Button
+                                component='label'
+                                variant='outlined'
+                                startIcon={<PhotoCameraIcon />}
+                                sx={{ color: accentColor, borderColor }}
+                            >
+                                {BTN_CAMERA_LABEL}
+                                <input hidden type='file' accept='image/*' capture='environment' onChange={onPickFiles} />
+                            </Button>
+                            {files.map((f, i) => (
+                                <Chip
+                                    key={`${f.name}-${i}`}
+                                    size='small'
+                                    label={f.name}
+                                    onDelete={() => setFiles((current) => current.filter((_, j) => j !== i))}
+                                />
+                            ))}
+                        </Stack>
                     </Stack>
                 </CardContent>
 
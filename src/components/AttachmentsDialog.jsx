@@ -0,0 +1,139 @@
+/** /src/components/AttachmentsDialog.jsx
+ * Project: Cost Manager Front End
+ * File: src/components/AttachmentsDialog.jsx
+ * Description: Dialog previewing a cost's receipt attachments (images inline, PDFs embedded), with open and delete actions.
+ * Updated: 2026-10-19
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+    Box,
+    Stack,
+    Typography,
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    Button,
+    Link
+} from '@mui/material';
+import { getAttachments, deleteAttachment, isImageAttachment } from '../services/attachments';
+
+/** =========================================================================
+ * Configurable constants
+ * =======================================================================*/
+
+const TITLE = 'Receipts';
+const PREVIEW_MAX_HEIGHT_PX = 480;
+const EMPTY_TEXT = 'No attachments.';
+const BTN_OPEN_LABEL = 'Open';
+const BTN_DELETE_LABEL = 'Delete';
+const BTN_CLOSE_LABEL = 'Close';
+const MSG_LOAD_FAIL = 'Failed to load attachments';
+
+/** =========================================================================
+ * Component
+ * =======================================================================*/
+
+/**
+ * AttachmentsDialog component. Object URLs are created while the dialog shows the files and revoked after.
+ * @param {{ costId:number|null, onClose:() => void, onChanged?:() => void }} props
+ *   Open while `costId` is set; `onChanged` runs after an attachment is deleted.
+ * @returns {JSX.Element}
+ */
+export default function AttachmentsDialog({ costId, onClose, onChanged }) {
+    const [items, setItems] = useState([]);
+    const [error, setError] = useState('');
+    const [version, setVersion] = useState(0);
+
+    useEffect(() => {
+        if (costId === null) return undefined;
+        let urls = [];
+        let cancelled = false;
+        getAttachments(costId)
+            .then((list) => {
+                if (cancelled) return;
+                urls = list.map((a) => URL.createObjectURL(a.blob));
+                setItems(list.map((a, i) => ({ ...a, url: urls[i] })));
+                setError('');
+            })
+            .catch((err) => {
+                console.error(err);
+                if (!cancelled) setError(MSG_LOAD_FAIL);
+            });
+        return () => {
+            cancelled = true;
+            urls.forEach((url) => URL.revokeObjectURL(url));
+            setItems([]);
+        };
+    }, [costId, version]);
+
+    /**
+     * Delete one attachment and reload the list.
+     * @param {number} id - Attachment id.
+     * @returns {Promise<void>}
+     */
+    const onDelete = async (id) => {
+        try {
+            await deleteAttachment(id);
+            setVersion((v) => v + 1);
+            if (onChanged) onChanged();
+        } catch (err) {
+            console.error(err);
+            setError(err?.message || MSG_LOAD_FAIL);
+        }
+    };
+
+    return (
+        <Dialog open={costId !== null} onClose={onClose} maxWidth='md' fullWidth>
+            <DialogTitle>{TITLE}</DialogTitle>
+            <DialogContent>
+                {error && (
+                    <Typography variant='body2' color='error'>
+                        {error}
+                    </Typography>
+                )}
+                {!error && items.length === 0 && (
+                    <Typography variant='body2' color='text.secondary'>
+                        {EMPTY_TEXT}
+                    </Typography>
+                )}
+                <Stack spacing={3}>
+                    {items.map((a) => (
+                        <Box key={a.id}>
+                            <Stack direction='row' alignItems='center' spacing={1} sx={{ mb: 1 }}>
+                                <Typography variant='subtitle2' sx={{ flex: 1, textAlign: 'left', wordBreak: 'break-all' }}>
+                                    {`${a.name} (${Math.ceil(a.size / 1024)} KB)`}
+                                </Typography>
+                                <Link href={a.url} target='_blank' rel='noopener' underline='hover'>
+                                    {BTN_OPEN_LABEL}
+                                </Link>
+                                <Button size='small' color='error' onClick={() => onDelete(a.id)}>
+                                    {BTN_DELETE_LABEL}
+                                </Button>
+                            </Stack>
+                            {isImageAttachment(a) ? (
+                                <Box
+                                    component='img'
+                                    src={a.url}
+                                    alt={a.name}
+                                    sx={{ display: 'block', maxWidth: '100%', maxHeight: PREVIEW_MAX_HEIGHT_PX, mx: 'auto' }}
+                                />
+                            ) : (
+                                <Box
+                                    component='iframe'
+                                    src={a.url}
+                                    title={a.name}
+                                    sx={{ width: '100%', height: PREVIEW_MAX_HEIGHT_PX, border: 0 }}
+                                />
+                            )}
+                        </Box>
+                    ))}
+                </Stack>
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={onClose}>{BTN_CLOSE_LABEL}</Button>
+            </DialogActions>
+        </Dialog>
+    );
+}
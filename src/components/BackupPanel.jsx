@@ -0,0 +1,210 @@
+/** /src/components/BackupPanel.jsx
+ * Project: Cost Manager Front End
+ * File: src/components/BackupPanel.jsx
+ * Description: Settings card for downloading a JSON backup and restoring it (replace or merge).
+ * Updated: 2026-10-19
+ */
+
+import React, { useState } from 'react';
+import {
+    Card,
+    CardContent,
+    CardActions,
+    Button,
+    Typography,
+    Snackbar,
+    Alert,
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    RadioGroup,
+    FormControlLabel,
+    Radio
+} from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import { downloadBackup, parseBackup, restoreBackup } from '../services/backup';
+
+/** =========================================================================
+ * Configurable constants
+ * =======================================================================*/
+
+const CARD_MAX_WIDTH = 700;
+const SNACK_DURATION_MS = 4000;
+const TITLE = 'Backup & Restore';
+const INFO_TEXT = 'Save all costs (with receipt attachments), categories, budgets, recurring costs, people, and settings to a JSON file, or load them back on another machine or browser.';
+const BTN_BACKUP_LABEL = 'Download Backup';
+const BTN_RESTORE_LABEL = 'Restore from File';
+const BTN_CANCEL_LABEL = 'Cancel';
+const BTN_CONFIRM_LABEL = 'Restore';
+const BTN_BUSY_LABEL = 'Working…';
+const MODE_REPLACE_LABEL = 'Replace — delete current data, then load the backup';
+const MODE_MERGE_LABEL = 'Merge — keep current data, skip duplicates';
+const MSG_BACKUP_FAIL = 'Failed to create backup';
+const MSG_RESTORE_FAIL = 'Failed to restore backup';
+
+/** =========================================================================
+ * Component
+ * =======================================================================*/
+
+/**
+ * BackupPanel component.
+ * @param {{ onRestored?: () => void }} props - `onRestored` runs after a successful restore.
+ * @returns {JSX.Element}
+ */
+export default function BackupPanel({ onRestored }) {
+    const theme = useTheme();
+    const colors = theme.custom.forms.settings;
+
+    const [pending, setPending] = useState(null);
+    const [mode, setMode] = useState('merge');
+    const [busy, setBusy] = useState(false);
+    const [snack, setSnack] = useState({ open: false, type: 'success', msg: '' });
+
+    const closeSnack = () => setSnack((s) => ({ ...s, open: false }));
+
+    /**
+     * Create and download a backup file.
+     * @returns {Promise<void>}
+     */
+    const onBackup = async () => {
+        try {
+            setBusy(true);
+            const { costs, attachments } = await downloadBackup();
+            setSnack({
+                open: true,
+                type: 'success',
+                msg: `Backup saved (${costs} costs${attachments ? `, ${attachments} attachments` : ''})`
+            });
+        } catch (err) {
+            console.error(err);
+            setSnack({ open: true, type: 'error', msg: MSG_BACKUP_FAIL });
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    /**
+     * Read and validate a chosen backup file, then ask for confirmation.
+     * @param {React.ChangeEvent<HTMLInputElement>} e
+     * @returns {Promise<void>}
+     */
+    const onFile = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            setPending({ name: file.name, backup: parseBackup(await file.text()) });
+        } catch (err) {
+            setSnack({ open: true, type: 'error', msg: err?.message || MSG_RESTORE_FAIL });
+        }
+    };
+
+    /**
+     * Restore the pending backup in the chosen mode.
+     * @returns {Promise<void>}
+     */
+    const onConfirm = async () => {
+        try {
+            setBusy(true);
+            const { added, skipped, attachments } = await restoreBackup(pending.backup, mode);
+            setPending(null);
+            setSnack({
+                open: true,
+                type: 'success',
+                msg: `Restored ${added} costs${attachments ? ` and ${attachments} attachments` : ''}` +
+                    `${skipped ? `, skipped ${skipped} duplicates` : ''}`
+            });
+            if (onRestored) onRestored();
+        } catch (err) {
+            console.error(err);
+            setSnack({ open: true, type: 'error', msg: MSG_RESTORE_FAIL });
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <>
+            <Card sx={{ maxWidth: CARD_MAX_WIDTH, width: '100%', mb: 10 }}>
+                <CardContent>
+                    <Typography variant='h6' sx={{ color: colors.label }} gutterBottom>
+                        {TITLE}
+                    </Typography>
+                    <Typography variant='body2' color='text.secondary'>
+                        {INFO_TEXT}
+                    </Typography>
+                </CardContent>
+                <CardActions sx={{ justifyContent: 'flex-end', px: 2, pb: 2 }}>
+                    <Button
+                        variant='outlined'
+                        component='label'
+                        disabled={busy}
+                        sx={{ color: colors.label, borderColor: colors.border, '&:hover': { borderColor: colors.label } }}
+                    >
+                        {BTN_RESTORE_LABEL}
+                        <input type='file' accept='.json,application/json' hidden onChange={onFile} />
+                    </Button>
+                    <Button
+                        variant='contained'
+                        onClick={onBackup}
+                        disabled={busy}
+                        sx={{
+                            backgroundColor: colors.label,
+                            color: colors.border,
+                            '&:hover': { backgroundColor: colors.label, opacity: 0.9 }
+                        }}
+                    >
+                        {busy ? BTN_BUSY_LABEL : BTN_BACKUP_LABEL}
+                    </Button>
+                </CardActions>
+            </Card>
+
+            <Dialog open={Boolean(pending)} onClose={() => !busy && setPending(null)} maxWidth='sm' fullWidth>
+                <DialogTitle>{BTN_RESTORE_LABEL}</DialogTitle>
+                {pending && (
+                    <DialogContent>
+                        <Typography variant='body2' gutterBottom>
+                            {pending.name}
+                        </Typography>
+                        <Typography variant='body2' color='text.secondary' gutterBottom>
+                            {`Created ${new Date(pending.backup.createdAt).toLocaleString('en-GB')} · ` +
+                                `${pending.backup.data.costs.length} costs · ` +
+                                `${pending.backup.data.attachments.length} attachments · ` +
+                                `${pending.backup.data.categories.length} categories · ` +
+                                `${Object.keys(pending.backup.settings).length} settings`}
+                        </Typography>
+                        <RadioGroup value={mode} onChange={(e) => setMode(e.target.value)} sx={{ mt: 2 }}>
+                            <FormControlLabel value='merge' control={<Radio />} label={MODE_MERGE_LABEL} />
+                            <FormControlLabel value='replace' control={<Radio />} label={MODE_REPLACE_LABEL} />
+                        </RadioGroup>
+                    </DialogContent>
+                )}
+                <DialogActions>
+                    <Button onClick={() => setPending(null)} disabled={busy}>
+                        {BTN_CANCEL_LABEL}
+                    </Button>
+                    <Button
+                        variant='contained'
+                        color={mode === 'replace' ? 'warning' : 'primary'}
+                        onClick={onConfirm}
+                        disabled={busy}
+                    >
+                        {busy ? BTN_BUSY_LABEL : BTN_CONFIRM_LABEL}
+                    </Button>
+                </DialogActions>
+            </Dialog>
+
+            <Snackbar
+                open={snack.open}
+                autoHideDuration={SNACK_DURATION_MS}
+                onClose={closeSnack}
+                anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+            >
+                <Alert onClose={closeSnack} severity={snack.type} sx={{ width: '100%' }}>
+                    {snack.msg}
+                </Alert>
+            </Snackbar>
+        </>
+    );
+}
@@ -0,0 +1,375 @@
+/** /src/components/BudgetsPanel.jsx
+ * Project: Cost Manager Front End
+ * File: src/components/BudgetsPanel.jsx
+ * Description: Budget-vs-actual view for a month with per-budget progress bars, plus adding, editing, and removing budgets.
+ * Updated: 2026-10-19
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+    Card,
+    CardContent,
+    CardActions,
+    Stack,
+    TextField,
+    Button,
+    Typography,
+    Box,
+    LinearProgress,
+    IconButton,
+    Tooltip,
+    Snackbar,
+    Alert,
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    MenuItem
+} from '@mui/material';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { useTheme } from '@mui/material/styles';
+import { getRates } from '../services/exchange';
+import { getEnabledCurrencies, getDefaultCurrency } from '../services/currencies';
+import { getCategories, getCategoryPath } from '../services/categories';
+import {
+    getBudgets,
+    getBudgetStatus,
+    setBudget,
+    deleteBudget,
+    getBudgetLabel,
+    OVERALL_BUDGET,
+    OVERALL_LABEL,
+    WARNING_RATIO
+} from '../services/budgets';
+import RatesNotice from './RatesNotice';
+import UnconvertedNotice from './UnconvertedNotice';
+
+/** =========================================================================
+ * Configurable constants
+ * =======================================================================*/
+
+const CARD_MAX_WIDTH = 900;
+const SNACK_DURATION_MS = 3000;
+const BTN_SHOW_IDLE = 'Show Month';
+const BTN_SHOW_BUSY = 'Loading…';
+const BTN_ADD_LABEL = 'Add Budget';
+const BTN_CANCEL_LABEL = 'Cancel';
+const BTN_SAVE_LABEL = 'Save';
+const EMPTY_TEXT = 'No budgets yet. Add one for a category or for all costs.';
+const MSG_LOAD_FAIL = 'Failed to load budgets';
+const MSG_NO_RATES = 'Spending unavailable: exchange rates could not be loaded';
+const MSG_SAVED = 'Budget saved';
+const MSG_DELETED = 'Budget removed';
+
+/** =========================================================================
+ * Utils
+ * =======================================================================*/
+
+/**
+ * Progress bar color for a spent ratio.
+ * @param {number} ratio - actual / amount.
+ * @returns {'success'|'warning'|'error'}
+ */
+function progressColor(ratio) {
+    if (ratio > 1) return 'error';
+    if (ratio >= WARNING_RATIO) return 'warning';
+    return 'success';
+}
+
+/** =========================================================================
+ * Component
+ * =======================================================================*/
+
+/**
+ * BudgetsPanel component.
+ * @returns {JSX.Element}
+ */
+export default function BudgetsPanel() {
+    const theme = useTheme();
+    const { label: accent, border: borderAccent, fieldBg } = theme.custom.forms.budgets;
+    const now = new Date();
+
+    const [year, setYear] = useState(now.getFullYear());
+    const [month, setMonth] = useState(now.getMonth() + 1);
+    const [currencies] = useState(getEnabledCurrencies);
+    const [shown, setShown] = useState({ year: now.getFullYear(), month: now.getMonth() + 1 });
+    const [categories, setCategories] = useState([]);
+    const [budgets, setBudgets] = useState([]);
+    const [statuses, setStatuses] = useState([]);
+    const [ratesInfo, setRatesInfo] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [editing, setEditing] = useState(null);
+    const [snack, setSnack] = useState({ open: false, type: 'success', msg: '' });
+
+    const closeSnack = () => setSnack((s) => ({ ...s, open: false }));
+
+    /**
+     * Load categories and budgets, then rates and the budget status of the shown month.
+     * Budgets stay listed and editable when rates cannot be loaded; only their spending is missing.
+     * @returns {Promise<void>}
+     */
+    const load = useCallback(async () => {
+        setLoading(true);
+        try {
+            const [allCategories, allBudgets] = await Promise.all([getCategories(), getBudgets()]);
+            setCategories(allCategories);
+            setBudgets(allBudgets);
+        } catch (err) {
+            console.error(err);
+            setSnack({ open: true, type: 'error', msg: err?.message || MSG_LOAD_FAIL });
+            setLoading(false);
+            return;
+        }
+        try {
+            const info = await getRates();
+            setRatesInfo(info);
+            setStatuses(await getBudgetStatus(shown.year, shown.month, info.rates));
+        } catch (err) {
+            console.error(err);
+            setRatesInfo(null);
+            setStatuses([]);
+            setSnack({ open: true, type: 'error', msg: err?.message || MSG_NO_RATES });
+        } finally {
+            setLoading(false);
+        }
+    }, [shown]);
+
+    // Reload on mount and whenever Show Month is pressed
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    /**
+     * Save the budget in the dialog.
+     * @returns {Promise<void>}
+     */
+    const onSave = async () => {
+        try {
+            await setBudget(editing);
+            setEditing(null);
+            setSnack({ open: true, type: 'success', msg: MSG_SAVED });
+            await load();
+        } catch (err) {
+            setSnack({ open: true, type: 'error', msg: err.message });
+        }
+    };
+
+    /**
+     * Remove a budget.
+     * @param {string} category
+     * @returns {Promise<void>}
+     */
+    const onDelete = async (category) => {
+        try {
+            await deleteBudget(category);
+            setSnack({ open: true, type: 'success', msg: MSG_DELETED });
+            await load();
+        } catch (err) {
+            console.error(err);
+            setSnack({ open: true, type: 'error', msg: MSG_LOAD_FAIL });
+        }
+    };
+
+    /** =========================================================================
+     * Styles
+     * =======================================================================*/
+
+    const inputSx = {
+        '& .MuiOutlinedInput-root': {
+            backgroundColor: fieldBg,
+            '& fieldset': { borderColor: borderAccent },
+            '&:hover fieldset': { borderColor: borderAccent },
+            '&.Mui-focused fieldset': { borderColor: borderAccent }
+        },
+        '& label': { color: accent },
+        '& label.Mui-focused': { color: accent }
+    };
+
+    const budgeted = new Set(budgets.map((b) => b.category));
+    const statusByCategory = Object.fromEntries(statuses.map((s) => [s.category, s]));
+    // Budgets in one currency share their unconverted costs; show the currency that left out the most
+    const unconverted = statuses.reduce((most, s) => (s.unconverted.count > (most?.count ?? 0) ? s.unconverted : most), null);
+    const categoryOptions = [
+        { value: OVERALL_BUDGET, label: OVERALL_LABEL },
+        ...categories
+            .filter((c) => !c.archived)
+            .map((c) => ({ value: c.name, label: getCategoryPath(c, categories) }))
+            .sort((a, b) => a.label.localeCompare(b.label))
+    ];
+
+    /** =========================================================================
+     * Render
+     * =======================================================================*/
+
+    return (
+        <Card sx={{ width: '100%', maxWidth: CARD_MAX_WIDTH }}>
+            <CardContent>
+                <Stack spacing={3}>
+                    <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2}>
+                        <TextField
+                            label='Year'
+                            type='number'
+                            value={year}
+                            onChange={(e) => setYear(Number(e.target.value))}
+                            sx={inputSx}
+                        />
+                        <TextField
+                            label='Month'
+                            type='number'
+                            value={month}
+                            onChange={(e) => setMonth(Number(e.target.value))}
+                            inputProps={{ min: 1, max: 12 }}
+                            sx={inputSx}
+                        />
+                        <Button
+                            variant='outlined'
+                            onClick={() => setShown({ year: Number(year), month: Number(month) })}
+                            disabled={loading}
+                            sx={{ color: accent, borderColor: borderAccent, '&:hover': { borderColor: accent } }}
+                        >
+                            {loading ? BTN_SHOW_BUSY : BTN_SHOW_IDLE}
+                        </Button>
+                    </Stack>
+
+                    <RatesNotice info={ratesInfo} />
+                    <UnconvertedNotice unconverted={unconverted} />
+
+                    {budgets.length === 0 && (
+                        <Typography variant='body2' color='text.secondary'>
+                            {EMPTY_TEXT}
+                        </Typography>
+                    )}
+
+                    {budgets.map((b) => {
+                        const s = statusByCategory[b.category];
+                        return (
+                            <Box key={b.category}>
+                                <Stack direction='row' alignItems='center' spacing={1}>
+                                    <Typography variant='subtitle1' sx={{ flex: 1, textAlign: 'left' }}>
+                                        {getBudgetLabel(b)}
+                                    </Typography>
+                                    <Typography variant='body2' color={s?.ratio > 1 ? 'error' : 'text.secondary'}>
+                                        {`${s ? s.actual.toFixed(2) : '—'} / ${b.amount.toFixed(2)} ${b.currency}`}
+                                    </Typography>
+                                    <Tooltip title='Edit'>
+                                        <IconButton size='small' onClick={() => setEditing({ ...b, isNew: false })}>
+                                            <EditIcon fontSize='small' />
+                                        </IconButton>
+                                    </Tooltip>
+                                    <Tooltip title='Remove'>
+                                        <IconButton size='small' onClick={() => onDelete(b.category)}>
+                                            <DeleteIcon fontSize='small' />
+                                        </IconButton>
+                                    </Tooltip>
+                                </Stack>
+                                {s ? (
+                                    <>
+                                        <LinearProgress
+                                            variant='determinate'
+                                            value={Math.min(s.ratio * 100, 100)}
+                                            color={progressColor(s.ratio)}
+                                            sx={{ height: 8, borderRadius: 4 }}
+                                        />
+                                        <Typography variant='caption' color='text.secondary' sx={{ display: 'block', textAlign: 'left' }}>
+                                            {s.remaining >= 0
+                                                ? `${s.remaining.toFixed(2)} ${s.currency} left (${Math.round(s.ratio * 100)}%)`
+                                                : `${(-s.remaining).toFixed(2)} ${s.currency} over budget (${Math.round(s.ratio * 100)}%)`}
+                                        </Typography>
+                                    </>
+                                ) : !loading && (
+                                    <Typography variant='caption' color='text.secondary' sx={{ display: 'block', textAlign: 'left' }}>
+                                        {MSG_NO_RATES}
+                                    </Typography>
+                                )}
+                            </Box>
+                        );
+                    })}
+                </Stack>
+            </CardContent>
+
+            <CardActions sx={{ justifyContent: 'flex-end', px: 2, pb: 2 }}>
+                <Button
+                    variant='contained'
+                    onClick={() => setEditing({
+                        category: categoryOptions.find((o) => !budgeted.has(o.value))?.value ?? OVERALL_BUDGET,
+                        amount: '',
+                        currency: getDefaultCurrency(),
+                        isNew: true
+                    })}
+                    sx={{
+                        backgroundColor: accent,
+                        color: borderAccent,
+                        '&:hover': { backgroundColor: accent, opacity: 0.9 }
+                    }}
+                >
+                    {BTN_ADD_LABEL}
+                </Button>
+            </CardActions>
+
+            <Dialog open={Boolean(editing)} onClose={() => setEditing(null)} maxWidth='xs' fullWidth>
+                <DialogTitle>{editing?.isNew ? BTN_ADD_LABEL : `Edit ${editing ? getBudgetLabel(editing) : ''}`}</DialogTitle>
+                {editing && (
+                    <DialogContent>
+                        <Stack spacing={2} sx={{ mt: 1 }}>
+                            <TextField
+                                select
+                                label='Category'
+                                value={editing.category}
+                                onChange={(e) => setEditing((b) => ({ ...b, category: e.target.value }))}
+                                disabled={!editing.isNew}
+                                fullWidth
+                            >
+                                {categoryOptions.map((o) => (
+                                    <MenuItem
+                                        key={o.value}
+                                        value={o.value}
+                                        disabled={editing.isNew && budgeted.has(o.value)}
+                                    >
+                                        {o.label}
+                                    </MenuItem>
+                                ))}
+                            </TextField>
+                            <TextField
+                                label='Monthly Budget'
+                                type='number'
+                                value={editing.amount}
+                                onChange={(e) => setEditing((b) => ({ ...b, amount: e.target.value }))}
+                                inputProps={{ min: 0, step: '0.01' }}
+                                fullWidth
+                            />
+                            <TextField
+                                select
+                                label='Currency'
+                                value={editing.currency}
+                                onChange={(e) => setEditing((b) => ({ ...b, currency: e.target.value }))}
+                                fullWidth
+                            >
+                                {Array.from(new Set([...currencies, editing.currency])).map((c) => (
+                                    <MenuItem key={c} value={c}>{c}</MenuItem>
+                                ))}
+                            </TextField>
+                        </Stack>
+                    </DialogContent>
+                )}
+                <DialogActions>
+                    <Button onClick={() => setEditing(null)}>{BTN_CANCEL_LABEL}</Button>
+                    <Button variant='contained' onClick={onSave}>
+                        {BTN_SAVE_LABEL}
+                    </Button>
+                </DialogActions>
+            </Dialog>
+
+            <Snackbar
+                open={snack.open}
+                autoHideDuration={SNACK_DURATION_MS}
+                onClose={closeSnack}
+                anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+            >
+                <Alert onClose={closeSnack} severity={snack.type} sx={{ width: '100%' }}>
+                    {snack.msg}
+                </Alert>
+            </Snackbar>
+        </Card>
+    );
+}
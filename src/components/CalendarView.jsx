@@ -0,0 +1,196 @@
+/** /src/components/CalendarView.jsx
+ * Project: Cost Manager Front End
+ * File: src/components/CalendarView.jsx
+ * Description: Calendar heatmap of daily spending for a year; clicking a day lists that day's costs.
+ * Updated: 2026-10-19
+ */
+
+import React, { useState } from 'react';
+import {
+    Box,
+    Card,
+    CardContent,
+    Stack,
+    Typography,
+    Tooltip,
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    Button,
+    List,
+    ListItem,
+    ListItemText
+} from '@mui/material';
+import { alpha, useTheme } from '@mui/material/styles';
+import { fromIsoDate } from '../services/periods';
+
+/** =========================================================================
+ * Configurable constants
+ * =======================================================================*/
+
+const CELL_PX = 13;
+const GAP_PX = 3;
+const LEVEL_ALPHAS = [0.25, 0.5, 0.75, 1];
+const WEEKDAY_LABELS = ['', 'Mon', '', 'Wed', '', 'Fri', ''];
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const TITLE = 'Daily Spending';
+const LEGEND_LESS = 'Less';
+const LEGEND_MORE = 'More';
+const NO_COSTS_TEXT = 'No costs on this day.';
+const NO_RATE_TEXT = 'no exchange rate';
+const BTN_CLOSE_LABEL = 'Close';
+
+/** =========================================================================
+ * Utils
+ * =======================================================================*/
+
+/**
+ * Intensity level of a day: 0 without spending, else 1–4 by its share of the busiest day.
+ * @param {number} value
+ * @param {number} max
+ * @returns {number}
+ */
+function intensity(value, max) {
+    if (value <= 0 || max <= 0) return 0;
+    return Math.min(LEVEL_ALPHAS.length, Math.ceil((value / max) * LEVEL_ALPHAS.length));
+}
+
+/**
+ * Lay the days out in week columns (Sunday first), padding the first week with empty cells.
+ * @param {string[]} days - Consecutive YYYY-MM-DD dates.
+ * @returns {Array<Array<number|null>>} Weeks of day indexes (null = padding).
+ */
+function buildWeeks(days) {
+    const offset = days.length ? fromIsoDate(days[0]).getDay() : 0;
+    const cells = [...Array(offset).fill(null), ...days.map((_, i) => i)];
+    const weeks = [];
+    for (let i = 0; i < cells.length; i += 7) {
+        weeks.push(cells.slice(i, i + 7));
+    }
+    return weeks;
+}
+
+/**
+ * Categories of a cost for the day list; a split cost lists each of its lines.
+ * @param {{ lines:Array<{ category:string }> }} cost
+ * @returns {string}
+ */
+function formatCostCategories(cost) {
+    return cost.lines.map((l) => l.category).join(' + ');
+}
+
+/** =========================================================================
+ * Component
+ * =======================================================================*/
+
+/**
+ * CalendarView component.
+ * @param {{ trend: import('../services/trends').Trend }} props - A daily trend over the year.
+ * @returns {JSX.Element}
+ */
+export default function CalendarView({ trend }) {
+    const theme = useTheme();
+    const accent = theme.custom.forms.charts.label;
+    const emptyColor = theme.palette.action.hover;
+
+    const [openDay, setOpenDay] = useState(null);
+
+    const { buckets: days, totals, currency } = trend;
+    const max = Math.max(0, ...totals);
+    const weeks = buildWeeks(days);
+    const levelColor = (level) => (level === 0 ? emptyColor : alpha(accent, LEVEL_ALPHAS[level - 1]));
+    const dayCosts = openDay ? trend.costs.filter((c) => c.date === openDay) : [];
+    const dayTotal = openDay ? totals[days.indexOf(openDay)] ?? 0 : 0;
+
+    // Month label over the first week column that contains the month's 1st
+    const monthStarts = weeks.map((week) => {
+        const first = week.find((i) => i !== null && days[i].endsWith('-01'));
+        return first === undefined ? '' : MONTH_LABELS[Number(days[first].slice(5, 7)) - 1];
+    });
+
+    const cellSx = { width: CELL_PX, height: CELL_PX, borderRadius: '2px' };
+
+    return (
+        <Card variant='outlined'>
+            <CardContent sx={{ p: 2 }}>
+                <Typography variant='subtitle1' sx={{ textAlign: 'left', mb: 1 }}>
+                    {`${TITLE} (${days[0]?.slice(0, 4) ?? ''})`}
+                </Typography>
+
+                <Box sx={{ overflowX: 'auto', pb: 1 }}>
+                    <Stack direction='row' spacing={`${GAP_PX}px`} sx={{ width: 'max-content' }}>
+                        <Stack spacing={`${GAP_PX}px`} sx={{ pt: `${CELL_PX + GAP_PX}px`, pr: 0.5 }}>
+                            {WEEKDAY_LABELS.map((label, i) => (
+                                <Typography key={i} variant='caption' sx={{ height: CELL_PX, lineHeight: `${CELL_PX}px`, fontSize: 10 }}>
+                                    {label}
+                                </Typography>
+                            ))}
+                        </Stack>
+                        {weeks.map((week, w) => (
+                            <Stack key={w} spacing={`${GAP_PX}px`}>
+                                <Typography variant='caption' sx={{ height: CELL_PX, lineHeight: `${CELL_PX}px`, fontSize: 10, whiteSpace: 'nowrap' }}>
+                                    {monthStarts[w]}
+                                </Typography>
+                                {week.map((i, d) => (i === null ? (
+                                    <Box key={`pad-${d}`} sx={cellSx} />
+                                ) : (
+                                    <Tooltip key={days[i]} title={`${days[i]}: ${totals[i].toFixed(2)} ${currency}`} disableInteractive>
+                                        <Box
+                                            role='button'
+                                            aria-label={days[i]}
+                                            onClick={() => setOpenDay(days[i])}
+                                            sx={{
+                                                ...cellSx,
+                                                cursor: 'pointer',
+                                                backgroundColor: levelColor(intensity(totals[i], max)),
+                                                '&:hover': { outline: `1px solid ${accent}` }
+                                            }}
+                                        />
+                                    </Tooltip>
+                                )))}
+                            </Stack>
+                        ))}
+                    </Stack>
+                </Box>
+
+                <Stack direction='row' spacing={0.5} alignItems='center' justifyContent='flex-end'>
+                    <Typography variant='caption' color='text.secondary'>{LEGEND_LESS}</Typography>
+                    {[0, ...LEVEL_ALPHAS.map((_, i) => i + 1)].map((level) => (
+                        <Box key={level} sx={{ ...cellSx, backgroundColor: levelColor(level) }} />
+                    ))}
+                    <Typography variant='caption' color='text.secondary'>{LEGEND_MORE}</Typography>
+                </Stack>
+            </CardContent>
+
+            <Dialog open={Boolean(openDay)} onClose={() => setOpenDay(null)} maxWidth='xs' fullWidth>
+                <DialogTitle>{openDay ? `${openDay} — ${dayTotal.toFixed(2)} ${currency}` : ''}</DialogTitle>
+                <DialogContent>
+                    {dayCosts.length === 0 ? (
+                        <Typography variant='body2' color='text.secondary'>
+                            {NO_COSTS_TEXT}
+                        </Typography>
+                    ) : (
+                        <List dense>
+                            {dayCosts.map((c) => (
+                                <ListItem key={c.id} disableGutters>
+                                    <ListItemText
+                                        primary={`${c.description} — ${c.sum.toFixed(2)} ${c.currency}`}
+                                        secondary={c.currency === currency
+                                            ? formatCostCategories(c)
+                                            : `${formatCostCategories(c)} · ${c.converted === null
+                                                ? NO_RATE_TEXT
+                                                : `${c.converted.toFixed(2)} ${currency}`}`}
+                                    />
+                                </ListItem>
+                            ))}
+                        </List>
+                    )}
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setOpenDay(null)}>{BTN_CLOSE_LABEL}</Button>
+                </DialogActions>
+            </Dialog>
+        </Card>
+    );
+}
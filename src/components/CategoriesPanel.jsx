@@ -0,0 +1,352 @@
+/** /src/components/CategoriesPanel.jsx
+ * Project: Cost Manager Front End
+ * File: src/components/CategoriesPanel.jsx
+ * Description: Settings card to add, edit, nest, archive, merge, and delete cost categories.
+ * Updated: 2026-10-19
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+    Card,
+    CardContent,
+    CardActions,
+    Button,
+    Typography,
+    Snackbar,
+    Alert,
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    List,
+    ListItem,
+    ListItemIcon,
+    ListItemText,
+    IconButton,
+    Tooltip,
+    TextField,
+    MenuItem,
+    FormControlLabel,
+    Checkbox,
+    Stack
+} from '@mui/material';
+import EditIcon from '@mui/icons-material/Edit';
+import MergeTypeIcon from '@mui/icons-material/MergeType';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { useTheme } from '@mui/material/styles';
+import {
+    getCategories,
+    addCategory,
+    updateCategory,
+    mergeCategories,
+    deleteCategory,
+    groupCategories,
+    DEFAULT_COLOR,
+    DEFAULT_ICON
+} from '../services/categories';
+import CategoryIcon, { CATEGORY_ICON_KEYS } from './CategoryIcon';
+
+/** =========================================================================
+ * Configurable constants
+ * =======================================================================*/
+
+const CARD_MAX_WIDTH = 700;
+const SNACK_DURATION_MS = 4000;
+const TITLE = 'Categories';
+const INFO_TEXT = 'Archived categories stay on existing costs but are hidden when adding new ones.';
+const BTN_ADD_LABEL = 'Add Category';
+const BTN_CANCEL_LABEL = 'Cancel';
+const BTN_SAVE_LABEL = 'Save';
+const BTN_MERGE_LABEL = 'Merge';
+const ARCHIVED_LABEL = 'Archived';
+const NO_PARENT_LABEL = 'None (top-level)';
+const MSG_LOAD_FAIL = 'Failed to load categories';
+const MSG_SAVED = 'Category saved';
+const MSG_DELETED = 'Category deleted';
+
+/** @constant {{ name:string, color:string, icon:string, archived:boolean, parentId:number|null }} EMPTY_FORM */
+const EMPTY_FORM = { name: '', color: DEFAULT_COLOR, icon: DEFAULT_ICON, archived: false, parentId: null };
+
+/** =========================================================================
+ * Component
+ * =======================================================================*/
+
+/**
+ * CategoriesPanel component.
+ * @returns {JSX.Element}
+ */
+export default function CategoriesPanel() {
+    const theme = useTheme();
+    const colors = theme.custom.forms.settings;
+
+    const [categories, setCategories] = useState([]);
+    const [editing, setEditing] = useState(null);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [merging, setMerging] = useState(null);
+    const [mergeTarget, setMergeTarget] = useState('');
+    const [snack, setSnack] = useState({ open: false, type: 'success', msg: '' });
+
+    const closeSnack = () => setSnack((s) => ({ ...s, open: false }));
+
+    /**
+     * Reload the category list.
+     * @returns {Promise<void>}
+     */
+    const load = async () => {
+        try {
+            setCategories(await getCategories());
+        } catch (err) {
+            console.error(err);
+            setSnack({ open: true, type: 'error', msg: MSG_LOAD_FAIL });
+        }
+    };
+
+    useEffect(() => {
+        load();
+    }, []);
+
+    /**
+     * Open the edit dialog for a category, or for a new one.
+     * @param {import('../services/categories').Category|null} category
+     * @returns {void}
+     */
+    const openEdit = (category) => {
+        setEditing(category ?? {});
+        setForm(category ? { ...EMPTY_FORM, ...category } : EMPTY_FORM);
+    };
+
+    /**
+     * Save the edit dialog.
+     * @returns {Promise<void>}
+     */
+    const onSave = async () => {
+        try {
+            let msg = MSG_SAVED;
+            if (editing.id === undefined) {
+                await addCategory(form);
+            } else {
+                const { renamedCosts } = await updateCategory(editing.id, form);
+                if (renamedCosts) msg = `${MSG_SAVED} (${renamedCosts} costs renamed)`;
+            }
+            setEditing(null);
+            setSnack({ open: true, type: 'success', msg });
+            await load();
+        } catch (err) {
+            setSnack({ open: true, type: 'error', msg: err.message });
+        }
+    };
+
+    /**
+     * Merge the selected category into the chosen target.
+     * @returns {Promise<void>}
+     */
+    const onMerge = async () => {
+        try {
+            const target = categories.find((c) => c.id === mergeTarget);
+            const moved = await mergeCategories(merging.id, mergeTarget);
+            setMerging(null);
+            setSnack({ open: true, type: 'success', msg: `Moved ${moved} costs to ${target.name}` });
+            await load();
+        } catch (err) {
+            setSnack({ open: true, type: 'error', msg: err.message });
+        }
+    };
+
+    /**
+     * Delete a category that no cost uses.
+     * @param {import('../services/categories').Category} category
+     * @returns {Promise<void>}
+     */
+    const onDelete = async (category) => {
+        try {
+            await deleteCategory(category.id);
+            setSnack({ open: true, type: 'success', msg: MSG_DELETED });
+            await load();
+        } catch (err) {
+            setSnack({ open: true, type: 'error', msg: err.message });
+        }
+    };
+
+    return (
+        <>
+            <Card sx={{ maxWidth: CARD_MAX_WIDTH, width: '100%', mb: 2 }}>
+                <CardContent>
+                    <Typography variant='h6' sx={{ color: colors.label }} gutterBottom>
+                        {TITLE}
+                    </Typography>
+                    <Typography variant='body2' color='text.secondary'>
+                        {INFO_TEXT}
+                    </Typography>
+                    <List dense>
+                        {groupCategories(categories).flatMap((g) => [g.category, ...g.children]).map((c) => (
+                            <ListItem
+                                key={c.id}
+                                secondaryAction={
+                                    <>
+                                        <Tooltip title='Edit'>
+                                            <IconButton edge='end' onClick={() => openEdit(c)}>
+                                                <EditIcon fontSize='small' />
+                                            </IconButton>
+                                        </Tooltip>
+                                        <Tooltip title='Merge into…'>
+                                            <IconButton
+                                                edge='end'
+                                                onClick={() => {
+                                                    setMerging(c);
+                                                    setMergeTarget('');
+                                                }}
+                                            >
+                                                <MergeTypeIcon fontSize='small' />
+                                            </IconButton>
+                                        </Tooltip>
+                                        <Tooltip title='Delete'>
+                                            <IconButton edge='end' onClick={() => onDelete(c)}>
+                                                <DeleteIcon fontSize='small' />
+                                            </IconButton>
+                                        </Tooltip>
+                                    </>
+                                }
+                            >
+                                <ListItemIcon sx={{ pl: c.parentId === null ? 0 : 3 }}>
+                                    <CategoryIcon icon={c.icon} color={c.color} />
+                                </ListItemIcon>
+                                <ListItemText
+                                    primary={c.name}
+                                    secondary={c.archived ? ARCHIVED_LABEL : null}
+                                    sx={{ opacity: c.archived ? 0.6 : 1 }}
+                                />
+                            </ListItem>
+                        ))}
+                    </List>
+                </CardContent>
+                <CardActions sx={{ justifyContent: 'flex-end', px: 2, pb: 2 }}>
+                    <Button
+                        variant='contained'
+                        onClick={() => openEdit(null)}
+                        sx={{
+                            backgroundColor: colors.label,
+                            color: colors.border,
+                            '&:hover': { backgroundColor: colors.label, opacity: 0.9 }
+                        }}
+                    >
+                        {BTN_ADD_LABEL}
+                    </Button>
+                </CardActions>
+            </Card>
+
+            <Dialog open={Boolean(editing)} onClose={() => setEditing(null)} maxWidth='xs' fullWidth>
+                <DialogTitle>{editing?.id === undefined ? BTN_ADD_LABEL : `Edit ${editing.name}`}</DialogTitle>
+                <DialogContent>
+                    <Stack spacing={2} sx={{ mt: 1 }}>
+                        <TextField
+                            label='Name'
+                            value={form.name}
+                            onChange={(e) => setForm((f) => ({ ...f, name: e.target.value }))}
+                            fullWidth
+                            autoFocus
+                        />
+                        <TextField
+                            label='Color'
+                            type='color'
+                            value={form.color}
+                            onChange={(e) => setForm((f) => ({ ...f, color: e.target.value }))}
+                            fullWidth
+                        />
+                        <TextField
+                            select
+                            label='Icon'
+                            value={form.icon}
+                            onChange={(e) => setForm((f) => ({ ...f, icon: e.target.value }))}
+                            fullWidth
+                        >
+                            {CATEGORY_ICON_KEYS.map((key) => (
+                                <MenuItem key={key} value={key}>
+                                    <ListItemIcon>
+                                        <CategoryIcon icon={key} color={form.color} />
+                                    </ListItemIcon>
+                                    {key}
+                                </MenuItem>
+                            ))}
+                        </TextField>
+                        <TextField
+                            select
+                            label='Parent'
+                            value={form.parentId ?? ''}
+                            onChange={(e) =>
+                                setForm((f) => ({ ...f, parentId: e.target.value === '' ? null : e.target.value }))}
+                            fullWidth
+                        >
+                            <MenuItem value=''>{NO_PARENT_LABEL}</MenuItem>
+                            {categories
+                                .filter((c) => c.parentId === null && c.id !== editing?.id)
+                                .map((c) => (
+                                    <MenuItem key={c.id} value={c.id}>
+                                        {c.name}
+                                    </MenuItem>
+                                ))}
+                        </TextField>
+                        {editing?.id !== undefined && (
+                            <FormControlLabel
+                                control={
+                                    <Checkbox
+                                        checked={form.archived}
+                                        onChange={(e) => setForm((f) => ({ ...f, archived: e.target.checked }))}
+                                    />
+                                }
+                                label={ARCHIVED_LABEL}
+                            />
+                        )}
+                    </Stack>
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setEditing(null)}>{BTN_CANCEL_LABEL}</Button>
+                    <Button variant='contained' onClick={onSave}>
+                        {BTN_SAVE_LABEL}
+                    </Button>
+                </DialogActions>
+            </Dialog>
+
+            <Dialog open={Boolean(merging)} onClose={() => setMerging(null)} maxWidth='xs' fullWidth>
+                <DialogTitle>{merging ? `Merge ${merging.name}` : BTN_MERGE_LABEL}</DialogTitle>
+                <DialogContent>
+                    <Typography variant='body2' color='text.secondary' gutterBottom>
+                        Its costs move to the chosen category, then it is deleted.
+                    </Typography>
+                    <TextField
+                        select
+                        label='Merge into'
+                        value={mergeTarget}
+                        onChange={(e) => setMergeTarget(e.target.value)}
+                        fullWidth
+                        sx={{ mt: 1 }}
+                    >
+                        {categories
+                            .filter((c) => c.id !== merging?.id)
+                            .map((c) => (
+                                <MenuItem key={c.id} value={c.id}>
+                                    {c.name}
+                                </MenuItem>
+                            ))}
+                    </TextField>
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setMerging(null)}>{BTN_CANCEL_LABEL}</Button>
+                    <Button variant='contained' color='warning' onClick={onMerge} disabled={mergeTarget === ''}>
+                        {BTN_MERGE_LABEL}
+                    </Button>
+                </DialogActions>
+            </Dialog>
+
+            <Snackbar
+                open={snack.open}
+                autoHideDuration={SNACK_DURATION_MS}
+                onClose={closeSnack}
+                anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+            >
+                <Alert onClose={closeSnack} severity={snack.type} sx={{ width: '100%' }}>
+                    {snack.msg}
+                </Alert>
+            </Snackbar>
+        </>
+    );
+}
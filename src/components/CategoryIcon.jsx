@@ -0,0 +1,74 @@
+/** /src/components/CategoryIcon.jsx
+ * Project: Cost Manager Front End
+ * File: src/components/CategoryIcon.jsx
+ * Description: Maps stored category icon keys to Material icons.
+ * Updated: 2026-10-19
+ */
+
+import React from 'react';
+import RestaurantIcon from '@mui/icons-material/Restaurant';
+import DirectionsCarIcon from '@mui/icons-material/DirectionsCar';
+import HomeIcon from '@mui/icons-material/Home';
+import BoltIcon from '@mui/icons-material/Bolt';
+import LocalHospitalIcon from '@mui/icons-material/LocalHospital';
+import SchoolIcon from '@mui/icons-material/School';
+import MovieIcon from '@mui/icons-material/Movie';
+import ShoppingBagIcon from '@mui/icons-material/ShoppingBag';
+import FlightIcon from '@mui/icons-material/Flight';
+import CategoryIconSvg from '@mui/icons-material/Category';
+import PetsIcon from '@mui/icons-material/Pets';
+import FitnessCenterIcon from '@mui/icons-material/FitnessCenter';
+import CardGiftcardIcon from '@mui/icons-material/CardGiftcard';
+import SavingsIcon from '@mui/icons-material/Savings';
+import LocalGasStationIcon from '@mui/icons-material/LocalGasStation';
+import LocalParkingIcon from '@mui/icons-material/LocalParking';
+import PhoneIcon from '@mui/icons-material/Phone';
+import CheckroomIcon from '@mui/icons-material/Checkroom';
+import ChildCareIcon from '@mui/icons-material/ChildCare';
+import WorkIcon from '@mui/icons-material/Work';
+
+/** =========================================================================
+ * Configurable constants
+ * =======================================================================*/
+
+/** @constant {Record<string, import('react').ElementType>} ICONS - Icon key → icon component */
+const ICONS = {
+    category: CategoryIconSvg,
+    restaurant: RestaurantIcon,
+    car: DirectionsCarIcon,
+    fuel: LocalGasStationIcon,
+    parking: LocalParkingIcon,
+    home: HomeIcon,
+    bolt: BoltIcon,
+    phone: PhoneIcon,
+    health: LocalHospitalIcon,
+    fitness: FitnessCenterIcon,
+    school: SchoolIcon,
+    childcare: ChildCareIcon,
+    movie: MovieIcon,
+    shopping: ShoppingBagIcon,
+    clothing: CheckroomIcon,
+    gift: CardGiftcardIcon,
+    flight: FlightIcon,
+    pets: PetsIcon,
+    work: WorkIcon,
+    savings: SavingsIcon
+};
+
+/** @constant {string[]} CATEGORY_ICON_KEYS - Icon keys a category can use */
+export const CATEGORY_ICON_KEYS = Object.keys(ICONS);
+
+/** =========================================================================
+ * Component
+ * =======================================================================*/
+
+/**
+ * CategoryIcon component.
+ * Unknown keys fall back to the generic category icon.
+ * @param {{ icon?:string, color?:string, fontSize?:'inherit'|'small'|'medium'|'large' }} props
+ * @returns {JSX.Element}
+ */
+export default function CategoryIcon({ icon, color, fontSize = 'small' }) {
+    const Icon = ICONS[icon] || CategoryIconSvg;
+    return <Icon fontSize={fontSize} sx={color ? { color } : undefined} />;
+}
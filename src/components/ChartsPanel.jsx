@@ -1,11 +1,13 @@
 /** /src/components/ChartsPanel.jsx
  * Project: Cost Manager Front End
  * File: src/components/ChartsPanel.jsx
- * Description: Responsive controls with side-by-side Pie and Stacked Bar charts for costs visualization.
- * Updated: 2025-09-12
+ * Description: Responsive controls with side-by-side Pie and Stacked Bar charts for costs visualization, by category or subcategory,
+ *              a comparison view of per-category changes between two periods, a spending trend line chart,
+ *              a calendar heatmap of daily spending, and a month-end forecast, optionally limited to one tag.
+ * Updated: 2026-10-19
  */
 
-import React, { useMemo, useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import {
     Card,
     CardContent,
@@ -17,15 +19,31 @@ import {
     MenuItem,
     Button,
     Typography,
-    Box
+    Box,
+    Tabs,
+    Tab,
+    Autocomplete,
+    Snackbar,
+    Alert
 } from '@mui/material';
 import { useTheme } from '@mui/material/styles';
 import useMediaQuery from '@mui/material/useMediaQuery';
 import { PieChart, BarChart } from '@mui/x-charts';
-import { fetchRates } from '../services/exchange';
-import { getReport } from '../services/idb';
-
-const CURRENCIES = ['USD', 'ILS', 'GBP', 'EURO'];
+import { getRates, convertCost, findMissingRate, countUnconverted, RATE_MODES } from '../services/exchange';
+import { getReport, getCostsInRange, getCostLines, getTags, buildRollupMap } from '../services/idb';
+import { getEnabledCurrencies, getDefaultCurrency } from '../services/currencies';
+import { getCategories, buildColorMap, DEFAULT_COLOR, CATEGORY_LEVELS } from '../services/categories';
+import { COMPARISON_TYPES, PERIOD_TYPES, resolveComparison, resolvePeriod, toIsoDate } from '../services/periods';
+import { getComparison } from '../services/comparison';
+import { getTrend, GRANULARITIES } from '../services/trends';
+import { getForecast } from '../services/forecast';
+import { formatTag } from '../services/tags';
+import RatesNotice from './RatesNotice';
+import UnconvertedNotice from './UnconvertedNotice';
+import ComparisonView from './ComparisonView';
+import TrendView from './TrendView';
+import CalendarView from './CalendarView';
+import ForecastView from './ForecastView';
 
 /** =========================================================================
  * Configurable constants
@@ -37,58 +55,45 @@ const BTN_BUILD_IDLE = 'Build Charts';
 const BTN_BUILD_BUSY = 'Building…';
 const PIE_TITLE_PREFIX = 'Monthly by Category';
 const BAR_TITLE_PREFIX = 'Yearly Totals by Category';
-const ALERT_BUILD_FAIL = 'Failed generating charts';
-
-/** =========================================================================
- * Category color map
- * =======================================================================*/
-
-/** @type {Record<string, string>} */
-const categoryColors = {
-    Food: '#1976d2',
-    Transportation: '#f57c00',
-    Housing: '#2e7d32',
-    Utilities: '#aad4e8',
-    Health: '#d32f2f',
-    Education: '#9c27b0',
-    Entertainment: '#ff9800',
-    Shopping: '#6d4c41',
-    Travel: '#00796b',
-    Other: '#757575'
-};
+const MSG_BUILD_FAIL = 'Failed generating charts';
+const SNACK_DURATION_MS = 5000;
+const BTN_DRILL_UP = 'All categories';
+const DRILL_HINT = 'Click a slice to see its subcategories.';
+const BUILD_HINT = 'Build charts to see data.';
+const VIEWS = [
+    { value: 'overview', label: 'Overview' },
+    { value: 'compare', label: 'Compare' },
+    { value: 'trend', label: 'Trend' },
+    { value: 'calendar', label: 'Calendar' },
+    { value: 'forecast', label: 'Forecast' }
+];
 
 /** =========================================================================
  * Utils
  * =======================================================================*/
 
 /**
- * Convert amount between currencies using USD-based rates.
- * @param {number|string} amount
- * @param {string} fromCurrency
- * @param {string} toCurrency
- * @param {Record<string, number>} rates
- * @returns {number}
- */
-function convert(amount, fromCurrency, toCurrency, rates) {
-    if (!rates) return Number(amount) || 0;
-    if (fromCurrency === toCurrency) return Number(amount) || 0;
-    const fromRate = rates[fromCurrency] || 1;
-    const toRate = rates[toCurrency] || 1;
-    return (Number(amount) / fromRate) * toRate;
-}
-
-/**
- * Build pie-series data from a monthly report.
- * @param {{ costs: Array<{category:string,sum:number,currency:string}> }} report
+ * Build pie-series data from a monthly report. Each line of a split cost counts toward its own category.
+ * At the 'parent' level slices are top-level categories; drilling into `parent` shows only its subcategories.
+ * Costs without a rate are left out, as in the report totals.
+ * @param {{ costs: Array<{sum:number,currency:string,rates:Record<string,number>|null,lines:Array<{category:string,parentCategory:string,sum:number}>}> }} report
  * @param {string} targetCurrency
  * @param {Record<string,number>} rates
+ * @param {boolean} [useHistorical=false] - Convert with each cost's stored rates when present.
+ * @param {'leaf'|'parent'} [level='leaf'] - Category level to aggregate at.
+ * @param {string|null} [parent=null] - Top-level category to drill into.
  * @returns {{ id: string, label: string, value: number }[]}
  */
-function buildPie(report, targetCurrency, rates) {
+function buildPie(report, targetCurrency, rates, useHistorical = false, level = 'leaf', parent = null) {
     const byCat = {};
     (report?.costs ?? []).forEach((c) => {
-        const val = convert(c.sum, c.currency, targetCurrency, rates);
-        byCat[c.category] = (byCat[c.category] || 0) + val;
+        if (findMissingRate(c, targetCurrency, rates, useHistorical)) return;
+        c.lines.forEach((line) => {
+            if (parent !== null && line.parentCategory !== parent) return;
+            const key = level === 'parent' && parent === null ? line.parentCategory : line.category;
+            const val = convertCost({ ...c, sum: line.sum }, targetCurrency, rates, useHistorical);
+            byCat[key] = (byCat[key] || 0) + val;
+        });
     });
     return Object.entries(byCat).map(([label, value]) => ({
         id: label,
@@ -98,38 +103,43 @@ function buildPie(report, targetCurrency, rates) {
 }
 
 /**
- * Build stacked bar data for a full year.
+ * Build stacked bar data for a full year from a single date-range query.
+ * Each line of a split cost is stacked under its own category; costs without a rate are left out and counted.
  * @param {number} year
  * @param {string} targetCurrency
  * @param {Record<string,number>} rates
- * @returns {Promise<{ months: string[], series: Array<{ label: string, data: number[], color: string }> }>}
+ * @param {boolean} [useHistorical=false] - Convert with each cost's stored rates when present.
+ * @param {Record<string,string>} [colors={}] - Category name → color.
+ * @param {Record<string,string>|null} [rollup=null] - Category → top-level category, to aggregate at the parent level.
+ * @param {string|null} [tag=null] - Only costs with this tag.
+ * @returns {Promise<{ months: string[], series: Array<{ label: string, data: number[], color: string }>, unconverted: import('../services/exchange').Unconverted }>}
  */
-async function buildStackedBar(year, targetCurrency, rates) {
+async function buildStackedBar(year, targetCurrency, rates, useHistorical = false, colors = {}, rollup = null, tag = null) {
     const months = Array.from({ length: 12 }, (_, i) => String(i + 1).padStart(2, '0'));
-    const reports = await Promise.all(
-        months.map((m) => getReport(year, Number(m), targetCurrency, rates))
-    );
+    const costs = await getCostsInRange(new Date(year, 0, 1), new Date(year + 1, 0, 1), tag);
 
     const categorySet = new Set();
-    reports.forEach((r) => (r?.costs ?? []).forEach((c) => categorySet.add(c.category)));
-    const categories = Array.from(categorySet);
-
-    const monthCategoryTotals = reports.map((r) => {
-        const map = {};
-        (r?.costs ?? []).forEach((c) => {
-            const v = convert(c.sum, c.currency, targetCurrency, rates);
-            map[c.category] = (map[c.category] || 0) + v;
+    const monthCategoryTotals = months.map(() => ({}));
+    costs.forEach((c) => {
+        if (findMissingRate(c, targetCurrency, rates, useHistorical)) return;
+        const map = monthCategoryTotals[new Date(c.date).getMonth()];
+        getCostLines(c).forEach((line) => {
+            const key = rollup ? rollup[line.category] ?? line.category : line.category;
+            const v = convertCost({ ...c, sum: line.sum }, targetCurrency, rates, useHistorical);
+            map[key] = (map[key] || 0) + v;
+            categorySet.add(key);
         });
-        return map;
     });
+    const categories = Array.from(categorySet);
 
     return {
         months,
         series: categories.map((cat) => ({
             label: cat,
             data: monthCategoryTotals.map((m) => Math.round((m[cat] || 0) * 100) / 100),
-            color: categoryColors[cat] || '#9e9e9e'
-        }))
+            color: colors[cat] || DEFAULT_COLOR
+        })),
+        unconverted: countUnconverted(costs, targetCurrency, rates, useHistorical)
     };
 }
 
@@ -149,13 +159,56 @@ export default function ChartsPanel() {
 
     const [year, setYear] = useState(now.getFullYear());
     const [month, setMonth] = useState(now.getMonth() + 1);
-    const [currency, setCurrency] = useState('USD');
-    const [pieData, setPieData] = useState([]);
+    const [currencies] = useState(getEnabledCurrencies);
+    const [currency, setCurrency] = useState(getDefaultCurrency);
+    const [rateMode, setRateMode] = useState('current');
+    const [level, setLevel] = useState('parent');
+    const [knownTags, setKnownTags] = useState([]);
+    const [tag, setTag] = useState(null);
+    const [view, setView] = useState('overview');
+    const [compareType, setCompareType] = useState('month');
+    const [comparison, setComparison] = useState(null);
+    const [trendPeriod, setTrendPeriod] = useState('ytd');
+    const [quarter, setQuarter] = useState(Math.floor(now.getMonth() / 3) + 1);
+    const [rangeFrom, setRangeFrom] = useState(() => toIsoDate(new Date(now.getFullYear(), now.getMonth() - 2, 1)));
+    const [rangeTo, setRangeTo] = useState(() => toIsoDate(now));
+    const [granularity, setGranularity] = useState('day');
+    const [trend, setTrend] = useState(null);
+    const [calendar, setCalendar] = useState(null);
+    const [forecast, setForecast] = useState(null);
+    const [built, setBuilt] = useState(null);
+    const [drillParent, setDrillParent] = useState(null);
     const [barData, setBarData] = useState({ months: [], series: [] });
     const [loading, setLoading] = useState(false);
+    const [ratesInfo, setRatesInfo] = useState(null);
+    const [colors, setColors] = useState({});
+    const [snack, setSnack] = useState({ open: false, msg: '' });
+
+    const closeSnack = () => setSnack((s) => ({ ...s, open: false }));
 
     const panelHeight = isMdUp ? DEFAULT_CHART_HEIGHT_MD : DEFAULT_CHART_HEIGHT_SM;
     const monthLabel = useMemo(() => `${String(month).padStart(2, '0')}/${year}`, [month, year]);
+    const pieData = useMemo(
+        () => (built
+            ? buildPie(built.report, built.currency, built.rates, built.useHistorical, built.level, drillParent)
+            : []),
+        [built, drillParent]
+    );
+    const canDrill = built?.level === 'parent' && drillParent === null;
+    // The overview's bar chart covers the pie's month too, so its count includes the pie's
+    const unconverted = {
+        overview: barData.unconverted,
+        compare: comparison?.unconverted,
+        trend: trend?.unconverted,
+        calendar: calendar?.unconverted,
+        forecast: forecast?.unconverted
+    }[view];
+
+    useEffect(() => {
+        getTags()
+            .then(setKnownTags)
+            .catch((err) => console.error(err));
+    }, []);
 
     /**
      * Fetch data, build charts, and set state.
@@ -164,66 +217,205 @@ export default function ChartsPanel() {
     const onBuild = async () => {
         try {
             setLoading(true);
-            const rates = await fetchRates();
-            const report = await getReport(Number(year), Number(month), currency, rates);
-            setPieData(buildPie(report, currency, rates));
-            const bar = await buildStackedBar(Number(year), currency, rates);
+            const info = await getRates();
+            const { rates } = info;
+            setRatesInfo(info);
+            if (view === 'forecast') {
+                setForecast(await getForecast(new Date(), currency, rates, rateMode, level, tag));
+                return;
+            }
+            if (view === 'compare') {
+                const { current, previous } = resolveComparison(compareType, { year, month });
+                setComparison(await getComparison(current, previous, currency, rates, rateMode, level, tag));
+                return;
+            }
+            const useHistorical = rateMode === 'historical';
+            const categories = await getCategories();
+            const colorMap = buildColorMap(categories);
+            setColors(colorMap);
+            if (view === 'trend') {
+                const range = resolvePeriod(trendPeriod, { year, month, quarter, from: rangeFrom, to: rangeTo });
+                setTrend(await getTrend(range.from, range.to, granularity, currency, rates, rateMode, level, tag));
+                return;
+            }
+            if (view === 'calendar') {
+                const range = resolvePeriod('year', { year });
+                setCalendar(await getTrend(range.from, range.to, 'day', currency, rates, rateMode, level, tag));
+                return;
+            }
+            const report = await getReport(Number(year), Number(month), currency, rates, rateMode, level, tag);
+            setBuilt({ report, currency, rates, useHistorical, level });
+            setDrillParent(null);
+            const rollup = level === 'parent' ? buildRollupMap(categories) : null;
+            const bar = await buildStackedBar(Number(year), currency, rates, useHistorical, colorMap, rollup, tag);
             setBarData(bar);
         } catch (e) {
-            alert(e?.message || ALERT_BUILD_FAIL);
+            setSnack({ open: true, msg: e?.message || MSG_BUILD_FAIL });
             console.error(e);
         } finally {
             setLoading(false);
         }
     };
 
-    const chartKey = `${year}-${String(month).padStart(2, '0')}-${currency}`;
+    const chartKey = `${year}-${String(month).padStart(2, '0')}-${currency}-${rateMode}-${level}-${tag ?? ''}`;
+
+    const showYear = view !== 'forecast' && !(view === 'trend' && trendPeriod === 'custom');
+    const showMonth = view === 'overview' ||
+        (view === 'compare' && compareType !== 'year') ||
+        (view === 'trend' && trendPeriod === 'month');
+
+    /** =========================================================================
+     * Styles
+     * =======================================================================*/
+
+    const fieldSx = {
+        '& .MuiOutlinedInput-root': {
+            '& fieldset': { borderColor: chartColors.border },
+            '&:hover fieldset': { borderColor: chartColors.border },
+            '&.Mui-focused fieldset': { borderColor: chartColors.border }
+        },
+        '& label': { color: chartColors.label },
+        '& label.Mui-focused': { color: chartColors.label }
+    };
+    const labelSx = {
+        color: chartColors.label,
+        '&.Mui-focused': { color: chartColors.label }
+    };
+    const selectSx = {
+        '& .MuiOutlinedInput-notchedOutline': { borderColor: chartColors.border },
+        '&:hover .MuiOutlinedInput-notchedOutline': { borderColor: chartColors.border },
+        '&.Mui-focused .MuiOutlinedInput-notchedOutline': { borderColor: chartColors.border }
+    };
 
     return (
         <Card sx={{ width: '100%', maxWidth: 1600, mx: 'auto' }}>
             <CardContent>
                 <Stack spacing={4}>
+                    <Tabs
+                        value={view}
+                        onChange={(e, value) => setView(value)}
+                        centered
+                        textColor='inherit'
+                        sx={{ '& .MuiTabs-indicator': { backgroundColor: chartColors.label } }}
+                    >
+                        {VIEWS.map((v) => (
+                            <Tab key={v.value} value={v.value} label={v.label} />
+                        ))}
+                    </Tabs>
                     <Box sx={{ display: 'flex', justifyContent: 'center' }}>
-                        <Stack spacing={2} direction={{ xs: 'column', sm: 'row' }} sx={{ width: '100%', maxWidth: 700 }}>
-                            <TextField
-                                label='Year'
-                                type='number'
-                                value={year}
-                                onChange={(e) => setYear(Number(e.target.value))}
-                                sx={{
-                                    '& .MuiOutlinedInput-root': {
-                                        '& fieldset': { borderColor: chartColors.border },
-                                        '&:hover fieldset': { borderColor: chartColors.border },
-                                        '&.Mui-focused fieldset': { borderColor: chartColors.border }
-                                    },
-                                    '& label': { color: chartColors.label },
-                                    '& label.Mui-focused': { color: chartColors.label }
-                                }}
-                            />
-                            <TextField
-                                label='Month'
-                                type='number'
-                                value={month}
-                                onChange={(e) => setMonth(Number(e.target.value))}
-                                inputProps={{ min: 1, max: 12 }}
-                                sx={{
-                                    '& .MuiOutlinedInput-root': {
-                                        '& fieldset': { borderColor: chartColors.border },
-                                        '&:hover fieldset': { borderColor: chartColors.border },
-                                        '&.Mui-focused fieldset': { borderColor: chartColors.border }
-                                    },
-                                    '& label': { color: chartColors.label },
-                                    '& label.Mui-focused': { color: chartColors.label }
-                                }}
-                            />
+                        <Stack
+                            spacing={2}
+                            direction={{ xs: 'column', sm: 'row' }}
+                            useFlexGap
+                            flexWrap='wrap'
+                            justifyContent='center'
+                            sx={{ width: '100%', maxWidth: 1100 }}
+                        >
+                            {view === 'trend' && (
+                                <FormControl sx={{ minWidth: 160 }}>
+                                    <InputLabel id='trend-period-lab' sx={labelSx}>
+                                        Period
+                                    </InputLabel>
+                                    <Select
+                                        labelId='trend-period-lab'
+                                        label='Period'
+                                        value={trendPeriod}
+                                        onChange={(e) => setTrendPeriod(e.target.value)}
+                                        sx={selectSx}
+                                    >
+                                        {PERIOD_TYPES.map((p) => (
+                                            <MenuItem key={p.value} value={p.value}>{p.label}</MenuItem>
+                                        ))}
+                                    </Select>
+                                </FormControl>
+                            )}
+                            {showYear && (
+                                <TextField
+                                    label='Year'
+                                    type='number'
+                                    value={year}
+                                    onChange={(e) => setYear(Number(e.target.value))}
+                                    sx={fieldSx}
+                                />
+                            )}
+                            {showMonth && (
+                                <TextField
+                                    label='Month'
+                                    type='number'
+                                    value={month}
+                                    onChange={(e) => setMonth(Number(e.target.value))}
+                                    inputProps={{ min: 1, max: 12 }}
+                                    sx={fieldSx}
+                                />
+                            )}
+                            {view === 'trend' && trendPeriod === 'quarter' && (
+                                <TextField
+                                    label='Quarter'
+                                    type='number'
+                                    value={quarter}
+                                    onChange={(e) => setQuarter(Number(e.target.value))}
+                                    inputProps={{ min: 1, max: 4 }}
+                                    sx={fieldSx}
+                                />
+                            )}
+                            {view === 'trend' && trendPeriod === 'custom' && (
+                                <>
+                                    <TextField
+                                        label='From'
+                                        type='date'
+                                        value={rangeFrom}
+                                        onChange={(e) => setRangeFrom(e.target.value)}
+                                        InputLabelProps={{ shrink: true }}
+                                        sx={fieldSx}
+                                    />
+                                    <TextField
+                                        label='To'
+                                        type='date'
+                                        value={rangeTo}
+                                        onChange={(e) => setRangeTo(e.target.value)}
+                                        InputLabelProps={{ shrink: true }}
+                                        sx={fieldSx}
+                                    />
+                                </>
+                            )}
+                            {view === 'trend' && (
+                                <FormControl sx={{ minWidth: 130 }}>
+                                    <InputLabel id='granularity-lab' sx={labelSx}>
+                                        Show
+                                    </InputLabel>
+                                    <Select
+                                        labelId='granularity-lab'
+                                        label='Show'
+                                        value={granularity}
+                                        onChange={(e) => setGranularity(e.target.value)}
+                                        sx={selectSx}
+                                    >
+                                        {GRANULARITIES.map((g) => (
+                                            <MenuItem key={g.value} value={g.value}>{g.label}</MenuItem>
+                                        ))}
+                                    </Select>
+                                </FormControl>
+                            )}
+                            {view === 'compare' && (
+                                <FormControl sx={{ minWidth: 220 }}>
+                                    <InputLabel id='compare-lab' sx={labelSx}>
+                                        Compare
+                                    </InputLabel>
+                                    <Select
+                                        labelId='compare-lab'
+                                        label='Compare'
+                                        value={compareType}
+                                        onChange={(e) => setCompareType(e.target.value)}
+                                        sx={selectSx}
+                                    >
+                                        {COMPARISON_TYPES.map((c) => (
+                                            <MenuItem key={c.value} value={c.value}>{c.label}</MenuItem>
+                                        ))}
+                                    </Select>
+                                </FormControl>
+                            )}
                             <FormControl sx={{ minWidth: 140 }}>
-                                <InputLabel
-                                    id='currency-lab'
-                                    sx={{
-                                        color: chartColors.label,
-                                        '&.Mui-focused': { color: chartColors.label }
-                                    }}
-                                >
+                                <InputLabel id='currency-lab' sx={labelSx}>
                                     Currency
                                 </InputLabel>
                                 <Select
@@ -231,17 +423,53 @@ export default function ChartsPanel() {
                                     label='Currency'
                                     value={currency}
                                     onChange={(e) => setCurrency(e.target.value)}
-                                    sx={{
-                                        '& .MuiOutlinedInput-notchedOutline': { borderColor: chartColors.border },
-                                        '&:hover .MuiOutlinedInput-notchedOutline': { borderColor: chartColors.border },
-                                        '&.Mui-focused .MuiOutlinedInput-notchedOutline': { borderColor: chartColors.border }
-                                    }}
+                                    sx={selectSx}
                                 >
-                                    {CURRENCIES.map((c) => (
+                                    {currencies.map((c) => (
                                         <MenuItem key={c} value={c}>{c}</MenuItem>
                                     ))}
                                 </Select>
                             </FormControl>
+                            <FormControl sx={{ minWidth: 180 }}>
+                                <InputLabel id='rate-mode-lab' sx={labelSx}>
+                                    Convert With
+                                </InputLabel>
+                                <Select
+                                    labelId='rate-mode-lab'
+                                    label='Convert With'
+                                    value={rateMode}
+                                    onChange={(e) => setRateMode(e.target.value)}
+                                    sx={selectSx}
+                                >
+                                    {RATE_MODES.map((m) => (
+                                        <MenuItem key={m.value} value={m.value}>{m.label}</MenuItem>
+                                    ))}
+                                </Select>
+                            </FormControl>
+                            <FormControl sx={{ minWidth: 160 }}>
+                                <InputLabel id='level-lab' sx={labelSx}>
+                                    Group By
+                                </InputLabel>
+                                <Select
+                                    labelId='level-lab'
+                                    label='Group By'
+                                    value={level}
+                                    onChange={(e) => setLevel(e.target.value)}
+                                    sx={selectSx}
+                                >
+                                    {CATEGORY_LEVELS.map((l) => (
+                                        <MenuItem key={l.value} value={l.value}>{l.label}</MenuItem>
+                                    ))}
+                                </Select>
+                            </FormControl>
+                            <Autocomplete
+                                options={knownTags}
+                                value={tag}
+                                onChange={(e, value) => setTag(value)}
+                                getOptionLabel={formatTag}
+                                sx={{ minWidth: 200 }}
+                                renderInput={(params) => <TextField {...params} label='Tag' sx={fieldSx} />}
+                            />
                             <Button
                                 variant='contained'
                                 onClick={onBuild}
@@ -258,63 +486,131 @@ export default function ChartsPanel() {
                         </Stack>
                     </Box>
 
-                    <Box sx={{ display: 'flex', flexDirection: { xs: 'column', md: 'row' }, gap: 2 }}>
-                        <Box sx={{ flex: 1, minWidth: 0 }}>
-                            <Card variant='outlined' sx={{ height: panelHeight, display: 'flex', flexDirection: 'column' }}>
-                                <CardContent sx={{ p: 2, display: 'flex', flexDirection: 'column', flex: 1 }}>
-                                    <Typography variant='subtitle1' sx={{ mb: 1 }}>
-                                        {PIE_TITLE_PREFIX} ({monthLabel})
-                                    </Typography>
-                                    <Box sx={{ flex: 1 }}>
-                                        {pieData.length > 0 ? (
-                                            <PieChart
-                                                key={`pie-${chartKey}`}
-                                                series={[
-                                                    {
-                                                        data: pieData.map((item) => ({
-                                                            ...item,
-                                                            color: categoryColors[item.id] || '#9e9e9e'
-                                                        }))
-                                                    }
-                                                ]}
-                                                height={panelHeight - 72}
-                                            />
-                                        ) : (
-                                            <Typography variant='body2' color='text.secondary'>
-                                                Build charts to see data.
-                                            </Typography>
-                                        )}
-                                    </Box>
-                                </CardContent>
-                            </Card>
-                        </Box>
+                    <RatesNotice info={ratesInfo} />
+                    <UnconvertedNotice unconverted={unconverted} />
+
+                    {view === 'compare' && (comparison ? (
+                        <ComparisonView comparison={comparison} height={panelHeight} />
+                    ) : (
+                        <Typography variant='body2' color='text.secondary'>
+                            {BUILD_HINT}
+                        </Typography>
+                    ))}
+
+                    {view === 'trend' && (trend ? (
+                        <TrendView
+                            key={`${trend.granularity}-${trend.buckets[0]}-${trend.currency}-${level}`}
+                            trend={trend}
+                            colors={colors}
+                            height={panelHeight}
+                        />
+                    ) : (
+                        <Typography variant='body2' color='text.secondary'>
+                            {BUILD_HINT}
+                        </Typography>
+                    ))}
 
-                        <Box sx={{ flex: 1, minWidth: 0 }}>
-                            <Card variant='outlined' sx={{ height: panelHeight, display: 'flex', flexDirection: 'column' }}>
-                                <CardContent sx={{ p: 2, display: 'flex', flexDirection: 'column', flex: 1 }}>
-                                    <Typography variant='subtitle1' sx={{ mb: 1 }}>
-                                        {BAR_TITLE_PREFIX} ({year})
-                                    </Typography>
-                                    <Box sx={{ flex: 1 }}>
-                                        {barData.series.length > 0 ? (
-                                            <BarChart
-                                                key={`bar-${chartKey}`}
-                                                xAxis={[{ scaleType: 'band', data: barData.months }]}
-                                                series={barData.series}
-                                                height={panelHeight - 72}
-                                            />
-                                        ) : (
-                                            <Typography variant='body2' color='text.secondary'>
-                                                Build charts to see data.
+                    {view === 'calendar' && (calendar ? (
+                        <CalendarView trend={calendar} />
+                    ) : (
+                        <Typography variant='body2' color='text.secondary'>
+                            {BUILD_HINT}
+                        </Typography>
+                    ))}
+
+                    {view === 'forecast' && (forecast ? (
+                        <ForecastView forecast={forecast} height={panelHeight} />
+                    ) : (
+                        <Typography variant='body2' color='text.secondary'>
+                            {BUILD_HINT}
+                        </Typography>
+                    ))}
+
+                    {view === 'overview' && (
+                        <Box sx={{ display: 'flex', flexDirection: { xs: 'column', md: 'row' }, gap: 2 }}>
+                            <Box sx={{ flex: 1, minWidth: 0 }}>
+                                <Card variant='outlined' sx={{ height: panelHeight, display: 'flex', flexDirection: 'column' }}>
+                                    <CardContent sx={{ p: 2, display: 'flex', flexDirection: 'column', flex: 1 }}>
+                                        <Stack direction='row' alignItems='center' spacing={1} sx={{ mb: 1 }}>
+                                            <Typography variant='subtitle1'>
+                                                {drillParent ? `${PIE_TITLE_PREFIX}: ${drillParent}` : PIE_TITLE_PREFIX} ({monthLabel})
+                                            </Typography>
+                                            {drillParent && (
+                                                <Button size='small' onClick={() => setDrillParent(null)}>
+                                                    {BTN_DRILL_UP}
+                                                </Button>
+                                            )}
+                                        </Stack>
+                                        {canDrill && pieData.length > 0 && (
+                                            <Typography variant='caption' color='text.secondary'>
+                                                {DRILL_HINT}
                                             </Typography>
                                         )}
-                                    </Box>
-                                </CardContent>
-                            </Card>
+                                        <Box sx={{ flex: 1 }}>
+                                            {pieData.length > 0 ? (
+                                                <PieChart
+                                                    key={`pie-${chartKey}-${drillParent ?? ''}`}
+                                                    onItemClick={(event, identifier, item) => {
+                                                        if (canDrill) setDrillParent(item.id);
+                                                    }}
+                                                    series={[
+                                                        {
+                                                            data: pieData.map((item) => ({
+                                                                ...item,
+                                                                color: colors[item.id] || DEFAULT_COLOR
+                                                            }))
+                                                        }
+                                                    ]}
+                                                    height={panelHeight - 72}
+                                                />
+                                            ) : (
+                                                <Typography variant='body2' color='text.secondary'>
+                                                    {BUILD_HINT}
+                                                </Typography>
+                                            )}
+                                        </Box>
+                                    </CardContent>
+                                </Card>
+                            </Box>
+
+                            <Box sx={{ flex: 1, minWidth: 0 }}>
+                                <Card variant='outlined' sx={{ height: panelHeight, display: 'flex', flexDirection: 'column' }}>
+                                    <CardContent sx={{ p: 2, display: 'flex', flexDirection: 'column', flex: 1 }}>
+                                        <Typography variant='subtitle1' sx={{ mb: 1 }}>
+                                            {BAR_TITLE_PREFIX} ({year})
+                                        </Typography>
+                                        <Box sx={{ flex: 1 }}>
+                                            {barData.series.length > 0 ? (
+                                                <BarChart
+                                                    key={`bar-${chartKey}`}
+                                                    xAxis={[{ scaleType: 'band', data: barData.months }]}
+                                                    series={barData.series}
+                                                    height={panelHeight - 72}
+                                                />
+                                            ) : (
+                                                <Typography variant='body2' color='text.secondary'>
+                                                    {BUILD_HINT}
+                                                </Typography>
+                                            )}
+                                        </Box>
+                                    </CardContent>
+                                </Card>
+                            </Box>
                         </Box>
-                    </Box>
+                    )}
                 </Stack>
             </CardContent>
+
+            <Snackbar
+                open={snack.open}
+                autoHideDuration={SNACK_DURATION_MS}
+                onClose={closeSnack}
+                anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+            >
+                <Alert onClose={closeSnack} severity='error' sx={{ width: '100%' }}>
+                    {snack.msg}
+                </Alert>
+            </Snackbar>
         </Card>
     );
 }
@@ -0,0 +1,145 @@
+/** /src/components/ComparisonView.jsx
+ * Project: Cost Manager Front End
+ * File: src/components/ComparisonView.jsx
+ * Description: Diverging bar chart and table of per-category spending changes between two periods.
+ * Updated: 2026-10-19
+ */
+
+import React from 'react';
+import {
+    Box,
+    Card,
+    CardContent,
+    Typography,
+    Table,
+    TableHead,
+    TableBody,
+    TableRow,
+    TableCell
+} from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import { BarChart } from '@mui/x-charts';
+
+/** =========================================================================
+ * Configurable constants
+ * =======================================================================*/
+
+const TOP_INCREASES = 3;
+const BAR_ROW_HEIGHT_PX = 32;
+const CHART_PADDING_PX = 80;
+const EMPTY_TEXT = 'No costs in either period.';
+const NEW_LABEL = 'new';
+
+/** =========================================================================
+ * Utils
+ * =======================================================================*/
+
+/**
+ * Format a signed change, e.g. "+12.50" or "-3.00".
+ * @param {number} value
+ * @returns {string}
+ */
+function formatSigned(value) {
+    return `${value > 0 ? '+' : ''}${value.toFixed(2)}`;
+}
+
+/**
+ * Format a percent change; categories without spending before are "new".
+ * @param {number|null} percent
+ * @returns {string}
+ */
+function formatPercent(percent) {
+    return percent === null ? NEW_LABEL : `${formatSigned(percent)}%`;
+}
+
+/** =========================================================================
+ * Component
+ * =======================================================================*/
+
+/**
+ * ComparisonView component.
+ * @param {{ comparison: import('../services/comparison').Comparison, height:number }} props
+ * @returns {JSX.Element}
+ */
+export default function ComparisonView({ comparison, height }) {
+    const theme = useTheme();
+    const increaseColor = theme.palette.error.main;
+    const decreaseColor = theme.palette.success.main;
+
+    const { current, previous, overall, rows, currency } = comparison;
+    const topIncreases = new Set(
+        rows.filter((r) => r.delta > 0).slice(0, TOP_INCREASES).map((r) => r.category)
+    );
+
+    return (
+        <Box sx={{ display: 'flex', flexDirection: { xs: 'column', md: 'row' }, gap: 2 }}>
+            <Box sx={{ flex: 1, minWidth: 0 }}>
+                <Card variant='outlined'>
+                    <CardContent sx={{ p: 2 }}>
+                        <Typography variant='subtitle1'>
+                            {`${current.label} vs ${previous.label}`}
+                        </Typography>
+                        <Typography variant='body2' color={overall.delta > 0 ? 'error' : 'text.secondary'}>
+                            {`${current.total.toFixed(2)} ${currency} (was ${previous.total.toFixed(2)}, `}
+                            {`${formatSigned(overall.delta)} / ${formatPercent(overall.percent)})`}
+                        </Typography>
+                        {rows.length > 0 ? (
+                            <BarChart
+                                key={`compare-${current.label}-${previous.label}-${currency}`}
+                                layout='horizontal'
+                                yAxis={[{ scaleType: 'band', data: rows.map((r) => r.category), width: 110 }]}
+                                xAxis={[{
+                                    colorMap: { type: 'piecewise', thresholds: [0], colors: [decreaseColor, increaseColor] }
+                                }]}
+                                series={[{
+                                    data: rows.map((r) => r.delta),
+                                    label: `Change (${currency})`,
+                                    valueFormatter: (v) => formatSigned(v ?? 0)
+                                }]}
+                                height={Math.max(height - CHART_PADDING_PX, rows.length * BAR_ROW_HEIGHT_PX + CHART_PADDING_PX)}
+                                hideLegend
+                            />
+                        ) : (
+                            <Typography variant='body2' color='text.secondary' sx={{ mt: 2 }}>
+                                {EMPTY_TEXT}
+                            </Typography>
+                        )}
+                    </CardContent>
+                </Card>
+            </Box>
+
+            <Box sx={{ flex: 1, minWidth: 0 }}>
+                <Card variant='outlined'>
+                    <CardContent sx={{ p: 2 }}>
+                        <Table size='small'>
+                            <TableHead>
+                                <TableRow>
+                                    <TableCell>Category</TableCell>
+                                    <TableCell align='right'>{previous.label}</TableCell>
+                                    <TableCell align='right'>{current.label}</TableCell>
+                                    <TableCell align='right'>Change</TableCell>
+                                    <TableCell align='right'>%</TableCell>
+                                </TableRow>
+                            </TableHead>
+                            <TableBody>
+                                {rows.map((r) => {
+                                    const highlight = topIncreases.has(r.category);
+                                    const cellSx = highlight ? { color: increaseColor, fontWeight: 600 } : undefined;
+                                    return (
+                                        <TableRow key={r.category} selected={highlight}>
+                                            <TableCell sx={cellSx}>{r.category}</TableCell>
+                                            <TableCell align='right'>{r.previous.toFixed(2)}</TableCell>
+                                            <TableCell align='right'>{r.current.toFixed(2)}</TableCell>
+                                            <TableCell align='right' sx={cellSx}>{formatSigned(r.delta)}</TableCell>
+                                            <TableCell align='right' sx={cellSx}>{formatPercent(r.percent)}</TableCell>
+                                        </TableRow>
+                                    );
+                                })}
+                            </TableBody>
+                        </Table>
+                    </CardContent>
+                </Card>
+            </Box>
+        </Box>
+    );
+}
@@ -0,0 +1,160 @@
+/** /src/components/ForecastView.jsx
+ * Project: Cost Manager Front End
+ * File: src/components/ForecastView.jsx
+ * Description: Projected end-of-month spending per category as stacked bars and a table, flagged above or below last month.
+ * Updated: 2026-10-19
+ */
+
+import React from 'react';
+import {
+    Box,
+    Card,
+    CardContent,
+    Stack,
+    Typography,
+    Chip,
+    Table,
+    TableHead,
+    TableBody,
+    TableRow,
+    TableCell
+} from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import { BarChart } from '@mui/x-charts';
+import { HISTORY_MONTHS } from '../services/forecast';
+
+/** =========================================================================
+ * Configurable constants
+ * =======================================================================*/
+
+const TITLE = 'Month-End Forecast';
+const BAR_ROW_HEIGHT_PX = 36;
+const CHART_PADDING_PX = 100;
+const EMPTY_TEXT = 'No costs this month or last month yet.';
+const METHOD_TEXT = `Costs so far, plus recurring costs still due, plus other spending estimated from this month's pace and the last ${HISTORY_MONTHS} months' average.`;
+const TREND_CHIPS = {
+    above: { label: '▲ Above last month', color: 'error' },
+    below: { label: '▼ Below last month', color: 'success' },
+    flat: { label: 'On par with last month', color: 'default' }
+};
+
+/** =========================================================================
+ * Component
+ * =======================================================================*/
+
+/**
+ * ForecastView component.
+ * @param {{ forecast: import('../services/forecast').Forecast, height:number }} props
+ * @returns {JSX.Element}
+ */
+export default function ForecastView({ forecast, height }) {
+    const theme = useTheme();
+    const accent = theme.custom.forms.charts.label;
+
+    const { overall, categories, currency } = forecast;
+    const chip = TREND_CHIPS[forecast.vsLastMonth];
+    const monthLabel = `${String(forecast.month).padStart(2, '0')}/${forecast.year}`;
+    const valueFormatter = (v) => `${(v ?? 0).toFixed(2)} ${currency}`;
+
+    return (
+        <Stack spacing={2}>
+            <Card variant='outlined'>
+                <CardContent sx={{ p: 2 }}>
+                    <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} alignItems={{ sm: 'center' }}>
+                        <Box sx={{ flex: 1, textAlign: 'left' }}>
+                            <Typography variant='subtitle1'>
+                                {`${TITLE} (${monthLabel}, day ${forecast.daysElapsed} of ${forecast.daysInMonth})`}
+                            </Typography>
+                            <Typography variant='h5'>
+                                {`${overall.projected.toFixed(2)} ${currency}`}
+                            </Typography>
+                            <Typography variant='body2' color='text.secondary'>
+                                {`${overall.actual.toFixed(2)} so far · last month ${overall.lastMonth.toFixed(2)}`}
+                            </Typography>
+                        </Box>
+                        <Chip label={chip.label} color={chip.color} />
+                    </Stack>
+                    <Typography variant='caption' color='text.secondary' sx={{ display: 'block', textAlign: 'left', mt: 1 }}>
+                        {METHOD_TEXT}
+                    </Typography>
+                </CardContent>
+            </Card>
+
+            {categories.length === 0 ? (
+                <Typography variant='body2' color='text.secondary'>
+                    {EMPTY_TEXT}
+                </Typography>
+            ) : (
+                <Box sx={{ display: 'flex', flexDirection: { xs: 'column', md: 'row' }, gap: 2 }}>
+                    <Box sx={{ flex: 1, minWidth: 0 }}>
+                        <Card variant='outlined'>
+                            <CardContent sx={{ p: 2 }}>
+                                <BarChart
+                                    key={`forecast-${monthLabel}-${currency}`}
+                                    layout='horizontal'
+                                    yAxis={[{ scaleType: 'band', data: categories.map((c) => c.category), width: 110 }]}
+                                    series={[
+                                        { data: categories.map((c) => c.actual), label: 'So far', stack: 'month', color: accent, valueFormatter },
+                                        {
+                                            data: categories.map((c) => c.recurring),
+                                            label: 'Recurring due',
+                                            stack: 'month',
+                                            color: theme.palette.info.main,
+                                            valueFormatter
+                                        },
+                                        {
+                                            data: categories.map((c) => c.estimated),
+                                            label: 'Estimated',
+                                            stack: 'month',
+                                            color: theme.palette.action.disabled,
+                                            valueFormatter
+                                        },
+                                        {
+                                            data: categories.map((c) => c.lastMonth),
+                                            label: 'Last month',
+                                            color: theme.palette.text.secondary,
+                                            valueFormatter
+                                        }
+                                    ]}
+                                    height={Math.max(height - CHART_PADDING_PX, categories.length * BAR_ROW_HEIGHT_PX * 2 + CHART_PADDING_PX)}
+                                />
+                            </CardContent>
+                        </Card>
+                    </Box>
+
+                    <Box sx={{ flex: 1, minWidth: 0 }}>
+                        <Card variant='outlined'>
+                            <CardContent sx={{ p: 2 }}>
+                                <Table size='small'>
+                                    <TableHead>
+                                        <TableRow>
+                                            <TableCell>Category</TableCell>
+                                            <TableCell align='right'>So Far</TableCell>
+                                            <TableCell align='right'>Projected</TableCell>
+                                            <TableCell align='right'>Last Month</TableCell>
+                                        </TableRow>
+                                    </TableHead>
+                                    <TableBody>
+                                        {categories.map((c) => {
+                                            const above = c.projected > c.lastMonth;
+                                            return (
+                                                <TableRow key={c.category}>
+                                                    <TableCell>{c.category}</TableCell>
+                                                    <TableCell align='right'>{c.actual.toFixed(2)}</TableCell>
+                                                    <TableCell align='right' sx={{ color: above ? 'error.main' : 'success.main' }}>
+                                                        {`${above ? '▲' : '▼'} ${c.projected.toFixed(2)}`}
+                                                    </TableCell>
+                                                    <TableCell align='right'>{c.lastMonth.toFixed(2)}</TableCell>
+                                                </TableRow>
+                                            );
+                                        })}
+                                    </TableBody>
+                                </Table>
+                            </CardContent>
+                        </Card>
+                    </Box>
+                </Box>
+            )}
+        </Stack>
+    );
+}
@@ -0,0 +1,322 @@
+/** /src/components/ImportPanel.jsx
+ * Project: Cost Manager Front End
+ * File: src/components/ImportPanel.jsx
+ * Description: CSV import with column mapping, validated preview, and a single-transaction commit.
+ * Updated: 2026-10-19
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+    Card,
+    CardContent,
+    CardActions,
+    Stack,
+    FormControl,
+    FormControlLabel,
+    Checkbox,
+    InputLabel,
+    Select,
+    MenuItem,
+    Button,
+    Typography,
+    Snackbar,
+    Alert
+} from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import { DataGrid } from '@mui/x-data-grid';
+import { parseCsv, guessMapping, buildPreview, IMPORT_FIELDS, DATE_FORMATS, NOT_MAPPED } from '../services/csv';
+import { addCosts } from '../services/idb';
+import { getEnabledCurrencies, getDefaultCurrency } from '../services/currencies';
+import { getCategories, getLeafNames } from '../services/categories';
+
+/** =========================================================================
+ * Configurable constants
+ * =======================================================================*/
+
+const GRID_HEIGHT_PX = 400;
+const SNACK_DURATION_MS = 3000;
+const BTN_CHOOSE_FILE = 'Choose CSV File';
+const BTN_IMPORT_BUSY = 'Importing…';
+const NO_FILE_TEXT = 'No file selected';
+const MSG_READ_FAIL = 'Failed to read file';
+const MSG_IMPORT_FAIL = 'Failed to import costs';
+
+/** @type {import('@mui/x-data-grid').GridColDef[]} */
+const COLUMNS = [
+    { field: 'line', headerName: 'Line', width: 70, headerAlign: 'center', align: 'center' },
+    { field: 'date', headerName: 'Date', width: 110, headerAlign: 'center', align: 'center' },
+    { field: 'sum', headerName: 'Sum', width: 90, headerAlign: 'center', align: 'center' },
+    { field: 'currency', headerName: 'Currency', width: 90, headerAlign: 'center', align: 'center' },
+    { field: 'category', headerName: 'Category', width: 120, headerAlign: 'center', align: 'center' },
+    { field: 'description', headerName: 'Description', flex: 1, minWidth: 140, headerAlign: 'center', align: 'center' },
+    {
+        field: 'errors',
+        headerName: 'Status',
+        flex: 1,
+        minWidth: 160,
+        headerAlign: 'center',
+        align: 'center',
+        valueGetter: (value) => (value.length ? value.join('; ') : 'OK')
+    }
+];
+
+/** =========================================================================
+ * Component
+ * =======================================================================*/
+
+/**
+ * ImportPanel component.
+ * Loads a CSV file, maps its columns to cost fields, previews validation results,
+ * and stores all valid rows in one IndexedDB transaction.
+ * @returns {JSX.Element}
+ */
+export default function ImportPanel() {
+    const theme = useTheme();
+    const { label: accent, border: borderAccent, fieldBg } = theme.custom.forms.import;
+
+    const [fileName, setFileName] = useState('');
+    const [rawRows, setRawRows] = useState([]);
+    const [hasHeader, setHasHeader] = useState(true);
+    const [mapping, setMapping] = useState({});
+    const [dateFormat, setDateFormat] = useState(DATE_FORMATS[0]);
+    const [currencies] = useState(getEnabledCurrencies);
+    const [defaultCurrency, setDefaultCurrency] = useState(getDefaultCurrency);
+    const [categories, setCategories] = useState([]);
+    const [defaultCategory, setDefaultCategory] = useState('');
+    const [busy, setBusy] = useState(false);
+    const [snack, setSnack] = useState({ open: false, type: 'success', msg: '' });
+
+    const columnCount = rawRows.reduce((max, r) => Math.max(max, r.length), 0);
+    const columnNames = Array.from({ length: columnCount }, (_, i) => (
+        hasHeader && rawRows[0]?.[i] ? `${rawRows[0][i]} (col ${i + 1})` : `Column ${i + 1}`
+    ));
+
+    const preview = useMemo(
+        () => buildPreview(hasHeader ? rawRows.slice(1) : rawRows, mapping, {
+            dateFormat,
+            currencies,
+            categories,
+            defaultCurrency,
+            defaultCategory,
+            firstLine: hasHeader ? 2 : 1
+        }),
+        [rawRows, hasHeader, mapping, dateFormat, currencies, categories, defaultCurrency, defaultCategory]
+    );
+    const validCosts = preview.filter((r) => r.cost).map((r) => r.cost);
+    const invalidCount = preview.length - validCosts.length;
+
+    const closeSnack = () => setSnack((s) => ({ ...s, open: false }));
+
+    useEffect(() => {
+        getCategories({ includeArchived: false })
+            .then((list) => {
+                const names = getLeafNames(list);
+                setCategories(names);
+                setDefaultCategory(names.includes('Other') ? 'Other' : names[0] ?? '');
+            })
+            .catch((err) => console.error(err));
+    }, []);
+
+    /**
+     * Read and parse the chosen file.
+     * @param {React.ChangeEvent<HTMLInputElement>} e
+     * @returns {Promise<void>}
+     */
+    const onFile = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const rows = parseCsv(await file.text());
+            setFileName(file.name);
+            setRawRows(rows);
+            setMapping(guessMapping(hasHeader ? rows[0] ?? [] : []));
+        } catch (err) {
+            console.error(err);
+            setSnack({ open: true, type: 'error', msg: MSG_READ_FAIL });
+        }
+    };
+
+    /**
+     * Toggle whether the first row holds column names, re-guessing the mapping.
+     * @param {boolean} checked
+     * @returns {void}
+     */
+    const onHeaderToggle = (checked) => {
+        setHasHeader(checked);
+        setMapping(guessMapping(checked ? rawRows[0] ?? [] : []));
+    };
+
+    /**
+     * Store all valid rows.
+     * @returns {Promise<void>}
+     */
+    const onImport = async () => {
+        try {
+            setBusy(true);
+            const count = await addCosts(validCosts);
+            setSnack({ open: true, type: 'success', msg: `Imported ${count} costs` });
+            setFileName('');
+            setRawRows([]);
+            setMapping({});
+        } catch (err) {
+            console.error(err);
+            setSnack({ open: true, type: 'error', msg: MSG_IMPORT_FAIL });
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    /** =========================================================================
+     * Styles
+     * =======================================================================*/
+
+    const labelSx = {
+        color: accent,
+        '&.Mui-focused': { color: accent }
+    };
+
+    const selectSx = {
+        backgroundColor: fieldBg,
+        '& .MuiOutlinedInput-notchedOutline': { borderColor: borderAccent },
+        '&:hover .MuiOutlinedInput-notchedOutline': { borderColor: borderAccent },
+        '&.Mui-focused .MuiOutlinedInput-notchedOutline': { borderColor: borderAccent },
+        '& .MuiSelect-icon': { color: accent }
+    };
+
+    /**
+     * Render a labelled select.
+     * @param {string} id - Label id.
+     * @param {string} label - Label text.
+     * @param {*} value - Selected value.
+     * @param {(value:*) => void} onChange - Change handler.
+     * @param {Array<{value:*, label:string}>} options - Menu options.
+     * @returns {JSX.Element}
+     */
+    const renderSelect = (id, label, value, onChange, options) => (
+        <FormControl key={id} sx={{ minWidth: 160, flex: 1 }}>
+            <InputLabel id={id} sx={labelSx}>{label}</InputLabel>
+            <Select
+                labelId={id}
+                label={label}
+                value={value}
+                onChange={(e) => onChange(e.target.value)}
+                sx={selectSx}
+            >
+                {options.map((o) => (
+                    <MenuItem key={String(o.value)} value={o.value}>{o.label}</MenuItem>
+                ))}
+            </Select>
+        </FormControl>
+    );
+
+    const columnOptions = [
+        { value: NOT_MAPPED, label: '— not mapped —' },
+        ...columnNames.map((name, i) => ({ value: i, label: name }))
+    ];
+
+    /** =========================================================================
+     * Render
+     * =======================================================================*/
+
+    return (
+        <Card sx={{ width: '100%', maxWidth: 1000 }}>
+            <CardContent>
+                <Stack spacing={3}>
+                    <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} alignItems='center'>
+                        <Button
+                            variant='outlined'
+                            component='label'
+                            sx={{ color: accent, borderColor: borderAccent, '&:hover': { borderColor: accent } }}
+                        >
+                            {BTN_CHOOSE_FILE}
+                            <input type='file' accept='.csv,text/csv' hidden onChange={onFile} />
+                        </Button>
+                        <Typography variant='body2' color='text.secondary' sx={{ flex: 1, textAlign: 'left' }}>
+                            {fileName || NO_FILE_TEXT}
+                        </Typography>
+                        <FormControlLabel
+                            control={(
+                                <Checkbox
+                                    checked={hasHeader}
+                                    onChange={(e) => onHeaderToggle(e.target.checked)}
+                                    sx={{ color: borderAccent, '&.Mui-checked': { color: accent } }}
+                                />
+                            )}
+                            label='First row is a header'
+                        />
+                    </Stack>
+
+                    {rawRows.length > 0 && (
+                        <>
+                            <Stack direction='row' spacing={2} useFlexGap flexWrap='wrap'>
+                                {IMPORT_FIELDS.map((f) => renderSelect(
+                                    `map-${f.key}`,
+                                    f.required ? `${f.label} *` : f.label,
+                                    mapping[f.key] ?? NOT_MAPPED,
+                                    (v) => setMapping((m) => ({ ...m, [f.key]: v })),
+                                    columnOptions
+                                ))}
+                            </Stack>
+                            <Stack direction='row' spacing={2} useFlexGap flexWrap='wrap'>
+                                {renderSelect('date-format', 'Date Format', dateFormat, setDateFormat,
+                                    DATE_FORMATS.map((f) => ({ value: f, label: f })))}
+                                {renderSelect('default-currency', 'Default Currency', defaultCurrency, setDefaultCurrency,
+                                    currencies.map((c) => ({ value: c, label: c })))}
+                                {renderSelect('default-category', 'Default Category', defaultCategory, setDefaultCategory,
+                                    categories.map((c) => ({ value: c, label: c })))}
+                            </Stack>
+
+                            <Typography variant='body2' color='text.secondary'>
+                                {`${preview.length} rows · ${validCosts.length} valid · ${invalidCount} with errors`}
+                            </Typography>
+
+                            <div style={{ height: GRID_HEIGHT_PX, width: '100%' }}>
+                                <DataGrid
+                                    rows={preview}
+                                    columns={COLUMNS}
+                                    initialState={{ pagination: { paginationModel: { pageSize: 10 } } }}
+                                    pageSizeOptions={[10, 25, 50]}
+                                    disableRowSelectionOnClick
+                                    getRowClassName={(params) => (params.row.cost ? '' : 'row-invalid')}
+                                    sx={{
+                                        '& .row-invalid': { color: theme.palette.error.main },
+                                        '& .MuiDataGrid-cell:focus': { outline: `2px solid ${accent}` },
+                                        '& .MuiDataGrid-cell:focus-within': { outline: `2px solid ${accent}` },
+                                        '& .MuiDataGrid-columnHeader:focus': { outline: `2px solid ${accent}` }
+                                    }}
+                                />
+                            </div>
+                        </>
+                    )}
+                </Stack>
+            </CardContent>
+
+            <CardActions sx={{ justifyContent: 'flex-end', px: 2, pb: 2 }}>
+                <Button
+                    variant='contained'
+                    onClick={onImport}
+                    disabled={busy || validCosts.length === 0}
+                    sx={{
+                        backgroundColor: accent,
+                        color: borderAccent,
+                        '&:hover': { backgroundColor: accent, opacity: 0.9 }
+                    }}
+                >
+                    {busy ? BTN_IMPORT_BUSY : `Import ${validCosts.length} Valid Rows`}
+                </Button>
+            </CardActions>
+
+            <Snackbar
+                open={snack.open}
+                autoHideDuration={SNACK_DURATION_MS}
+                onClose={closeSnack}
+                anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+            >
+                <Alert onClose={closeSnack} severity={snack.type} sx={{ width: '100%' }}>
+                    {snack.msg}
+                </Alert>
+            </Snackbar>
+        </Card>
+    );
+}
@@ -2,7 +2,7 @@
  * Project: Cost Manager Front End
  * File: src/components/HomeNavbar.jsx
  * Description: Home navigation bar with centered tabs for main app pages.
- * Updated: 2025-09-12
+ * Updated: 2026-10-19
  */
 
 import React from 'react';
@@ -20,6 +20,10 @@ const NAV_TABS = [
     { label: 'Add', path: '/add', key: 'add' },
     { label: 'Report', path: '/report', key: 'report' },
     { label: 'Charts', path: '/charts', key: 'charts' },
+    { label: 'Budgets', path: '/budgets', key: 'budgets' },
+    { label: 'Transactions', path: '/transactions', key: 'transactions' },
+    { label: 'Shared', path: '/shared', key: 'shared' },
+    { label: 'Import', path: '/import', key: 'import' },
     { label: 'Settings', path: '/settings', key: 'settings' }
 ];
 
@@ -0,0 +1,32 @@
+/** /src/components/RatesNotice.jsx
+ * Project: Cost Manager Front End
+ * File: src/components/RatesNotice.jsx
+ * Description: Inline notice shown when reports or charts use cached (offline) exchange rates.
+ * Updated: 2026-10-19
+ */
+
+import React from 'react';
+import { Alert } from '@mui/material';
+
+/** =========================================================================
+ * Component
+ * =======================================================================*/
+
+/**
+ * RatesNotice component.
+ * Renders nothing for live rates; an info notice for cached rates, or a warning once they are stale.
+ * @param {{ info: { fetchedAt:Date, fromCache:boolean, stale:boolean }|null }} props - Result of getRates.
+ * @returns {JSX.Element|null}
+ */
+export default function RatesNotice({ info }) {
+    if (!info?.fromCache) return null;
+
+    const when = info.fetchedAt.toLocaleString('en-GB');
+    return (
+        <Alert severity={info.stale ? 'warning' : 'info'} sx={{ textAlign: 'left' }}>
+            {info.stale
+                ? `Could not fetch current rates — using outdated rates from ${when}.`
+                : `Could not fetch current rates — using rates from ${when}.`}
+        </Alert>
+    );
+}
@@ -0,0 +1,321 @@
+/** /src/components/RecurringPanel.jsx
+ * Project: Cost Manager Front End
+ * File: src/components/RecurringPanel.jsx
+ * Description: Card listing recurring cost templates (rent, subscriptions) with add, edit, and delete dialogs.
+ * Updated: 2026-10-19
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+    Card,
+    CardContent,
+    CardActions,
+    Button,
+    Typography,
+    Snackbar,
+    Alert,
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    List,
+    ListItem,
+    ListItemText,
+    IconButton,
+    Tooltip,
+    TextField,
+    MenuItem,
+    Stack
+} from '@mui/material';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { useTheme } from '@mui/material/styles';
+import {
+    getRecurring,
+    addRecurring,
+    updateRecurring,
+    deleteRecurring,
+    materializeRecurring,
+    getNextOccurrence,
+    FREQUENCIES
+} from '../services/recurring';
+import { toIsoDate } from '../services/periods';
+import { getCategories, getLeafNames } from '../services/categories';
+import { getEnabledCurrencies, getDefaultCurrency } from '../services/currencies';
+import { readCachedRates } from '../services/exchange';
+
+/** =========================================================================
+ * Configurable constants
+ * =======================================================================*/
+
+const CARD_MAX_WIDTH = 700;
+const SNACK_DURATION_MS = 3000;
+const TITLE = 'Recurring Costs';
+const INFO_TEXT = 'Rent, bills, and subscriptions are added automatically on each due date (missed dates are filled in when the app opens).';
+const EMPTY_TEXT = 'No recurring costs yet.';
+const BTN_ADD_LABEL = 'Add Recurring Cost';
+const BTN_CANCEL_LABEL = 'Cancel';
+const BTN_SAVE_LABEL = 'Save';
+const APPLY_FROM_LABEL = 'Also update generated costs from';
+const APPLY_FROM_HELP = 'Leave empty to change only costs not generated yet.';
+const MSG_LOAD_FAIL = 'Failed to load recurring costs';
+const MSG_SAVED = 'Recurring cost saved';
+const MSG_DELETED = 'Recurring cost deleted; costs it already added are kept';
+
+/** =========================================================================
+ * Utils
+ * =======================================================================*/
+
+/**
+ * Empty form for a new template starting today.
+ * @returns {Object}
+ */
+function emptyForm() {
+    return {
+        description: '',
+        sum: '',
+        currency: getDefaultCurrency(),
+        category: '',
+        frequency: 'monthly',
+        startDate: toIsoDate(new Date()),
+        endDate: '',
+        applyFrom: ''
+    };
+}
+
+/** =========================================================================
+ * Component
+ * =======================================================================*/
+
+/**
+ * RecurringPanel component.
+ * @returns {JSX.Element}
+ */
+export default function RecurringPanel() {
+    const theme = useTheme();
+    const { label: accent, border: borderAccent } = theme.custom.forms.add;
+
+    const [templates, setTemplates] = useState([]);
+    const [categories, setCategories] = useState([]);
+    const [currencies] = useState(getEnabledCurrencies);
+    const [editing, setEditing] = useState(null);
+    const [form, setForm] = useState(emptyForm);
+    const [snack, setSnack] = useState({ open: false, type: 'success', msg: '' });
+
+    const closeSnack = () => setSnack((s) => ({ ...s, open: false }));
+
+    /**
+     * Reload templates and category options.
+     * @returns {Promise<void>}
+     */
+    const load = async () => {
+        try {
+            setTemplates(await getRecurring());
+            setCategories(getLeafNames(await getCategories({ includeArchived: false })));
+        } catch (err) {
+            console.error(err);
+            setSnack({ open: true, type: 'error', msg: MSG_LOAD_FAIL });
+        }
+    };
+
+    useEffect(() => {
+        load();
+    }, []);
+
+    /**
+     * Open the dialog for a template, or for a new one.
+     * @param {import('../services/recurring').RecurringTemplate|null} template
+     * @returns {void}
+     */
+    const openEdit = (template) => {
+        setEditing(template ?? {});
+        setForm(template ? { ...emptyForm(), ...template, endDate: template.endDate ?? '' } : emptyForm());
+    };
+
+    /**
+     * Save the dialog, then store any occurrences already due.
+     * @returns {Promise<void>}
+     */
+    const onSave = async () => {
+        try {
+            const { applyFrom, ...template } = form;
+            let msg = MSG_SAVED;
+            if (editing.id === undefined) {
+                await addRecurring(template);
+            } else {
+                const { updatedCosts } = await updateRecurring(editing.id, template, applyFrom || null);
+                if (updatedCosts) msg = `${MSG_SAVED} (${updatedCosts} costs updated)`;
+            }
+            const added = await materializeRecurring(new Date(), readCachedRates()?.rates);
+            if (added) msg = `${msg} — ${added} due costs added`;
+            setEditing(null);
+            setSnack({ open: true, type: 'success', msg });
+            await load();
+        } catch (err) {
+            setSnack({ open: true, type: 'error', msg: err.message });
+        }
+    };
+
+    /**
+     * Delete a template, keeping the costs it generated.
+     * @param {number} id
+     * @returns {Promise<void>}
+     */
+    const onDelete = async (id) => {
+        try {
+            await deleteRecurring(id);
+            setSnack({ open: true, type: 'success', msg: MSG_DELETED });
+            await load();
+        } catch (err) {
+            console.error(err);
+            setSnack({ open: true, type: 'error', msg: MSG_LOAD_FAIL });
+        }
+    };
+
+    /**
+     * Bind a form field to a text input.
+     * @param {string} key - Form field.
+     * @returns {{ value:*, onChange:(e:React.ChangeEvent<HTMLInputElement>) => void }}
+     */
+    const bind = (key) => ({
+        value: form[key],
+        onChange: (e) => setForm((f) => ({ ...f, [key]: e.target.value }))
+    });
+
+    return (
+        <>
+            <Card sx={{ maxWidth: CARD_MAX_WIDTH, width: '100%', mt: 2 }}>
+                <CardContent>
+                    <Typography variant='h6' sx={{ color: accent }} gutterBottom>
+                        {TITLE}
+                    </Typography>
+                    <Typography variant='body2' color='text.secondary'>
+                        {INFO_TEXT}
+                    </Typography>
+                    {templates.length === 0 && (
+                        <Typography variant='body2' color='text.secondary' sx={{ mt: 2 }}>
+                            {EMPTY_TEXT}
+                        </Typography>
+                    )}
+                    <List dense>
+                        {templates.map((t) => {
+                            const next = getNextOccurrence(t);
+                            const frequency = FREQUENCIES.find((f) => f.value === t.frequency)?.label;
+                            return (
+                                <ListItem
+                                    key={t.id}
+                                    secondaryAction={
+                                        <>
+                                            <Tooltip title='Edit'>
+                                                <IconButton edge='end' onClick={() => openEdit(t)}>
+                                                    <EditIcon fontSize='small' />
+                                                </IconButton>
+                                            </Tooltip>
+                                            <Tooltip title='Delete'>
+                                                <IconButton edge='end' onClick={() => onDelete(t.id)}>
+                                                    <DeleteIcon fontSize='small' />
+                                                </IconButton>
+                                            </Tooltip>
+                                        </>
+                                    }
+                                >
+                                    <ListItemText
+                                        primary={`${t.description} — ${t.sum.toFixed(2)} ${t.currency}`}
+                                        secondary={`${t.category} · ${frequency} · ${next ? `next ${next}` : 'ended'}`}
+                                    />
+                                </ListItem>
+                            );
+                        })}
+                    </List>
+                </CardContent>
+                <CardActions sx={{ justifyContent: 'flex-end', px: 2, pb: 2 }}>
+                    <Button
+                        variant='outlined'
+                        onClick={() => openEdit(null)}
+                        sx={{ color: accent, borderColor: borderAccent, '&:hover': { borderColor: accent } }}
+                    >
+                        {BTN_ADD_LABEL}
+                    </Button>
+                </CardActions>
+            </Card>
+
+            <Dialog open={Boolean(editing)} onClose={() => setEditing(null)} maxWidth='sm' fullWidth>
+                <DialogTitle>{editing?.id === undefined ? BTN_ADD_LABEL : `Edit ${editing.description}`}</DialogTitle>
+                <DialogContent>
+                    <Stack spacing={2} sx={{ mt: 1 }}>
+                        <TextField label='Description' {...bind('description')} fullWidth />
+                        <Stack direction='row' spacing={2}>
+                            <TextField
+                                label='Amount'
+                                type='number'
+                                inputProps={{ min: 0, step: '0.01' }}
+                                {...bind('sum')}
+                                fullWidth
+                            />
+                            <TextField select label='Currency' {...bind('currency')} sx={{ minWidth: 120 }}>
+                                {Array.from(new Set([...currencies, form.currency])).map((c) => (
+                                    <MenuItem key={c} value={c}>{c}</MenuItem>
+                                ))}
+                            </TextField>
+                        </Stack>
+                        <Stack direction='row' spacing={2}>
+                            <TextField select label='Category' {...bind('category')} fullWidth>
+                                {Array.from(new Set([...categories, form.category].filter(Boolean))).map((c) => (
+                                    <MenuItem key={c} value={c}>{c}</MenuItem>
+                                ))}
+                            </TextField>
+                            <TextField select label='Repeats' {...bind('frequency')} sx={{ minWidth: 140 }}>
+                                {FREQUENCIES.map((f) => (
+                                    <MenuItem key={f.value} value={f.value}>{f.label}</MenuItem>
+                                ))}
+                            </TextField>
+                        </Stack>
+                        <Stack direction='row' spacing={2}>
+                            <TextField
+                                label='Start Date'
+                                type='date'
+                                InputLabelProps={{ shrink: true }}
+                                {...bind('startDate')}
+                                fullWidth
+                            />
+                            <TextField
+                                label='End Date (optional)'
+                                type='date'
+                                InputLabelProps={{ shrink: true }}
+                                {...bind('endDate')}
+                                fullWidth
+                            />
+                        </Stack>
+                        {editing?.id !== undefined && (
+                            <TextField
+                                label={APPLY_FROM_LABEL}
+                                type='date'
+                                InputLabelProps={{ shrink: true }}
+                                helperText={APPLY_FROM_HELP}
+                                {...bind('applyFrom')}
+                                fullWidth
+                            />
+                        )}
+                    </Stack>
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setEditing(null)}>{BTN_CANCEL_LABEL}</Button>
+                    <Button variant='contained' onClick={onSave}>
+                        {BTN_SAVE_LABEL}
+                    </Button>
+                </DialogActions>
+            </Dialog>
+
+            <Snackbar
+                open={snack.open}
+                autoHideDuration={SNACK_DURATION_MS}
+                onClose={closeSnack}
+                anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+            >
+                <Alert onClose={closeSnack} severity={snack.type} sx={{ width: '100%' }}>
+                    {snack.msg}
+                </Alert>
+            </Snackbar>
+        </>
+    );
+}
@@ -1,50 +1,261 @@
 /**
  * Project: Cost Manager Front End
  * File: src/components/ReportPanel.jsx
- * Description: Monthly report panel with styled inputs, centered DataGrid, and total summary.
- * Updated: 2025-09-12
+ * Description: Report panel for a month, quarter, year to date, full year, or custom range, with styled inputs,
+ *              centered DataGrid with per-currency footer totals, and month, category, and currency summary tables.
+ * Updated: 2026-10-19
  */
 
-import React, { useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import {
     Card, CardContent, CardActions, Stack, TextField, FormControl,
-    InputLabel, Select, MenuItem, Button, Typography
+    InputLabel, Select, MenuItem, Button, Typography, Snackbar, Alert,
+    Box, Table, TableHead, TableBody, TableRow, TableCell, Autocomplete, IconButton, Badge
 } from '@mui/material';
 import { useTheme } from '@mui/material/styles';
-import { DataGrid } from '@mui/x-data-grid';
-import { getReport } from '../services/idb';
-import { fetchRates } from '../services/exchange';
+import DeleteIcon from '@mui/icons-material/Delete';
+import AttachFileIcon from '@mui/icons-material/AttachFile';
+import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+import ExpandLessIcon from '@mui/icons-material/ExpandLess';
+import { DataGrid, GridActionsCellItem, GridFooter } from '@mui/x-data-grid';
+import { getReportRange, getTags, updateCost, deleteCost, restoreCost } from '../services/idb';
+import { getRates, RATE_MODES } from '../services/exchange';
+import { buildReportCsv, downloadCsv } from '../services/csv';
+import { getEnabledCurrencies, getDefaultCurrency } from '../services/currencies';
+import { getCategories, getLeafNames } from '../services/categories';
+import { PERIOD_TYPES, resolvePeriod, toIsoDate } from '../services/periods';
+import { normalizeTags, formatTag } from '../services/tags';
+import { getAttachmentCounts } from '../services/attachments';
+import RatesNotice from './RatesNotice';
+import UnconvertedNotice from './UnconvertedNotice';
+import AttachmentsDialog from './AttachmentsDialog';
 
-const CURRENCIES = ['USD', 'ILS', 'GBP', 'EURO'];
 const GRID_HEIGHT_PX = 360;
 const BTN_IDLE = 'Generate Report';
 const BTN_BUSY = 'Loading…';
+const BTN_UNDO = 'Undo';
+const BTN_EXPORT = 'Export CSV';
 const TOTAL_PLACEHOLDER = 'Total: —';
+const SNACK_DURATION_MS = 5000;
+const ERR_SUM_INVALID = 'Sum must be a positive number';
+const ERR_DESC_REQUIRED = 'Description is required';
+const MSG_UPDATE_OK = 'Cost updated';
+const MSG_UPDATE_FAIL = 'Failed to update cost';
+const MSG_DELETE_OK = 'Cost deleted';
+const MSG_DELETE_FAIL = 'Failed to delete cost';
+const MSG_DELETE_STALE = 'Cost deleted, but the report could not be refreshed';
+const MSG_RESTORE_OK = 'Cost restored';
+const MSG_RESTORE_FAIL = 'Failed to restore cost';
+const MSG_EXPORT_FAIL = 'Failed to export report';
+const MSG_GENERATE_FAIL = 'Failed to generate report';
+const BY_MONTH_TITLE = 'By Month';
+const BY_CATEGORY_TITLE = 'By Category';
+const BY_CURRENCY_TITLE = 'By Currency';
+const FOOTER_TOTAL_LABEL = 'Total';
+const SPLIT_LABEL = 'Split';
+const ERR_SPLIT_READONLY = 'The category and sum of a split cost cannot be edited in the grid';
+/** @constant {string[]} SPLIT_READONLY_FIELDS - Grid fields a split cost's lines decide */
+const SPLIT_READONLY_FIELDS = ['category', 'sum'];
+const TAG_FILTER_HELPER = 'Only costs with this tag; pick a custom range to total a tag over any dates.';
 
-/** @type {import('@mui/x-data-grid').GridColDef[]} */
-const COLUMNS = [
-    { field: 'date', headerName: 'Date', width: 140, headerAlign: 'center', align: 'center', sortable: true },
-    { field: 'category', headerName: 'Category', flex: 1, minWidth: 120, headerAlign: 'center', align: 'center' },
-    { field: 'description', headerName: 'Description', flex: 2, minWidth: 120, headerAlign: 'center', align: 'center' },
-    { field: 'currency', headerName: 'Currency', width: 120, headerAlign: 'center', align: 'center' },
-    { field: 'sum', headerName: 'Sum', width: 120, type: 'number', headerAlign: 'center', align: 'center' }
-];
+/**
+ * Category cell of a split cost: a toggle, and its category lines while expanded.
+ * @param {{ row:{ id:number, currency:string, lines:Array<{ category:string, sum:number }> }, expanded:boolean, onToggle:(id:number) => void }} props
+ * @returns {JSX.Element}
+ */
+function SplitCategoryCell({ row, expanded, onToggle }) {
+    return (
+        <Stack sx={{ width: '100%', py: expanded ? 1 : 0 }} alignItems='center'>
+            <Stack direction='row' alignItems='center' spacing={0.5}>
+                <IconButton size='small' aria-label={expanded ? 'Collapse split' : 'Expand split'} onClick={() => onToggle(row.id)}>
+                    {expanded ? <ExpandLessIcon fontSize='small' /> : <ExpandMoreIcon fontSize='small' />}
+                </IconButton>
+                <Typography variant='body2'>{`${SPLIT_LABEL} (${row.lines.length})`}</Typography>
+            </Stack>
+            {expanded && row.lines.map((l, i) => (
+                <Typography key={i} variant='body2' color='text.secondary'>
+                    {`${l.category} ${formatAmount(l.sum, row.currency)}`}
+                </Typography>
+            ))}
+        </Stack>
+    );
+}
+
+/**
+ * Whether a grid row is a cost split across several categories.
+ * @param {{ lines:Array<Object> }} row
+ * @returns {boolean}
+ */
+function isSplitRow(row) {
+    return (row.lines?.length ?? 0) > 1;
+}
 
 /**
- * Map report costs to DataGrid rows.
- * @param {{ costs: Array<{ sum:number, currency:string, category:string, description:string, date:string }> }} report
+ * Build DataGrid columns. Category, description, tags, currency and sum are editable inline,
+ * except the category and sum of a split cost, whose lines are only shown.
+ * Tags are edited as text, e.g. "#reimbursable #business-trip-berlin".
+ * A paperclip shows on rows with receipt attachments.
+ * @param {(id:number) => void} onDelete - Row delete handler.
+ * @param {(id:number) => void} onOpenAttachments - Paperclip click handler.
+ * @param {string[]} currencies - Currency options for editing.
+ * @param {string[]} categories - Category options for editing.
+ * @param {Set<number>} expanded - Ids of split rows showing their lines.
+ * @param {(id:number) => void} onToggleSplit - Split row expand/collapse handler.
+ * @returns {import('@mui/x-data-grid').GridColDef[]}
  */
-function buildRows(report) {
-    return report.costs.map((c, i) => ({
-        id: i + 1,
+function buildColumns(onDelete, onOpenAttachments, currencies, categories, expanded, onToggleSplit) {
+    return [
+        {
+            field: 'attachments', headerName: '', width: 56, sortable: false, align: 'center',
+            renderCell: (params) => (params.value > 0 ? (
+                <IconButton size='small' aria-label='Receipts' onClick={() => onOpenAttachments(params.id)}>
+                    <Badge badgeContent={params.value > 1 ? params.value : 0} color='default'>
+                        <AttachFileIcon fontSize='small' />
+                    </Badge>
+                </IconButton>
+            ) : null)
+        },
+        { field: 'date', headerName: 'Date', width: 140, headerAlign: 'center', align: 'center', sortable: true },
+        {
+            field: 'category', headerName: 'Category', flex: 1, minWidth: 120, headerAlign: 'center', align: 'center',
+            editable: true, type: 'singleSelect', valueOptions: categories,
+            renderCell: (params) => (isSplitRow(params.row)
+                ? <SplitCategoryCell row={params.row} expanded={expanded.has(params.id)} onToggle={onToggleSplit} />
+                : params.value)
+        },
+        {
+            field: 'description', headerName: 'Description', flex: 2, minWidth: 120, headerAlign: 'center', align: 'center',
+            editable: true
+        },
+        {
+            field: 'tags', headerName: 'Tags', flex: 1, minWidth: 120, headerAlign: 'center', align: 'center',
+            editable: true
+        },
+        {
+            field: 'currency', headerName: 'Currency', width: 120, headerAlign: 'center', align: 'center',
+            editable: true, type: 'singleSelect', valueOptions: currencies
+        },
+        { field: 'sum', headerName: 'Sum', width: 120, type: 'number', headerAlign: 'center', align: 'center', editable: true },
+        {
+            field: 'actions', type: 'actions', headerName: '', width: 60,
+            getActions: (params) => [
+                <GridActionsCellItem
+                    key='delete'
+                    icon={<DeleteIcon />}
+                    label='Delete'
+                    onClick={() => onDelete(params.id)}
+                />
+            ]
+        }
+    ];
+}
+
+/**
+ * Format tags as the text shown and edited in the grid.
+ * @param {string[]} tags
+ * @returns {string}
+ */
+function formatTagList(tags) {
+    return tags.map(formatTag).join(' ');
+}
+
+/**
+ * Map report costs to DataGrid rows, keyed by the stored cost id.
+ * @param {{ costs: Array<{ id:number, sum:number, currency:string, category:string, description:string, date:string, tags:string[], lines:Array<{ category:string, sum:number }> }> }} report
+ * @param {Record<number, number>} [attachmentCounts={}] - Attachments per cost id.
+ */
+function buildRows(report, attachmentCounts = {}) {
+    return report.costs.map((c) => ({
+        id: c.id,
+        attachments: attachmentCounts[c.id] ?? 0,
         date: new Date(c.date + 'T00:00:00Z').toLocaleDateString('en-GB'),
         category: c.category,
         description: c.description,
+        tags: formatTagList(c.tags),
         currency: c.currency,
-        sum: c.sum
+        sum: c.sum,
+        lines: c.lines
     }));
 }
 
+/**
+ * Format an amount with its currency code.
+ * @param {number} value
+ * @param {string} currency
+ * @returns {string}
+ */
+function formatAmount(value, currency) {
+    return `${value.toFixed(2)} ${currency}`;
+}
+
+/**
+ * Compact summary table under the grid. The first column is left-aligned, the rest right-aligned.
+ * @param {{ title:string, headers:string[], rows:Array<{ key:string, cells:string[] }> }} props
+ * @returns {JSX.Element}
+ */
+function SummaryTable({ title, headers, rows }) {
+    return (
+        <Box>
+            <Typography variant='subtitle2' sx={{ textAlign: 'left' }}>
+                {title}
+            </Typography>
+            <Table size='small'>
+                <TableHead>
+                    <TableRow>
+                        {headers.map((h, i) => (
+                            <TableCell key={h} align={i === 0 ? 'left' : 'right'}>{h}</TableCell>
+                        ))}
+                    </TableRow>
+                </TableHead>
+                <TableBody>
+                    {rows.map((r) => (
+                        <TableRow key={r.key}>
+                            {r.cells.map((cell, i) => (
+                                <TableCell key={headers[i]} align={i === 0 ? 'left' : 'right'}>{cell}</TableCell>
+                            ))}
+                        </TableRow>
+                    ))}
+                </TableBody>
+            </Table>
+        </Box>
+    );
+}
+
+/**
+ * DataGrid footer with one aggregation row per original currency and the converted grand total,
+ * above the default row count and pagination.
+ * @param {Object} props - Footer slot props, plus `report` (the current report or null).
+ * @returns {JSX.Element}
+ */
+function ReportFooter({ report, ...props }) {
+    const rowSx = { display: 'flex', justifyContent: 'space-between', px: 2, py: 0.5 };
+    return (
+        <Box>
+            {report && report.costs.length > 0 && (
+                <Box sx={{ borderTop: 1, borderColor: 'divider' }}>
+                    {report.currencyTotals.map((t) => (
+                        <Box key={t.currency} sx={rowSx}>
+                            <Typography variant='body2' color='text.secondary'>
+                                {formatAmount(t.original, t.currency)}
+                            </Typography>
+                            <Typography variant='body2' color='text.secondary'>
+                                {formatAmount(t.total, report.total.currency)}
+                            </Typography>
+                        </Box>
+                    ))}
+                    <Box sx={rowSx}>
+                        <Typography variant='body2' fontWeight='bold'>{FOOTER_TOTAL_LABEL}</Typography>
+                        <Typography variant='body2' fontWeight='bold'>
+                            {formatAmount(report.total.total, report.total.currency)}
+                        </Typography>
+                    </Box>
+                </Box>
+            )}
+            <GridFooter {...props} />
+        </Box>
+    );
+}
+
 export default function ReportPanel() {
     const now = new Date();
     const theme = useTheme();
@@ -53,89 +264,304 @@ export default function ReportPanel() {
     const borderAccent = theme?.custom?.forms?.report?.border ?? '#685021';
     const fieldBg = theme?.custom?.forms?.report?.fieldBg ?? theme.palette.background.paper;
 
+    const [period, setPeriod] = useState('month');
     const [year, setYear] = useState(now.getFullYear());
     const [month, setMonth] = useState(now.getMonth() + 1);
-    const [currency, setCurrency] = useState('USD');
+    const [quarter, setQuarter] = useState(Math.floor(now.getMonth() / 3) + 1);
+    const [rangeFrom, setRangeFrom] = useState(() => toIsoDate(new Date(now.getFullYear(), now.getMonth(), 1)));
+    const [rangeTo, setRangeTo] = useState(() => toIsoDate(now));
+    const [currencies] = useState(getEnabledCurrencies);
+    const [categories, setCategories] = useState([]);
+    const [knownTags, setKnownTags] = useState([]);
+    const [tag, setTag] = useState(null);
+    const [currency, setCurrency] = useState(getDefaultCurrency);
+    const [rateMode, setRateMode] = useState('current');
     const [rows, setRows] = useState([]);
-    const [total, setTotal] = useState(null);
+    const [report, setReport] = useState(null);
+    const [ratesInfo, setRatesInfo] = useState(null);
     const [busy, setBusy] = useState(false);
+    const [attachmentsOf, setAttachmentsOf] = useState(null);
+    const [expandedSplits, setExpandedSplits] = useState(() => new Set());
+    const [snack, setSnack] = useState({ open: false, type: 'success', msg: '', undo: null });
+
+    // Parameters of the last generated report, reused to refresh after row edits.
+    const queryRef = useRef(null);
+
+    const closeSnack = () => setSnack((s) => ({ ...s, open: false }));
+
+    useEffect(() => {
+        getCategories({ includeArchived: false })
+            .then((list) => setCategories(getLeafNames(list)))
+            .catch((err) => console.error(err));
+        getTags()
+            .then(setKnownTags)
+            .catch((err) => console.error(err));
+    }, []);
+
+    /**
+     * Re-run the last generated report without refetching rates.
+     * @returns {Promise<void>}
+     */
+    const refresh = async () => {
+        if (!queryRef.current) return;
+        const q = queryRef.current;
+        const next = await getReportRange(q.from, q.to, q.currency, q.rates, q.rateMode, 'leaf', q.tag);
+        const counts = await getAttachmentCounts();
+        setRows(buildRows(next, counts));
+        setReport(next);
+    };
 
     const onGenerate = async () => {
         try {
             setBusy(true);
-            const rates = await fetchRates();
-            const report = await getReport(Number(year), Number(month), currency, rates);
-            setRows(buildRows(report));
-            setTotal(report.total);
+            const range = resolvePeriod(period, { year, month, quarter, from: rangeFrom, to: rangeTo });
+            const info = await getRates();
+            setRatesInfo(info);
+            queryRef.current = { ...range, currency, rateMode, tag, rates: info.rates };
+            await refresh();
         } catch (err) {
             console.error(err);
+            queryRef.current = null;
             setRows([]);
-            setTotal(null);
-            alert(err?.message || 'Failed to generate report');
+            setReport(null);
+            setRatesInfo(null);
+            setSnack({ open: true, type: 'error', msg: err?.message || MSG_GENERATE_FAIL, undo: null });
         } finally {
             setBusy(false);
         }
     };
 
+    /**
+     * Download the last generated report as CSV.
+     * @returns {void}
+     */
+    const onExport = () => {
+        if (!report || !queryRef.current) return;
+        try {
+            const { label, tag: reportTag } = queryRef.current;
+            const filename = `cost-report-${label}${reportTag ? `-${reportTag}` : ''}-${report.total.currency}.csv`;
+            downloadCsv(filename, buildReportCsv(report, queryRef.current.rates));
+        } catch (err) {
+            console.error(err);
+            setSnack({ open: true, type: 'error', msg: MSG_EXPORT_FAIL, undo: null });
+        }
+    };
+
+    /**
+     * Show or hide the category lines of a split row.
+     * @param {number} id - Cost id.
+     * @returns {void}
+     */
+    const toggleSplit = (id) => {
+        setExpandedSplits((current) => {
+            const next = new Set(current);
+            if (!next.delete(id)) next.add(id);
+            return next;
+        });
+    };
+
+    /**
+     * Persist an inline edit. Rejecting keeps the grid on the old row.
+     * @param {Object} newRow - Edited row.
+     * @param {Object} oldRow - Row before editing.
+     * @returns {Promise<Object>} Row to display.
+     */
+    const onRowUpdate = async (newRow, oldRow) => {
+        if (isSplitRow(oldRow) && SPLIT_READONLY_FIELDS.some((f) => newRow[f] !== oldRow[f])) {
+            throw new Error(ERR_SPLIT_READONLY);
+        }
+        const sum = Number(newRow.sum);
+        if (Number.isNaN(sum) || sum <= 0) {
+            throw new Error(ERR_SUM_INVALID);
+        }
+        const description = String(newRow.description ?? '').trim();
+        if (!description) {
+            throw new Error(ERR_DESC_REQUIRED);
+        }
+        const tags = normalizeTags(String(newRow.tags ?? ''));
+        if (
+            sum === oldRow.sum &&
+            description === oldRow.description &&
+            formatTagList(tags) === oldRow.tags &&
+            newRow.category === oldRow.category &&
+            newRow.currency === oldRow.currency
+        ) {
+            return oldRow;
+        }
+
+        await updateCost(newRow.id, {
+            sum,
+            description,
+            category: newRow.category,
+            currency: newRow.currency,
+            tags
+        });
+        await refresh();
+        setKnownTags((known) => normalizeTags([...known, ...tags]).sort());
+        setSnack({ open: true, type: 'success', msg: MSG_UPDATE_OK, undo: null });
+        return { ...newRow, sum, description, tags: formatTagList(tags) };
+    };
+
+    /**
+     * Report a failed inline edit.
+     * @param {Error} err
+     * @returns {void}
+     */
+    const onRowUpdateError = (err) => {
+        console.error(err);
+        setSnack({ open: true, type: 'error', msg: err?.message || MSG_UPDATE_FAIL, undo: null });
+    };
+
+    /**
+     * Delete a single row and offer undo.
+     * @param {number} id - Cost item id.
+     * @returns {Promise<void>}
+     */
+    const onDelete = async (id) => {
+        let removed;
+        try {
+            removed = await deleteCost(id);
+        } catch (err) {
+            console.error(err);
+            setSnack({ open: true, type: 'error', msg: MSG_DELETE_FAIL, undo: null });
+            return;
+        }
+        // The cost is gone either way, so undo stays on offer if only the refresh fails
+        try {
+            await refresh();
+            setSnack({ open: true, type: 'info', msg: MSG_DELETE_OK, undo: removed ?? null });
+        } catch (err) {
+            console.error(err);
+            setSnack({ open: true, type: 'warning', msg: MSG_DELETE_STALE, undo: removed ?? null });
+        }
+    };
+
+    /**
+     * Restore the last deleted row.
+     * @returns {Promise<void>}
+     */
+    const onUndo = async () => {
+        const item = snack.undo;
+        if (!item) return;
+        try {
+            await restoreCost(item);
+            await refresh();
+            setSnack({ open: true, type: 'success', msg: MSG_RESTORE_OK, undo: null });
+        } catch (err) {
+            console.error(err);
+            setSnack({ open: true, type: 'error', msg: MSG_RESTORE_FAIL, undo: null });
+        }
+    };
+
+    const labelSx = {
+        color: accent,
+        '&.Mui-focused': { color: accent }
+    };
+    const textFieldSx = {
+        '& .MuiOutlinedInput-root': {
+            backgroundColor: fieldBg,
+            '& fieldset': { borderColor: borderAccent },
+            '&:hover fieldset': { borderColor: borderAccent },
+            '&.Mui-focused fieldset': { borderColor: borderAccent }
+        }
+    };
+    const selectSx = {
+        backgroundColor: fieldBg,
+        '& .MuiOutlinedInput-notchedOutline': { borderColor: borderAccent },
+        '&:hover .MuiOutlinedInput-notchedOutline': { borderColor: borderAccent },
+        '&.Mui-focused .MuiOutlinedInput-notchedOutline': { borderColor: borderAccent },
+        '& .MuiSelect-icon': { color: accent }
+    };
+
     return (
         <Card sx={{ width: '100%', maxWidth: 900 }}>
             <CardContent>
                 <Stack spacing={2}>
                     <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2}>
+                        {/* Period */}
+                        <FormControl fullWidth sx={{ minWidth: 160 }}>
+                            <InputLabel id='period-label' sx={labelSx}>
+                                Period
+                            </InputLabel>
+                            <Select
+                                labelId='period-label'
+                                label='Period'
+                                value={period}
+                                onChange={(e) => setPeriod(e.target.value)}
+                                sx={selectSx}
+                            >
+                                {PERIOD_TYPES.map((p) => (
+                                    <MenuItem key={p.value} value={p.value}>{p.label}</MenuItem>
+                                ))}
+                            </Select>
+                        </FormControl>
                         {/* Year */}
-                        <TextField
-                            label='Year'
-                            type='number'
-                            value={year}
-                            onChange={(e) => setYear(e.target.value)}
-                            inputProps={{ min: 1900, max: 9999 }}
-                            fullWidth
-                            InputLabelProps={{
-                                sx: {
-                                    color: accent,
-                                    '&.Mui-focused': { color: accent }
-                                }
-                            }}
-                            sx={{
-                                '& .MuiOutlinedInput-root': {
-                                    backgroundColor: fieldBg,
-                                    '& fieldset': { borderColor: borderAccent },
-                                    '&:hover fieldset': { borderColor: borderAccent },
-                                    '&.Mui-focused fieldset': { borderColor: borderAccent }
-                                }
-                            }}
-                        />
+                        {period !== 'custom' && (
+                            <TextField
+                                label='Year'
+                                type='number'
+                                value={year}
+                                onChange={(e) => setYear(e.target.value)}
+                                inputProps={{ min: 1900, max: 9999 }}
+                                fullWidth
+                                InputLabelProps={{ sx: labelSx }}
+                                sx={textFieldSx}
+                            />
+                        )}
                         {/* Month */}
-                        <TextField
-                            label='Month'
-                            type='number'
-                            value={month}
-                            onChange={(e) => setMonth(e.target.value)}
-                            inputProps={{ min: 1, max: 12 }}
-                            fullWidth
-                            InputLabelProps={{
-                                sx: {
-                                    color: accent,
-                                    '&.Mui-focused': { color: accent }
-                                }
-                            }}
-                            sx={{
-                                '& .MuiOutlinedInput-root': {
-                                    backgroundColor: fieldBg,
-                                    '& fieldset': { borderColor: borderAccent },
-                                    '&:hover fieldset': { borderColor: borderAccent },
-                                    '&.Mui-focused fieldset': { borderColor: borderAccent }
-                                }
-                            }}
-                        />
+                        {period === 'month' && (
+                            <TextField
+                                label='Month'
+                                type='number'
+                                value={month}
+                                onChange={(e) => setMonth(e.target.value)}
+                                inputProps={{ min: 1, max: 12 }}
+                                fullWidth
+                                InputLabelProps={{ sx: labelSx }}
+                                sx={textFieldSx}
+                            />
+                        )}
+                        {/* Quarter */}
+                        {period === 'quarter' && (
+                            <TextField
+                                label='Quarter'
+                                type='number'
+                                value={quarter}
+                                onChange={(e) => setQuarter(e.target.value)}
+                                inputProps={{ min: 1, max: 4 }}
+                                fullWidth
+                                InputLabelProps={{ sx: labelSx }}
+                                sx={textFieldSx}
+                            />
+                        )}
+                        {/* Custom range */}
+                        {period === 'custom' && (
+                            <>
+                                <TextField
+                                    label='From'
+                                    type='date'
+                                    value={rangeFrom}
+                                    onChange={(e) => setRangeFrom(e.target.value)}
+                                    fullWidth
+                                    InputLabelProps={{ shrink: true, sx: labelSx }}
+                                    sx={textFieldSx}
+                                />
+                                <TextField
+                                    label='To'
+                                    type='date'
+                                    value={rangeTo}
+                                    onChange={(e) => setRangeTo(e.target.value)}
+                                    fullWidth
+                                    InputLabelProps={{ shrink: true, sx: labelSx }}
+                                    sx={textFieldSx}
+                                />
+                            </>
+                        )}
                         {/* Currency */}
                         <FormControl fullWidth sx={{ minWidth: 140 }}>
                             <InputLabel
                                 id='currency-label'
-                                sx={{
-                                    color: accent,
-                                    '&.Mui-focused': { color: accent }
-                                }}
+                                sx={labelSx}
                             >
                                 Currency
                             </InputLabel>
@@ -143,15 +569,9 @@ export default function ReportPanel() {
                                 labelId='currency-label'
                                 value={currency}
                                 onChange={(e) => setCurrency(e.target.value)}
-                                sx={{
-                                    backgroundColor: fieldBg,
-                                    '& .MuiOutlinedInput-notchedOutline': { borderColor: borderAccent },
-                                    '&:hover .MuiOutlinedInput-notchedOutline': { borderColor: borderAccent },
-                                    '&.Mui-focused .MuiOutlinedInput-notchedOutline': { borderColor: borderAccent },
-                                    '& .MuiSelect-icon': { color: accent }
-                                }}
+                                sx={selectSx}
                             >
-                                {CURRENCIES.map((c) => (
+                                {currencies.map((c) => (
                                     <MenuItem
                                         key={c}
                                         value={c}
@@ -169,17 +589,63 @@ export default function ReportPanel() {
                                 ))}
                             </Select>
                         </FormControl>
+                        {/* Rate mode */}
+                        <FormControl fullWidth sx={{ minWidth: 180 }}>
+                            <InputLabel
+                                id='rate-mode-label'
+                                sx={labelSx}
+                            >
+                                Convert With
+                            </InputLabel>
+                            <Select
+                                labelId='rate-mode-label'
+                                label='Convert With'
+                                value={rateMode}
+                                onChange={(e) => setRateMode(e.target.value)}
+                                sx={selectSx}
+                            >
+                                {RATE_MODES.map((m) => (
+                                    <MenuItem key={m.value} value={m.value}>{m.label}</MenuItem>
+                                ))}
+                            </Select>
+                        </FormControl>
                     </Stack>
+                    {/* Tag filter */}
+                    <Autocomplete
+                        options={knownTags}
+                        value={tag}
+                        onChange={(e, value) => setTag(value)}
+                        getOptionLabel={formatTag}
+                        renderInput={(params) => (
+                            <TextField
+                                {...params}
+                                label='Tag'
+                                helperText={TAG_FILTER_HELPER}
+                                InputLabelProps={{ ...params.InputLabelProps, sx: labelSx }}
+                                sx={textFieldSx}
+                            />
+                        )}
+                    />
+                    <RatesNotice info={ratesInfo} />
+                    <UnconvertedNotice unconverted={report?.unconverted} />
                     {/* DataGrid */}
-                    <div style={{ height: GRID_HEIGHT_PX, width: '100%' }}>
+                    {/* Flex parent lets the grid grow with its footer totals */}
+                    <div style={{ display: 'flex', flexDirection: 'column', minHeight: GRID_HEIGHT_PX, width: '100%' }}>
                         <DataGrid
                             rows={rows}
-                            columns={COLUMNS}
+                            columns={buildColumns(onDelete, setAttachmentsOf, currencies, categories, expandedSplits, toggleSplit)}
+                            isCellEditable={(params) =>
+                                params.colDef.editable && !(isSplitRow(params.row) && SPLIT_READONLY_FIELDS.includes(params.field))}
+                            getRowHeight={({ id }) => (expandedSplits.has(id) ? 'auto' : null)}
+                            processRowUpdate={onRowUpdate}
+                            onProcessRowUpdateError={onRowUpdateError}
                             initialState={{
                                 sorting: { sortModel: [{ field: 'date', sort: 'asc' }] },
                                 pagination: { paginationModel: { pageSize: 5 } }
                             }}
                             pageSizeOptions={[5, 10]}
+                            slots={{ footer: ReportFooter }}
+                            slotProps={{ footer: { report } }}
                             disableRowSelectionOnClick
                             sx={{
                                 '& .MuiDataGrid-cell:focus': { outline: `2px solid ${accent}` },
@@ -188,24 +654,105 @@ export default function ReportPanel() {
                             }}
                         />
                     </div>
+                    {report && report.costs.length > 0 && (
+                        <Stack spacing={2}>
+                            {report.monthTotals.length > 1 && (
+                                <SummaryTable
+                                    title={BY_MONTH_TITLE}
+                                    headers={['Month', `Total (${report.total.currency})`]}
+                                    rows={report.monthTotals.map((t) => ({
+                                        key: t.month,
+                                        cells: [t.month, t.total.toFixed(2)]
+                                    }))}
+                                />
+                            )}
+                            <SummaryTable
+                                title={BY_CATEGORY_TITLE}
+                                headers={['Category', 'Original Amounts', `Total (${report.total.currency})`]}
+                                rows={report.categoryTotals.map((t) => ({
+                                    key: t.category,
+                                    cells: [
+                                        t.category,
+                                        t.currencies.map((c) => formatAmount(c.original, c.currency)).join(' + '),
+                                        t.total.toFixed(2)
+                                    ]
+                                }))}
+                            />
+                            <SummaryTable
+                                title={BY_CURRENCY_TITLE}
+                                headers={['Currency', 'Original Amount', `Total (${report.total.currency})`]}
+                                rows={report.currencyTotals.map((t) => ({
+                                    key: t.currency,
+                                    cells: [t.currency, t.original.toFixed(2), t.total.toFixed(2)]
+                                }))}
+                            />
+                        </Stack>
+                    )}
                 </Stack>
             </CardContent>
             <CardActions sx={{ display: 'flex', justifyContent: 'space-between' }}>
-                <Typography variant='h6'>
-                    {total ? `Total: ${total.total} ${total.currency}` : TOTAL_PLACEHOLDER}
-                </Typography>
-                <Button
-                    variant='contained'
-                    onClick={onGenerate}
-                    disabled={busy}
-                    sx={{
-                        backgroundColor: accent,
-                        '&:hover': { backgroundColor: borderAccent }
-                    }}
-                >
-                    {busy ? BTN_BUSY : BTN_IDLE}
-                </Button>
+                <Stack alignItems='flex-start'>
+                    <Typography variant='h6'>
+                        {report ? `Total: ${report.total.total} ${report.total.currency}` : TOTAL_PLACEHOLDER}
+                    </Typography>
+                    {report && (
+                        <Typography variant='caption' color='text.secondary'>
+                            {`${report.from} – ${report.to}${report.tag ? ` · ${formatTag(report.tag)}` : ''}`}
+                        </Typography>
+                    )}
+                </Stack>
+                <Stack direction='row' spacing={1}>
+                    <Button
+                        variant='outlined'
+                        onClick={onExport}
+                        disabled={!report || busy}
+                        sx={{
+                            color: accent,
+                            borderColor: borderAccent,
+                            '&:hover': { borderColor: accent }
+                        }}
+                    >
+                        {BTN_EXPORT}
+                    </Button>
+                    <Button
+                        variant='contained'
+                        onClick={onGenerate}
+                        disabled={busy}
+                        sx={{
+                            backgroundColor: accent,
+                            '&:hover': { backgroundColor: borderAccent }
+                        }}
+                    >
+                        {busy ? BTN_BUSY : BTN_IDLE}
+                    </Button>
+                </Stack>
             </CardActions>
+
+            <AttachmentsDialog
+                costId={attachmentsOf}
+                onClose={() => setAttachmentsOf(null)}
+                onChanged={() => refresh().catch((err) => console.error(err))}
+            />
+
+            <Snackbar
+                open={snack.open}
+                autoHideDuration={SNACK_DURATION_MS}
+                onClose={closeSnack}
+                anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+            >
+                <Alert
+                    onClose={closeSnack}
+                    severity={snack.type}
+                    sx={{ width: '100%' }}
+                    action={snack.undo ? (
+                        <Button color='inherit' size='small' onClick={onUndo}>
+                            {BTN_UNDO}
+                        </Button>
+                    ) : undefined}
+                >
+                    {snack.msg}
+                </Alert>
+            </Snackbar>
         </Card>
     );
 }
@@ -1,8 +1,8 @@
 /** /src/components/SettingsPanel.jsx
  * Project: Cost Manager Front End
  * File: src/components/SettingsPanel.jsx
- * Description: Settings panel to configure exchange rates URL and reset local data (with confirmation).
- * Updated: 2025-09-12
+ * Description: Settings panel to configure exchange rates URL, entry preferences, categories, backups, and reset local data (with confirmation).
+ * Updated: 2026-10-19
  */
 
 import React, { useState, useEffect } from 'react';
@@ -15,11 +15,28 @@ import {
     Stack,
     Snackbar,
     Alert,
-    Typography
+    Typography,
+    Autocomplete,
+    Chip
 } from '@mui/material';
 import { useTheme } from '@mui/material/styles';
-import { getRatesUrl, setRatesUrl } from '../services/settings';
+import {
+    getRatesUrl,
+    setRatesUrl,
+    getFutureDateToleranceDays,
+    setFutureDateToleranceDays,
+    getRatesMaxAgeHours,
+    setRatesMaxAgeHours
+} from '../services/settings';
+import {
+    getAllCurrencyCodes,
+    getCurrencyName,
+    getEnabledCurrencies,
+    setEnabledCurrencies
+} from '../services/currencies';
 import { clearAll } from '../services/idb';
+import BackupPanel from './BackupPanel';
+import CategoriesPanel from './CategoriesPanel';
 
 /** =========================================================================
  * Configurable constants
@@ -33,7 +50,10 @@ const WARN_TEXT = 'This action is irreversible. All saved data will be permanent
 const CONFIRM_TEXT =
     '⚠️ Warning: This action is irreversible. All saved data will be permanently deleted. Are you sure?';
 const MSG_URL_REQUIRED = 'Please enter an exchange rates URL';
-const MSG_URL_SAVED = 'Saved exchange rates URL';
+const MSG_URL_SAVED = 'Saved settings';
+const MSG_DAYS_INVALID = 'Future date tolerance must be a whole number of days (0 or more)';
+const MSG_MAX_AGE_INVALID = 'Max rates age must be a positive number of hours';
+const MSG_CURRENCIES_REQUIRED = 'Enable at least one currency';
 const MSG_CLEAR_OK = 'All data has been cleared';
 const MSG_CLEAR_FAIL = 'Failed to clear data';
 const SNACK_DURATION_MS = 2500;
@@ -53,14 +73,27 @@ export default function SettingsPanel() {
     const colors = theme.custom.forms.settings;
 
     const [url, setUrl] = useState('');
+    const [futureDays, setFutureDays] = useState('0');
+    const [maxAgeHours, setMaxAgeHours] = useState('24');
+    const [currencies, setCurrencies] = useState([]);
+    const [restoreCount, setRestoreCount] = useState(0);
     const [snack, setSnack] = useState({ open: false, type: 'success', msg: '' });
 
-    useEffect(() => {
+    /**
+     * Load stored settings into the form.
+     * @returns {void}
+     */
+    const loadSettings = () => {
         setUrl(getRatesUrl());
-    }, []);
+        setFutureDays(String(getFutureDateToleranceDays()));
+        setMaxAgeHours(String(getRatesMaxAgeHours()));
+        setCurrencies(getEnabledCurrencies());
+    };
+
+    useEffect(loadSettings, []);
 
     /**
-     * Save the exchange rates URL.
+     * Save the exchange rates URL and entry preferences.
      * @returns {void}
      */
     const onSave = () => {
@@ -68,7 +101,29 @@ export default function SettingsPanel() {
             setSnack({ open: true, type: 'error', msg: MSG_URL_REQUIRED });
             return;
         }
+        const days = Number(futureDays);
+        if (futureDays === '' || !Number.isInteger(days) || days < 0) {
+            setSnack({ open: true, type: 'error', msg: MSG_DAYS_INVALID });
+            return;
+        }
+        const hours = Number(maxAgeHours);
+        if (maxAgeHours === '' || !Number.isFinite(hours) || hours <= 0) {
+            setSnack({ open: true, type: 'error', msg: MSG_MAX_AGE_INVALID });
+            return;
+        }
+        if (currencies.length === 0) {
+            setSnack({ open: true, type: 'error', msg: MSG_CURRENCIES_REQUIRED });
+            return;
+        }
+        try {
+            setEnabledCurrencies(currencies);
+        } catch (err) {
+            setSnack({ open: true, type: 'error', msg: err.message });
+            return;
+        }
         setRatesUrl(url);
+        setFutureDateToleranceDays(days);
+        setRatesMaxAgeHours(hours);
         setSnack({ open: true, type: 'success', msg: MSG_URL_SAVED });
     };
 
@@ -89,7 +144,7 @@ export default function SettingsPanel() {
 
     return (
         <>
-            <Card sx={{ maxWidth: CARD_MAX_WIDTH, width: '100%', mb: 10 }}>
+            <Card sx={{ maxWidth: CARD_MAX_WIDTH, width: '100%', mb: 2 }}>
                 <CardContent>
                     <Stack spacing={4}>
                         <TextField
@@ -107,6 +162,66 @@ export default function SettingsPanel() {
                                 }
                             }}
                         />
+                        <Autocomplete
+                            multiple
+                            options={getAllCurrencyCodes()}
+                            value={currencies}
+                            onChange={(e, value) => setCurrencies(value)}
+                            getOptionLabel={(code) => `${code} — ${getCurrencyName(code)}`}
+                            renderTags={(value, getTagProps) => value.map((code, index) => {
+                                const { key, ...tagProps } = getTagProps({ index });
+                                return <Chip key={key} label={code} size='small' {...tagProps} />;
+                            })}
+                            renderInput={(params) => (
+                                <TextField
+                                    {...params}
+                                    label='Enabled Currencies'
+                                    helperText='ISO 4217 codes shown in forms, reports and charts; the rates URL must provide each of them'
+                                    sx={{
+                                        '& label': { color: colors.label },
+                                        '& .MuiOutlinedInput-root': {
+                                            '& fieldset': { borderColor: colors.border },
+                                            '&:hover fieldset': { borderColor: colors.border },
+                                            '&.Mui-focused fieldset': { borderColor: colors.border }
+                                        }
+                                    }}
+                                />
+                            )}
+                        />
+                        <TextField
+                            label='Future Date Tolerance (days)'
+                            type='number'
+                            value={futureDays}
+                            onChange={(e) => setFutureDays(e.target.value)}
+                            inputProps={{ min: 0, step: 1 }}
+                            helperText='How many days ahead of today a new cost may be dated'
+                            fullWidth
+                            sx={{
+                                '& label': { color: colors.label },
+                                '& .MuiOutlinedInput-root': {
+                                    '& fieldset': { borderColor: colors.border },
+                                    '&:hover fieldset': { borderColor: colors.border },
+                                    '&.Mui-focused fieldset': { borderColor: colors.border }
+                                }
+                            }}
+                        />
+                        <TextField
+                            label='Max Cached Rates Age (hours)'
+                            type='number'
+                            value={maxAgeHours}
+                            onChange={(e) => setMaxAgeHours(e.target.value)}
+                            inputProps={{ min: 1 }}
+                            helperText='When offline, cached rates older than this are flagged as outdated'
+                            fullWidth
+                            sx={{
+                                '& label': { color: colors.label },
+                                '& .MuiOutlinedInput-root': {
+                                    '& fieldset': { borderColor: colors.border },
+                                    '&:hover fieldset': { borderColor: colors.border },
+                                    '&.Mui-focused fieldset': { borderColor: colors.border }
+                                }
+                            }}
+                        />
                     </Stack>
                 </CardContent>
                 <CardActions sx={{ justifyContent: 'flex-end', px: 2, pb: 2 }}>
@@ -124,6 +239,15 @@ export default function SettingsPanel() {
                 </CardActions>
             </Card>
 
+            <CategoriesPanel key={restoreCount} />
+
+            <BackupPanel
+                onRestored={() => {
+                    loadSettings();
+                    setRestoreCount((n) => n + 1);
+                }}
+            />
+
             <Card
                 sx={{
                     maxWidth: CARD_MAX_WIDTH,
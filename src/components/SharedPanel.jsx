@@ -0,0 +1,314 @@
+/** /src/components/SharedPanel.jsx
+ * Project: Cost Manager Front End
+ * File: src/components/SharedPanel.jsx
+ * Description: People who share costs, and a settlement of net balances with the transfers that settle up.
+ * Updated: 2026-10-19
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+    Card,
+    CardContent,
+    Stack,
+    TextField,
+    Button,
+    Typography,
+    Chip,
+    MenuItem,
+    Table,
+    TableHead,
+    TableBody,
+    TableRow,
+    TableCell,
+    List,
+    ListItem,
+    ListItemText,
+    Divider,
+    Snackbar,
+    Alert
+} from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import { getRates } from '../services/exchange';
+import { getEnabledCurrencies, getDefaultCurrency } from '../services/currencies';
+import { fromIsoDate } from '../services/periods';
+import { getPeople, addPerson, deletePerson, getSettlement } from '../services/people';
+import RatesNotice from './RatesNotice';
+import UnconvertedNotice from './UnconvertedNotice';
+
+/** =========================================================================
+ * Configurable constants
+ * =======================================================================*/
+
+const CARD_MAX_WIDTH = 900;
+const SNACK_DURATION_MS = 4000;
+const PEOPLE_TITLE = 'People';
+const PEOPLE_EMPTY_TEXT = 'No people yet. Add everyone who pays for or shares costs.';
+const SETTLE_TITLE = 'Settle Up';
+const BTN_ADD_PERSON = 'Add Person';
+const BTN_SETTLE_IDLE = 'Calculate';
+const BTN_SETTLE_BUSY = 'Loading…';
+const NO_SHARED_TEXT = 'No shared costs in this range.';
+const SETTLED_TEXT = 'Everyone is settled up.';
+const TRANSFERS_TITLE = 'Suggested Transfers';
+const MSG_LOAD_FAIL = 'Failed to load shared costs';
+const ERR_DATE = 'Enter valid dates';
+
+/** =========================================================================
+ * Component
+ * =======================================================================*/
+
+/**
+ * SharedPanel component.
+ * @returns {JSX.Element}
+ */
+export default function SharedPanel() {
+    const theme = useTheme();
+    const { label: accent, border: borderAccent, fieldBg } = theme.custom.forms.shared;
+
+    const [people, setPeople] = useState([]);
+    const [newName, setNewName] = useState('');
+    const [currencies] = useState(getEnabledCurrencies);
+    const [currency, setCurrency] = useState(getDefaultCurrency);
+    const [from, setFrom] = useState('');
+    const [to, setTo] = useState('');
+    const [settlement, setSettlement] = useState(null);
+    const [ratesInfo, setRatesInfo] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const [snack, setSnack] = useState({ open: false, type: 'success', msg: '' });
+
+    const closeSnack = () => setSnack((s) => ({ ...s, open: false }));
+
+    useEffect(() => {
+        getPeople()
+            .then(setPeople)
+            .catch((err) => console.error(err));
+    }, []);
+
+    /**
+     * Add the person typed in the name field.
+     * @returns {Promise<void>}
+     */
+    const onAddPerson = async () => {
+        try {
+            await addPerson(newName);
+            setNewName('');
+            setPeople(await getPeople());
+        } catch (err) {
+            setSnack({ open: true, type: 'error', msg: err.message });
+        }
+    };
+
+    /**
+     * Remove a person; refused while they share any cost.
+     * @param {string} name
+     * @returns {Promise<void>}
+     */
+    const onDeletePerson = async (name) => {
+        try {
+            await deletePerson(name);
+            setPeople(await getPeople());
+        } catch (err) {
+            setSnack({ open: true, type: 'error', msg: err.message });
+        }
+    };
+
+    /**
+     * Fetch rates and compute balances and transfers for the chosen range and currency.
+     * @returns {Promise<void>}
+     */
+    const onSettle = async () => {
+        const start = from ? fromIsoDate(from) : null;
+        const last = to ? fromIsoDate(to) : null;
+        if ((from && !start) || (to && !last)) {
+            setSnack({ open: true, type: 'error', msg: ERR_DATE });
+            return;
+        }
+        try {
+            setBusy(true);
+            const info = await getRates();
+            setRatesInfo(info);
+            const end = last ? new Date(last.getFullYear(), last.getMonth(), last.getDate() + 1) : null;
+            setSettlement(await getSettlement(currency, info.rates, start, end));
+        } catch (err) {
+            console.error(err);
+            setSnack({ open: true, type: 'error', msg: err?.message || MSG_LOAD_FAIL });
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    /** =========================================================================
+     * Styles
+     * =======================================================================*/
+
+    const inputSx = {
+        '& .MuiOutlinedInput-root': {
+            backgroundColor: fieldBg,
+            '& fieldset': { borderColor: borderAccent },
+            '&:hover fieldset': { borderColor: borderAccent },
+            '&.Mui-focused fieldset': { borderColor: borderAccent }
+        },
+        '& label': { color: accent },
+        '& label.Mui-focused': { color: accent }
+    };
+
+    const buttonSx = { color: accent, borderColor: borderAccent, '&:hover': { borderColor: accent } };
+
+    /** =========================================================================
+     * Render
+     * =======================================================================*/
+
+    return (
+        <Card sx={{ width: '100%', maxWidth: CARD_MAX_WIDTH }}>
+            <CardContent>
+                <Stack spacing={3}>
+                    <Stack spacing={2}>
+                        <Typography variant='h6' sx={{ color: accent, textAlign: 'left' }}>
+                            {PEOPLE_TITLE}
+                        </Typography>
+                        {people.length === 0 ? (
+                            <Typography variant='body2' color='text.secondary' sx={{ textAlign: 'left' }}>
+                                {PEOPLE_EMPTY_TEXT}
+                            </Typography>
+                        ) : (
+                            <Stack direction='row' spacing={1} flexWrap='wrap' useFlexGap>
+                                {people.map((p) => (
+                                    <Chip key={p.name} label={p.name} onDelete={() => onDeletePerson(p.name)} />
+                                ))}
+                            </Stack>
+                        )}
+                        <Stack direction='row' spacing={2}>
+                            <TextField
+                                label='Name'
+                                size='small'
+                                value={newName}
+                                onChange={(e) => setNewName(e.target.value)}
+                                onKeyDown={(e) => {
+                                    if (e.key === 'Enter') onAddPerson();
+                                }}
+                                sx={inputSx}
+                            />
+                            <Button variant='outlined' onClick={onAddPerson} disabled={!newName.trim()} sx={buttonSx}>
+                                {BTN_ADD_PERSON}
+                            </Button>
+                        </Stack>
+                    </Stack>
+
+                    <Divider />
+
+                    <Stack spacing={2}>
+                        <Typography variant='h6' sx={{ color: accent, textAlign: 'left' }}>
+                            {SETTLE_TITLE}
+                        </Typography>
+                        <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2}>
+                            <TextField
+                                label='From'
+                                type='date'
+                                value={from}
+                                onChange={(e) => setFrom(e.target.value)}
+                                InputLabelProps={{ shrink: true }}
+                                fullWidth
+                                sx={inputSx}
+                            />
+                            <TextField
+                                label='To'
+                                type='date'
+                                value={to}
+                                onChange={(e) => setTo(e.target.value)}
+                                InputLabelProps={{ shrink: true }}
+                                fullWidth
+                                sx={inputSx}
+                            />
+                            <TextField
+                                select
+                                label='Currency'
+                                value={currency}
+                                onChange={(e) => setCurrency(e.target.value)}
+                                fullWidth
+                                sx={inputSx}
+                            >
+                                {currencies.map((c) => (
+                                    <MenuItem key={c} value={c}>{c}</MenuItem>
+                                ))}
+                            </TextField>
+                            <Button variant='outlined' onClick={onSettle} disabled={busy} sx={{ ...buttonSx, flexShrink: 0 }}>
+                                {busy ? BTN_SETTLE_BUSY : BTN_SETTLE_IDLE}
+                            </Button>
+                        </Stack>
+
+                        <RatesNotice info={ratesInfo} />
+                        <UnconvertedNotice unconverted={settlement?.unconverted} />
+
+                        {settlement && settlement.costs === 0 && (
+                            <Typography variant='body2' color='text.secondary' sx={{ textAlign: 'left' }}>
+                                {NO_SHARED_TEXT}
+                            </Typography>
+                        )}
+
+                        {settlement && settlement.costs > 0 && (
+                            <Table size='small'>
+                                <TableHead>
+                                    <TableRow>
+                                        <TableCell>Person</TableCell>
+                                        <TableCell align='right'>{`Paid (${settlement.currency})`}</TableCell>
+                                        <TableCell align='right'>{`Share (${settlement.currency})`}</TableCell>
+                                        <TableCell align='right'>{`Balance (${settlement.currency})`}</TableCell>
+                                    </TableRow>
+                                </TableHead>
+                                <TableBody>
+                                    {settlement.balances.map((b) => (
+                                        <TableRow key={b.person}>
+                                            <TableCell>{b.person}</TableCell>
+                                            <TableCell align='right'>{b.paid.toFixed(2)}</TableCell>
+                                            <TableCell align='right'>{b.owed.toFixed(2)}</TableCell>
+                                            <TableCell
+                                                align='right'
+                                                sx={{ color: b.net < 0 ? 'error.main' : b.net > 0 ? 'success.main' : undefined }}
+                                            >
+                                                {b.net > 0 ? `+${b.net.toFixed(2)}` : b.net.toFixed(2)}
+                                            </TableCell>
+                                        </TableRow>
+                                    ))}
+                                </TableBody>
+                            </Table>
+                        )}
+
+                        {settlement && settlement.costs > 0 && (
+                            <Stack spacing={1}>
+                                <Typography variant='subtitle1' sx={{ textAlign: 'left' }}>
+                                    {TRANSFERS_TITLE}
+                                </Typography>
+                                {settlement.transfers.length === 0 ? (
+                                    <Typography variant='body2' color='text.secondary' sx={{ textAlign: 'left' }}>
+                                        {SETTLED_TEXT}
+                                    </Typography>
+                                ) : (
+                                    <List dense disablePadding>
+                                        {settlement.transfers.map((t) => (
+                                            <ListItem key={`${t.from}-${t.to}`} disableGutters>
+                                                <ListItemText
+                                                    primary={`${t.from} pays ${t.to} ${t.amount.toFixed(2)} ${settlement.currency}`}
+                                                />
+                                            </ListItem>
+                                        ))}
+                                    </List>
+                                )}
+                            </Stack>
+                        )}
+                    </Stack>
+                </Stack>
+            </CardContent>
+
+            <Snackbar
+                open={snack.open}
+                autoHideDuration={SNACK_DURATION_MS}
+                onClose={closeSnack}
+                anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+            >
+                <Alert onClose={closeSnack} severity={snack.type} sx={{ width: '100%' }}>
+                    {snack.msg}
+                </Alert>
+            </Snackbar>
+        </Card>
+    );
+}
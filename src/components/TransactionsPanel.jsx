@@ -0,0 +1,335 @@
+/** /src/components/TransactionsPanel.jsx
+ * Project: Cost Manager Front End
+ * File: src/components/TransactionsPanel.jsx
+ * Description: Search across all costs by description, date range, categories, currency, and amount,
+ *              with results paged from IndexedDB cursors into a server-side DataGrid.
+ * Updated: 2026-10-19
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+    Card,
+    CardContent,
+    CardActions,
+    Stack,
+    TextField,
+    MenuItem,
+    Button,
+    Autocomplete,
+    Snackbar,
+    Alert
+} from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import { DataGrid } from '@mui/x-data-grid';
+import { searchCosts, getCostLines } from '../services/idb';
+import { getCategories, getCategoryPath } from '../services/categories';
+import { getEnabledCurrencies } from '../services/currencies';
+import { fromIsoDate } from '../services/periods';
+
+/** =========================================================================
+ * Configurable constants
+ * =======================================================================*/
+
+const CARD_MAX_WIDTH = 1000;
+const GRID_HEIGHT_PX = 520;
+const PAGE_SIZE_OPTIONS = [10, 25, 50];
+const SNACK_DURATION_MS = 4000;
+const ANY_CURRENCY = '';
+const BTN_SEARCH_LABEL = 'Search';
+const BTN_CLEAR_LABEL = 'Clear';
+const MSG_SEARCH_FAIL = 'Failed to search costs';
+const ERR_AMOUNT = 'Min and max must be numbers';
+const ERR_DATE = 'Enter valid dates';
+const DEFAULT_SORT = [{ field: 'date', sort: 'desc' }];
+
+/** @constant {Object} EMPTY_FORM - Filter form with nothing selected */
+const EMPTY_FORM = { text: '', from: '', to: '', categories: [], currency: ANY_CURRENCY, min: '', max: '' };
+
+/** =========================================================================
+ * Utils
+ * =======================================================================*/
+
+/**
+ * Convert the filter form into searchCosts filters.
+ * @param {typeof EMPTY_FORM} form
+ * @returns {Object} Filters; the `to` date becomes an exclusive bound at the next midnight.
+ * @throws {Error} If a date or amount does not parse.
+ */
+function toFilters(form) {
+    const from = form.from ? fromIsoDate(form.from) : null;
+    const last = form.to ? fromIsoDate(form.to) : null;
+    if ((form.from && !from) || (form.to && !last)) {
+        throw new Error(ERR_DATE);
+    }
+    const min = form.min === '' ? null : Number(form.min);
+    const max = form.max === '' ? null : Number(form.max);
+    if (Number.isNaN(min) || Number.isNaN(max)) {
+        throw new Error(ERR_AMOUNT);
+    }
+    return {
+        text: form.text,
+        from,
+        to: last ? new Date(last.getFullYear(), last.getMonth(), last.getDate() + 1) : null,
+        categories: form.categories,
+        currency: form.currency,
+        min,
+        max
+    };
+}
+
+/**
+ * Build the read-only DataGrid columns. Only the date is sortable (the cursor walks the date index).
+ * @returns {import('@mui/x-data-grid').GridColDef[]}
+ */
+function buildColumns() {
+    return [
+        { field: 'date', headerName: 'Date', width: 130, headerAlign: 'center', align: 'center' },
+        { field: 'category', headerName: 'Category', flex: 1, minWidth: 120, sortable: false },
+        { field: 'description', headerName: 'Description', flex: 2, minWidth: 160, sortable: false },
+        { field: 'currency', headerName: 'Currency', width: 100, headerAlign: 'center', align: 'center', sortable: false },
+        { field: 'sum', headerName: 'Sum', width: 120, type: 'number', sortable: false }
+    ];
+}
+
+/** =========================================================================
+ * Component
+ * =======================================================================*/
+
+/**
+ * TransactionsPanel component.
+ * @returns {JSX.Element}
+ */
+export default function TransactionsPanel() {
+    const theme = useTheme();
+    const { label: accent, border: borderAccent, fieldBg } = theme.custom.forms.transactions;
+
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [filters, setFilters] = useState({});
+    const [categories, setCategories] = useState([]);
+    const [currencies] = useState(getEnabledCurrencies);
+    const [paginationModel, setPaginationModel] = useState({ page: 0, pageSize: PAGE_SIZE_OPTIONS[1] });
+    const [sortModel, setSortModel] = useState(DEFAULT_SORT);
+    const [rows, setRows] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [loading, setLoading] = useState(false);
+    const [snack, setSnack] = useState({ open: false, type: 'error', msg: '' });
+
+    const closeSnack = () => setSnack((s) => ({ ...s, open: false }));
+
+    useEffect(() => {
+        getCategories()
+            .then(setCategories)
+            .catch((err) => console.error(err));
+    }, []);
+
+    // Fetch only the visible page whenever the filters, page, or sort direction change
+    useEffect(() => {
+        let cancelled = false;
+        const { page, pageSize } = paginationModel;
+        setLoading(true);
+        searchCosts(filters, {
+            offset: page * pageSize,
+            limit: pageSize,
+            direction: sortModel[0]?.sort === 'asc' ? 'next' : 'prev'
+        })
+            .then((result) => {
+                if (cancelled) return;
+                setRows(result.rows.map((c) => ({
+                    ...c,
+                    date: new Date(c.date).toLocaleDateString('en-GB'),
+                    category: getCostLines(c).map((l) => l.category).join(' + ')
+                })));
+                setTotal(result.total);
+            })
+            .catch((err) => {
+                console.error(err);
+                if (!cancelled) setSnack({ open: true, type: 'error', msg: MSG_SEARCH_FAIL });
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [filters, paginationModel, sortModel]);
+
+    /**
+     * Apply the filter form and go back to the first page.
+     * @returns {void}
+     */
+    const onSearch = () => {
+        try {
+            setFilters(toFilters(form));
+            setPaginationModel((m) => ({ ...m, page: 0 }));
+        } catch (err) {
+            setSnack({ open: true, type: 'error', msg: err.message });
+        }
+    };
+
+    /**
+     * Reset the form and show all costs.
+     * @returns {void}
+     */
+    const onClear = () => {
+        setForm(EMPTY_FORM);
+        setFilters({});
+        setPaginationModel((m) => ({ ...m, page: 0 }));
+    };
+
+    /**
+     * Bind a form field to a text input.
+     * @param {keyof typeof EMPTY_FORM} key
+     * @returns {{ value:*, onChange:(e:React.ChangeEvent<HTMLInputElement>) => void }}
+     */
+    const bind = (key) => ({
+        value: form[key],
+        onChange: (e) => setForm((f) => ({ ...f, [key]: e.target.value }))
+    });
+
+    /** =========================================================================
+     * Styles
+     * =======================================================================*/
+
+    const inputSx = {
+        '& .MuiOutlinedInput-root': {
+            backgroundColor: fieldBg,
+            '& fieldset': { borderColor: borderAccent },
+            '&:hover fieldset': { borderColor: borderAccent },
+            '&.Mui-focused fieldset': { borderColor: borderAccent }
+        },
+        '& label': { color: accent },
+        '& label.Mui-focused': { color: accent }
+    };
+
+    const byName = new Map(categories.map((c) => [c.name, c]));
+
+    /** =========================================================================
+     * Render
+     * =======================================================================*/
+
+    return (
+        <Card sx={{ width: '100%', maxWidth: CARD_MAX_WIDTH }}>
+            <CardContent>
+                <Stack spacing={2}>
+                    <TextField
+                        label='Search descriptions'
+                        {...bind('text')}
+                        onKeyDown={(e) => {
+                            if (e.key === 'Enter') onSearch();
+                        }}
+                        fullWidth
+                        sx={inputSx}
+                    />
+                    <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2}>
+                        <TextField
+                            label='From'
+                            type='date'
+                            {...bind('from')}
+                            InputLabelProps={{ shrink: true }}
+                            fullWidth
+                            sx={inputSx}
+                        />
+                        <TextField
+                            label='To'
+                            type='date'
+                            {...bind('to')}
+                            InputLabelProps={{ shrink: true }}
+                            fullWidth
+                            sx={inputSx}
+                        />
+                        <TextField select label='Currency' {...bind('currency')} fullWidth sx={inputSx}>
+                            <MenuItem value={ANY_CURRENCY}>Any</MenuItem>
+                            {currencies.map((c) => (
+                                <MenuItem key={c} value={c}>{c}</MenuItem>
+                            ))}
+                        </TextField>
+                        <TextField
+                            label='Min Amount'
+                            type='number'
+                            {...bind('min')}
+                            inputProps={{ min: 0, step: '0.01' }}
+                            fullWidth
+                            sx={inputSx}
+                        />
+                        <TextField
+                            label='Max Amount'
+                            type='number'
+                            {...bind('max')}
+                            inputProps={{ min: 0, step: '0.01' }}
+                            fullWidth
+                            sx={inputSx}
+                        />
+                    </Stack>
+                    <Autocomplete
+                        multiple
+                        options={categories.map((c) => c.name)}
+                        getOptionLabel={(name) => (byName.has(name) ? getCategoryPath(byName.get(name), categories) : name)}
+                        value={form.categories}
+                        onChange={(e, value) => setForm((f) => ({ ...f, categories: value }))}
+                        renderInput={(params) => (
+                            <TextField
+                                {...params}
+                                label='Categories'
+                                helperText='A category also matches its subcategories.'
+                                sx={inputSx}
+                            />
+                        )}
+                    />
+                    <div style={{ height: GRID_HEIGHT_PX, width: '100%' }}>
+                        <DataGrid
+                            rows={rows}
+                            columns={buildColumns()}
+                            rowCount={total}
+                            loading={loading}
+                            paginationMode='server'
+                            sortingMode='server'
+                            paginationModel={paginationModel}
+                            onPaginationModelChange={setPaginationModel}
+                            sortModel={sortModel}
+                            onSortModelChange={(model) => setSortModel(model.length ? model : DEFAULT_SORT)}
+                            pageSizeOptions={PAGE_SIZE_OPTIONS}
+                            disableColumnFilter
+                            disableRowSelectionOnClick
+                            sx={{
+                                '& .MuiDataGrid-cell:focus': { outline: `2px solid ${accent}` },
+                                '& .MuiDataGrid-columnHeader:focus': { outline: `2px solid ${accent}` }
+                            }}
+                        />
+                    </div>
+                </Stack>
+            </CardContent>
+
+            <CardActions sx={{ justifyContent: 'flex-end', px: 2, pb: 2 }}>
+                <Button
+                    variant='outlined'
+                    onClick={onClear}
+                    sx={{ color: accent, borderColor: borderAccent, '&:hover': { borderColor: accent } }}
+                >
+                    {BTN_CLEAR_LABEL}
+                </Button>
+                <Button
+                    variant='contained'
+                    onClick={onSearch}
+                    sx={{
+                        backgroundColor: accent,
+                        color: borderAccent,
+                        '&:hover': { backgroundColor: accent, opacity: 0.9 }
+                    }}
+                >
+                    {BTN_SEARCH_LABEL}
+                </Button>
+            </CardActions>
+
+            <Snackbar
+                open={snack.open}
+                autoHideDuration={SNACK_DURATION_MS}
+                onClose={closeSnack}
+                anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+            >
+                <Alert onClose={closeSnack} severity={snack.type} sx={{ width: '100%' }}>
+                    {snack.msg}
+                </Alert>
+            </Snackbar>
+        </Card>
+    );
+}
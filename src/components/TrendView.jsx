@@ -0,0 +1,163 @@
+/** /src/components/TrendView.jsx
+ * Project: Cost Manager Front End
+ * File: src/components/TrendView.jsx
+ * Description: Line chart of spending over time with a moving average and per-category series toggles.
+ * Updated: 2026-10-19
+ */
+
+import React, { useState } from 'react';
+import {
+    Card,
+    CardContent,
+    Stack,
+    Typography,
+    Chip,
+    FormControl,
+    InputLabel,
+    Select,
+    MenuItem
+} from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import { LineChart } from '@mui/x-charts';
+import { movingAverage, MOVING_AVERAGE_WINDOWS } from '../services/trends';
+import { DEFAULT_COLOR } from '../services/categories';
+
+/** =========================================================================
+ * Configurable constants
+ * =======================================================================*/
+
+const TITLE = 'Spending Trend';
+const TOTAL_LABEL = 'Total';
+const MA_OFF = 0;
+const CATEGORIES_HINT = 'Show categories:';
+const EMPTY_TEXT = 'No costs in this range.';
+const CONTROLS_HEIGHT_PX = 150;
+const MIN_CHART_HEIGHT_PX = 240;
+// Marks clutter long daily series
+const MAX_POINTS_WITH_MARKS = 31;
+
+/** =========================================================================
+ * Component
+ * =======================================================================*/
+
+/**
+ * TrendView component.
+ * @param {{ trend: import('../services/trends').Trend, colors: Record<string, string>, height:number }} props
+ * @returns {JSX.Element}
+ */
+export default function TrendView({ trend, colors, height }) {
+    const theme = useTheme();
+    const accent = theme.custom.forms.charts.label;
+    const windows = MOVING_AVERAGE_WINDOWS[trend.granularity];
+    const unit = trend.granularity === 'day' ? 'days' : 'months';
+
+    const [maWindow, setMaWindow] = useState(windows[0]);
+    const [shown, setShown] = useState(() => new Set());
+
+    /**
+     * Show or hide the series of a category.
+     * @param {string} category
+     * @returns {void}
+     */
+    const toggleCategory = (category) => {
+        setShown((prev) => {
+            const next = new Set(prev);
+            if (next.has(category)) next.delete(category);
+            else next.add(category);
+            return next;
+        });
+    };
+
+    const showMark = trend.buckets.length <= MAX_POINTS_WITH_MARKS;
+    const valueFormatter = (v) => (v === null ? '—' : `${v.toFixed(2)} ${trend.currency}`);
+    const series = [
+        { id: 'total', label: TOTAL_LABEL, data: trend.totals, color: accent, showMark, valueFormatter },
+        ...(maWindow === MA_OFF ? [] : [{
+            id: 'ma',
+            label: `${maWindow}-${unit.slice(0, -1)} average`,
+            data: movingAverage(trend.totals, maWindow),
+            color: theme.palette.text.secondary,
+            showMark: false,
+            valueFormatter
+        }]),
+        ...trend.categories
+            .filter((c) => shown.has(c.category))
+            .map((c) => ({
+                id: `cat-${c.category}`,
+                label: c.category,
+                data: c.data,
+                color: colors[c.category] || DEFAULT_COLOR,
+                showMark,
+                valueFormatter
+            }))
+    ];
+
+    return (
+        <Card variant='outlined'>
+            <CardContent sx={{ p: 2 }}>
+                <Stack direction={{ xs: 'column', sm: 'row' }} alignItems={{ sm: 'center' }} spacing={2} sx={{ mb: 1 }}>
+                    <Typography variant='subtitle1' sx={{ flex: 1, textAlign: 'left' }}>
+                        {`${TITLE} (${trend.buckets[0]} – ${trend.buckets[trend.buckets.length - 1]})`}
+                    </Typography>
+                    <FormControl size='small' sx={{ minWidth: 180 }}>
+                        <InputLabel id='ma-window-lab'>Moving Average</InputLabel>
+                        <Select
+                            labelId='ma-window-lab'
+                            label='Moving Average'
+                            value={maWindow}
+                            onChange={(e) => setMaWindow(e.target.value)}
+                        >
+                            <MenuItem value={MA_OFF}>Off</MenuItem>
+                            {windows.map((w) => (
+                                <MenuItem key={w} value={w}>{`${w} ${unit}`}</MenuItem>
+                            ))}
+                        </Select>
+                    </FormControl>
+                </Stack>
+
+                {trend.categories.length > 0 && (
+                    <Stack direction='row' useFlexGap flexWrap='wrap' spacing={1} alignItems='center' sx={{ mb: 1 }}>
+                        <Typography variant='caption' color='text.secondary'>
+                            {CATEGORIES_HINT}
+                        </Typography>
+                        {trend.categories.map((c) => {
+                            const color = colors[c.category] || DEFAULT_COLOR;
+                            const on = shown.has(c.category);
+                            return (
+                                <Chip
+                                    key={c.category}
+                                    label={c.category}
+                                    size='small'
+                                    variant={on ? 'filled' : 'outlined'}
+                                    onClick={() => toggleCategory(c.category)}
+                                    sx={{
+                                        borderColor: color,
+                                        ...(on && {
+                                            backgroundColor: color,
+                                            color: theme.palette.getContrastText(color),
+                                            '&:hover': { backgroundColor: color }
+                                        })
+                                    }}
+                                />
+                            );
+                        })}
+                    </Stack>
+                )}
+
+                {trend.categories.length > 0 ? (
+                    <LineChart
+                        key={`trend-${trend.granularity}-${trend.buckets[0]}-${trend.currency}`}
+                        xAxis={[{ scaleType: 'point', data: trend.buckets }]}
+                        series={series}
+                        height={Math.max(height - CONTROLS_HEIGHT_PX, MIN_CHART_HEIGHT_PX)}
+                        sx={{ '& .MuiLineElement-series-ma': { strokeDasharray: '6 4' } }}
+                    />
+                ) : (
+                    <Typography variant='body2' color='text.secondary'>
+                        {EMPTY_TEXT}
+                    </Typography>
+                )}
+            </CardContent>
+        </Card>
+    );
+}
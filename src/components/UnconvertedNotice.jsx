@@ -0,0 +1,30 @@
+/** /src/components/UnconvertedNotice.jsx
+ * Project: Cost Manager Front End
+ * File: src/components/UnconvertedNotice.jsx
+ * Description: Inline notice shown when some costs could not be converted for lack of an exchange rate.
+ * Updated: 2026-10-19
+ */
+
+import React from 'react';
+import { Alert } from '@mui/material';
+
+/** =========================================================================
+ * Component
+ * =======================================================================*/
+
+/**
+ * UnconvertedNotice component.
+ * Renders nothing when every cost was converted; otherwise a warning naming the currencies without a rate.
+ * @param {{ unconverted: import('../services/exchange').Unconverted|null|undefined }} props
+ * @returns {JSX.Element|null}
+ */
+export default function UnconvertedNotice({ unconverted }) {
+    if (!unconverted?.count) return null;
+
+    const { count, currencies } = unconverted;
+    return (
+        <Alert severity='warning' sx={{ textAlign: 'left' }}>
+            {`${count} ${count === 1 ? 'cost' : 'costs'} could not be converted (no exchange rate for ${currencies.join(', ')}) and ${count === 1 ? 'is' : 'are'} left out of the totals.`}
+        </Alert>
+    );
+}
@@ -1,14 +1,15 @@
 /** /src/pages/AddCostPage.jsx
  * Project: Cost Manager Front End
  * File: src/pages/AddCostPage.jsx
- * Description: Page wrapper that renders the AddCostForm with themed heading.
- * Updated: 2025-09-12
+ * Description: Page wrapper that renders the AddCostForm and recurring costs with themed heading.
+ * Updated: 2026-10-19
  */
 
 import React from 'react';
 import { Box, Typography } from '@mui/material';
 import { useTheme } from '@mui/material/styles';
 import AddCostForm from '../components/AddCostForm';
+import RecurringPanel from '../components/RecurringPanel';
 
 /** =========================================================================
  * Configurable constants
@@ -27,7 +28,7 @@ const TITLE_MARGIN_BOTTOM = 1;
 
 /**
  * AddCostPage
- * Renders a titled page with the AddCostForm.
+ * Renders a titled page with the AddCostForm and the recurring costs card.
  * @returns {JSX.Element}
  */
 export default function AddCostPage() {
@@ -58,6 +59,7 @@ export default function AddCostPage() {
             </Typography>
 
             <AddCostForm />
+            <RecurringPanel />
         </Box>
     );
 }
@@ -0,0 +1,50 @@
+/** /src/pages/BudgetsPage.jsx
+ * Project: Cost Manager Front End
+ * File: src/pages/BudgetsPage.jsx
+ * Description: Page wrapper for monthly budgets. Renders a themed title and BudgetsPanel.
+ * Updated: 2026-10-19
+ */
+
+import React from 'react';
+import { Box, Typography } from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import BudgetsPanel from '../components/BudgetsPanel';
+
+/** =========================================================================
+ * Configurable constants
+ * =======================================================================*/
+
+const PAGE_TITLE = 'Budgets';
+const TITLE_VARIANT = 'h2';
+const ROOT_GAP = 2;
+
+/** =========================================================================
+ * Component
+ * =======================================================================*/
+
+/**
+ * BudgetsPage
+ * Renders the budgets page with a themed title and budget-vs-actual panel.
+ * @returns {JSX.Element}
+ */
+export default function BudgetsPage() {
+    const theme = useTheme();
+    const color = theme.custom.forms.budgets.label;
+
+    return (
+        <Box
+            sx={{
+                width: '100%',
+                display: 'flex',
+                flexDirection: 'column',
+                gap: ROOT_GAP,
+                alignItems: 'center'
+            }}
+        >
+            <Typography variant={TITLE_VARIANT} sx={{ color }}>
+                {PAGE_TITLE}
+            </Typography>
+            <BudgetsPanel />
+        </Box>
+    );
+}
@@ -0,0 +1,50 @@
+/** /src/pages/ImportPage.jsx
+ * Project: Cost Manager Front End
+ * File: src/pages/ImportPage.jsx
+ * Description: Page wrapper for CSV import. Renders a themed title and ImportPanel.
+ * Updated: 2026-10-19
+ */
+
+import React from 'react';
+import { Box, Typography } from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import ImportPanel from '../components/ImportPanel';
+
+/** =========================================================================
+ * Configurable constants
+ * =======================================================================*/
+
+const PAGE_TITLE = 'Import Costs';
+const TITLE_VARIANT = 'h2';
+const ROOT_GAP = 2;
+
+/** =========================================================================
+ * Component
+ * =======================================================================*/
+
+/**
+ * ImportPage
+ * Renders the CSV import page with a themed title and import panel.
+ * @returns {JSX.Element}
+ */
+export default function ImportPage() {
+    const theme = useTheme();
+    const color = theme.custom.forms.import.label;
+
+    return (
+        <Box
+            sx={{
+                width: '100%',
+                display: 'flex',
+                flexDirection: 'column',
+                gap: ROOT_GAP,
+                alignItems: 'center'
+            }}
+        >
+            <Typography variant={TITLE_VARIANT} sx={{ color }}>
+                {PAGE_TITLE}
+            </Typography>
+            <ImportPanel />
+        </Box>
+    );
+}
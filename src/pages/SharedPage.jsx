@@ -0,0 +1,50 @@
+/** /src/pages/SharedPage.jsx
+ * Project: Cost Manager Front End
+ * File: src/pages/SharedPage.jsx
+ * Description: Page wrapper for shared expenses. Renders a themed title and SharedPanel.
+ * Updated: 2026-10-19
+ */
+
+import React from 'react';
+import { Box, Typography } from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import SharedPanel from '../components/SharedPanel';
+
+/** =========================================================================
+ * Configurable constants
+ * =======================================================================*/
+
+const PAGE_TITLE = 'Shared Expenses';
+const TITLE_VARIANT = 'h2';
+const ROOT_GAP = 2;
+
+/** =========================================================================
+ * Component
+ * =======================================================================*/
+
+/**
+ * SharedPage
+ * Renders the shared expenses page with a themed title and the people and settlement panel.
+ * @returns {JSX.Element}
+ */
+export default function SharedPage() {
+    const theme = useTheme();
+    const color = theme.custom.forms.shared.label;
+
+    return (
+        <Box
+            sx={{
+                width: '100%',
+                display: 'flex',
+                flexDirection: 'column',
+                gap: ROOT_GAP,
+                alignItems: 'center'
+            }}
+        >
+            <Typography variant={TITLE_VARIANT} sx={{ color }}>
+                {PAGE_TITLE}
+            </Typography>
+            <SharedPanel />
+        </Box>
+    );
+}
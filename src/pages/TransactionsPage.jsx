@@ -0,0 +1,50 @@
+/** /src/pages/TransactionsPage.jsx
+ * Project: Cost Manager Front End
+ * File: src/pages/TransactionsPage.jsx
+ * Description: Page wrapper for searching all costs. Renders a themed title and TransactionsPanel.
+ * Updated: 2026-10-19
+ */
+
+import React from 'react';
+import { Box, Typography } from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import TransactionsPanel from '../components/TransactionsPanel';
+
+/** =========================================================================
+ * Configurable constants
+ * =======================================================================*/
+
+const PAGE_TITLE = 'Transactions';
+const TITLE_VARIANT = 'h2';
+const ROOT_GAP = 2;
+
+/** =========================================================================
+ * Component
+ * =======================================================================*/
+
+/**
+ * TransactionsPage
+ * Renders the transactions page with a themed title and the search panel.
+ * @returns {JSX.Element}
+ */
+export default function TransactionsPage() {
+    const theme = useTheme();
+    const color = theme.custom.forms.transactions.label;
+
+    return (
+        <Box
+            sx={{
+                width: '100%',
+                display: 'flex',
+                flexDirection: 'column',
+                gap: ROOT_GAP,
+                alignItems: 'center'
+            }}
+        >
+            <Typography variant={TITLE_VARIANT} sx={{ color }}>
+                {PAGE_TITLE}
+            </Typography>
+            <TransactionsPanel />
+        </Box>
+    );
+}
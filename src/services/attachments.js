@@ -0,0 +1,255 @@
+/** /src/services/attachments.js
+ * Project: Cost Manager Front End
+ * File: src/services/attachments.js
+ * Description: Receipt attachments (images and PDFs) stored as Blobs per cost, with backup encoding.
+ * Updated: 2026-10-19
+ */
+
+import { openCostsDB, ATTACHMENTS_STORE } from './idb';
+import { promisify, whenDone } from './utils';
+
+/** =========================================================================
+ * Configurable constants
+ * =======================================================================*/
+
+/** @constant {string} ATTACHMENT_ACCEPT - File input `accept` value for receipts */
+export const ATTACHMENT_ACCEPT = 'image/*,application/pdf';
+/** @constant {number} MAX_ATTACHMENT_BYTES - Largest file that can be attached */
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+const PDF_TYPE = 'application/pdf';
+const BASE64_CHUNK = 0x8000;
+
+/** =========================================================================
+ * Types
+ * =======================================================================*/
+
+/**
+ * @typedef {Object} Attachment
+ * @property {number} id
+ * @property {number} costId - Id of the cost the file belongs to.
+ * @property {string} name - Original file name.
+ * @property {string} type - MIME type (an image type or application/pdf).
+ * @property {number} size - Bytes.
+ * @property {Blob} blob - File content.
+ * @property {string} addedAt - ISO timestamp.
+ */
+
+/**
+ * @typedef {Object} BackupAttachment
+ * @property {number} costId - Id of the cost in the backup.
+ * @property {string} name
+ * @property {string} type
+ * @property {string} addedAt
+ * @property {string} data - Base64 file content.
+ */
+
+/**
+ * @typedef {Object} DecodedAttachment
+ * @property {number} costId - Id of the cost in the backup.
+ * @property {string} name
+ * @property {string} type
+ * @property {number} size
+ * @property {Blob} blob
+ * @property {string} addedAt
+ */
+
+/** =========================================================================
+ * Helpers
+ * =======================================================================*/
+
+/**
+ * Whether a MIME type can be attached.
+ * @param {string} type
+ * @returns {boolean}
+ */
+export function isAttachmentType(type) {
+    return type === PDF_TYPE || String(type ?? '').startsWith('image/');
+}
+
+/**
+ * Whether an attachment is an image, so it can be previewed inline.
+ * @param {{ type:string }} attachment
+ * @returns {boolean}
+ */
+export function isImageAttachment(attachment) {
+    return attachment.type.startsWith('image/');
+}
+
+/**
+ * Encode a Blob as base64.
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+async function blobToBase64(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += BASE64_CHUNK) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + BASE64_CHUNK));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decode base64 into a Blob.
+ * @param {string} data
+ * @param {string} type - MIME type.
+ * @returns {Blob}
+ */
+function base64ToBlob(data, type) {
+    const binary = atob(data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i += 1) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type });
+}
+
+/** =========================================================================
+ * Storage
+ * =======================================================================*/
+
+/**
+ * Attach files to a cost in one transaction: either all are stored or none.
+ * @param {number} costId
+ * @param {File[]} files - Images or PDFs, each at most MAX_ATTACHMENT_BYTES.
+ * @returns {Promise<number>} Number of stored files.
+ * @throws {Error} If a file has another type or is too large.
+ */
+export async function addAttachments(costId, files) {
+    files.forEach((f) => {
+        if (!isAttachmentType(f.type)) {
+            throw new Error(`Only images and PDFs can be attached: ${f.name}`);
+        }
+        if (f.size > MAX_ATTACHMENT_BYTES) {
+            throw new Error(`File is larger than ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB: ${f.name}`);
+        }
+    });
+    if (files.length === 0) return 0;
+
+    const addedAt = new Date().toISOString();
+    const db = await openCostsDB();
+    const tx = db.transaction(ATTACHMENTS_STORE, 'readwrite');
+    const store = tx.objectStore(ATTACHMENTS_STORE);
+    files.forEach((f) => store.add({ costId, name: f.name, type: f.type, size: f.size, blob: f, addedAt }));
+    await whenDone(tx);
+    return files.length;
+}
+
+/**
+ * Get the attachments of a cost, oldest first.
+ * @param {number} costId
+ * @returns {Promise<Attachment[]>}
+ */
+export async function getAttachments(costId) {
+    const db = await openCostsDB();
+    const tx = db.transaction(ATTACHMENTS_STORE, 'readonly');
+    return promisify(tx.objectStore(ATTACHMENTS_STORE).index('costId').getAll(costId));
+}
+
+/**
+ * Count attachments per cost from the `costId` index keys, without reading any file.
+ * @returns {Promise<Record<number, number>>} Cost id → number of attachments (costs without any are absent).
+ */
+export async function getAttachmentCounts() {
+    const db = await openCostsDB();
+    const index = db.transaction(ATTACHMENTS_STORE, 'readonly').objectStore(ATTACHMENTS_STORE).index('costId');
+
+    return new Promise((resolve, reject) => {
+        const counts = {};
+        const request = index.openKeyCursor();
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve(counts);
+                return;
+            }
+            counts[cursor.key] = (counts[cursor.key] ?? 0) + 1;
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Delete one attachment.
+ * @param {number} id - Attachment id.
+ * @returns {Promise<void>}
+ */
+export async function deleteAttachment(id) {
+    const db = await openCostsDB();
+    const tx = db.transaction(ATTACHMENTS_STORE, 'readwrite');
+    tx.objectStore(ATTACHMENTS_STORE).delete(id);
+    await whenDone(tx);
+}
+
+/** =========================================================================
+ * Backup
+ * =======================================================================*/
+
+/**
+ * Get every attachment with its file encoded as base64, for a JSON backup.
+ * @returns {Promise<BackupAttachment[]>}
+ */
+export async function exportAttachments() {
+    const db = await openCostsDB();
+    const tx = db.transaction(ATTACHMENTS_STORE, 'readonly');
+    const all = await promisify(tx.objectStore(ATTACHMENTS_STORE).getAll());
+    return Promise.all(all.map(async ({ costId, name, type, addedAt, blob }) => ({
+        costId,
+        name,
+        type,
+        addedAt,
+        data: await blobToBase64(blob)
+    })));
+}
+
+/**
+ * Decode one backup attachment, so a backup can be checked completely before anything is restored.
+ * @param {BackupAttachment} attachment
+ * @returns {DecodedAttachment}
+ * @throws {Error} If the file type cannot be attached or the data is not valid base64.
+ */
+export function decodeBackupAttachment(attachment) {
+    if (!isAttachmentType(attachment?.type)) {
+        throw new Error(`Only images and PDFs can be attached: ${attachment?.name}`);
+    }
+    if (typeof attachment.data !== 'string') {
+        throw new Error(`Attachment has no data: ${attachment.name}`);
+    }
+    let blob;
+    try {
+        blob = base64ToBlob(attachment.data, attachment.type);
+    } catch (err) {
+        throw new Error(`Attachment data is not valid base64: ${attachment.name}`);
+    }
+    return {
+        costId: attachment.costId,
+        name: String(attachment.name ?? ''),
+        type: attachment.type,
+        size: blob.size,
+        blob,
+        addedAt: attachment.addedAt ?? new Date().toISOString()
+    };
+}
+
+/**
+ * Restore decoded backup attachments, re-linked to the restored costs.
+ * Attachments of costs that were not written (e.g. skipped duplicates in a merge) are skipped.
+ * Replacing needs no clearing here: restoreCosts clears every attachment with the costs.
+ * @param {DecodedAttachment[]} attachments - From decodeBackupAttachment.
+ * @param {Record<number, number>} ids - Stored cost id by backup cost id, from restoreCosts.
+ * @param {IDBTransaction|null} [tx=null] - Readwrite transaction to join (see restoreBackup); the caller waits for it to commit.
+ * @returns {Promise<number>} Number of stored attachments.
+ */
+export async function restoreAttachments(attachments, ids, tx = null) {
+    const records = attachments
+        .filter((a) => ids[a.costId] !== undefined)
+        .map((a) => ({ ...a, costId: ids[a.costId] }));
+    if (records.length === 0) return 0;
+
+    const active = tx ?? (await openCostsDB()).transaction(ATTACHMENTS_STORE, 'readwrite');
+    const store = active.objectStore(ATTACHMENTS_STORE);
+    records.forEach((r) => store.add(r));
+    if (!tx) await whenDone(active);
+    return records.length;
+}
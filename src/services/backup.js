@@ -0,0 +1,218 @@
+/** /src/services/backup.js
+ * Project: Cost Manager Front End
+ * File: src/services/backup.js
+ * Description: Versioned JSON backup and restore of all cost records, receipt attachments, categories, budgets, recurring costs, people, and settings.
+ * Updated: 2026-10-19
+ */
+
+import {
+    openCostsDB,
+    getAllCosts,
+    restoreCosts,
+    buildCostItem,
+    COSTS_STORE,
+    CATEGORIES_STORE,
+    BUDGETS_STORE,
+    RECURRING_STORE,
+    ATTACHMENTS_STORE,
+    PEOPLE_STORE
+} from './idb';
+import { exportSettings, importSettings } from './settings';
+import { downloadBlob } from './download';
+import { getCategories, restoreCategories } from './categories';
+import { getBudgets, restoreBudgets } from './budgets';
+import { getRecurring, restoreRecurring } from './recurring';
+import { exportAttachments, restoreAttachments, decodeBackupAttachment } from './attachments';
+import { getPeople, restorePeople } from './people';
+import { whenDone } from './utils';
+
+/** =========================================================================
+ * Configurable constants
+ * =======================================================================*/
+
+const BACKUP_FORMAT = 'cost-manager-backup';
+const BACKUP_VERSION = 1;
+const JSON_MIME = 'application/json';
+const ERR_NOT_BACKUP = 'Not a Cost Manager backup file';
+const RESTORE_STORES = [CATEGORIES_STORE, BUDGETS_STORE, RECURRING_STORE, PEOPLE_STORE, COSTS_STORE, ATTACHMENTS_STORE];
+
+/** =========================================================================
+ * Types
+ * =======================================================================*/
+
+/**
+ * @typedef {Object} Backup
+ * @property {string} format - Always 'cost-manager-backup'.
+ * @property {number} version - Backup file format version.
+ * @property {string} createdAt - ISO timestamp.
+ * @property {{ costs:Array<{ id:number, sum:number, currency:string, category:string, description:string, date:string }>, categories:Array<{ name:string, color:string, icon:string, archived:boolean, parent:string|null }>, budgets:Array<{ category:string, amount:number, currency:string }>, recurring:Array<Object>, attachments:Array<import('./attachments').BackupAttachment>, people:Array<{ name:string }> }} data - Stored records. `categories`, `budgets`, `recurring`, `attachments`, and `people` are absent in older backups.
+ * @property {Record<string, string>} settings - Stored preferences.
+ */
+
+/** =========================================================================
+ * Service Functions
+ * =======================================================================*/
+
+/**
+ * Build a backup of all cost records, attachments, categories, budgets, recurring templates, people, and settings.
+ * Dates are written as ISO strings and attachment files as base64.
+ * @async
+ * @returns {Promise<Backup>}
+ */
+export async function createBackup() {
+    const costs = await getAllCosts();
+    const categories = await getCategories();
+    const budgets = await getBudgets();
+    const recurring = await getRecurring();
+    const attachments = await exportAttachments();
+    const people = await getPeople();
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        createdAt: new Date().toISOString(),
+        data: {
+            costs: costs.map((c) => ({ ...c, date: new Date(c.date).toISOString() })),
+            categories: categories.map(({ name, color, icon, archived, parentId }) => ({
+                name,
+                color,
+                icon,
+                archived,
+                parent: categories.find((p) => p.id === parentId)?.name ?? null
+            })),
+            budgets,
+            recurring,
+            attachments,
+            people
+        },
+        settings: exportSettings()
+    };
+}
+
+/**
+ * Create a backup and offer it as a JSON file download.
+ * @async
+ * @returns {Promise<{ costs:number, attachments:number }>} Counts of what was written.
+ */
+export async function downloadBackup() {
+    const backup = await createBackup();
+    const filename = `cost-manager-backup-${backup.createdAt.slice(0, 10)}.json`;
+    downloadBlob(filename, new Blob([JSON.stringify(backup, null, 2)], { type: JSON_MIME }));
+    return { costs: backup.data.costs.length, attachments: backup.data.attachments.length };
+}
+
+/**
+ * Parse and validate backup file text.
+ * Every cost is built as it will be stored and every attachment is decoded here, so a restore
+ * never stops halfway through on a bad record.
+ * @param {string} text - File content.
+ * @returns {Backup} The validated backup; `data.attachments` holds decoded attachments
+ *   (see decodeBackupAttachment) instead of base64.
+ * @throws {Error} If the file is not valid JSON, not a backup, from a newer version, or holds invalid records.
+ */
+export function parseBackup(text) {
+    let backup;
+    try {
+        backup = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`${ERR_NOT_BACKUP}: invalid JSON`);
+    }
+
+    if (!backup || backup.format !== BACKUP_FORMAT) {
+        throw new Error(ERR_NOT_BACKUP);
+    }
+    if (!Number.isInteger(backup.version) || backup.version > BACKUP_VERSION) {
+        throw new Error(`Unsupported backup version: ${backup.version}`);
+    }
+    if (!Array.isArray(backup.data?.costs)) {
+        throw new Error(`${ERR_NOT_BACKUP}: missing costs`);
+    }
+    const categories = backup.data.categories ?? [];
+    if (!Array.isArray(categories) || categories.some((c) => !c || typeof c.name !== 'string')) {
+        throw new Error(`${ERR_NOT_BACKUP}: invalid categories`);
+    }
+    const budgets = backup.data.budgets ?? [];
+    const recurring = backup.data.recurring ?? [];
+    if (!Array.isArray(budgets) || !Array.isArray(recurring)) {
+        throw new Error(`${ERR_NOT_BACKUP}: invalid budgets or recurring costs`);
+    }
+    const attachments = backup.data.attachments ?? [];
+    if (!Array.isArray(attachments)) {
+        throw new Error(`${ERR_NOT_BACKUP}: invalid attachments`);
+    }
+    const people = backup.data.people ?? [];
+    if (!Array.isArray(people)) {
+        throw new Error(`${ERR_NOT_BACKUP}: invalid people`);
+    }
+
+    backup.data.costs.forEach((c, i) => {
+        const valid = c &&
+            typeof c.sum === 'number' && Number.isFinite(c.sum) &&
+            typeof c.currency === 'string' &&
+            typeof c.category === 'string' &&
+            typeof c.description === 'string' &&
+            !Number.isNaN(new Date(c.date).getTime());
+        if (!valid) {
+            throw new Error(`Invalid cost record at index ${i}`);
+        }
+        try {
+            buildCostItem(c);
+        } catch (err) {
+            throw new Error(`Invalid cost record at index ${i}: ${err.message}`);
+        }
+    });
+    const decoded = attachments.map((a, i) => {
+        try {
+            return decodeBackupAttachment(a);
+        } catch (err) {
+            throw new Error(`Invalid attachment at index ${i}: ${err.message}`);
+        }
+    });
+
+    return {
+        ...backup,
+        data: { ...backup.data, categories, budgets, recurring, attachments: decoded, people },
+        settings: backup.settings ?? {}
+    };
+}
+
+/**
+ * Restore a validated backup.
+ * Every category used by a restored cost or recurring template is created if the backup does not define it.
+ * Attachments follow their costs, so those of duplicates skipped in a merge are skipped too.
+ * Every person who paid for or shares a restored cost is created if the backup does not list them.
+ * Every store is written in one transaction, so a restore that fails partway (e.g. on a storage error)
+ * rolls back and leaves the existing data untouched. Settings are applied only once it has committed.
+ * @async
+ * @param {Backup} backup - Result of parseBackup.
+ * @param {'replace'|'merge'} mode - Replace all data, or merge and skip duplicates.
+ * @returns {Promise<{ added:number, skipped:number, attachments:number, settings:number }>} Restore counts.
+ */
+export async function restoreBackup(backup, mode) {
+    const usedNames = [...backup.data.costs, ...backup.data.recurring].map((c) => ({ name: c.category }));
+    const sharers = backup.data.costs.flatMap((c) => buildCostItem(c).shared?.people ?? []).map((name) => ({ name }));
+
+    const db = await openCostsDB();
+    const tx = db.transaction(RESTORE_STORES, 'readwrite');
+    const done = whenDone(tx);
+    let counts;
+    try {
+        await restoreCategories([...backup.data.categories, ...usedNames], mode, tx);
+        await restoreBudgets(backup.data.budgets, mode, tx);
+        await restoreRecurring(backup.data.recurring, mode, tx);
+        await restorePeople([...backup.data.people, ...sharers], mode, tx);
+        const { added, skipped, ids } = await restoreCosts(backup.data.costs, mode, tx);
+        const attachments = await restoreAttachments(backup.data.attachments, ids, tx);
+        counts = { added, skipped, attachments };
+    } catch (err) {
+        try {
+            tx.abort();
+        } catch (abortErr) {
+            // Already aborted by the failed request
+        }
+        await done.catch(() => {});
+        throw err;
+    }
+    await done;
+    const settings = importSettings(backup.settings);
+    return { ...counts, settings };
+}
@@ -0,0 +1,171 @@
+/** /src/services/backup.test.js
+ * Project: Cost Manager Front End
+ * File: src/services/backup.test.js
+ * Description: Tests for backup validation and for restoring in replace and merge modes.
+ * Updated: 2026-10-19
+ */
+
+import { IDBFactory } from 'fake-indexeddb';
+import { addCost, getAllCosts } from './idb';
+import { getAttachments } from './attachments';
+import { getPeople } from './people';
+import { getCategories } from './categories';
+import { createBackup, parseBackup, restoreBackup } from './backup';
+
+/** =========================================================================
+ * Helpers
+ * =======================================================================*/
+
+const PNG_BASE64 = btoa('png-bytes');
+
+/**
+ * Backup file text holding the given records.
+ * @param {Object} data - Backup `data` section.
+ * @param {Object} [overrides] - Top-level fields to change.
+ * @returns {string}
+ */
+function backupText(data, overrides = {}) {
+    return JSON.stringify({ format: 'cost-manager-backup', version: 1, createdAt: '2025-01-01T00:00:00.000Z', data, ...overrides });
+}
+
+/**
+ * A backup cost record.
+ * @param {number} id - Id in the backup.
+ * @param {Object} [fields] - Fields to change.
+ * @returns {Object}
+ */
+function cost(id, fields = {}) {
+    return {
+        id,
+        sum: 10 * id,
+        currency: 'USD',
+        category: 'Food',
+        description: `Cost ${id}`,
+        date: `2025-01-0${id}T12:00:00.000Z`,
+        tags: [],
+        ...fields
+    };
+}
+
+beforeEach(() => {
+    global.indexedDB = new IDBFactory();
+});
+
+/** =========================================================================
+ * Tests
+ * =======================================================================*/
+
+describe('parseBackup', () => {
+    test.each([
+        ['invalid JSON', '{', 'invalid JSON'],
+        ['another file', JSON.stringify({ format: 'other' }), 'Not a Cost Manager backup'],
+        ['a newer version', backupText({ costs: [] }, { version: 2 }), 'Unsupported backup version'],
+        ['missing costs', backupText({}), 'missing costs'],
+        ['a cost without a sum', backupText({ costs: [cost(1, { sum: 'x' })] }), 'index 0'],
+        [
+            'split lines that do not add up',
+            backupText({ costs: [cost(1, { splits: [{ category: 'Food', sum: 1 }, { category: 'Health', sum: 1 }] })] }),
+            'add up'
+        ],
+        [
+            'invalid sharing',
+            backupText({ costs: [cost(1, { shared: { paidBy: 'Ann', mode: 'percent', shares: [{ person: 'Bob', value: 10 }] } })] }),
+            '100'
+        ],
+        [
+            'an attachment that is not base64',
+            backupText({ costs: [cost(1)], attachments: [{ costId: 1, name: 'r.png', type: 'image/png', data: '***' }] }),
+            'base64'
+        ],
+        [
+            'an attachment of another type',
+            backupText({ costs: [cost(1)], attachments: [{ costId: 1, name: 'r.exe', type: 'application/x-msdownload', data: PNG_BASE64 }] }),
+            'images and PDFs'
+        ]
+    ])('rejects %s', (_, text, message) => {
+        expect(() => parseBackup(text)).toThrow(message);
+    });
+
+    test('defaults missing sections and decodes attachments', () => {
+        const backup = parseBackup(backupText({
+            costs: [cost(1)],
+            attachments: [{ costId: 1, name: 'r.png', type: 'image/png', addedAt: '2025-01-02T00:00:00.000Z', data: PNG_BASE64 }]
+        }));
+        expect(backup.data.categories).toEqual([]);
+        expect(backup.data.people).toEqual([]);
+        expect(backup.settings).toEqual({});
+        expect(backup.data.attachments).toEqual([
+            expect.objectContaining({ costId: 1, name: 'r.png', type: 'image/png', size: 9, blob: expect.any(Blob) })
+        ]);
+    });
+
+    test('a rejected backup leaves stored costs untouched', async () => {
+        await addCost({ sum: 5, currency: 'USD', category: 'Food', description: 'Kept', date: new Date(2025, 0, 1) });
+        const bad = backupText({ costs: [cost(1)], attachments: [{ costId: 1, name: 'r.png', type: 'image/png', data: '***' }] });
+
+        expect(() => parseBackup(bad)).toThrow();
+        expect((await getAllCosts()).map((c) => c.description)).toEqual(['Kept']);
+    });
+});
+
+describe('restoreBackup', () => {
+    const attachmentsOf = (costId) => ({ costId, name: `receipt-${costId}.png`, type: 'image/png', data: PNG_BASE64 });
+
+    test('replace keeps backup ids and relinks attachments', async () => {
+        await addCost({ sum: 5, currency: 'USD', category: 'Food', description: 'Replaced', date: new Date(2025, 0, 1) });
+        const backup = parseBackup(backupText({
+            costs: [cost(7), cost(9, { shared: { paidBy: 'Ann', mode: 'equal', shares: [{ person: 'Bob' }] } })],
+            attachments: [attachmentsOf(9)]
+        }));
+
+        const result = await restoreBackup(backup, 'replace');
+
+        expect(result).toEqual({ added: 2, skipped: 0, attachments: 1, settings: 0 });
+        expect((await getAllCosts()).map((c) => [c.id, c.description])).toEqual([[7, 'Cost 7'], [9, 'Cost 9']]);
+        expect((await getAttachments(9)).map((a) => a.name)).toEqual(['receipt-9.png']);
+        expect((await getPeople()).map((p) => p.name)).toEqual(['Ann', 'Bob']);
+    });
+
+    test('merge skips duplicates with their attachments and remaps ids', async () => {
+        const existing = await addCost({ ...cost(1), date: new Date(cost(1).date) });
+        const backup = parseBackup(backupText({
+            costs: [cost(1, { id: 50 }), cost(2, { id: 51 })],
+            attachments: [attachmentsOf(50), attachmentsOf(51)]
+        }));
+
+        const result = await restoreBackup(backup, 'merge');
+
+        expect(result).toMatchObject({ added: 1, skipped: 1, attachments: 1 });
+        const stored = await getAllCosts();
+        expect(stored).toHaveLength(2);
+        const added = stored.find((c) => c.description === 'Cost 2');
+        expect(added.id).not.toBe(51);
+        expect(await getAttachments(existing.id)).toEqual([]);
+        expect((await getAttachments(added.id)).map((a) => a.name)).toEqual(['receipt-51.png']);
+    });
+
+    test('a restore that fails partway leaves the existing data untouched', async () => {
+        await addCost({ sum: 5, currency: 'USD', category: 'Food', description: 'Kept', date: new Date(2025, 0, 1) });
+        const categories = await getCategories();
+        // Two costs for the same recurring occurrence break the unique costs.recurrence index
+        const clash = { recurringId: 1, occurrence: '2025-01-01' };
+        const backup = parseBackup(backupText({ costs: [cost(1, clash), cost(2, clash)], categories: [{ name: 'Pets' }] }));
+
+        await expect(restoreBackup(backup, 'replace')).rejects.toThrow();
+
+        expect((await getAllCosts()).map((c) => c.description)).toEqual(['Kept']);
+        expect(await getCategories()).toEqual(categories);
+    });
+
+    test('a created backup restores into an empty database', async () => {
+        await addCost({ sum: 12.5, currency: 'EUR', category: 'Food', description: 'Pizza', date: new Date(2025, 0, 3), tags: ['team'] });
+        const text = JSON.stringify(await createBackup());
+        global.indexedDB = new IDBFactory();
+
+        await restoreBackup(parseBackup(text), 'replace');
+
+        const [pizza] = await getAllCosts();
+        expect(pizza).toMatchObject({ sum: 12.5, currency: 'EUR', description: 'Pizza', tags: ['team'] });
+        expect(pizza.date).toBeInstanceOf(Date);
+    });
+});
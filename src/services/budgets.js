@@ -0,0 +1,201 @@
+/** /src/services/budgets.js
+ * Project: Cost Manager Front End
+ * File: src/services/budgets.js
+ * Description: Monthly budgets per category (or overall) and budget-vs-actual status built on getReport totals.
+ * Updated: 2026-10-19
+ */
+
+import { openCostsDB, getReport, getCostLines, buildRollupMap, BUDGETS_STORE } from './idb';
+import { getCategories } from './categories';
+import { convertCost, findMissingRate } from './exchange';
+import { normalizeCurrencyCode, isIsoCurrency } from './currencies';
+import { promisify, whenDone, round2 } from './utils';
+
+/** =========================================================================
+ * Configurable constants
+ * =======================================================================*/
+
+/** @constant {string} OVERALL_BUDGET - Budget key for all costs (category names are never empty) */
+export const OVERALL_BUDGET = '';
+/** @constant {string} OVERALL_LABEL - Display name of the overall budget */
+export const OVERALL_LABEL = 'All costs';
+/** @constant {number} WARNING_RATIO - Spent share from which a budget is shown as nearly used up */
+export const WARNING_RATIO = 0.8;
+
+/** =========================================================================
+ * Types
+ * =======================================================================*/
+
+/**
+ * @typedef {Object} Budget
+ * @property {string} category - Category name, or OVERALL_BUDGET.
+ * @property {number} amount - Monthly limit, > 0.
+ * @property {string} currency - ISO 4217 code the limit is set in.
+ */
+
+/**
+ * @typedef {Object} BudgetStatus
+ * @property {string} category
+ * @property {number} amount
+ * @property {string} currency
+ * @property {number} actual - Month's costs converted to the budget currency. A top-level category includes its subcategories.
+ * @property {number} remaining - amount - actual (negative when over budget).
+ * @property {number} ratio - actual / amount.
+ * @property {import('./exchange').Unconverted} unconverted - The month's costs left out of `actual` for lack of a rate.
+ */
+
+/** =========================================================================
+ * Helpers
+ * =======================================================================*/
+
+/**
+ * Display name of a budget.
+ * @param {{ category:string }} budget
+ * @returns {string}
+ */
+export function getBudgetLabel(budget) {
+    return budget.category === OVERALL_BUDGET ? OVERALL_LABEL : budget.category;
+}
+
+/** =========================================================================
+ * Storage
+ * =======================================================================*/
+
+/**
+ * Get all budgets, the overall budget first, then by category name.
+ * @returns {Promise<Budget[]>}
+ */
+export async function getBudgets() {
+    const db = await openCostsDB();
+    const tx = db.transaction(BUDGETS_STORE, 'readonly');
+    const all = await promisify(tx.objectStore(BUDGETS_STORE).getAll());
+    return all.sort((a, b) => a.category.localeCompare(b.category));
+}
+
+/**
+ * Create or replace the budget of a category.
+ * @param {Budget} budget
+ * @returns {Promise<Budget>} The stored budget.
+ * @throws {Error} If the amount is not positive or the currency is not an ISO 4217 code.
+ */
+export async function setBudget(budget) {
+    const amount = Number(budget.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+        throw new Error('Budget must be a positive amount');
+    }
+    const currency = normalizeCurrencyCode(budget.currency);
+    if (!isIsoCurrency(currency)) {
+        throw new Error(`Unknown ISO 4217 currency: ${budget.currency}`);
+    }
+    const item = { category: String(budget.category ?? OVERALL_BUDGET), amount, currency };
+
+    const db = await openCostsDB();
+    const tx = db.transaction(BUDGETS_STORE, 'readwrite');
+    await promisify(tx.objectStore(BUDGETS_STORE).put(item));
+    return item;
+}
+
+/**
+ * Remove the budget of a category.
+ * @param {string} category - Category name, or OVERALL_BUDGET.
+ * @returns {Promise<void>}
+ */
+export async function deleteBudget(category) {
+    const db = await openCostsDB();
+    const tx = db.transaction(BUDGETS_STORE, 'readwrite');
+    await promisify(tx.objectStore(BUDGETS_STORE).delete(category));
+}
+
+/**
+ * Restore budgets from a backup. Merge keeps existing budgets; replace clears the store first.
+ * @param {Budget[]} budgets
+ * @param {'replace'|'merge'} mode
+ * @param {IDBTransaction|null} [tx=null] - Readwrite transaction to join (see restoreBackup); the caller waits for it to commit.
+ * @returns {Promise<number>} Number of stored budgets.
+ */
+export async function restoreBudgets(budgets, mode, tx = null) {
+    const active = tx ?? (await openCostsDB()).transaction(BUDGETS_STORE, 'readwrite');
+    const store = active.objectStore(BUDGETS_STORE);
+
+    if (mode === 'replace') {
+        store.clear();
+    }
+    const existing = new Set(mode === 'replace' ? [] : await promisify(store.getAllKeys()));
+    const valid = budgets.filter((b) =>
+        typeof b?.category === 'string' && !existing.has(b.category) &&
+        Number(b.amount) > 0 && typeof b.currency === 'string');
+    valid.forEach((b) => store.put({ category: b.category, amount: Number(b.amount), currency: b.currency }));
+    if (!tx) await whenDone(active);
+    return valid.length;
+}
+
+/** =========================================================================
+ * Budget vs. actual
+ * =======================================================================*/
+
+/**
+ * Compare every budget with the month's converted costs.
+ * Actuals come from getReport totals in each budget's currency: a top-level category uses the
+ * rolled-up total (its own costs plus its subcategories), a subcategory its own total.
+ * Costs that cannot be converted to a budget's currency are left out of its actual and counted in `unconverted`.
+ * @param {number} year - Full year.
+ * @param {number} month - Month 1–12.
+ * @param {Record<string, number>} rates - Current exchange rates (USD base).
+ * @returns {Promise<BudgetStatus[]>}
+ */
+export async function getBudgetStatus(year, month, rates) {
+    const budgets = await getBudgets();
+    const currencies = Array.from(new Set(budgets.map((b) => b.currency)));
+
+    const totals = {};
+    for (const currency of currencies) {
+        const leaf = await getReport(year, month, currency, rates, 'current', 'leaf');
+        const parent = await getReport(year, month, currency, rates, 'current', 'parent');
+        const byCategory = {};
+        [...leaf.categoryTotals, ...parent.categoryTotals].forEach((t) => {
+            byCategory[t.category] = t.total;
+        });
+        totals[currency] = { overall: leaf.total.total, byCategory, unconverted: leaf.unconverted };
+    }
+
+    return budgets.map((b) => {
+        const { overall, byCategory, unconverted } = totals[b.currency];
+        const actual = b.category === OVERALL_BUDGET ? overall : byCategory[b.category] ?? 0;
+        return {
+            ...b,
+            actual,
+            remaining: round2(b.amount - actual),
+            ratio: actual / b.amount,
+            unconverted
+        };
+    });
+}
+
+/**
+ * Budgets that a just-added cost pushed over their limit (under or at the limit before, over after).
+ * Checks the cost's category, its top-level category, and the overall budget for the cost's month;
+ * for a split cost, every line's category and top-level category, counting only that line's share.
+ * @param {{ sum:number, currency:string, category:string, date:Date, splits?:Array<{ category:string, sum:number }> }} cost - The stored cost.
+ * @param {Record<string, number>} rates - Current exchange rates (USD base).
+ * @returns {Promise<BudgetStatus[]>}
+ */
+export async function findExceededBudgets(cost, rates) {
+    const date = new Date(cost.date);
+    const rollup = buildRollupMap(await getCategories());
+    // Share of the cost (in its own currency) that counts toward each budget key
+    const shares = { [OVERALL_BUDGET]: cost.sum };
+    getCostLines(cost).forEach((line) => {
+        new Set([line.category, rollup[line.category] ?? line.category]).forEach((key) => {
+            shares[key] = (shares[key] ?? 0) + line.sum;
+        });
+    });
+
+    const statuses = await getBudgetStatus(date.getFullYear(), date.getMonth() + 1, rates);
+    return statuses.filter((s) => {
+        if (shares[s.category] === undefined || s.actual <= s.amount) return false;
+        // Without a rate the cost is not part of `actual`, so it cannot have pushed the budget over
+        if (findMissingRate(cost, s.currency, rates)) return false;
+        const before = s.actual - convertCost({ ...cost, sum: shares[s.category] }, s.currency, rates);
+        return before <= s.amount;
+    });
+}
@@ -0,0 +1,111 @@
+/** /src/services/budgets.test.js
+ * Project: Cost Manager Front End
+ * File: src/services/budgets.test.js
+ * Description: Tests for budget-vs-actual status and for detecting budgets a new cost pushed over their limit.
+ * Updated: 2026-10-19
+ */
+
+import { IDBFactory } from 'fake-indexeddb';
+import { addCost } from './idb';
+import { addCategory, getCategories } from './categories';
+import { setBudget, getBudgetStatus, findExceededBudgets, OVERALL_BUDGET } from './budgets';
+
+/** =========================================================================
+ * Helpers
+ * =======================================================================*/
+
+const RATES = { USD: 1, EUR: 0.5 };
+const ALL_CONVERTED = { count: 0, currencies: [] };
+
+/**
+ * Store a March 2025 cost.
+ * @param {string} category
+ * @param {number} sum
+ * @param {Object} [fields] - Fields to change.
+ * @returns {Promise<Object>} The stored cost.
+ */
+function spend(category, sum, fields = {}) {
+    return addCost({ sum, currency: 'USD', category, description: category, date: new Date(2025, 2, 10), ...fields });
+}
+
+beforeEach(async () => {
+    global.indexedDB = new IDBFactory();
+    const food = (await getCategories()).find((c) => c.name === 'Food');
+    await addCategory({ name: 'Groceries', parentId: food.id });
+});
+
+/** =========================================================================
+ * Tests
+ * =======================================================================*/
+
+describe('getBudgetStatus', () => {
+    test('rolls subcategories into their top-level category and converts to each budget currency', async () => {
+        await setBudget({ category: OVERALL_BUDGET, amount: 100, currency: 'USD' });
+        await setBudget({ category: 'Food', amount: 50, currency: 'EUR' });
+        await setBudget({ category: 'Groceries', amount: 30, currency: 'USD' });
+        await spend('Groceries', 20);
+        await spend('Food', 10);
+        await spend('Health', 40, { currency: 'EUR' });
+        await spend('Food', 500, { date: new Date(2025, 1, 28) });
+
+        const statuses = await getBudgetStatus(2025, 3, RATES);
+
+        expect(statuses).toEqual([
+            { category: OVERALL_BUDGET, amount: 100, currency: 'USD', actual: 110, remaining: -10, ratio: 1.1, unconverted: ALL_CONVERTED },
+            { category: 'Food', amount: 50, currency: 'EUR', actual: 15, remaining: 35, ratio: 0.3, unconverted: ALL_CONVERTED },
+            { category: 'Groceries', amount: 30, currency: 'USD', actual: 20, remaining: 10, ratio: 20 / 30, unconverted: ALL_CONVERTED }
+        ]);
+    });
+
+    test('leaves costs without a rate out of the actual and counts them', async () => {
+        await setBudget({ category: 'Food', amount: 50, currency: 'USD' });
+        await spend('Food', 10);
+        await spend('Food', 99, { currency: 'ILS' });
+
+        expect(await getBudgetStatus(2025, 3, RATES)).toEqual([expect.objectContaining({
+            actual: 10, unconverted: { count: 1, currencies: ['ILS'] }
+        })]);
+    });
+
+    test('a budget without costs has nothing spent', async () => {
+        await setBudget({ category: 'Travel', amount: 40, currency: 'USD' });
+
+        expect(await getBudgetStatus(2025, 3, RATES)).toEqual([
+            { category: 'Travel', amount: 40, currency: 'USD', actual: 0, remaining: 40, ratio: 0, unconverted: ALL_CONVERTED }
+        ]);
+    });
+});
+
+describe('findExceededBudgets', () => {
+    test('reports budgets the cost pushed over, including its top-level category', async () => {
+        await setBudget({ category: OVERALL_BUDGET, amount: 1000, currency: 'USD' });
+        await setBudget({ category: 'Food', amount: 25, currency: 'USD' });
+        await setBudget({ category: 'Groceries', amount: 15, currency: 'USD' });
+        await spend('Food', 10);
+
+        const cost = await spend('Groceries', 20);
+
+        expect((await findExceededBudgets(cost, RATES)).map((s) => s.category)).toEqual(['Food', 'Groceries']);
+    });
+
+    test('ignores budgets that were already over before the cost', async () => {
+        await setBudget({ category: 'Groceries', amount: 15, currency: 'USD' });
+        await spend('Groceries', 20);
+
+        const cost = await spend('Groceries', 5);
+
+        expect(await findExceededBudgets(cost, RATES)).toEqual([]);
+    });
+
+    test('counts only each split line toward its category', async () => {
+        await setBudget({ category: 'Food', amount: 12, currency: 'USD' });
+        await setBudget({ category: 'Health', amount: 8, currency: 'EUR' });
+        await spend('Food', 13);
+
+        const cost = await spend('Food', 21, { splits: [{ category: 'Food', sum: 1 }, { category: 'Health', sum: 20 }] });
+
+        expect(await findExceededBudgets(cost, RATES)).toEqual([
+            expect.objectContaining({ category: 'Health', actual: 10 })
+        ]);
+    });
+});
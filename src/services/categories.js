@@ -0,0 +1,449 @@
+/** /src/services/categories.js
+ * Project: Cost Manager Front End
+ * File: src/services/categories.js
+ * Description: User-defined categories (name, color, icon, archived, optional parent) with rename and merge that rewrite cost records.
+ * Updated: 2026-10-19
+ */
+
+import { openCostsDB, COSTS_STORE, CATEGORIES_STORE, BUDGETS_STORE, RECURRING_STORE } from './idb';
+import { promisify, whenDone } from './utils';
+
+/** =========================================================================
+ * Configurable constants
+ * =======================================================================*/
+
+/** @constant {string} DEFAULT_COLOR - Color for new categories and unknown names */
+export const DEFAULT_COLOR = '#9e9e9e';
+/** @constant {string} DEFAULT_ICON - Icon key for new categories */
+export const DEFAULT_ICON = 'category';
+const ERR_NAME_REQUIRED = 'Category name is required';
+const ERR_HAS_CHILDREN = 'Move or merge its subcategories first';
+
+/** @constant {Array<{value:'parent'|'leaf', label:string}>} CATEGORY_LEVELS - Aggregation levels for reports and charts */
+export const CATEGORY_LEVELS = [
+    { value: 'parent', label: 'Categories' },
+    { value: 'leaf', label: 'Subcategories' }
+];
+/** @constant {string} PATH_SEPARATOR - Between parent and child names in labels */
+export const PATH_SEPARATOR = ' > ';
+
+/** =========================================================================
+ * Types
+ * =======================================================================*/
+
+/**
+ * @typedef {Object} Category
+ * @property {number} id
+ * @property {string} name - Unique name, stored on each cost record.
+ * @property {string} color - CSS color used by charts.
+ * @property {string} icon - Icon key (see components/CategoryIcon).
+ * @property {boolean} archived - Hidden from pickers, kept for existing costs.
+ * @property {number|null} parentId - Top-level category this one belongs to, or null. Only one level of nesting.
+ */
+
+/** =========================================================================
+ * Helpers
+ * =======================================================================*/
+
+/**
+ * Trim and validate a category name.
+ * @param {string} name
+ * @returns {string}
+ * @throws {Error} If the name is empty.
+ */
+function cleanName(name) {
+    const trimmed = String(name ?? '').trim();
+    if (!trimmed) {
+        throw new Error(ERR_NAME_REQUIRED);
+    }
+    return trimmed;
+}
+
+/**
+ * Throw if another category already uses this name (case-insensitive).
+ * @param {Category[]} all - All categories.
+ * @param {string} name - Candidate name.
+ * @param {number} [exceptId] - Category being renamed.
+ * @returns {void}
+ */
+function assertUniqueName(all, name, exceptId) {
+    const lower = name.toLowerCase();
+    if (all.some((c) => c.id !== exceptId && c.name.toLowerCase() === lower)) {
+        throw new Error(`Category already exists: ${name}`);
+    }
+}
+
+/**
+ * Throw if `parentId` cannot be the parent of category `selfId`.
+ * Parents must be top-level, and a category with subcategories cannot become one.
+ * @param {Category[]} all - All categories.
+ * @param {number|null} parentId - Candidate parent.
+ * @param {number} [selfId] - Category being moved.
+ * @returns {void}
+ */
+function assertValidParent(all, parentId, selfId) {
+    if (parentId === null) return;
+    const parent = all.find((c) => c.id === parentId);
+    if (!parent) {
+        throw new Error(`Category not found: ${parentId}`);
+    }
+    if (parentId === selfId || (parent.parentId ?? null) !== null) {
+        throw new Error(`${parent.name} cannot be a parent category`);
+    }
+    if (selfId !== undefined && all.some((c) => c.parentId === selfId)) {
+        throw new Error(ERR_HAS_CHILDREN);
+    }
+}
+
+/**
+ * Rewrite the category name on every cost using `from`, including the lines of split costs.
+ * Split costs are found through the `splitCategories` index; a split cost is rewritten by that pass only.
+ * @param {IDBObjectStore} costs - Costs store in a readwrite transaction.
+ * @param {string} from - Old name.
+ * @param {string} to - New name.
+ * @returns {Promise<number>} Number of rewritten costs.
+ */
+async function renameInCosts(costs, from, to) {
+    const rename = (name) => (name === from ? to : name);
+    const rewrite = (index, change) => new Promise((resolve, reject) => {
+        let count = 0;
+        const request = costs.index(index).openCursor(IDBKeyRange.only(from));
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve(count);
+                return;
+            }
+            const item = change(cursor.value);
+            if (item) {
+                cursor.update(item);
+                count += 1;
+            }
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+
+    const split = await rewrite('splitCategories', (item) => ({
+        ...item,
+        category: rename(item.category),
+        splits: item.splits.map((l) => ({ ...l, category: rename(l.category) })),
+        splitCategories: [...new Set(item.splitCategories.map(rename))]
+    }));
+    const plain = await rewrite('category', (item) => (item.splits ? null : { ...item, category: to }));
+    return split + plain;
+}
+
+/**
+ * Rewrite the category name on every recurring template using `from`.
+ * @param {IDBObjectStore} templates - Recurring store in a readwrite transaction.
+ * @param {string} from - Old name.
+ * @param {string} to - New name.
+ * @returns {Promise<void>}
+ */
+async function renameInTemplates(templates, from, to) {
+    const all = await promisify(templates.getAll());
+    all.filter((t) => t.category === from).forEach((t) => templates.put({ ...t, category: to }));
+}
+
+/**
+ * Move a category's budget to a new name, or drop it when `to` is null.
+ * @param {IDBObjectStore} budgets - Budgets store in a readwrite transaction.
+ * @param {string} from - Old category name.
+ * @param {string|null} to - New category name.
+ * @returns {Promise<void>}
+ */
+async function moveBudget(budgets, from, to) {
+    const budget = await promisify(budgets.get(from));
+    if (!budget) return;
+    budgets.delete(from);
+    if (to !== null) {
+        budgets.put({ ...budget, category: to });
+    }
+}
+
+/** =========================================================================
+ * Queries
+ * =======================================================================*/
+
+/**
+ * Get categories sorted by name.
+ * @param {{ includeArchived?:boolean }} [opts]
+ * @returns {Promise<Category[]>}
+ */
+export async function getCategories({ includeArchived = true } = {}) {
+    const db = await openCostsDB();
+    const tx = db.transaction(CATEGORIES_STORE, 'readonly');
+    const all = await promisify(tx.objectStore(CATEGORIES_STORE).getAll());
+    return all
+        .map((c) => ({ ...c, parentId: c.parentId ?? null }))
+        .filter((c) => includeArchived || !c.archived)
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Group categories under their parents: top-level categories in order, each with its subcategories.
+ * Subcategories whose parent is not in the list are shown as top-level.
+ * @param {Category[]} categories - Sorted categories.
+ * @returns {Array<{ category:Category, children:Category[] }>}
+ */
+export function groupCategories(categories) {
+    const ids = new Set(categories.map((c) => c.id));
+    const groups = categories
+        .filter((c) => c.parentId === null || !ids.has(c.parentId))
+        .map((category) => ({ category, children: [] }));
+    const byId = new Map(groups.map((g) => [g.category.id, g]));
+    categories.forEach((c) => {
+        byId.get(c.parentId)?.children.push(c);
+    });
+    return groups;
+}
+
+/**
+ * Names a cost can be filed under: subcategories, and top-level categories without any.
+ * @param {Category[]} categories
+ * @returns {string[]}
+ */
+export function getLeafNames(categories) {
+    return groupCategories(categories).flatMap((g) =>
+        g.children.length ? g.children.map((c) => c.name) : [g.category.name]
+    );
+}
+
+/**
+ * Display label of a category, e.g. 'Transportation > Fuel'.
+ * @param {Category} category
+ * @param {Category[]} categories - Used to look up the parent.
+ * @returns {string}
+ */
+export function getCategoryPath(category, categories) {
+    const parent = categories.find((c) => c.id === category.parentId);
+    return parent ? `${parent.name}${PATH_SEPARATOR}${category.name}` : category.name;
+}
+
+/**
+ * Map category names to colors, for charts.
+ * @param {Category[]} categories
+ * @returns {Record<string, string>}
+ */
+export function buildColorMap(categories) {
+    const map = {};
+    categories.forEach((c) => {
+        map[c.name] = c.color;
+    });
+    return map;
+}
+
+/** =========================================================================
+ * Mutations
+ * =======================================================================*/
+
+/**
+ * Create a category.
+ * @param {{ name:string, color?:string, icon?:string, parentId?:number|null }} category
+ * @returns {Promise<Category>}
+ * @throws {Error} If the name is empty or already used, or the parent is not a top-level category.
+ */
+export async function addCategory(category) {
+    const name = cleanName(category.name);
+    const db = await openCostsDB();
+    const tx = db.transaction(CATEGORIES_STORE, 'readwrite');
+    const store = tx.objectStore(CATEGORIES_STORE);
+
+    const all = await promisify(store.getAll());
+    const parentId = category.parentId ?? null;
+    assertUniqueName(all, name);
+    assertValidParent(all, parentId);
+    const item = {
+        name,
+        color: category.color || DEFAULT_COLOR,
+        icon: category.icon || DEFAULT_ICON,
+        archived: false,
+        parentId
+    };
+    const id = await promisify(store.add(item));
+    return { ...item, id };
+}
+
+/**
+ * Update a category. Renaming rewrites every cost, recurring template, and the budget that used the old name, in the same transaction.
+ * @param {number} id - Category id.
+ * @param {{ name?:string, color?:string, icon?:string, archived?:boolean, parentId?:number|null }} patch
+ * @returns {Promise<{ category:Category, renamedCosts:number }>}
+ * @throws {Error} If the category does not exist, the new name is empty or already used, or the parent is invalid.
+ */
+export async function updateCategory(id, patch) {
+    const db = await openCostsDB();
+    const tx = db.transaction([CATEGORIES_STORE, COSTS_STORE, BUDGETS_STORE, RECURRING_STORE], 'readwrite');
+    const store = tx.objectStore(CATEGORIES_STORE);
+    const done = whenDone(tx);
+
+    const all = await promisify(store.getAll());
+    const existing = all.find((c) => c.id === id);
+    if (!existing) {
+        tx.abort();
+        await done.catch(() => {});
+        throw new Error(`Category not found: ${id}`);
+    }
+
+    const category = { ...existing, parentId: existing.parentId ?? null };
+    let renamedCosts = 0;
+    try {
+        if (patch.name !== undefined) {
+            category.name = cleanName(patch.name);
+            assertUniqueName(all, category.name, id);
+        }
+        if (patch.parentId !== undefined && (patch.parentId ?? null) !== category.parentId) {
+            category.parentId = patch.parentId ?? null;
+            assertValidParent(all, category.parentId, id);
+        }
+    } catch (err) {
+        tx.abort();
+        await done.catch(() => {});
+        throw err;
+    }
+    if (patch.color !== undefined) category.color = patch.color;
+    if (patch.icon !== undefined) category.icon = patch.icon;
+    if (patch.archived !== undefined) category.archived = Boolean(patch.archived);
+
+    store.put(category);
+    if (category.name !== existing.name) {
+        renamedCosts = await renameInCosts(tx.objectStore(COSTS_STORE), existing.name, category.name);
+        await renameInTemplates(tx.objectStore(RECURRING_STORE), existing.name, category.name);
+        await moveBudget(tx.objectStore(BUDGETS_STORE), existing.name, category.name);
+    }
+    await done;
+    return { category, renamedCosts };
+}
+
+/**
+ * Merge one category into another: costs and recurring templates move to the target and the source (with its budget) is deleted.
+ * @param {number} sourceId - Category to remove.
+ * @param {number} targetId - Category that receives the costs.
+ * @returns {Promise<number>} Number of moved costs.
+ * @throws {Error} If either category does not exist, they are the same, or the source has subcategories.
+ */
+export async function mergeCategories(sourceId, targetId) {
+    if (sourceId === targetId) {
+        throw new Error('Cannot merge a category into itself');
+    }
+    const db = await openCostsDB();
+    const tx = db.transaction([CATEGORIES_STORE, COSTS_STORE, BUDGETS_STORE, RECURRING_STORE], 'readwrite');
+    const store = tx.objectStore(CATEGORIES_STORE);
+    const done = whenDone(tx);
+
+    const all = await promisify(store.getAll());
+    const source = all.find((c) => c.id === sourceId);
+    const target = all.find((c) => c.id === targetId);
+    if (!source || !target || all.some((c) => c.parentId === sourceId)) {
+        tx.abort();
+        await done.catch(() => {});
+        throw new Error(source && target ? ERR_HAS_CHILDREN : 'Category not found');
+    }
+
+    const moved = await renameInCosts(tx.objectStore(COSTS_STORE), source.name, target.name);
+    await renameInTemplates(tx.objectStore(RECURRING_STORE), source.name, target.name);
+    await moveBudget(tx.objectStore(BUDGETS_STORE), source.name, null);
+    store.delete(sourceId);
+    await done;
+    return moved;
+}
+
+/**
+ * Delete a category that no cost uses, with its budget. Use merge or archive for categories in use.
+ * @param {number} id - Category id.
+ * @returns {Promise<void>}
+ * @throws {Error} If costs or recurring templates still use the category, or it has subcategories.
+ */
+export async function deleteCategory(id) {
+    const db = await openCostsDB();
+    const tx = db.transaction([CATEGORIES_STORE, COSTS_STORE, BUDGETS_STORE, RECURRING_STORE], 'readwrite');
+    const store = tx.objectStore(CATEGORIES_STORE);
+    const done = whenDone(tx);
+
+    const all = await promisify(store.getAll());
+    if (all.some((c) => c.parentId === id)) {
+        tx.abort();
+        await done.catch(() => {});
+        throw new Error(ERR_HAS_CHILDREN);
+    }
+    const category = all.find((c) => c.id === id);
+    // A split cost can be in both indexes, so count distinct cost ids
+    const costs = tx.objectStore(COSTS_STORE);
+    const used = category
+        ? new Set([
+            ...await promisify(costs.index('category').getAllKeys(IDBKeyRange.only(category.name))),
+            ...await promisify(costs.index('splitCategories').getAllKeys(IDBKeyRange.only(category.name)))
+        ]).size
+        : 0;
+    if (used > 0) {
+        tx.abort();
+        await done.catch(() => {});
+        throw new Error(`${category.name} is used by ${used} costs; merge or archive it instead`);
+    }
+    const templates = category ? await promisify(tx.objectStore(RECURRING_STORE).getAll()) : [];
+    if (templates.some((t) => t.category === category.name)) {
+        tx.abort();
+        await done.catch(() => {});
+        throw new Error(`${category.name} is used by recurring costs; merge or archive it instead`);
+    }
+
+    if (category) {
+        await moveBudget(tx.objectStore(BUDGETS_STORE), category.name, null);
+    }
+    store.delete(id);
+    await done;
+}
+
+/**
+ * Restore categories from a backup.
+ * Merge adds names that do not exist yet; replace clears the store first. Ids are reassigned,
+ * so parents are given by name (`parent`) and linked after every category is added.
+ * @param {Array<{ name:string, color?:string, icon?:string, archived?:boolean, parent?:string|null }>} categories
+ * @param {'replace'|'merge'} mode
+ * @param {IDBTransaction|null} [tx=null] - Readwrite transaction to join (see restoreBackup); the caller waits for it to commit.
+ * @returns {Promise<number>} Number of added categories.
+ */
+export async function restoreCategories(categories, mode, tx = null) {
+    const active = tx ?? (await openCostsDB()).transaction(CATEGORIES_STORE, 'readwrite');
+    const store = active.objectStore(CATEGORIES_STORE);
+    const done = tx ? null : whenDone(active);
+
+    if (mode === 'replace') {
+        store.clear();
+    }
+    const existing = mode === 'replace' ? [] : await promisify(store.getAll());
+    const idByName = new Map(existing.map((c) => [c.name.toLowerCase(), c.id]));
+    const nestedIds = new Set(existing.filter((c) => (c.parentId ?? null) !== null).map((c) => c.id));
+    const added = [];
+    for (const c of categories) {
+        const name = String(c?.name ?? '').trim();
+        if (!name || idByName.has(name.toLowerCase())) continue;
+        const item = {
+            name,
+            color: c.color || DEFAULT_COLOR,
+            icon: c.icon || DEFAULT_ICON,
+            archived: Boolean(c.archived),
+            parentId: null
+        };
+        item.id = await promisify(store.add(item));
+        idByName.set(name.toLowerCase(), item.id);
+        added.push({ item, parent: c.parent });
+    }
+
+    // Link parents by name; only top-level categories may be parents
+    const parentIds = new Set();
+    added.forEach(({ item, parent }) => {
+        const parentId = parent ? idByName.get(String(parent).toLowerCase()) : undefined;
+        if (parentId !== undefined && parentId !== item.id && !nestedIds.has(parentId)) {
+            item.parentId = parentId;
+            parentIds.add(parentId);
+        }
+    });
+    added.forEach(({ item }) => {
+        if (parentIds.has(item.id)) item.parentId = null;
+        store.put(item);
+    });
+    if (done) await done;
+    return added.length;
+}
@@ -0,0 +1,94 @@
+/** /src/services/comparison.js
+ * Project: Cost Manager Front End
+ * File: src/services/comparison.js
+ * Description: Per-category spending deltas between two periods, built on getReportRange totals.
+ * Updated: 2026-10-19
+ */
+
+import { getReportRange } from './idb';
+import { mergeUnconverted } from './exchange';
+import { round2 } from './utils';
+
+/** =========================================================================
+ * Types
+ * =======================================================================*/
+
+/**
+ * @typedef {Object} CategoryDelta
+ * @property {string} category
+ * @property {number} previous - Total in the earlier period, in the comparison currency.
+ * @property {number} current - Total in the selected period.
+ * @property {number} delta - current - previous (positive means more spending).
+ * @property {number|null} percent - delta as a percentage of previous, or null when previous is 0.
+ */
+
+/**
+ * @typedef {Object} Comparison
+ * @property {string} currency
+ * @property {{ label:string, total:number }} current
+ * @property {{ label:string, total:number }} previous
+ * @property {CategoryDelta} overall - Delta of the grand totals (category is '').
+ * @property {CategoryDelta[]} rows - One row per category in either period, biggest increase first.
+ * @property {import('./exchange').Unconverted} unconverted - Costs of either period left out for lack of a rate.
+ */
+
+/** =========================================================================
+ * Helpers
+ * =======================================================================*/
+
+/**
+ * Build the delta row of one category.
+ * @param {string} category
+ * @param {number} previous
+ * @param {number} current
+ * @returns {CategoryDelta}
+ */
+function buildDelta(category, previous, current) {
+    const delta = round2(current - previous);
+    return {
+        category,
+        previous,
+        current,
+        delta,
+        percent: previous === 0 ? null : round2((delta / previous) * 100)
+    };
+}
+
+/** =========================================================================
+ * Comparison
+ * =======================================================================*/
+
+/**
+ * Compare the per-category totals of two periods, both converted to one currency with the same rates.
+ * @param {{ from:Date, to:Date, label:string }} current - Selected period, as returned by resolvePeriod.
+ * @param {{ from:Date, to:Date, label:string }} previous - Period to compare with.
+ * @param {string} targetCurrency
+ * @param {Record<string, number>} rates - Exchange rates (USD base).
+ * @param {'current'|'historical'} [rateMode='current']
+ * @param {'leaf'|'parent'} [level='leaf'] - Category level to compare at.
+ * @param {string|null} [tag=null] - Only compare costs with this tag.
+ * @returns {Promise<Comparison>}
+ */
+export async function getComparison(current, previous, targetCurrency, rates, rateMode = 'current', level = 'leaf', tag = null) {
+    const now = await getReportRange(current.from, current.to, targetCurrency, rates, rateMode, level, tag);
+    const before = await getReportRange(previous.from, previous.to, targetCurrency, rates, rateMode, level, tag);
+
+    const totals = {};
+    before.categoryTotals.forEach((t) => {
+        totals[t.category] = { previous: t.total, current: 0 };
+    });
+    now.categoryTotals.forEach((t) => {
+        totals[t.category] = { previous: totals[t.category]?.previous ?? 0, current: t.total };
+    });
+
+    return {
+        currency: targetCurrency,
+        current: { label: current.label, total: now.total.total },
+        previous: { label: previous.label, total: before.total.total },
+        overall: buildDelta('', before.total.total, now.total.total),
+        rows: Object.entries(totals)
+            .map(([category, t]) => buildDelta(category, t.previous, t.current))
+            .sort((a, b) => b.delta - a.delta),
+        unconverted: mergeUnconverted(now.unconverted, before.unconverted)
+    };
+}
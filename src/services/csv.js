@@ -0,0 +1,299 @@
+/** /src/services/csv.js
+ * Project: Cost Manager Front End
+ * File: src/services/csv.js
+ * Description: CSV helpers for parsing imports, mapping and validating imported rows, and exporting reports (RFC 4180 quoting).
+ * Updated: 2026-10-19
+ */
+
+import { convertCost, findMissingRate } from './exchange';
+import { downloadBlob } from './download';
+import { formatTag } from './tags';
+import { normalizeCurrencyCode } from './currencies';
+
+/** =========================================================================
+ * Configurable constants
+ * =======================================================================*/
+
+const DELIMITER = ',';
+const LINE_BREAK = '\r\n';
+// Lets Excel detect UTF-8 (e.g. ₪ and £ in descriptions)
+const UTF8_BOM = '\uFEFF';
+const CSV_MIME = 'text/csv;charset=utf-8';
+/** @constant {Array<{key:string, label:string, required:boolean}>} IMPORT_FIELDS - Cost fields a column can map to */
+export const IMPORT_FIELDS = [
+    { key: 'date', label: 'Date', required: true },
+    { key: 'sum', label: 'Sum', required: true },
+    { key: 'currency', label: 'Currency', required: false },
+    { key: 'category', label: 'Category', required: false },
+    { key: 'description', label: 'Description', required: true }
+];
+/** @constant {Record<string, string[]>} HEADER_GUESSES - Header names used to pre-select the mapping */
+const HEADER_GUESSES = {
+    date: ['date', 'transaction date', 'posted', 'posting date'],
+    sum: ['sum', 'amount', 'total', 'debit'],
+    currency: ['currency', 'ccy'],
+    category: ['category'],
+    description: ['description', 'details', 'memo', 'payee', 'merchant']
+};
+/** @constant {string[]} DATE_FORMATS - Supported date layouts in imported files */
+export const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY'];
+/** @constant {number} NOT_MAPPED - Mapping value for an unmapped field */
+export const NOT_MAPPED = -1;
+const ERR_NOT_MAPPED = 'Column not mapped';
+const ERR_SUM = 'Sum must be a positive number';
+const ERR_DATE = 'Unparsable date';
+const ERR_DESC = 'Description is empty';
+
+/** =========================================================================
+ * Formatting
+ * =======================================================================*/
+
+/**
+ * Escape a single CSV field. Fields containing the delimiter, quotes or line breaks
+ * are wrapped in double quotes, with inner quotes doubled.
+ * @param {*} value - Field value (null/undefined become empty).
+ * @returns {string}
+ */
+export function escapeCsvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    if (/[",\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Serialize rows of fields to CSV text.
+ * @param {Array<Array<*>>} rows - Rows, header row included.
+ * @returns {string}
+ */
+export function toCsv(rows) {
+    return rows.map((row) => row.map(escapeCsvField).join(DELIMITER)).join(LINE_BREAK) + LINE_BREAK;
+}
+
+/**
+ * Build CSV text for a report returned by getReport or getReportRange.
+ * Each cost is also converted to the report's target currency with the same rates and rate mode;
+ * that cell is left empty for a cost without a rate, which the report total leaves out too.
+ * A split cost stays one row, its category listing every line with its sum.
+ * @param {{ rateMode:string, costs:Array<{ sum:number, currency:string, category:string, description:string, date:string, tags:string[], lines:Array<{ category:string, sum:number }>, rates:Record<string, number>|null }>, total:{ currency:string, total:number } }} report
+ * @param {Record<string, number>} rates - Rates the report was generated with.
+ * @returns {string}
+ */
+export function buildReportCsv(report, rates) {
+    const target = report.total.currency;
+    const header = ['Date', 'Category', 'Description', 'Tags', 'Currency', 'Sum', `Sum (${target})`];
+    const useHistorical = report.rateMode === 'historical';
+    const lines = report.costs.map((c) => [
+        c.date,
+        c.lines.length > 1 ? c.lines.map((l) => `${l.category} ${l.sum.toFixed(2)}`).join(' + ') : c.category,
+        c.description,
+        c.tags.map(formatTag).join(' '),
+        c.currency,
+        c.sum,
+        findMissingRate(c, target, rates, useHistorical)
+            ? ''
+            : (Math.round(convertCost(c, target, rates, useHistorical) * 100) / 100).toFixed(2)
+    ]);
+    const totalLine = ['Total', '', '', '', target, '', report.total.total.toFixed(2)];
+    return toCsv([header, ...lines, totalLine]);
+}
+
+/** =========================================================================
+ * Parsing
+ * =======================================================================*/
+
+/**
+ * Parse CSV text into rows of string fields.
+ * Handles quoted fields with embedded delimiters, doubled quotes and line breaks,
+ * CRLF/LF line endings and a leading UTF-8 BOM. Blank lines are skipped.
+ * @param {string} text - CSV text.
+ * @param {string} [delimiter=','] - Field delimiter.
+ * @returns {string[][]}
+ */
+export function parseCsv(text, delimiter = DELIMITER) {
+    const src = text.startsWith(UTF8_BOM) ? text.slice(1) : text;
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0] !== '') {
+            rows.push(row);
+        }
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < src.length; i += 1) {
+        const ch = src[i];
+        if (inQuotes) {
+            if (ch === '"' && src[i + 1] === '"') {
+                field += '"';
+                i += 1;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\r') {
+            if (src[i + 1] === '\n') i += 1;
+            endRow();
+        } else if (ch === '\n') {
+            endRow();
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        endRow();
+    }
+    return rows;
+}
+
+/** =========================================================================
+ * Import
+ * =======================================================================*/
+
+/**
+ * Parse a date string in one of the supported layouts into a local Date.
+ * ISO date-times (e.g. 2025-09-01T10:00:00) are accepted in the YYYY-MM-DD layout.
+ * @param {string} text
+ * @param {string} format - One of DATE_FORMATS.
+ * @returns {Date|null} Parsed date, or null if invalid.
+ */
+function parseDate(text, format) {
+    const value = String(text ?? '').trim();
+    let y;
+    let m;
+    let d;
+    if (format === 'YYYY-MM-DD') {
+        const match = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ].*)?$/.exec(value);
+        if (!match) return null;
+        [, y, m, d] = match;
+    } else {
+        const match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(value);
+        if (!match) return null;
+        if (format === 'DD/MM/YYYY') {
+            [, d, m, y] = match;
+        } else {
+            [, m, d, y] = match;
+        }
+    }
+    const date = new Date(Number(y), Number(m) - 1, Number(d));
+    // Reject overflowed values such as 31/02
+    if (date.getFullYear() !== Number(y) || date.getMonth() !== Number(m) - 1 || date.getDate() !== Number(d)) {
+        return null;
+    }
+    return date;
+}
+
+/**
+ * Parse an amount, ignoring currency symbols, spaces and thousands separators.
+ * The sign is dropped too: bank exports often list debits as negative amounts,
+ * written `-12.50`, `12.50-` or `(12.50)`, and every imported row is a cost.
+ * @param {string} text
+ * @returns {number} Parsed amount (never negative), or NaN.
+ */
+function parseSum(text) {
+    const cleaned = String(text ?? '').replace(/[^\d.]/g, '');
+    return cleaned ? Number(cleaned) : NaN;
+}
+
+/**
+ * Match a category name case-insensitively against the known list.
+ * @param {string} text
+ * @param {string[]} categories - Known category names.
+ * @param {string} fallback - Used when nothing matches.
+ * @returns {string}
+ */
+function matchCategory(text, categories, fallback) {
+    const value = String(text ?? '').trim().toLowerCase();
+    return categories.find((c) => c.toLowerCase() === value) || fallback;
+}
+
+/**
+ * Pre-select a column for each field by comparing header names.
+ * @param {string[]} header - Header row.
+ * @returns {Record<string, number>} Field key → column index (or NOT_MAPPED).
+ */
+export function guessMapping(header) {
+    const names = header.map((h) => String(h).trim().toLowerCase());
+    const mapping = {};
+    IMPORT_FIELDS.forEach(({ key }) => {
+        mapping[key] = names.findIndex((n) => HEADER_GUESSES[key].includes(n));
+    });
+    return mapping;
+}
+
+/**
+ * Map and validate data rows.
+ * @param {string[][]} rows - Data rows (header excluded).
+ * @param {Record<string, number>} mapping - Field key → column index.
+ * @param {{ dateFormat:string, currencies:string[], categories:string[], defaultCurrency:string, defaultCategory:string, firstLine:number }} options
+ * @returns {Array<{ id:number, line:number, date:string, sum:string, currency:string, category:string, description:string, errors:string[], cost:Object|null }>}
+ */
+export function buildPreview(rows, mapping, options) {
+    const cell = (row, key) => (mapping[key] === NOT_MAPPED ? '' : String(row[mapping[key]] ?? '').trim());
+
+    return rows.map((row, i) => {
+        const errors = [];
+
+        IMPORT_FIELDS.filter((f) => f.required && mapping[f.key] === NOT_MAPPED)
+            .forEach((f) => errors.push(`${f.label}: ${ERR_NOT_MAPPED}`));
+
+        const dateText = cell(row, 'date');
+        const date = parseDate(dateText, options.dateFormat);
+        if (mapping.date !== NOT_MAPPED && !date) errors.push(`${ERR_DATE}: '${dateText}'`);
+
+        const sumText = cell(row, 'sum');
+        const sum = parseSum(sumText);
+        if (mapping.sum !== NOT_MAPPED && (Number.isNaN(sum) || sum <= 0)) errors.push(ERR_SUM);
+
+        const currency = mapping.currency === NOT_MAPPED
+            ? options.defaultCurrency
+            : normalizeCurrencyCode(cell(row, 'currency'));
+        if (!options.currencies.includes(currency)) errors.push(`Unknown currency: '${currency}'`);
+
+        const category = mapping.category === NOT_MAPPED
+            ? options.defaultCategory
+            : matchCategory(cell(row, 'category'), options.categories, options.defaultCategory);
+
+        const description = cell(row, 'description');
+        if (mapping.description !== NOT_MAPPED && !description) errors.push(ERR_DESC);
+
+        return {
+            id: i + 1,
+            line: options.firstLine + i,
+            date: date ? date.toLocaleDateString('en-GB') : dateText,
+            sum: sumText,
+            currency,
+            category,
+            description,
+            errors,
+            cost: errors.length === 0 ? { sum, currency, category, description, date } : null
+        };
+    });
+}
+
+/** =========================================================================
+ * Download
+ * =======================================================================*/
+
+/**
+ * Offer CSV text to the user as a file download.
+ * @param {string} filename - Suggested file name.
+ * @param {string} csv - CSV text.
+ * @returns {void}
+ */
+export function downloadCsv(filename, csv) {
+    downloadBlob(filename, new Blob([UTF8_BOM + csv], { type: CSV_MIME }));
+}
@@ -0,0 +1,185 @@
+/** /src/services/csv.test.js
+ * Project: Cost Manager Front End
+ * File: src/services/csv.test.js
+ * Description: Tests for CSV field escaping, report export, parsing, and the import preview.
+ * Updated: 2026-10-19
+ */
+
+import { escapeCsvField, toCsv, buildReportCsv, parseCsv, guessMapping, buildPreview, NOT_MAPPED } from './csv';
+
+/** =========================================================================
+ * Tests
+ * =======================================================================*/
+
+describe('escapeCsvField', () => {
+    test.each([
+        ['plain text', 'Pizza', 'Pizza'],
+        ['a number', 12.5, '12.5'],
+        ['null', null, ''],
+        ['undefined', undefined, ''],
+        ['a comma', 'Bread, milk', '"Bread, milk"'],
+        ['quotes', 'The "big" one', '"The ""big"" one"'],
+        ['a line feed', 'two\nlines', '"two\nlines"'],
+        ['a CRLF', 'two\r\nlines', '"two\r\nlines"']
+    ])('escapes %s', (_, value, expected) => {
+        expect(escapeCsvField(value)).toBe(expected);
+    });
+});
+
+describe('toCsv', () => {
+    test('joins fields with commas and ends every row with CRLF', () => {
+        expect(toCsv([['a', 'b,c'], [1, null]])).toBe('a,"b,c"\r\n1,\r\n');
+    });
+});
+
+describe('buildReportCsv', () => {
+    const rates = { USD: 1, EUR: 0.5 };
+    const cost = (fields) => ({
+        sum: 10,
+        currency: 'USD',
+        category: 'Food',
+        description: 'Lunch',
+        date: '2025-03-01',
+        tags: [],
+        lines: [{ category: 'Food', sum: 10 }],
+        rates: null,
+        ...fields
+    });
+
+    test('adds a converted sum per cost and a total row', () => {
+        const report = {
+            rateMode: 'current',
+            costs: [cost({ description: 'Lunch, with "friends"', tags: ['team', 'trip'] }), cost({ sum: 3, currency: 'EUR' })],
+            total: { currency: 'EUR', total: 8 }
+        };
+
+        expect(buildReportCsv(report, rates).split('\r\n')).toEqual([
+            'Date,Category,Description,Tags,Currency,Sum,Sum (EUR)',
+            '2025-03-01,Food,"Lunch, with ""friends""",#team #trip,USD,10,5.00',
+            '2025-03-01,Food,Lunch,,EUR,3,3.00',
+            'Total,,,,EUR,,8.00',
+            ''
+        ]);
+    });
+
+    test('leaves the converted sum empty for a cost without a rate', () => {
+        const report = { rateMode: 'current', costs: [cost({ currency: 'ILS' })], total: { currency: 'EUR', total: 0 } };
+
+        expect(buildReportCsv(report, rates).split('\r\n')[1]).toBe('2025-03-01,Food,Lunch,,ILS,10,');
+    });
+
+    test('lists the lines of a split cost and uses saved rates in historical mode', () => {
+        const report = {
+            rateMode: 'historical',
+            costs: [cost({
+                sum: 15,
+                lines: [{ category: 'Food', sum: 10 }, { category: 'Health', sum: 5 }],
+                rates: { USD: 1, EUR: 0.8 }
+            })],
+            total: { currency: 'EUR', total: 12 }
+        };
+
+        expect(buildReportCsv(report, rates).split('\r\n')[1]).toBe('2025-03-01,Food 10.00 + Health 5.00,Lunch,,USD,15,12.00');
+    });
+});
+
+describe('parseCsv', () => {
+    test('reads quoted fields with delimiters, doubled quotes and embedded line breaks', () => {
+        const text = 'date,description,sum\n2025-03-01,"Bread, milk and ""eggs""",4.5\n2025-03-02,"two\r\nlines",3\n';
+        expect(parseCsv(text)).toEqual([
+            ['date', 'description', 'sum'],
+            ['2025-03-01', 'Bread, milk and "eggs"', '4.5'],
+            ['2025-03-02', 'two\r\nlines', '3']
+        ]);
+    });
+
+    test('accepts CRLF and CR line endings, a BOM and a missing final line break', () => {
+        expect(parseCsv('\uFEFFa,b\r\nc,d\re,f')).toEqual([['a', 'b'], ['c', 'd'], ['e', 'f']]);
+    });
+
+    test('skips blank lines but keeps empty fields', () => {
+        expect(parseCsv('a,,c\r\n\r\n\n,b,\n')).toEqual([['a', '', 'c'], ['', 'b', '']]);
+    });
+
+    test('uses another delimiter', () => {
+        expect(parseCsv('a;"b;c"\n', ';')).toEqual([['a', 'b;c']]);
+    });
+
+    test('round-trips what toCsv writes', () => {
+        const rows = [['Date', 'Description'], ['2025-03-01', 'Say "hi",\r\nthen leave']];
+        expect(parseCsv(toCsv(rows))).toEqual(rows);
+    });
+});
+
+describe('guessMapping', () => {
+    test('maps known header names case-insensitively and leaves the rest unmapped', () => {
+        expect(guessMapping(['Posting Date', ' Amount ', 'Memo', 'Notes'])).toEqual({
+            date: 0, sum: 1, currency: NOT_MAPPED, category: NOT_MAPPED, description: 2
+        });
+    });
+});
+
+describe('buildPreview', () => {
+    const mapping = { date: 0, sum: 1, currency: 2, category: 3, description: 4 };
+    const options = (fields) => ({
+        dateFormat: 'YYYY-MM-DD',
+        currencies: ['USD', 'EUR'],
+        categories: ['Food', 'Health', 'Other'],
+        defaultCurrency: 'USD',
+        defaultCategory: 'Other',
+        firstLine: 2,
+        ...fields
+    });
+    const previewRow = (dateText, dateFormat) => buildPreview([[dateText, '1', 'USD', 'Food', 'x']], mapping, options({ dateFormat }))[0];
+
+    test.each([
+        ['YYYY-MM-DD', '2025-03-04'],
+        ['YYYY-MM-DD', '2025-3-4T10:00:00'],
+        ['DD/MM/YYYY', '04/03/2025'],
+        ['DD/MM/YYYY', '4.3.2025'],
+        ['MM/DD/YYYY', '03/04/2025'],
+        ['MM/DD/YYYY', '3-4-2025']
+    ])('reads %s dates such as %s', (format, text) => {
+        expect(previewRow(text, format).cost.date).toEqual(new Date(2025, 2, 4));
+    });
+
+    test.each([
+        ['YYYY-MM-DD', '04/03/2025'],
+        ['DD/MM/YYYY', '31/02/2025'],
+        ['MM/DD/YYYY', '13/01/2025'],
+        ['DD/MM/YYYY', '2025-03-04']
+    ])('rejects %s dates such as %s', (format, text) => {
+        const row = previewRow(text, format);
+        expect(row.cost).toBeNull();
+        expect(row.errors).toEqual([`Unparsable date: '${text}'`]);
+    });
+
+    test('builds a cost from a valid row, cleaning the sum and matching the category', () => {
+        const [row] = buildPreview([['2025-03-04', '$1,234.50', 'eur', 'health', ' Dentist ']], mapping, options());
+        expect(row).toMatchObject({ id: 1, line: 2, date: '04/03/2025', currency: 'EUR', category: 'Health', errors: [] });
+        expect(row.cost).toEqual({ sum: 1234.5, currency: 'EUR', category: 'Health', description: 'Dentist', date: new Date(2025, 2, 4) });
+    });
+
+    test.each(['-12.50', '12.50-', '(12.50)', '-$12.50'])('imports the debit %s as a positive sum', (text) => {
+        const [row] = buildPreview([['2025-03-04', text, 'USD', 'Food', 'Lunch']], mapping, options());
+        expect(row.errors).toEqual([]);
+        expect(row.cost.sum).toBe(12.5);
+    });
+
+    test('uses the defaults for an unmapped currency and an unknown category', () => {
+        const [row] = buildPreview([['2025-03-04', '5', 'x', 'Pets', 'Food']], { ...mapping, currency: NOT_MAPPED }, options());
+        expect(row.cost).toMatchObject({ currency: 'USD', category: 'Other' });
+    });
+
+    test('lists every problem of an invalid row', () => {
+        const [row] = buildPreview([['2025-03-04', '0', 'GBP', 'Food', '']], mapping, options({ firstLine: 1 }));
+        expect(row.line).toBe(1);
+        expect(row.cost).toBeNull();
+        expect(row.errors).toEqual(['Sum must be a positive number', "Unknown currency: 'GBP'", 'Description is empty']);
+    });
+
+    test('reports required fields that are not mapped', () => {
+        const unmapped = { date: 0, sum: 1, currency: NOT_MAPPED, category: NOT_MAPPED, description: NOT_MAPPED };
+        expect(buildPreview([['2025-03-04', '5']], unmapped, options())[0].errors).toEqual(['Description: Column not mapped']);
+    });
+});
@@ -0,0 +1,133 @@
+/** /src/services/currencies.js
+ * Project: Cost Manager Front End
+ * File: src/services/currencies.js
+ * Description: Currency registry: ISO 4217 codes, display names, legacy aliases, and the user's enabled set.
+ * Updated: 2026-10-19
+ */
+
+import { getEnabledCurrencyCodes, setEnabledCurrencyCodes } from './settings';
+
+/** =========================================================================
+ * Configurable constants
+ * =======================================================================*/
+
+/** @constant {string[]} DEFAULT_ENABLED - Currencies enabled until the user picks their own */
+const DEFAULT_ENABLED = ['USD', 'ILS', 'GBP', 'EUR'];
+/** @constant {string} BASE_CURRENCY - Preferred default selection (exchange rates are USD-based) */
+const BASE_CURRENCY = 'USD';
+/** @constant {Record<string, string>} LEGACY_ALIASES - Non-ISO codes used by older data and rate files */
+const LEGACY_ALIASES = { EURO: 'EUR' };
+/** @constant {string[]} FALLBACK_CODES - Used when the browser cannot list ISO 4217 codes */
+const FALLBACK_CODES = [
+    'AUD', 'BRL', 'CAD', 'CHF', 'CNY', 'CZK', 'DKK', 'EUR', 'GBP', 'HKD', 'HUF', 'ILS', 'INR',
+    'JPY', 'KRW', 'MXN', 'NOK', 'NZD', 'PLN', 'RUB', 'SEK', 'SGD', 'THB', 'TRY', 'USD', 'ZAR'
+];
+const ISO_CODE_PATTERN = /^[A-Z]{3}$/;
+
+/** =========================================================================
+ * Registry
+ * =======================================================================*/
+
+/**
+ * All ISO 4217 currency codes known to the browser, sorted.
+ * @returns {string[]}
+ */
+export function getAllCurrencyCodes() {
+    if (typeof Intl.supportedValuesOf === 'function') {
+        return Intl.supportedValuesOf('currency');
+    }
+    return FALLBACK_CODES;
+}
+
+/**
+ * Normalize a currency code: trim, upper-case, and map legacy aliases (EURO → EUR).
+ * @param {string} code
+ * @returns {string}
+ */
+export function normalizeCurrencyCode(code) {
+    const upper = String(code ?? '').trim().toUpperCase();
+    return LEGACY_ALIASES[upper] || upper;
+}
+
+/**
+ * Whether a (normalized) code looks like a valid ISO 4217 currency code.
+ * @param {string} code
+ * @returns {boolean}
+ */
+export function isIsoCurrency(code) {
+    const normalized = normalizeCurrencyCode(code);
+    return ISO_CODE_PATTERN.test(normalized) && getAllCurrencyCodes().includes(normalized);
+}
+
+/**
+ * Human-readable currency name, e.g. 'ILS' → 'Israeli New Shekel'.
+ * @param {string} code
+ * @returns {string} Name, or the code itself if unknown.
+ */
+export function getCurrencyName(code) {
+    try {
+        return new Intl.DisplayNames(['en'], { type: 'currency' }).of(code) || code;
+    } catch (err) {
+        return code;
+    }
+}
+
+/**
+ * Copy a rates map with legacy keys renamed (e.g. EURO → EUR).
+ * An existing ISO key wins over its alias.
+ * @param {Record<string, number>} rates
+ * @returns {Record<string, number>}
+ */
+export function normalizeRatesKeys(rates) {
+    const out = {};
+    Object.entries(rates ?? {}).forEach(([code, rate]) => {
+        const key = normalizeCurrencyCode(code);
+        if (!(key in out) || key === code) {
+            out[key] = rate;
+        }
+    });
+    return out;
+}
+
+/** =========================================================================
+ * Enabled set
+ * =======================================================================*/
+
+/**
+ * Currencies the user works with, in the order they were chosen.
+ * @returns {string[]}
+ */
+export function getEnabledCurrencies() {
+    const stored = getEnabledCurrencyCodes();
+    const codes = (stored ?? DEFAULT_ENABLED).map(normalizeCurrencyCode).filter((c) => ISO_CODE_PATTERN.test(c));
+    const unique = Array.from(new Set(codes));
+    return unique.length ? unique : DEFAULT_ENABLED;
+}
+
+/**
+ * Save the currencies the user works with.
+ * @param {string[]} codes - ISO 4217 codes.
+ * @returns {string[]} The normalized list that was saved.
+ * @throws {Error} If the list is empty or holds an unknown code.
+ */
+export function setEnabledCurrencies(codes) {
+    const normalized = Array.from(new Set(codes.map(normalizeCurrencyCode)));
+    if (normalized.length === 0) {
+        throw new Error('Enable at least one currency');
+    }
+    const invalid = normalized.find((c) => !isIsoCurrency(c));
+    if (invalid) {
+        throw new Error(`Unknown ISO 4217 currency: ${invalid}`);
+    }
+    setEnabledCurrencyCodes(normalized);
+    return normalized;
+}
+
+/**
+ * Default selection for currency pickers: USD if enabled, else the first enabled currency.
+ * @returns {string}
+ */
+export function getDefaultCurrency() {
+    const enabled = getEnabledCurrencies();
+    return enabled.includes(BASE_CURRENCY) ? BASE_CURRENCY : enabled[0];
+}
@@ -0,0 +1,28 @@
+/** /src/services/download.js
+ * Project: Cost Manager Front End
+ * File: src/services/download.js
+ * Description: Browser helper for saving generated content as a file download.
+ * Updated: 2026-10-19
+ */
+
+/** =========================================================================
+ * Service Functions
+ * =======================================================================*/
+
+/**
+ * Offer a Blob to the user as a file download.
+ * @param {string} filename - Suggested file name.
+ * @param {Blob} blob - File content.
+ * @returns {void}
+ */
+export function downloadBlob(filename, blob) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Some browsers start the download after click() returns; revoking right away can cancel it
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -1,19 +1,78 @@
 /** /src/services/exchange.js
  * Project: Cost Manager Front End
  * File: src/services/exchange.js
- * Description: Service for fetching currency exchange rates from a configured URL.
- * Updated: 2025-09-12
+ * Description: Service for fetching currency exchange rates (with an offline cache fallback) and converting amounts.
+ * Updated: 2026-10-19
  */
 
-import { getRatesUrl } from './settings';
+import { getRatesUrl, getRatesMaxAgeHours } from './settings';
+import { getEnabledCurrencies, normalizeRatesKeys } from './currencies';
 
 /** =========================================================================
  * Configurable constants
  * =======================================================================*/
 
-const SUPPORTED_CURRENCIES = ['USD', 'ILS', 'GBP', 'EURO'];
 const ERR_NO_URL = 'No exchange rates URL set in Settings.';
 const ERR_FETCH_FAIL = 'Failed fetching rates';
+const ERR_NO_RATE = 'No exchange rate';
+const CACHE_KEY = 'exchangeRatesCache';
+
+/** @constant {Array<{value:'current'|'historical', label:string}>} RATE_MODES - Report conversion modes */
+export const RATE_MODES = [
+    { value: 'current', label: 'Current rates' },
+    { value: 'historical', label: 'Rates at entry time' }
+];
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+/** =========================================================================
+ * Cache
+ * =======================================================================*/
+
+/**
+ * Normalize legacy keys (EURO → EUR) and validate that every enabled currency
+ * has a positive numeric rate.
+ * @param {Record<string, number>} data - Rates map.
+ * @returns {Record<string, number>} Normalized rates map.
+ * @throws {Error} If a rate is missing or not a positive number
+ */
+function validateRates(data) {
+    const rates = normalizeRatesKeys(data);
+    getEnabledCurrencies().forEach((k) => {
+        if (typeof rates[k] !== 'number' || !(rates[k] > 0)) {
+            throw new Error(`Missing/invalid rate: ${k}`);
+        }
+    });
+    return rates;
+}
+
+/**
+ * Store the last good rates with the time they were fetched.
+ * @param {Record<string, number>} rates
+ * @returns {void}
+ */
+function writeCachedRates(rates) {
+    try {
+        localStorage.setItem(CACHE_KEY, JSON.stringify({ rates, fetchedAt: new Date().toISOString() }));
+    } catch (err) {
+        // Quota or privacy mode: the cache is an optimization only
+        console.warn('Could not cache exchange rates', err);
+    }
+}
+
+/**
+ * Read the last good rates, if any.
+ * @returns {{ rates:Record<string, number>, fetchedAt:Date }|null}
+ */
+export function readCachedRates() {
+    try {
+        const cached = JSON.parse(localStorage.getItem(CACHE_KEY));
+        const fetchedAt = new Date(cached?.fetchedAt);
+        if (Number.isNaN(fetchedAt.getTime())) return null;
+        return { rates: validateRates(cached.rates), fetchedAt };
+    } catch (err) {
+        return null;
+    }
+}
 
 /** =========================================================================
  * Service Functions
@@ -21,7 +80,8 @@ const ERR_FETCH_FAIL = 'Failed fetching rates';
 
 /**
  * Fetch exchange rates JSON from the configured URL.
- * Validates that all supported currencies exist and are numbers.
+ * Validates that all enabled currencies exist and are numbers,
+ * and caches the result for offline use.
  * @async
  * @returns {Promise<Record<string, number>>} Exchange rates map
  * @throws {Error} If URL is not set, fetch fails, or rates are invalid
@@ -37,12 +97,124 @@ export async function fetchRates() {
         throw new Error(`${ERR_FETCH_FAIL}: ${res.status}`);
     }
 
-    const data = await res.json();
-    SUPPORTED_CURRENCIES.forEach((k) => {
-        if (typeof data[k] !== 'number') {
-            throw new Error(`Missing/invalid rate: ${k}`);
-        }
-    });
+    const data = validateRates(await res.json());
+    writeCachedRates(data);
 
     return data;
 }
+
+/**
+ * Get exchange rates, falling back to the last cached rates when fetching fails.
+ * `stale` is true when cached rates are older than the configured max age.
+ * @async
+ * @returns {Promise<{ rates:Record<string, number>, fetchedAt:Date, fromCache:boolean, stale:boolean }>}
+ * @throws {Error} The fetch error, if there are no cached rates to fall back to
+ */
+export async function getRates() {
+    try {
+        const rates = await fetchRates();
+        return { rates, fetchedAt: new Date(), fromCache: false, stale: false };
+    } catch (err) {
+        const cached = readCachedRates();
+        if (!cached) {
+            throw err;
+        }
+        console.warn('Using cached exchange rates:', err?.message);
+        const ageMs = Date.now() - cached.fetchedAt.getTime();
+        return {
+            rates: cached.rates,
+            fetchedAt: cached.fetchedAt,
+            fromCache: true,
+            stale: ageMs > getRatesMaxAgeHours() * MS_PER_HOUR
+        };
+    }
+}
+
+/**
+ * Whether a rates map has a usable rate for a currency.
+ * @param {Record<string, number>|null|undefined} rates
+ * @param {string} currency
+ * @returns {boolean}
+ */
+function hasRate(rates, currency) {
+    return typeof rates?.[currency] === 'number' && rates[currency] > 0;
+}
+
+/**
+ * Convert amount between currencies using USD-based rates.
+ * @param {number|string} amount
+ * @param {string} fromCurrency
+ * @param {string} toCurrency
+ * @param {Record<string, number>} rates
+ * @returns {number}
+ * @throws {Error} If either currency has no positive rate.
+ */
+export function convertAmount(amount, fromCurrency, toCurrency, rates) {
+    if (fromCurrency === toCurrency) return Number(amount) || 0;
+    const missing = [fromCurrency, toCurrency].find((c) => !hasRate(rates, c));
+    if (missing) {
+        throw new Error(`${ERR_NO_RATE}: ${missing}`);
+    }
+    return (Number(amount) / rates[fromCurrency]) * rates[toCurrency];
+}
+
+/**
+ * Convert a stored cost to another currency.
+ * With `useHistorical`, the rate snapshot saved on the cost is used when it has both currencies;
+ * otherwise (no snapshot, or one saved before a currency was enabled) the current rates are used.
+ * @param {{ sum:number|string, currency:string, rates?:Record<string, number>|null }} cost
+ * @param {string} toCurrency
+ * @param {Record<string, number>} rates - Current rates, used when there is no usable snapshot.
+ * @param {boolean} [useHistorical=false]
+ * @returns {number}
+ * @throws {Error} If the rates used lack either currency.
+ */
+export function convertCost(cost, toCurrency, rates, useHistorical = false) {
+    const snapshot = useHistorical && hasRate(cost.rates, cost.currency) && hasRate(cost.rates, toCurrency);
+    return convertAmount(cost.sum, cost.currency, toCurrency, snapshot ? cost.rates : rates);
+}
+
+/**
+ * @typedef {Object} Unconverted
+ * @property {number} count - Costs left out of converted totals because a rate is missing.
+ * @property {string[]} currencies - Currencies without a usable rate, in alphabetical order.
+ */
+
+/**
+ * Find the currency that keeps convertCost from converting a cost, using the same rates it would.
+ * @param {{ currency:string, rates?:Record<string, number>|null }} cost
+ * @param {string} toCurrency
+ * @param {Record<string, number>} rates - Current rates.
+ * @param {boolean} [useHistorical=false]
+ * @returns {string|null} A currency without a usable rate, or null when the cost can be converted.
+ */
+export function findMissingRate(cost, toCurrency, rates, useHistorical = false) {
+    if (cost.currency === toCurrency) return null;
+    if (useHistorical && hasRate(cost.rates, cost.currency) && hasRate(cost.rates, toCurrency)) return null;
+    return [cost.currency, toCurrency].find((c) => !hasRate(rates, c)) ?? null;
+}
+
+/**
+ * Count the costs that cannot be converted, so totals can skip them and views can say so.
+ * @param {Array<{ currency:string, rates?:Record<string, number>|null }>} costs
+ * @param {string} toCurrency
+ * @param {Record<string, number>} rates - Current rates.
+ * @param {boolean} [useHistorical=false]
+ * @returns {Unconverted}
+ */
+export function countUnconverted(costs, toCurrency, rates, useHistorical = false) {
+    const missing = costs.map((c) => findMissingRate(c, toCurrency, rates, useHistorical)).filter(Boolean);
+    return { count: missing.length, currencies: [...new Set(missing)].sort() };
+}
+
+/**
+ * Combine the unconverted counts of several queries (e.g. both periods of a comparison).
+ * @param {...Unconverted} parts
+ * @returns {Unconverted}
+ */
+export function mergeUnconverted(...parts) {
+    return {
+        count: parts.reduce((acc, p) => acc + p.count, 0),
+        currencies: [...new Set(parts.flatMap((p) => p.currencies))].sort()
+    };
+}
@@ -0,0 +1,79 @@
+/** /src/services/exchange.test.js
+ * Project: Cost Manager Front End
+ * File: src/services/exchange.test.js
+ * Description: Tests for converting amounts and stored costs between currencies, and for finding costs without a rate.
+ * Updated: 2026-10-19
+ */
+
+import { convertAmount, convertCost, findMissingRate, countUnconverted, mergeUnconverted } from './exchange';
+
+/** =========================================================================
+ * Tests
+ * =======================================================================*/
+
+const RATES = { USD: 1, EUR: 0.5, GBP: 0.8 };
+
+describe('convertAmount', () => {
+    test('converts through the USD base', () => {
+        expect(convertAmount(10, 'USD', 'EUR', RATES)).toBe(5);
+        expect(convertAmount('5', 'EUR', 'GBP', RATES)).toBe(8);
+    });
+
+    test('keeps an amount in its own currency without needing a rate', () => {
+        expect(convertAmount('12.5', 'ILS', 'ILS', {})).toBe(12.5);
+    });
+
+    test.each([
+        ['the source currency', 'ILS', 'USD', RATES, 'ILS'],
+        ['the target currency', 'USD', 'ILS', RATES, 'ILS'],
+        ['a zero rate', 'USD', 'ILS', { ...RATES, ILS: 0 }, 'ILS'],
+        ['a rate that is not a number', 'USD', 'ILS', { ...RATES, ILS: '3.7' }, 'ILS'],
+        ['any rates', 'USD', 'EUR', undefined, 'USD']
+    ])('throws without a rate for %s', (_, from, to, rates, missing) => {
+        expect(() => convertAmount(10, from, to, rates)).toThrow(`No exchange rate: ${missing}`);
+    });
+});
+
+describe('convertCost', () => {
+    const cost = { sum: 10, currency: 'USD', rates: { USD: 1, EUR: 0.9 } };
+
+    test('uses current rates unless asked for the saved ones', () => {
+        expect(convertCost(cost, 'EUR', RATES)).toBe(5);
+        expect(convertCost(cost, 'EUR', RATES, true)).toBe(9);
+    });
+
+    test('falls back to current rates when the snapshot lacks a currency', () => {
+        expect(convertCost(cost, 'GBP', RATES, true)).toBe(8);
+        expect(convertCost({ ...cost, rates: null }, 'EUR', RATES, true)).toBe(5);
+    });
+
+    test('throws when neither the snapshot nor the current rates have the currency', () => {
+        expect(() => convertCost({ ...cost, currency: 'ILS' }, 'EUR', RATES, true)).toThrow('No exchange rate: ILS');
+    });
+});
+
+describe('findMissingRate', () => {
+    test.each([
+        ['the same currency', { currency: 'ILS' }, 'ILS', false, null],
+        ['known currencies', { currency: 'EUR' }, 'GBP', false, null],
+        ['an unknown source', { currency: 'ILS' }, 'USD', false, 'ILS'],
+        ['an unknown target', { currency: 'USD' }, 'ILS', false, 'ILS'],
+        ['a snapshot with both currencies', { currency: 'ILS', rates: { USD: 1, ILS: 4 } }, 'USD', true, null],
+        ['a snapshot in current mode', { currency: 'ILS', rates: { USD: 1, ILS: 4 } }, 'USD', false, 'ILS']
+    ])('for %s', (_, cost, to, useHistorical, expected) => {
+        expect(findMissingRate(cost, to, RATES, useHistorical)).toBe(expected);
+    });
+});
+
+describe('countUnconverted / mergeUnconverted', () => {
+    test('counts costs without a rate and lists their currencies once', () => {
+        const costs = [{ currency: 'ILS' }, { currency: 'USD' }, { currency: 'JPY' }, { currency: 'ILS' }];
+        expect(countUnconverted(costs, 'EUR', RATES)).toEqual({ count: 3, currencies: ['ILS', 'JPY'] });
+    });
+
+    test('merges several counts', () => {
+        expect(mergeUnconverted({ count: 1, currencies: ['JPY'] }, { count: 2, currencies: ['ILS', 'JPY'] }))
+            .toEqual({ count: 3, currencies: ['ILS', 'JPY'] });
+        expect(mergeUnconverted()).toEqual({ count: 0, currencies: [] });
+    });
+});
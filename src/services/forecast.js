@@ -0,0 +1,191 @@
+/** /src/services/forecast.js
+ * Project: Cost Manager Front End
+ * File: src/services/forecast.js
+ * Description: Projected end-of-month spending per category and overall, from the month's costs so far,
+ *              scheduled recurring costs, and the average of past months.
+ * Updated: 2026-10-19
+ */
+
+import { getReport, buildRollupMap } from './idb';
+import { getCategories } from './categories';
+import { getRecurring, getOccurrences } from './recurring';
+import { convertCost, findMissingRate, countUnconverted, mergeUnconverted } from './exchange';
+import { toIsoDate } from './periods';
+import { round2 } from './utils';
+
+/** =========================================================================
+ * Configurable constants
+ * =======================================================================*/
+
+/** @constant {number} HISTORY_MONTHS - Past months averaged for the historical estimate */
+export const HISTORY_MONTHS = 3;
+/** @constant {number} FLAT_RATIO - Projections within this share of last month count as on par */
+export const FLAT_RATIO = 0.05;
+
+/** =========================================================================
+ * Types
+ * =======================================================================*/
+
+/**
+ * @typedef {Object} ForecastLine
+ * @property {string} category - Category name ('' for the overall line).
+ * @property {number} actual - Costs recorded so far this month.
+ * @property {number} recurring - Recurring costs still due this month.
+ * @property {number} estimated - Estimated other spending for the rest of the month.
+ * @property {number} projected - actual + recurring + estimated.
+ * @property {number} lastMonth - Last month's total.
+ */
+
+/**
+ * @typedef {Object} Forecast
+ * @property {number} year
+ * @property {number} month - 1–12.
+ * @property {string} currency
+ * @property {number} daysElapsed - Days of the month up to and including today.
+ * @property {number} daysInMonth
+ * @property {ForecastLine} overall
+ * @property {ForecastLine[]} categories - Biggest projection first.
+ * @property {'above'|'below'|'flat'} vsLastMonth - Projected total compared with last month's total.
+ * @property {import('./exchange').Unconverted} unconverted - Costs and recurring costs left out for lack of a rate.
+ */
+
+/** =========================================================================
+ * Helpers
+ * =======================================================================*/
+
+/**
+ * Add a value to a per-category field, creating the line on first use.
+ * @param {Record<string, Object>} lines - Mutated in place.
+ * @param {string} category
+ * @param {'actual'|'discretionary'|'recurring'|'history'|'lastMonth'} field
+ * @param {number} value
+ * @returns {void}
+ */
+function addTo(lines, category, field, value) {
+    const line = lines[category] ?? (lines[category] = {
+        actual: 0, discretionary: 0, recurring: 0, history: 0, lastMonth: 0
+    });
+    line[field] += value;
+}
+
+/** =========================================================================
+ * Forecast
+ * =======================================================================*/
+
+/**
+ * Project the current month's spending to its end.
+ * The rest of the month is estimated as the recurring costs still due, plus other spending blended from
+ * two estimates: this month's daily run-rate, and the daily average of those of the last HISTORY_MONTHS
+ * months that have costs.
+ * The run-rate weighs more as the month goes on (by the share of days elapsed); without any history
+ * only the run-rate is used. Recurring costs are left out of both estimates, since they are scheduled.
+ * With a tag only tagged costs count, and templates (which carry no tags) add nothing still due.
+ * @param {Date} now - Today.
+ * @param {string} targetCurrency
+ * @param {Record<string, number>} rates - Exchange rates (USD base).
+ * @param {'current'|'historical'} [rateMode='current']
+ * @param {'leaf'|'parent'} [level='leaf'] - Category level of the per-category lines.
+ * @param {string|null} [tag=null] - Only forecast costs with this tag.
+ * @returns {Promise<Forecast>}
+ */
+export async function getForecast(now, targetCurrency, rates, rateMode = 'current', level = 'leaf', tag = null) {
+    const year = now.getFullYear();
+    const month = now.getMonth() + 1;
+    const daysInMonth = new Date(year, month, 0).getDate();
+    const daysElapsed = now.getDate();
+    const useHistorical = rateMode === 'historical';
+    const rollup = buildRollupMap(await getCategories());
+    const keyOf = (category) => (level === 'parent' ? rollup[category] ?? category : category);
+
+    const lines = {};
+    const skipped = [];
+    const current = await getReport(year, month, targetCurrency, rates, rateMode, 'leaf', tag);
+    skipped.push(current.unconverted);
+    current.costs.forEach((c) => {
+        if (findMissingRate(c, targetCurrency, rates, useHistorical)) return;
+        c.lines.forEach((line) => {
+            const value = convertCost({ ...c, sum: line.sum }, targetCurrency, rates, useHistorical);
+            addTo(lines, keyOf(line.category), 'actual', value);
+            if (c.recurringId === null) addTo(lines, keyOf(line.category), 'discretionary', value);
+        });
+    });
+
+    // Only months with costs count toward the average, so history recorded for just
+    // part of the window is not spread over months from before the first cost
+    let historyDays = 0;
+    for (let back = 1; back <= HISTORY_MONTHS; back += 1) {
+        const start = new Date(year, month - 1 - back, 1);
+        const report = await getReport(start.getFullYear(), start.getMonth() + 1, targetCurrency, rates, rateMode, 'leaf', tag);
+        if (report.costs.length > 0) historyDays += new Date(start.getFullYear(), start.getMonth() + 1, 0).getDate();
+        skipped.push(report.unconverted);
+        report.costs.forEach((c) => {
+            if (findMissingRate(c, targetCurrency, rates, useHistorical)) return;
+            c.lines.forEach((line) => {
+                const value = convertCost({ ...c, sum: line.sum }, targetCurrency, rates, useHistorical);
+                if (back === 1) addTo(lines, keyOf(line.category), 'lastMonth', value);
+                if (c.recurringId === null) addTo(lines, keyOf(line.category), 'history', value);
+            });
+        });
+    }
+
+    const today = toIsoDate(now);
+    const monthEnd = toIsoDate(new Date(year, month, 0));
+    const dueTemplates = (tag ? [] : await getRecurring())
+        .map((t) => ({ ...t, due: getOccurrences(t, today, monthEnd).length }))
+        .filter((t) => t.due > 0);
+    skipped.push(countUnconverted(dueTemplates, targetCurrency, rates));
+    dueTemplates.forEach((t) => {
+        if (findMissingRate(t, targetCurrency, rates)) return;
+        addTo(lines, keyOf(t.category), 'recurring', t.due * convertCost(t, targetCurrency, rates));
+    });
+
+    const daysLeft = daysInMonth - daysElapsed;
+    const weight = historyDays === 0 ? 1 : daysElapsed / daysInMonth;
+    const toLine = (category, l) => {
+        const runRate = l.discretionary / daysElapsed;
+        const historyRate = historyDays === 0 ? 0 : l.history / historyDays;
+        const estimated = daysLeft * (weight * runRate + (1 - weight) * historyRate);
+        return {
+            category,
+            actual: round2(l.actual),
+            recurring: round2(l.recurring),
+            estimated: round2(estimated),
+            projected: round2(l.actual + l.recurring + estimated),
+            lastMonth: round2(l.lastMonth)
+        };
+    };
+
+    const categories = Object.entries(lines)
+        .map(([category, l]) => toLine(category, l))
+        .filter((l) => l.projected > 0 || l.lastMonth > 0)
+        .sort((a, b) => b.projected - a.projected);
+    const sum = (field) => Object.values(lines).reduce((acc, l) => acc + l[field], 0);
+    const overall = toLine('', {
+        actual: sum('actual'),
+        discretionary: sum('discretionary'),
+        recurring: sum('recurring'),
+        history: sum('history'),
+        lastMonth: sum('lastMonth')
+    });
+
+    let vsLastMonth = 'flat';
+    if (overall.lastMonth === 0) {
+        if (overall.projected > 0) vsLastMonth = 'above';
+    } else {
+        const change = overall.projected / overall.lastMonth - 1;
+        if (change > FLAT_RATIO) vsLastMonth = 'above';
+        else if (change < -FLAT_RATIO) vsLastMonth = 'below';
+    }
+
+    return {
+        year,
+        month,
+        currency: targetCurrency,
+        daysElapsed,
+        daysInMonth,
+        overall,
+        categories,
+        vsLastMonth,
+        unconverted: mergeUnconverted(...skipped)
+    };
+}
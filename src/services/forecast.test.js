@@ -0,0 +1,120 @@
+/** /src/services/forecast.test.js
+ * Project: Cost Manager Front End
+ * File: src/services/forecast.test.js
+ * Description: Tests for the end-of-month projection: run-rate, history blend, recurring costs still due, and the last-month comparison.
+ * Updated: 2026-10-19
+ */
+
+import { IDBFactory } from 'fake-indexeddb';
+import { addCost } from './idb';
+import { addCategory, getCategories } from './categories';
+import { addRecurring, materializeRecurring } from './recurring';
+import { getForecast } from './forecast';
+
+/** =========================================================================
+ * Helpers
+ * =======================================================================*/
+
+const RATES = { USD: 1, EUR: 0.5 };
+
+/**
+ * Store a cost at noon on a day of 2025.
+ * @param {number} month - 1–12.
+ * @param {number} day
+ * @param {number} sum
+ * @param {Object} [fields] - Fields to change.
+ * @returns {Promise<Object>}
+ */
+function spend(month, day, sum, fields = {}) {
+    return addCost({ sum, currency: 'USD', category: 'Food', description: 'x', date: new Date(2025, month - 1, day, 12), ...fields });
+}
+
+beforeEach(() => {
+    global.indexedDB = new IDBFactory();
+});
+
+/** =========================================================================
+ * Tests
+ * =======================================================================*/
+
+describe('getForecast', () => {
+    test('without history, projects this month\'s daily run-rate over the days left', async () => {
+        await spend(4, 1, 40);
+        await spend(4, 10, 60);
+
+        const forecast = await getForecast(new Date(2025, 3, 10, 20), 'USD', RATES);
+
+        expect(forecast).toMatchObject({ year: 2025, month: 4, daysElapsed: 10, daysInMonth: 30, vsLastMonth: 'above' });
+        expect(forecast.overall).toEqual({ category: '', actual: 100, recurring: 0, estimated: 200, projected: 300, lastMonth: 0 });
+    });
+
+    test('blends the run-rate with the past months by the share of the month elapsed', async () => {
+        await spend(4, 2, 150);
+        await spend(1, 20, 60);
+        await spend(2, 10, 60);
+        await spend(3, 5, 60);
+
+        const forecast = await getForecast(new Date(2025, 3, 15), 'USD', RATES);
+
+        // Run-rate 150 / 15 = 10 a day, history 180 / (31 + 28 + 31) = 2 a day, each weighted 15 / 30
+        expect(forecast.overall).toMatchObject({ actual: 150, estimated: 90, projected: 240, lastMonth: 60 });
+        expect(forecast.vsLastMonth).toBe('above');
+    });
+
+    test('averages history over the months that have costs only', async () => {
+        await spend(4, 2, 150);
+        await spend(3, 5, 93);
+
+        const forecast = await getForecast(new Date(2025, 3, 15), 'USD', RATES);
+
+        // Run-rate 10 a day, history 93 / 31 = 3 a day (January and February are empty), each weighted 15 / 30
+        expect(forecast.overall).toMatchObject({ actual: 150, estimated: 97.5, projected: 247.5, lastMonth: 93 });
+    });
+
+    test('adds recurring costs still due and leaves stored ones out of the run-rate', async () => {
+        await addRecurring({
+            sum: 10, currency: 'USD', category: 'Food', description: 'Box', frequency: 'weekly', startDate: '2025-04-03', endDate: null
+        });
+        await materializeRecurring(new Date(2025, 3, 10));
+        await spend(4, 2, 30);
+
+        const forecast = await getForecast(new Date(2025, 3, 10), 'USD', RATES);
+
+        // Stored on Apr 3 and 10; still due on Apr 17 and 24; run-rate 30 / 10 days
+        expect(forecast.overall).toMatchObject({ actual: 50, recurring: 20, estimated: 60, projected: 130 });
+    });
+
+    test('a tag forecast counts tagged costs only and no recurring costs', async () => {
+        await addRecurring({
+            sum: 10, currency: 'USD', category: 'Food', description: 'Box', frequency: 'weekly', startDate: '2025-04-20', endDate: null
+        });
+        await spend(4, 2, 30, { tags: ['trip'] });
+        await spend(4, 3, 500);
+
+        const forecast = await getForecast(new Date(2025, 3, 10), 'USD', RATES, 'current', 'leaf', 'trip');
+
+        expect(forecast.overall).toMatchObject({ actual: 30, recurring: 0, projected: 90 });
+    });
+
+    test('groups subcategories under their top-level category and converts the currency', async () => {
+        const food = (await getCategories()).find((c) => c.name === 'Food');
+        await addCategory({ name: 'Groceries', parentId: food.id });
+        await spend(4, 1, 20, { category: 'Groceries' });
+        await spend(4, 1, 10);
+        await spend(4, 1, 40, { category: 'Health' });
+
+        const forecast = await getForecast(new Date(2025, 3, 30), 'EUR', RATES, 'current', 'parent');
+
+        expect(forecast.categories.map((l) => [l.category, l.projected])).toEqual([['Health', 20], ['Food', 15]]);
+    });
+
+    test.each([
+        [300, 'flat'],
+        [600, 'below']
+    ])('compares the projection with last month (%d)', async (lastMonth, expected) => {
+        await spend(3, 31, lastMonth);
+        await spend(4, 30, 300);
+
+        expect((await getForecast(new Date(2025, 3, 30), 'USD', RATES)).vsLastMonth).toBe(expected);
+    });
+});
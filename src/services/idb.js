@@ -2,21 +2,239 @@
  * Project: Cost Manager Front End
  * File: src/services/idb.js
  * Description: IndexedDB helper module for cost item storage and reporting.
- * Updated: 2025-09-12
+ * Updated: 2026-10-19
  */
 
+import { convertCost, findMissingRate, countUnconverted } from './exchange';
+import { normalizeCurrencyCode, normalizeRatesKeys } from './currencies';
+import { toIsoDate } from './periods';
+import { normalizeTags } from './tags';
+import { normalizeShared } from './shares';
+import { promisify, whenDone, round2 } from './utils';
+
 const DB_NAME = 'costsdb';
-const DB_VERSION = 1;
-const STORE_NAME = 'costs';
+export const COSTS_STORE = 'costs';
+export const CATEGORIES_STORE = 'categories';
+export const BUDGETS_STORE = 'budgets';
+export const RECURRING_STORE = 'recurring';
+export const ATTACHMENTS_STORE = 'attachments';
+export const PEOPLE_STORE = 'people';
+const EDITABLE_FIELDS = ['sum', 'currency', 'category', 'description', 'date', 'tags', 'splits', 'shared'];
+const ERR_SPLIT_TOTAL = 'Split lines must add up to the cost sum';
+
+/** =========================================================================
+ * Schema migrations
+ * =======================================================================*/
+
+/**
+ * Categories seeded by migration 4. Kept as migration data: editing it does not affect existing databases.
+ * @type {Array<{ name:string, color:string, icon:string }>}
+ */
+const DEFAULT_CATEGORIES = [
+    { name: 'Food', color: '#1976d2', icon: 'restaurant' },
+    { name: 'Transportation', color: '#f57c00', icon: 'car' },
+    { name: 'Housing', color: '#2e7d32', icon: 'home' },
+    { name: 'Utilities', color: '#aad4e8', icon: 'bolt' },
+    { name: 'Health', color: '#d32f2f', icon: 'health' },
+    { name: 'Education', color: '#9c27b0', icon: 'school' },
+    { name: 'Entertainment', color: '#ff9800', icon: 'movie' },
+    { name: 'Shopping', color: '#6d4c41', icon: 'shopping' },
+    { name: 'Travel', color: '#00796b', icon: 'flight' },
+    { name: 'Other', color: '#757575', icon: 'category' }
+];
+const FALLBACK_CATEGORY_COLOR = '#9e9e9e';
+
+/**
+ * Ordered schema/data migrations. Each entry upgrades the database to `version`:
+ * - `schema(db, tx)` creates or changes object stores and indexes;
+ * - `transformCost(item)` rewrites one stored cost, returning the same object when nothing changes.
+ * Everything runs inside the versionchange transaction, so a failure aborts the whole upgrade.
+ * Append new entries with the next version number; never edit a released one.
+ * @type {Array<{
+ *   version:number,
+ *   description:string,
+ *   schema?:(db:IDBDatabase, tx:IDBTransaction) => void,
+ *   transformCost?:(item:Object) => Object
+ * }>}
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Create costs store with date index',
+        schema: (db) => {
+            if (!db.objectStoreNames.contains(COSTS_STORE)) {
+                const store = db.createObjectStore(COSTS_STORE, {
+                    keyPath: 'id',
+                    autoIncrement: true
+                });
+                store.createIndex('date', 'date', { unique: false });
+            }
+        }
+    },
+    {
+        version: 2,
+        description: 'Normalize cost rows: date as Date, sum as number',
+        transformCost: (item) => {
+            const date = item.date instanceof Date ? item.date : new Date(item.date);
+            const sum = Number(item.sum);
+            if (date === item.date && sum === item.sum) return item;
+            return {
+                ...item,
+                date: Number.isNaN(date.getTime()) ? new Date(0) : date,
+                sum: Number.isNaN(sum) ? 0 : sum
+            };
+        }
+    },
+    {
+        version: 3,
+        description: 'Rename legacy EURO currency code to ISO 4217 EUR',
+        transformCost: (item) => {
+            const currency = normalizeCurrencyCode(item.currency);
+            const hasLegacyRates = item.rates && Object.keys(item.rates).some((k) => normalizeCurrencyCode(k) !== k);
+            if (currency === item.currency && !hasLegacyRates) return item;
+            return {
+                ...item,
+                currency,
+                ...(item.rates ? { rates: normalizeRatesKeys(item.rates) } : {})
+            };
+        }
+    },
+    {
+        version: 4,
+        description: 'Add categories store (seeded with defaults and names already used) and costs.category index',
+        schema: (db, tx) => {
+            const costs = tx.objectStore(COSTS_STORE);
+            if (!costs.indexNames.contains('category')) {
+                costs.createIndex('category', 'category', { unique: false });
+            }
+            if (db.objectStoreNames.contains(CATEGORIES_STORE)) return;
+
+            const categories = db.createObjectStore(CATEGORIES_STORE, { keyPath: 'id', autoIncrement: true });
+            categories.createIndex('name', 'name', { unique: true });
+            DEFAULT_CATEGORIES.forEach((c) => categories.add({ ...c, archived: false }));
+
+            const known = new Set(DEFAULT_CATEGORIES.map((c) => c.name));
+            const request = costs.index('category').openKeyCursor(null, 'nextunique');
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                if (typeof cursor.key === 'string' && !known.has(cursor.key)) {
+                    categories.add({ name: cursor.key, color: FALLBACK_CATEGORY_COLOR, icon: 'category', archived: false });
+                }
+                cursor.continue();
+            };
+        }
+    },
+    {
+        version: 5,
+        description: 'Add budgets store keyed by category name',
+        schema: (db) => {
+            if (!db.objectStoreNames.contains(BUDGETS_STORE)) {
+                db.createObjectStore(BUDGETS_STORE, { keyPath: 'category' });
+            }
+        }
+    },
+    {
+        version: 6,
+        description: 'Add recurring templates store and a unique costs.recurrence index (one cost per template occurrence)',
+        schema: (db, tx) => {
+            if (!db.objectStoreNames.contains(RECURRING_STORE)) {
+                db.createObjectStore(RECURRING_STORE, { keyPath: 'id', autoIncrement: true });
+            }
+            const costs = tx.objectStore(COSTS_STORE);
+            if (!costs.indexNames.contains('recurrence')) {
+                costs.createIndex('recurrence', ['recurringId', 'occurrence'], { unique: true });
+            }
+        }
+    },
+    {
+        version: 7,
+        description: 'Give every cost a tags array and add a multiEntry costs.tags index',
+        schema: (db, tx) => {
+            const costs = tx.objectStore(COSTS_STORE);
+            if (!costs.indexNames.contains('tags')) {
+                costs.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+            }
+        },
+        transformCost: (item) => (Array.isArray(item.tags) ? item : { ...item, tags: [] })
+    },
+    {
+        version: 8,
+        description: 'Add attachments store for receipt files, indexed by cost id',
+        schema: (db) => {
+            if (!db.objectStoreNames.contains(ATTACHMENTS_STORE)) {
+                const attachments = db.createObjectStore(ATTACHMENTS_STORE, { keyPath: 'id', autoIncrement: true });
+                attachments.createIndex('costId', 'costId', { unique: false });
+            }
+        }
+    },
+    {
+        version: 9,
+        description: 'Add a multiEntry costs.splitCategories index for costs split across categories',
+        schema: (db, tx) => {
+            const costs = tx.objectStore(COSTS_STORE);
+            if (!costs.indexNames.contains('splitCategories')) {
+                costs.createIndex('splitCategories', 'splitCategories', { unique: false, multiEntry: true });
+            }
+        }
+    },
+    {
+        version: 10,
+        description: 'Add people store keyed by name and a multiEntry costs.sharedPeople index for shared costs',
+        schema: (db, tx) => {
+            if (!db.objectStoreNames.contains(PEOPLE_STORE)) {
+                db.createObjectStore(PEOPLE_STORE, { keyPath: 'name' });
+            }
+            const costs = tx.objectStore(COSTS_STORE);
+            if (!costs.indexNames.contains('sharedPeople')) {
+                costs.createIndex('sharedPeople', 'shared.people', { unique: false, multiEntry: true });
+            }
+        }
+    }
+];
+
+const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Run every migration newer than `oldVersion` and not newer than `newVersion`.
+ * Schema steps run first, in order; then all pending cost transforms are applied
+ * in order during a single cursor pass, so each record is read and written once.
+ * @param {IDBDatabase} db - Database being upgraded.
+ * @param {IDBTransaction} tx - The versionchange transaction.
+ * @param {number} oldVersion - Version before the upgrade (0 for a new database).
+ * @param {number} newVersion - Version being opened.
+ * @returns {void}
+ */
+function runMigrations(db, tx, oldVersion, newVersion) {
+    const pending = MIGRATIONS.filter((m) => m.version > oldVersion && m.version <= newVersion);
+    pending.forEach((m) => {
+        if (m.schema) m.schema(db, tx);
+    });
+
+    const transforms = pending.filter((m) => m.transformCost).map((m) => m.transformCost);
+    if (transforms.length === 0) return;
+
+    const request = tx.objectStore(COSTS_STORE).openCursor();
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        const original = cursor.value;
+        const migrated = transforms.reduce((item, transform) => transform(item), original);
+        if (migrated !== original) {
+            cursor.update(migrated);
+        }
+        cursor.continue();
+    };
+}
 
 /** =========================================================================
  * Database
  * =======================================================================*/
 
 /**
- * Open or upgrade the database.
- * @param {string} [dbName='costsdb] - Database name.
- * @param {number} [dbVersion=1] - Database version.
+ * Open or upgrade the database, applying pending migrations.
+ * @param {string} [dbName='costsdb'] - Database name.
+ * @param {number} [dbVersion] - Database version (defaults to the latest migration).
  * @returns {Promise<IDBDatabase>} Promise resolving to the opened database.
  */
 export function openCostsDB(dbName = DB_NAME, dbVersion = DB_VERSION) {
@@ -24,17 +242,15 @@ export function openCostsDB(dbName = DB_NAME, dbVersion = DB_VERSION) {
         const request = indexedDB.open(dbName, dbVersion);
 
         request.onupgradeneeded = (event) => {
-            const db = event.target.result;
-            if (!db.objectStoreNames.contains(STORE_NAME)) {
-                const store = db.createObjectStore(STORE_NAME, {
-                    keyPath: 'id',
-                    autoIncrement: true
-                });
-                store.createIndex('date', 'date', { unique: false });
-            }
+            runMigrations(request.result, request.transaction, event.oldVersion, event.newVersion);
         };
 
-        request.onsuccess = () => resolve(request.result);
+        request.onsuccess = () => {
+            const db = request.result;
+            // Let a newer version opened in another tab upgrade instead of blocking on us.
+            db.onversionchange = () => db.close();
+            resolve(db);
+        };
         request.onerror = () => reject(request.error);
     });
 }
@@ -44,28 +260,211 @@ export function openCostsDB(dbName = DB_NAME, dbVersion = DB_VERSION) {
  * =======================================================================*/
 
 /**
- * Add a new cost item.
- * @param {{ sum:number, currency:string, category:string, description:string }} cost - Cost payload.
- * @returns {Promise<{ id?:number, sum:number, currency:string, category:string, description:string, date:Date }>} Stored item.
+ * Validate the category lines of a split cost.
+ * @param {Array<{ category:string, sum:number }>|undefined|null} splits
+ * @param {number} sum - Cost total the lines must add up to (to the cent).
+ * @returns {Array<{ category:string, sum:number }>|null} The lines, or null when the cost is not split (fewer than two lines).
+ * @throws {Error} If a line has no category or a non-positive sum, or the lines do not add up to `sum`.
  */
-export async function addCost(cost) {
-    const db = await openCostsDB();
-    const tx = db.transaction(STORE_NAME, 'readwrite');
-    const store = tx.objectStore(STORE_NAME);
+function normalizeSplits(splits, sum) {
+    if (!Array.isArray(splits) || splits.length < 2) return null;
+    const lines = splits.map((l) => ({ category: String(l?.category ?? '').trim(), sum: Number(l?.sum) }));
+    if (lines.some((l) => !l.category || !Number.isFinite(l.sum) || l.sum <= 0)) {
+        throw new Error('Each split line needs a category and a positive sum');
+    }
+    if (round2(lines.reduce((acc, l) => acc + l.sum, 0)) !== round2(Number(sum))) {
+        throw new Error(ERR_SPLIT_TOTAL);
+    }
+    return lines;
+}
+
+/**
+ * Set or clear the split fields of a stored cost. A split cost keeps its first line's category
+ * in `category`, and every line category in `splitCategories` (indexed, for renames and usage checks).
+ * @param {Object} item - Stored cost shape; mutated in place.
+ * @param {Array<{ category:string, sum:number }>|null} splits - Result of normalizeSplits.
+ * @returns {void}
+ */
+function applySplits(item, splits) {
+    if (!splits) {
+        delete item.splits;
+        delete item.splitCategories;
+        return;
+    }
+    item.splits = splits;
+    item.category = splits[0].category;
+    item.splitCategories = [...new Set(splits.map((l) => l.category))];
+}
+
+/**
+ * Set or clear who paid a cost and how it is shared.
+ * @param {Object} item - Stored cost shape; mutated in place.
+ * @param {import('./shares').SharedInfo|null} shared - Result of normalizeShared.
+ * @returns {void}
+ */
+function applyShared(item, shared) {
+    if (shared) {
+        item.shared = shared;
+    } else {
+        delete item.shared;
+    }
+}
 
+/**
+ * Category lines of a cost: its split lines, or one line with the whole sum under its category.
+ * @param {{ sum:number, category:string, splits?:Array<{ category:string, sum:number }> }} item
+ * @returns {Array<{ category:string, sum:number }>}
+ */
+export function getCostLines(item) {
+    return item.splits?.length ? item.splits : [{ category: item.category, sum: item.sum }];
+}
+
+/**
+ * Build the stored shape of a cost from a payload.
+ * The item is stamped with the current time unless `cost.date` is given.
+ * `cost.rates` is the exchange rate set in effect when the cost was entered, kept for historical conversion.
+ * `recurringId` and `occurrence` link a cost generated from a recurring template back to it.
+ * Tags are normalized (see normalizeTags); a cost without tags gets an empty array.
+ * `splits` divides one payment into category lines (see normalizeSplits); it is stored as one cost.
+ * `shared` records who paid a cost shared with other people, and each person's part (see normalizeShared).
+ * @param {{ sum:number, currency:string, category:string, description:string, date?:Date|string|number, tags?:string[], splits?:Array<{ category:string, sum:number }>, shared?:Object, rates?:Record<string, number>, recurringId?:number, occurrence?:string }} cost - Cost payload.
+ * @returns {{ sum:number, currency:string, category:string, description:string, date:Date, tags:string[], splits?:Array<{ category:string, sum:number }>, splitCategories?:string[], shared?:import('./shares').SharedInfo, rates?:Record<string, number>, recurringId?:number, occurrence?:string }}
+ * @throws {Error} If `cost.date` is not a valid date, or the split lines or sharing are invalid.
+ */
+export function buildCostItem(cost) {
+    const date = cost.date !== undefined ? new Date(cost.date) : new Date();
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid cost date: ${cost.date}`);
+    }
     const item = {
         sum: cost.sum,
-        currency: cost.currency,
+        currency: normalizeCurrencyCode(cost.currency),
         category: cost.category,
         description: cost.description,
-        date: new Date()
+        date,
+        tags: normalizeTags(cost.tags)
     };
+    applySplits(item, normalizeSplits(cost.splits, cost.sum));
+    applyShared(item, normalizeShared(cost.shared, cost.sum));
+    if (cost.rates && typeof cost.rates === 'object') {
+        item.rates = normalizeRatesKeys(cost.rates);
+    }
+    if (cost.recurringId !== undefined && cost.occurrence !== undefined) {
+        item.recurringId = cost.recurringId;
+        item.occurrence = cost.occurrence;
+    }
+    return item;
+}
 
-    return new Promise((resolve, reject) => {
-        const request = store.add(item);
-        request.onsuccess = () => resolve(item);
-        request.onerror = () => reject(request.error);
+/**
+ * Add a new cost item.
+ * The item is stamped with the current time unless `cost.date` is given.
+ * @param {{ sum:number, currency:string, category:string, description:string, date?:Date|string|number, tags?:string[] }} cost - Cost payload.
+ * @returns {Promise<{ id:number, sum:number, currency:string, category:string, description:string, date:Date, tags:string[] }>} Stored item.
+ */
+export async function addCost(cost) {
+    const item = buildCostItem(cost);
+
+    const db = await openCostsDB();
+    const tx = db.transaction(COSTS_STORE, 'readwrite');
+    const id = await promisify(tx.objectStore(COSTS_STORE).add(item));
+    return { ...item, id };
+}
+
+/**
+ * Add many cost items in a single transaction. Either all items are stored or none.
+ * @param {Array<{ sum:number, currency:string, category:string, description:string, date?:Date|string|number }>} costs - Cost payloads.
+ * @returns {Promise<number>} Number of stored items.
+ */
+export async function addCosts(costs) {
+    const items = costs.map(buildCostItem);
+    if (items.length === 0) return 0;
+
+    const db = await openCostsDB();
+    const tx = db.transaction(COSTS_STORE, 'readwrite');
+    const store = tx.objectStore(COSTS_STORE);
+    const done = whenDone(tx);
+
+    items.forEach((item) => store.add(item));
+    await done;
+    return items.length;
+}
+
+/**
+ * Update fields of an existing cost item.
+ * Only sum, currency, category, description, date, tags, splits and shared can be patched. A split cost's
+ * category follows its first line, and its sum can only change together with lines that add up to it;
+ * patching `splits` with null (or a single line) turns it back into a plain cost, and `shared` with null
+ * makes it a personal cost again.
+ * @param {number} id - Cost item id.
+ * @param {{ sum?:number, currency?:string, category?:string, description?:string, date?:Date, tags?:string[], splits?:Array<{ category:string, sum:number }>|null, shared?:Object|null }} patch - Fields to change.
+ * @returns {Promise<{ id:number, sum:number, currency:string, category:string, description:string, date:Date }>} Updated item.
+ * @throws {Error} If no item exists with the given id, the split lines do not add up to the sum, or the sharing is invalid.
+ */
+export async function updateCost(id, patch) {
+    const db = await openCostsDB();
+    const tx = db.transaction(COSTS_STORE, 'readwrite');
+    const store = tx.objectStore(COSTS_STORE);
+
+    const existing = await promisify(store.get(id));
+    if (!existing) {
+        throw new Error(`Cost not found: ${id}`);
+    }
+
+    const item = { ...existing };
+    EDITABLE_FIELDS.forEach((field) => {
+        if (patch[field] !== undefined) {
+            item[field] = patch[field];
+        }
     });
+    item.currency = normalizeCurrencyCode(item.currency);
+    item.tags = normalizeTags(item.tags);
+    applySplits(item, normalizeSplits(item.splits, item.sum));
+    applyShared(item, normalizeShared(item.shared, item.sum));
+
+    await promisify(store.put(item));
+    return item;
+}
+
+/**
+ * Delete a single cost item together with its attachments, in one transaction.
+ * Resolves with the removed record, plus its removed attachments when it had any,
+ * so callers can offer undo via restoreCost.
+ * @param {number} id - Cost item id.
+ * @returns {Promise<{ id:number, sum:number, currency:string, category:string, description:string, date:Date, attachments?:Object[] }|undefined>} Deleted item, if it existed.
+ */
+export async function deleteCost(id) {
+    const db = await openCostsDB();
+    const tx = db.transaction([COSTS_STORE, ATTACHMENTS_STORE], 'readwrite');
+    const store = tx.objectStore(COSTS_STORE);
+    const files = tx.objectStore(ATTACHMENTS_STORE);
+    const done = whenDone(tx);
+
+    const [existing, attachments] = await Promise.all([
+        promisify(store.get(id)),
+        promisify(files.index('costId').getAll(id))
+    ]);
+    store.delete(id);
+    attachments.forEach((a) => files.delete(a.id));
+    await done;
+    return existing && attachments.length ? { ...existing, attachments } : existing;
+}
+
+/**
+ * Put back a previously deleted cost item, keeping its original id, and any attachments deleted with it.
+ * @param {{ id:number, sum:number, currency:string, category:string, description:string, date:Date, attachments?:Object[] }} item - Item returned by deleteCost.
+ * @returns {Promise<{ id:number, sum:number, currency:string, category:string, description:string, date:Date }>} Restored item.
+ */
+export async function restoreCost(item) {
+    const { attachments = [], ...cost } = item;
+    const db = await openCostsDB();
+    const tx = db.transaction([COSTS_STORE, ATTACHMENTS_STORE], 'readwrite');
+    const done = whenDone(tx);
+
+    tx.objectStore(COSTS_STORE).put(cost);
+    attachments.forEach((a) => tx.objectStore(ATTACHMENTS_STORE).put(a));
+    await done;
+    return cost;
 }
 
 /** =========================================================================
@@ -73,35 +472,214 @@ export async function addCost(cost) {
  * =======================================================================*/
 
 /**
- * Get a monthly report with currency conversion.
- * Each cost will contain `date` as ISO string (YYYY-MM-DD).
- * @param {number} year - Full year (e.g., 2025).
- * @param {number} month - Month 1–12.
- * @param {string} [targetCurrency='USD'] - Target currency.
- * @param {Record<string, number>} [exchangeRates={ USD:1 }] - Exchange rates map (USD base).
- * @returns {Promise<{
- *   year:number,
- *   month:number,
- *   costs:Array<{sum:number,currency:string,category:string,description:string,date:string}>,
- *   total:{ currency:string, total:number }
- * }>}
+ * Get raw cost items whose date falls in the half-open range [from, to).
+ * Uses the `date` index, so only matching records are read; with a tag, the `tags` index is read
+ * instead and the tagged items are then limited to the range.
+ * @param {Date|string|number} from - Range start (inclusive).
+ * @param {Date|string|number} to - Range end (exclusive).
+ * @param {string|null} [tag=null] - Only items with this (normalized) tag.
+ * @returns {Promise<Array<{ id:number, sum:number, currency:string, category:string, description:string, date:Date, tags:string[] }>>} Items ordered by date.
  */
-export async function getReport(year, month, targetCurrency = 'USD', exchangeRates = { USD: 1 }) {
+export async function getCostsInRange(from, to, tag = null) {
+    const lower = new Date(from);
+    const upper = new Date(to);
+    if (Number.isNaN(lower.getTime()) || Number.isNaN(upper.getTime())) {
+        throw new Error('Invalid date range');
+    }
+    if (lower >= upper) {
+        return [];
+    }
+
     const db = await openCostsDB();
-    const tx = db.transaction(STORE_NAME, 'readonly');
-    const store = tx.objectStore(STORE_NAME);
+    const store = db.transaction(COSTS_STORE, 'readonly').objectStore(COSTS_STORE);
 
-    const request = store.getAll();
-    const allItems = await new Promise((resolve, reject) => {
-        request.onsuccess = () => resolve(request.result);
+    if (tag) {
+        const tagged = await promisify(store.index('tags').getAll(tag));
+        return tagged
+            .filter((item) => item.date >= lower && item.date < upper)
+            .sort((a, b) => a.date - b.date);
+    }
+
+    return promisify(store.index('date').getAll(IDBKeyRange.bound(lower, upper, false, true)));
+}
+
+/**
+ * Get every tag in use, read from the `tags` index without loading the costs.
+ * @returns {Promise<string[]>} Distinct tags in alphabetical order.
+ */
+export async function getTags() {
+    const db = await openCostsDB();
+    const index = db.transaction(COSTS_STORE, 'readonly').objectStore(COSTS_STORE).index('tags');
+
+    return new Promise((resolve, reject) => {
+        const tags = [];
+        const request = index.openKeyCursor(null, 'nextunique');
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve(tags);
+                return;
+            }
+            tags.push(cursor.key);
+            cursor.continue();
+        };
         request.onerror = () => reject(request.error);
     });
+}
 
-    // Filter for the requested (year, month)
-    const filteredCosts = allItems.filter((item) => {
-        const d = new Date(item.date);
-        return d.getFullYear() === year && d.getMonth() + 1 === month;
+/**
+ * Search all costs with one cursor pass over the `date` index, keeping only the requested page in memory.
+ * Text matches descriptions case-insensitively; categories match a cost's own category (any line of a split cost)
+ * or its top-level category; `min`/`max` bound the sum in its original currency.
+ * @param {{ text?:string, from?:Date|null, to?:Date|null, categories?:string[], currency?:string, min?:number|null, max?:number|null }} [filters={}]
+ *   `from` is inclusive, `to` exclusive; empty or missing filters match everything.
+ * @param {{ offset?:number, limit?:number, direction?:'next'|'prev' }} [page={}] - 'prev' lists newest first.
+ * @returns {Promise<{ rows:Array<{ id:number, sum:number, currency:string, category:string, description:string, date:Date }>, total:number }>}
+ *   The page of matching items and the number of matches overall.
+ */
+export async function searchCosts(filters = {}, { offset = 0, limit = 25, direction = 'prev' } = {}) {
+    const text = String(filters.text ?? '').trim().toLowerCase();
+    const categories = filters.categories?.length ? new Set(filters.categories) : null;
+    const rollup = categories ? buildRollupMap(await getCategoryRecords()) : {};
+    const min = filters.min ?? null;
+    const max = filters.max ?? null;
+
+    const lower = filters.from ? new Date(filters.from) : null;
+    const upper = filters.to ? new Date(filters.to) : null;
+    if (lower && upper && lower >= upper) {
+        return { rows: [], total: 0 };
+    }
+    let range = null;
+    if (lower && upper) range = IDBKeyRange.bound(lower, upper, false, true);
+    else if (lower) range = IDBKeyRange.lowerBound(lower);
+    else if (upper) range = IDBKeyRange.upperBound(upper, true);
+
+    const matches = (item) =>
+        (!text || String(item.description ?? '').toLowerCase().includes(text)) &&
+        (!categories || getCostLines(item).some((l) => categories.has(l.category) || categories.has(rollup[l.category]))) &&
+        (!filters.currency || item.currency === filters.currency) &&
+        (min === null || item.sum >= min) &&
+        (max === null || item.sum <= max);
+
+    const db = await openCostsDB();
+    const tx = db.transaction(COSTS_STORE, 'readonly');
+    const index = tx.objectStore(COSTS_STORE).index('date');
+
+    return new Promise((resolve, reject) => {
+        const rows = [];
+        let total = 0;
+        const request = index.openCursor(range, direction);
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve({ rows, total });
+                return;
+            }
+            if (matches(cursor.value)) {
+                if (total >= offset && rows.length < limit) rows.push(cursor.value);
+                total += 1;
+            }
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
     });
+}
+
+/**
+ * Map each category name to its top-level category name (top-level names map to themselves).
+ * @param {Array<{ id:number, name:string, parentId?:number|null }>} categories
+ * @returns {Record<string, string>}
+ */
+export function buildRollupMap(categories) {
+    const byId = new Map(categories.map((c) => [c.id, c]));
+    const map = {};
+    categories.forEach((c) => {
+        map[c.name] = byId.get(c.parentId)?.name ?? c.name;
+    });
+    return map;
+}
+
+/**
+ * Get every category record.
+ * @returns {Promise<Array<{ id:number, name:string, parentId?:number|null }>>}
+ */
+async function getCategoryRecords() {
+    const db = await openCostsDB();
+    const tx = db.transaction(CATEGORIES_STORE, 'readonly');
+    return promisify(tx.objectStore(CATEGORIES_STORE).getAll());
+}
+
+/**
+ * Add one cost to a per-currency breakdown.
+ * @param {Record<string, { original:number, total:number }>} breakdown - Mutated in place.
+ * @param {string} currency - Original currency of the cost.
+ * @param {number} original - Sum in the original currency.
+ * @param {number} converted - Sum in the report currency.
+ * @returns {void}
+ */
+function addToBreakdown(breakdown, currency, original, converted) {
+    const entry = breakdown[currency] ?? (breakdown[currency] = { original: 0, total: 0 });
+    entry.original += original;
+    entry.total += converted;
+}
+
+/**
+ * Turn a per-currency breakdown into rounded rows, largest converted total first.
+ * @param {Record<string, { original:number, total:number }>} breakdown
+ * @returns {Array<{ currency:string, original:number, total:number }>}
+ */
+function listBreakdown(breakdown) {
+    return Object.entries(breakdown)
+        .map(([currency, t]) => ({ currency, original: round2(t.original), total: round2(t.total) }))
+        .sort((a, b) => b.total - a.total);
+}
+
+/**
+ * Get a report for the half-open local date range [from, to) with currency conversion.
+ * Each cost will contain `date` as ISO string (YYYY-MM-DD), its stored rate snapshot (or null),
+ * `parentCategory`, the top-level category its (leaf) category rolls up to, the id of the
+ * recurring template that generated it (or null), and its category `lines` (see getCostLines; more than
+ * one for a split cost), each with its own `parentCategory`.
+ * In 'historical' mode each cost is converted with the rates stored when it was entered,
+ * falling back to `exchangeRates` for costs without a snapshot.
+ * Costs that cannot be converted (no rate for their currency or the target) stay in `costs` but are left
+ * out of every total; `unconverted` counts them and names the currencies missing a rate.
+ * `categoryTotals` aggregates the converted sums per leaf category, or per top-level category when `level` is 'parent',
+ * each split by original currency; each line of a split cost counts toward its own category. `currencyTotals` sums the costs per original currency, before and after conversion.
+ * `monthTotals` lists every calendar month the range touches, in order, including months without costs.
+ * With a `tag`, only costs carrying it are included, so the totals are the tag's totals over the range.
+ * @param {Date|string|number} from - Range start (inclusive).
+ * @param {Date|string|number} to - Range end (exclusive).
+ * @param {string} [targetCurrency='USD'] - Target currency.
+ * @param {Record<string, number>} [exchangeRates={ USD:1 }] - Exchange rates map (USD base).
+ * @param {'current'|'historical'} [rateMode='current'] - Which rates to convert with.
+ * @param {'leaf'|'parent'} [level='leaf'] - Category level for `categoryTotals`.
+ * @param {string|null} [tag=null] - Only costs with this tag.
+ * @returns {Promise<{
+ *   from:string,
+ *   to:string,
+ *   rateMode:'current'|'historical',
+ *   level:'leaf'|'parent',
+ *   tag:string|null,
+ *   costs:Array<{id:number,sum:number,currency:string,category:string,parentCategory:string,description:string,date:string,tags:string[],lines:Array<{category:string,parentCategory:string,sum:number}>,rates:Record<string, number>|null,recurringId:number|null}>,
+ *   categoryTotals:Array<{ category:string, total:number, currencies:Array<{ currency:string, original:number, total:number }> }>,
+ *   currencyTotals:Array<{ currency:string, original:number, total:number }>,
+ *   monthTotals:Array<{ month:string, total:number }>,
+ *   total:{ currency:string, total:number },
+ *   unconverted:import('./exchange').Unconverted
+ * }>} `from`/`to` are the first and last day (inclusive) as YYYY-MM-DD; `month` is YYYY-MM.
+ */
+export async function getReportRange(
+    from,
+    to,
+    targetCurrency = 'USD',
+    exchangeRates = { USD: 1 },
+    rateMode = 'current',
+    level = 'leaf',
+    tag = null
+) {
+    const filteredCosts = await getCostsInRange(from, to, tag);
+    const rollup = buildRollupMap(await getCategoryRecords());
 
     // Normalize to ISO date (YYYY-MM-DD) in UTC to avoid TZ drift
     const costsWithDate = filteredCosts.map((item) => {
@@ -110,51 +688,224 @@ export async function getReport(year, month, targetCurrency = 'USD', exchangeRat
             .toISOString()
             .slice(0, 10);
         return {
+            id: item.id,
             sum: item.sum,
             currency: item.currency,
             category: item.category,
+            parentCategory: rollup[item.category] ?? item.category,
             description: item.description,
-            date: iso
+            date: iso,
+            tags: item.tags ?? [],
+            lines: getCostLines(item).map((l) => ({
+                category: l.category,
+                parentCategory: rollup[l.category] ?? l.category,
+                sum: l.sum
+            })),
+            rates: item.rates ?? null,
+            recurringId: item.recurringId ?? null
         };
     });
 
-    // Sum in USD (assuming exchangeRates are relative to USD)
-    const totalUSD = filteredCosts.reduce((acc, item) => {
-        const rate = exchangeRates[item.currency] || 1;
-        return acc + item.sum / rate;
-    }, 0);
+    // Every month the range touches, so empty months still show up as zero
+    const first = new Date(from);
+    const last = new Date(new Date(to).getTime() - 1);
+    const byMonth = {};
+    for (let d = new Date(first.getFullYear(), first.getMonth(), 1); d <= last; d.setMonth(d.getMonth() + 1)) {
+        byMonth[toIsoDate(d).slice(0, 7)] = 0;
+    }
 
-    // Convert to target currency
-    const convertedTotal = totalUSD * (exchangeRates[targetCurrency] || 1);
+    // Convert each item to the target currency (rates are relative to USD)
+    const useHistorical = rateMode === 'historical';
+    let convertedTotal = 0;
+    const byCategory = {};
+    const byCurrency = {};
+    filteredCosts.forEach((item, i) => {
+        if (findMissingRate(item, targetCurrency, exchangeRates, useHistorical)) return;
+        const value = convertCost(item, targetCurrency, exchangeRates, useHistorical);
+        const month = costsWithDate[i].date.slice(0, 7);
+        getCostLines(item).forEach((line) => {
+            const lineValue = convertCost({ ...item, sum: line.sum }, targetCurrency, exchangeRates, useHistorical);
+            const key = level === 'parent' ? rollup[line.category] ?? line.category : line.category;
+            const entry = byCategory[key] ?? (byCategory[key] = { total: 0, currencies: {} });
+            entry.total += lineValue;
+            addToBreakdown(entry.currencies, item.currency, line.sum, lineValue);
+        });
+        addToBreakdown(byCurrency, item.currency, item.sum, value);
+        byMonth[month] = (byMonth[month] || 0) + value;
+        convertedTotal += value;
+    });
+    const categoryTotals = Object.entries(byCategory)
+        .map(([category, t]) => ({ category, total: round2(t.total), currencies: listBreakdown(t.currencies) }))
+        .sort((a, b) => b.total - a.total);
+    const monthTotals = Object.entries(byMonth)
+        .map(([month, total]) => ({ month, total: round2(total) }))
+        .sort((a, b) => a.month.localeCompare(b.month));
 
     return {
-        year,
-        month,
+        from: toIsoDate(first),
+        to: toIsoDate(last),
+        rateMode,
+        level,
+        tag,
         costs: costsWithDate,
+        categoryTotals,
+        currencyTotals: listBreakdown(byCurrency),
+        monthTotals,
         total: {
             currency: targetCurrency,
-            total: Math.round(convertedTotal * 100) / 100
-        }
+            total: round2(convertedTotal)
+        },
+        unconverted: countUnconverted(filteredCosts, targetCurrency, exchangeRates, useHistorical)
     };
 }
 
+/**
+ * Get a monthly report with currency conversion; see getReportRange for the cost and total fields.
+ * @param {number} year - Full year (e.g., 2025).
+ * @param {number} month - Month 1–12.
+ * @param {string} [targetCurrency='USD'] - Target currency.
+ * @param {Record<string, number>} [exchangeRates={ USD:1 }] - Exchange rates map (USD base).
+ * @param {'current'|'historical'} [rateMode='current'] - Which rates to convert with.
+ * @param {'leaf'|'parent'} [level='leaf'] - Category level for `categoryTotals`.
+ * @param {string|null} [tag=null] - Only costs with this tag.
+ * @returns {Promise<{
+ *   year:number,
+ *   month:number,
+ *   rateMode:'current'|'historical',
+ *   level:'leaf'|'parent',
+ *   costs:Array<{id:number,sum:number,currency:string,category:string,parentCategory:string,description:string,date:string,tags:string[],lines:Array<{category:string,parentCategory:string,sum:number}>,rates:Record<string, number>|null,recurringId:number|null}>,
+ *   categoryTotals:Array<{ category:string, total:number, currencies:Array<{ currency:string, original:number, total:number }> }>,
+ *   currencyTotals:Array<{ currency:string, original:number, total:number }>,
+ *   total:{ currency:string, total:number },
+ *   unconverted:import('./exchange').Unconverted
+ * }>}
+ */
+export async function getReport(
+    year,
+    month,
+    targetCurrency = 'USD',
+    exchangeRates = { USD: 1 },
+    rateMode = 'current',
+    level = 'leaf',
+    tag = null
+) {
+    // Local-time bounds of the requested (year, month)
+    const { costs, categoryTotals, currencyTotals, total, unconverted } = await getReportRange(
+        new Date(year, month - 1, 1),
+        new Date(year, month, 1),
+        targetCurrency,
+        exchangeRates,
+        rateMode,
+        level,
+        tag
+    );
+    return { year, month, rateMode, level, costs, categoryTotals, currencyTotals, total, unconverted };
+}
+
+/**
+ * Get every stored cost item, e.g. for a backup.
+ * @returns {Promise<Array<{ id:number, sum:number, currency:string, category:string, description:string, date:Date }>>}
+ */
+export async function getAllCosts() {
+    const db = await openCostsDB();
+    const tx = db.transaction(COSTS_STORE, 'readonly');
+    return promisify(tx.objectStore(COSTS_STORE).getAll());
+}
+
 /** =========================================================================
  * Maintenance
  * =======================================================================*/
 
 /**
- * Clear all records from the "costs" object store.
+ * Identity of a cost used to detect duplicates when merging a restore.
+ * @param {{ sum:number, currency:string, category:string, description:string, date:Date|string }} item
+ * @returns {string}
+ */
+function costSignature(item) {
+    return [new Date(item.date).getTime(), item.sum, item.currency, item.category, item.description].join('|');
+}
+
+/**
+ * Restore cost items from a backup in a single transaction.
+ * - 'replace': clear the store and every attachment, then write every item with its original id.
+ * - 'merge': keep existing items and add the backup items under new ids,
+ *   skipping items identical to one already stored. Links to recurring templates are dropped.
+ * @param {Array<{ id?:number, sum:number, currency:string, category:string, description:string, date:Date|string }>} costs - Items to restore.
+ * @param {'replace'|'merge'} mode - Restore mode.
+ * @param {IDBTransaction|null} [tx=null] - Readwrite transaction over costs and attachments to join (see restoreBackup);
+ *   the caller waits for it to commit.
+ * @returns {Promise<{ added:number, skipped:number, ids:Record<number, number> }>} Counts of written and skipped items,
+ *   and the stored id of each written item by its id in the backup (to re-link attachments).
+ */
+export async function restoreCosts(costs, mode, tx = null) {
+    if (mode !== 'replace' && mode !== 'merge') {
+        throw new Error(`Unknown restore mode: ${mode}`);
+    }
+    const items = costs.map((c) => {
+        const item = buildCostItem(c);
+        item.backupId = c.id;
+        if (mode === 'replace' && c.id !== undefined) {
+            item.id = c.id;
+        }
+        if (mode === 'merge') {
+            // Template ids from another database mean nothing here
+            delete item.recurringId;
+            delete item.occurrence;
+        }
+        return item;
+    });
+
+    const active = tx ?? (await openCostsDB()).transaction([COSTS_STORE, ATTACHMENTS_STORE], 'readwrite');
+    const store = active.objectStore(COSTS_STORE);
+    const counts = { added: 0, skipped: 0, ids: {} };
+    const writes = [];
+
+    /**
+     * Write one item and record its stored id.
+     * @param {Object} item - Built item, still carrying its backup id.
+     * @returns {void}
+     */
+    const write = ({ backupId, ...item }) => {
+        const request = mode === 'replace' ? store.put(item) : store.add(item);
+        writes.push(promisify(request).then((id) => {
+            if (backupId !== undefined) counts.ids[backupId] = id;
+        }));
+        counts.added += 1;
+    };
+
+    const done = tx ? null : whenDone(active);
+    if (mode === 'replace') {
+        store.clear();
+        active.objectStore(ATTACHMENTS_STORE).clear();
+        items.forEach(write);
+    } else {
+        const seen = new Set((await promisify(store.getAll())).map(costSignature));
+        items.forEach((item) => {
+            const key = costSignature(item);
+            if (seen.has(key)) {
+                counts.skipped += 1;
+                return;
+            }
+            seen.add(key);
+            write(item);
+        });
+    }
+    // Wait for every write too, so `ids` is complete when joining the caller's transaction
+    await Promise.all([...writes, done]);
+    return counts;
+}
+
+/**
+ * Clear all records from the "costs" object store, and their attachments.
  * @returns {Promise<void>} Promise that resolves when clearing completes.
  */
 export async function clearAll() {
     const db = await openCostsDB();
-    const tx = db.transaction(STORE_NAME, 'readwrite');
-    const store = tx.objectStore(STORE_NAME);
-    return new Promise((resolve, reject) => {
-        const r = store.clear();
-        r.onsuccess = () => resolve();
-        r.onerror = () => reject(r.error);
-    });
+    const tx = db.transaction([COSTS_STORE, ATTACHMENTS_STORE], 'readwrite');
+    const done = whenDone(tx);
+    tx.objectStore(COSTS_STORE).clear();
+    tx.objectStore(ATTACHMENTS_STORE).clear();
+    await done;
 }
 
 /**
@@ -0,0 +1,216 @@
+/** /src/services/idb.test.js
+ * Project: Cost Manager Front End
+ * File: src/services/idb.test.js
+ * Description: Tests for the costsdb schema migrations (upgrading a version 1 database to the latest version),
+ *              for split costs, and for reports over currencies without an exchange rate.
+ * Updated: 2026-10-19
+ */
+
+import { IDBFactory } from 'fake-indexeddb';
+import {
+    openCostsDB,
+    getAllCosts,
+    addCost,
+    updateCost,
+    getReportRange,
+    COSTS_STORE,
+    CATEGORIES_STORE,
+    BUDGETS_STORE,
+    RECURRING_STORE,
+    ATTACHMENTS_STORE,
+    PEOPLE_STORE
+} from './idb';
+
+/** =========================================================================
+ * Helpers
+ * =======================================================================*/
+
+/**
+ * Create a version 1 costsdb, as the first release did, holding the given raw records.
+ * @param {Object[]} records - Costs stored as-is.
+ * @returns {Promise<void>}
+ */
+function seedVersion1(records) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open('costsdb', 1);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore('costs', { keyPath: 'id', autoIncrement: true });
+            store.createIndex('date', 'date', { unique: false });
+            records.forEach((r) => store.add(r));
+        };
+        request.onsuccess = () => {
+            request.result.close();
+            resolve();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+beforeEach(() => {
+    global.indexedDB = new IDBFactory();
+});
+
+/** =========================================================================
+ * Tests
+ * =======================================================================*/
+
+describe('openCostsDB migrations', () => {
+    test('upgrades version 1 cost records', async () => {
+        await seedVersion1([
+            { sum: '12.50', currency: 'EURO', category: 'Food', description: 'Pizza', date: '2024-03-05T10:00:00.000Z', rates: { USD: 1, EURO: 0.9 } },
+            { sum: 7, currency: 'USD', category: 'Pets', description: 'Food', date: new Date('2024-03-06T10:00:00.000Z') }
+        ]);
+
+        const [pizza, pets] = await getAllCosts();
+
+        expect(pizza.date).toBeInstanceOf(Date);
+        expect(pizza.date.toISOString()).toBe('2024-03-05T10:00:00.000Z');
+        expect(pizza.sum).toBe(12.5);
+        expect(pizza.currency).toBe('EUR');
+        expect(pizza.rates).toEqual({ USD: 1, EUR: 0.9 });
+        expect(pizza.tags).toEqual([]);
+        expect(pets.sum).toBe(7);
+        expect(pets.tags).toEqual([]);
+    });
+
+    test('creates every store and index added since version 1', async () => {
+        await seedVersion1([{ sum: 1, currency: 'USD', category: 'Pets', description: 'x', date: new Date() }]);
+
+        const db = await openCostsDB();
+        expect([...db.objectStoreNames].sort()).toEqual(
+            [ATTACHMENTS_STORE, BUDGETS_STORE, CATEGORIES_STORE, COSTS_STORE, PEOPLE_STORE, RECURRING_STORE].sort()
+        );
+        const tx = db.transaction([COSTS_STORE, CATEGORIES_STORE, ATTACHMENTS_STORE], 'readonly');
+        expect([...tx.objectStore(COSTS_STORE).indexNames].sort()).toEqual(
+            ['category', 'date', 'recurrence', 'sharedPeople', 'splitCategories', 'tags']
+        );
+        expect(tx.objectStore(COSTS_STORE).index('tags').multiEntry).toBe(true);
+        expect(tx.objectStore(COSTS_STORE).index('recurrence').unique).toBe(true);
+        expect([...tx.objectStore(ATTACHMENTS_STORE).indexNames]).toEqual(['costId']);
+
+        // Defaults are seeded, plus any category name already used by a cost
+        const names = await new Promise((resolve) => {
+            const request = tx.objectStore(CATEGORIES_STORE).getAll();
+            request.onsuccess = () => resolve(request.result.map((c) => c.name));
+        });
+        expect(names).toEqual(expect.arrayContaining(['Food', 'Other', 'Pets']));
+        db.close();
+    });
+
+    test('opens a new database at the latest version', async () => {
+        const db = await openCostsDB();
+        expect(db.version).toBeGreaterThanOrEqual(10);
+        expect(db.objectStoreNames.contains(PEOPLE_STORE)).toBe(true);
+        db.close();
+    });
+});
+
+describe('split costs', () => {
+    const RATES = { USD: 1, EUR: 0.5 };
+    const FROM = new Date(2025, 0, 1);
+    const TO = new Date(2025, 1, 1);
+
+    /**
+     * Add a 100 USD cost split over Food, Health and Shopping.
+     * @returns {Promise<Object>} The stored cost.
+     */
+    const addSplitCost = () => addCost({
+        sum: 100,
+        currency: 'USD',
+        category: 'ignored',
+        description: 'Supermarket',
+        date: new Date(2025, 0, 5),
+        splits: [{ category: 'Food', sum: 60 }, { category: 'Health', sum: '25.5' }, { category: 'Shopping', sum: 14.5 }]
+    });
+
+    test('stores the lines on one cost under the first line category', async () => {
+        const cost = await addSplitCost();
+        expect(cost.category).toBe('Food');
+        expect(cost.splits).toEqual([
+            { category: 'Food', sum: 60 },
+            { category: 'Health', sum: 25.5 },
+            { category: 'Shopping', sum: 14.5 }
+        ]);
+        expect(cost.splitCategories).toEqual(['Food', 'Health', 'Shopping']);
+    });
+
+    test('a single line is a plain cost', async () => {
+        const cost = await addCost({
+            sum: 10, currency: 'USD', category: 'Food', description: 'x', splits: [{ category: 'Health', sum: 10 }]
+        });
+        expect(cost.category).toBe('Food');
+        expect(cost).not.toHaveProperty('splits');
+    });
+
+    test.each([
+        ['lines that do not add up', [{ category: 'Food', sum: 50 }, { category: 'Health', sum: 40 }], 'add up'],
+        ['a line without a category', [{ category: '', sum: 50 }, { category: 'Health', sum: 50 }], 'category'],
+        ['a non-positive line', [{ category: 'Food', sum: 101 }, { category: 'Health', sum: -1 }], 'positive']
+    ])('rejects %s', async (_, splits, message) => {
+        await expect(addCost({ sum: 100, currency: 'USD', category: 'Food', description: 'x', splits }))
+            .rejects.toThrow(message);
+    });
+
+    test('updates keep the lines consistent with the sum', async () => {
+        const cost = await addSplitCost();
+        await expect(updateCost(cost.id, { sum: 90 })).rejects.toThrow('add up');
+
+        const plain = await updateCost(cost.id, { splits: null, category: 'Health' });
+        expect(plain.category).toBe('Health');
+        expect(plain).not.toHaveProperty('splits');
+        expect(plain).not.toHaveProperty('splitCategories');
+    });
+
+    test('reports attribute each line to its own category', async () => {
+        await addSplitCost();
+        await addCost({ sum: 10, currency: 'EUR', category: 'Food', description: 'Lunch', date: new Date(2025, 0, 6) });
+
+        const report = await getReportRange(FROM, TO, 'USD', RATES);
+        expect(report.total.total).toBe(120);
+        expect(report.categoryTotals.map((t) => [t.category, t.total])).toEqual([
+            ['Food', 80],
+            ['Health', 25.5],
+            ['Shopping', 14.5]
+        ]);
+        const food = report.categoryTotals.find((t) => t.category === 'Food');
+        expect(food.currencies).toEqual(expect.arrayContaining([
+            { currency: 'USD', original: 60, total: 60 },
+            { currency: 'EUR', original: 10, total: 20 }
+        ]));
+        expect(report.costs.map((c) => c.lines.length)).toEqual([3, 1]);
+        expect(report.costs[0].lines[1]).toEqual({ category: 'Health', parentCategory: 'Health', sum: 25.5 });
+    });
+});
+
+describe('reports over currencies without a rate', () => {
+    const RATES = { USD: 1, EUR: 0.5 };
+
+    test('leave those costs out of every total and count them', async () => {
+        const spend = (sum, currency, category) =>
+            addCost({ sum, currency, category, description: 'x', date: new Date(2025, 0, 10) });
+        await spend(10, 'USD', 'Food');
+        await spend(10, 'EUR', 'Health');
+        await spend(50, 'ILS', 'Food');
+        await spend(5, 'GBP', 'Other');
+
+        const report = await getReportRange(new Date(2025, 0, 1), new Date(2025, 1, 1), 'EUR', RATES);
+
+        expect(report.costs).toHaveLength(4);
+        expect(report.total.total).toBe(15);
+        expect(report.categoryTotals.map((t) => [t.category, t.total])).toEqual([['Health', 10], ['Food', 5]]);
+        expect(report.currencyTotals.map((t) => t.currency)).toEqual(['EUR', 'USD']);
+        expect(report.monthTotals).toEqual([{ month: '2025-01', total: 15 }]);
+        expect(report.unconverted).toEqual({ count: 2, currencies: ['GBP', 'ILS'] });
+    });
+
+    test('convert a cost with its snapshot in historical mode', async () => {
+        await addCost({
+            sum: 40, currency: 'ILS', category: 'Food', description: 'x', date: new Date(2025, 0, 10), rates: { USD: 1, ILS: 4 }
+        });
+
+        const from = new Date(2025, 0, 1);
+        const to = new Date(2025, 1, 1);
+        expect((await getReportRange(from, to, 'USD', RATES, 'historical')).total.total).toBe(10);
+        expect((await getReportRange(from, to, 'USD', RATES)).unconverted).toEqual({ count: 1, currencies: ['ILS'] });
+    });
+});
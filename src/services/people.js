@@ -0,0 +1,158 @@
+/** /src/services/people.js
+ * Project: Cost Manager Front End
+ * File: src/services/people.js
+ * Description: People who pay for and share costs, and the who-owes-whom settlement of shared costs.
+ * Updated: 2026-10-19
+ */
+
+import { openCostsDB, COSTS_STORE, PEOPLE_STORE } from './idb';
+import { computeBalances, suggestTransfers } from './shares';
+import { countUnconverted } from './exchange';
+import { promisify, whenDone } from './utils';
+
+/** =========================================================================
+ * Configurable constants
+ * =======================================================================*/
+
+const MAX_NAME_LENGTH = 60;
+
+/** =========================================================================
+ * Types
+ * =======================================================================*/
+
+/**
+ * @typedef {Object} Person
+ * @property {string} name - Unique display name; costs refer to people by name.
+ */
+
+/**
+ * @typedef {Object} Settlement
+ * @property {string} currency - Currency every amount is converted to.
+ * @property {number} costs - Number of shared costs included.
+ * @property {import('./exchange').Unconverted} unconverted - Shared costs left out for lack of a rate.
+ * @property {import('./shares').PersonBalance[]} balances - Largest creditor first.
+ * @property {Array<{ from:string, to:string, amount:number }>} transfers - Suggested payments that settle up.
+ */
+
+/** =========================================================================
+ * Helpers
+ * =======================================================================*/
+
+/**
+ * Normalize a person's name: trimmed, inner whitespace collapsed.
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeName(name) {
+    return String(name ?? '').trim().replace(/\s+/g, ' ').slice(0, MAX_NAME_LENGTH);
+}
+
+/** =========================================================================
+ * Storage
+ * =======================================================================*/
+
+/**
+ * Get all people by name.
+ * @returns {Promise<Person[]>}
+ */
+export async function getPeople() {
+    const db = await openCostsDB();
+    const tx = db.transaction(PEOPLE_STORE, 'readonly');
+    const all = await promisify(tx.objectStore(PEOPLE_STORE).getAll());
+    return all.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Add a person.
+ * @param {string} name
+ * @returns {Promise<Person>} The stored person.
+ * @throws {Error} If the name is empty or already taken.
+ */
+export async function addPerson(name) {
+    const item = { name: normalizeName(name) };
+    if (!item.name) {
+        throw new Error('Name is required');
+    }
+    const db = await openCostsDB();
+    const tx = db.transaction(PEOPLE_STORE, 'readwrite');
+    try {
+        await promisify(tx.objectStore(PEOPLE_STORE).add(item));
+    } catch (err) {
+        if (err?.name === 'ConstraintError') {
+            throw new Error(`${item.name} already exists`);
+        }
+        throw err;
+    }
+    return item;
+}
+
+/**
+ * Remove a person who has no shared costs.
+ * @param {string} name
+ * @returns {Promise<void>}
+ * @throws {Error} If a cost was paid by or shared with the person.
+ */
+export async function deletePerson(name) {
+    const db = await openCostsDB();
+    const tx = db.transaction([PEOPLE_STORE, COSTS_STORE], 'readwrite');
+    const used = await promisify(tx.objectStore(COSTS_STORE).index('sharedPeople').count(name));
+    if (used > 0) {
+        throw new Error(`${name} shares ${used} costs; remove them from those costs first`);
+    }
+    await promisify(tx.objectStore(PEOPLE_STORE).delete(name));
+}
+
+/**
+ * Restore people from a backup. Merge keeps existing people; replace clears the store first.
+ * @param {Person[]} people
+ * @param {'replace'|'merge'} mode
+ * @param {IDBTransaction|null} [tx=null] - Readwrite transaction to join (see restoreBackup); the caller waits for it to commit.
+ * @returns {Promise<number>} Number of stored people.
+ */
+export async function restorePeople(people, mode, tx = null) {
+    const active = tx ?? (await openCostsDB()).transaction(PEOPLE_STORE, 'readwrite');
+    const store = active.objectStore(PEOPLE_STORE);
+
+    if (mode === 'replace') {
+        store.clear();
+    }
+    const names = [...new Set(people.map((p) => normalizeName(p?.name)).filter(Boolean))];
+    names.forEach((name) => store.put({ name }));
+    if (!tx) await whenDone(active);
+    return names.length;
+}
+
+/** =========================================================================
+ * Settlement
+ * =======================================================================*/
+
+/**
+ * Net balances and suggested transfers over the shared costs in a date range.
+ * Shared costs are read through the costs.sharedPeople index, so personal costs are never loaded.
+ * @param {string} currency - Settlement currency.
+ * @param {Record<string, number>} rates - Exchange rates (USD base), e.g. from fetchRates.
+ * @param {Date|null} [from=null] - Inclusive start; null for the first shared cost.
+ * @param {Date|null} [to=null] - Exclusive end; null for no end.
+ * @returns {Promise<Settlement>}
+ */
+export async function getSettlement(currency, rates, from = null, to = null) {
+    const db = await openCostsDB();
+    const tx = db.transaction(COSTS_STORE, 'readonly');
+    const all = await promisify(tx.objectStore(COSTS_STORE).index('sharedPeople').getAll());
+
+    // A multiEntry index lists a cost once per person involved
+    const byId = new Map(all.map((c) => [c.id, c]));
+    const costs = [...byId.values()].filter((c) => {
+        const date = new Date(c.date);
+        return (!from || date >= from) && (!to || date < to);
+    });
+    const balances = computeBalances(costs, currency, rates);
+    const unconverted = countUnconverted(costs, currency, rates);
+    return {
+        currency,
+        costs: costs.length - unconverted.count,
+        balances,
+        transfers: suggestTransfers(balances),
+        unconverted
+    };
+}
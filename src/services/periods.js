@@ -0,0 +1,179 @@
+/** /src/services/periods.js
+ * Project: Cost Manager Front End
+ * File: src/services/periods.js
+ * Description: Local-date helpers, report periods (month, quarter, year to date, full year, custom range),
+ *              and period pairs for comparisons.
+ * Updated: 2026-10-19
+ */
+
+/** =========================================================================
+ * Configurable constants
+ * =======================================================================*/
+
+/** @constant {Array<{value:'month'|'quarter'|'ytd'|'year'|'custom', label:string}>} PERIOD_TYPES - Report period choices */
+export const PERIOD_TYPES = [
+    { value: 'month', label: 'Month' },
+    { value: 'quarter', label: 'Quarter' },
+    { value: 'ytd', label: 'Year to Date' },
+    { value: 'year', label: 'Full Year' },
+    { value: 'custom', label: 'Custom Range' }
+];
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/** =========================================================================
+ * Dates
+ * =======================================================================*/
+
+/**
+ * Format a Date as a local YYYY-MM-DD string.
+ * @param {Date} d
+ * @returns {string}
+ */
+export function toIsoDate(d) {
+    const mm = String(d.getMonth() + 1).padStart(2, '0');
+    const dd = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${mm}-${dd}`;
+}
+
+/**
+ * Parse a local YYYY-MM-DD string into a Date at local midnight.
+ * @param {string} iso
+ * @returns {Date|null} The date, or null if the string is not a valid date.
+ */
+export function fromIsoDate(iso) {
+    const match = ISO_DATE_PATTERN.exec(iso ?? '');
+    if (!match) return null;
+    const d = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return toIsoDate(d) === iso ? d : null;
+}
+
+/** =========================================================================
+ * Periods
+ * =======================================================================*/
+
+/**
+ * Resolve a report period into a half-open local date range [from, to).
+ * Year to date runs from January 1 through today for the current year,
+ * or through the same calendar day for past years.
+ * @param {'month'|'quarter'|'ytd'|'year'|'custom'} type
+ * @param {{ year?:number, month?:number, quarter?:number, from?:string, to?:string }} params
+ *   `month` is 1–12, `quarter` 1–4; `from`/`to` are inclusive YYYY-MM-DD dates for 'custom'.
+ * @param {Date} [now=new Date()]
+ * @returns {{ from:Date, to:Date, label:string }}
+ * @throws {Error} If the parameters do not describe a valid period.
+ */
+export function resolvePeriod(type, params, now = new Date()) {
+    const year = Number(params.year);
+    if (type !== 'custom' && (!Number.isInteger(year) || year < 1900 || year > 9999)) {
+        throw new Error('Enter a valid year');
+    }
+
+    switch (type) {
+        case 'month': {
+            const month = Number(params.month);
+            if (!Number.isInteger(month) || month < 1 || month > 12) {
+                throw new Error('Month must be between 1 and 12');
+            }
+            return {
+                from: new Date(year, month - 1, 1),
+                to: new Date(year, month, 1),
+                label: `${year}-${String(month).padStart(2, '0')}`
+            };
+        }
+        case 'quarter': {
+            const quarter = Number(params.quarter);
+            if (!Number.isInteger(quarter) || quarter < 1 || quarter > 4) {
+                throw new Error('Quarter must be between 1 and 4');
+            }
+            return {
+                from: new Date(year, (quarter - 1) * 3, 1),
+                to: new Date(year, quarter * 3, 1),
+                label: `${year}-Q${quarter}`
+            };
+        }
+        case 'ytd':
+            return {
+                from: new Date(year, 0, 1),
+                to: new Date(year, now.getMonth(), now.getDate() + 1),
+                label: `${year}-YTD`
+            };
+        case 'year':
+            return { from: new Date(year, 0, 1), to: new Date(year + 1, 0, 1), label: String(year) };
+        case 'custom': {
+            const from = fromIsoDate(params.from);
+            const last = fromIsoDate(params.to);
+            if (!from || !last) {
+                throw new Error('Enter both dates of the range');
+            }
+            if (last < from) {
+                throw new Error('The range ends before it starts');
+            }
+            return {
+                from,
+                to: new Date(last.getFullYear(), last.getMonth(), last.getDate() + 1),
+                label: `${params.from}_${params.to}`
+            };
+        }
+        default:
+            throw new Error(`Unknown period: ${type}`);
+    }
+}
+
+/** =========================================================================
+ * Comparisons
+ * =======================================================================*/
+
+/** @constant {Array<{value:'month'|'month-yoy'|'quarter'|'year', label:string}>} COMPARISON_TYPES - Period pairs to compare */
+export const COMPARISON_TYPES = [
+    { value: 'month', label: 'Month vs Previous Month' },
+    { value: 'month-yoy', label: 'Month vs Same Month Last Year' },
+    { value: 'quarter', label: 'Quarter vs Previous Quarter' },
+    { value: 'year', label: 'Year vs Previous Year' }
+];
+
+/**
+ * Resolve a comparison into the selected period and the one it is compared with.
+ * The selected period is the month, quarter, or year containing (`year`, `month`).
+ * @param {'month'|'month-yoy'|'quarter'|'year'} type
+ * @param {{ year:number, month:number }} params - `month` is 1–12.
+ * @returns {{ current:{ from:Date, to:Date, label:string }, previous:{ from:Date, to:Date, label:string } }}
+ * @throws {Error} If the parameters do not describe a valid period.
+ */
+export function resolveComparison(type, params) {
+    const year = Number(params.year);
+    const month = Number(params.month);
+
+    switch (type) {
+        case 'month': {
+            const prev = new Date(year, month - 2, 1);
+            return {
+                current: resolvePeriod('month', { year, month }),
+                previous: resolvePeriod('month', { year: prev.getFullYear(), month: prev.getMonth() + 1 })
+            };
+        }
+        case 'month-yoy':
+            return {
+                current: resolvePeriod('month', { year, month }),
+                previous: resolvePeriod('month', { year: year - 1, month })
+            };
+        case 'quarter': {
+            if (!Number.isInteger(month) || month < 1 || month > 12) {
+                throw new Error('Month must be between 1 and 12');
+            }
+            const quarter = Math.floor((month - 1) / 3) + 1;
+            return {
+                current: resolvePeriod('quarter', { year, quarter }),
+                previous: quarter === 1
+                    ? resolvePeriod('quarter', { year: year - 1, quarter: 4 })
+                    : resolvePeriod('quarter', { year, quarter: quarter - 1 })
+            };
+        }
+        case 'year':
+            return {
+                current: resolvePeriod('year', { year }),
+                previous: resolvePeriod('year', { year: year - 1 })
+            };
+        default:
+            throw new Error(`Unknown comparison: ${type}`);
+    }
+}
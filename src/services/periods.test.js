@@ -0,0 +1,139 @@
+/** /src/services/periods.test.js
+ * Project: Cost Manager Front End
+ * File: src/services/periods.test.js
+ * Description: Tests for local-date helpers, report period ranges, and comparison period pairs.
+ * Updated: 2026-10-19
+ */
+
+import { toIsoDate, fromIsoDate, resolvePeriod, resolveComparison } from './periods';
+
+/** =========================================================================
+ * Tests
+ * =======================================================================*/
+
+describe('toIsoDate / fromIsoDate', () => {
+    test('formats and parses local dates', () => {
+        expect(toIsoDate(new Date(2025, 0, 5, 23, 59))).toBe('2025-01-05');
+        expect(fromIsoDate('2024-02-29')).toEqual(new Date(2024, 1, 29));
+    });
+
+    test.each(['2025-02-29', '2025-13-01', '2025-1-5', '', null])('rejects %p', (value) => {
+        expect(fromIsoDate(value)).toBeNull();
+    });
+});
+
+describe('resolvePeriod', () => {
+    const now = new Date(2025, 4, 20, 15, 30);
+
+    test('a month runs to the first day of the next month', () => {
+        expect(resolvePeriod('month', { year: 2024, month: 2 })).toEqual({
+            from: new Date(2024, 1, 1), to: new Date(2024, 2, 1), label: '2024-02'
+        });
+    });
+
+    test('December rolls over into the next year', () => {
+        expect(resolvePeriod('month', { year: 2024, month: 12 })).toEqual({
+            from: new Date(2024, 11, 1), to: new Date(2025, 0, 1), label: '2024-12'
+        });
+        expect(resolvePeriod('quarter', { year: 2024, quarter: 4 })).toEqual({
+            from: new Date(2024, 9, 1), to: new Date(2025, 0, 1), label: '2024-Q4'
+        });
+    });
+
+    test('a quarter covers three months', () => {
+        expect(resolvePeriod('quarter', { year: 2025, quarter: 2 })).toEqual({
+            from: new Date(2025, 3, 1), to: new Date(2025, 6, 1), label: '2025-Q2'
+        });
+    });
+
+    test('year to date includes today, or the same day in a past year', () => {
+        expect(resolvePeriod('ytd', { year: 2025 }, now)).toEqual({
+            from: new Date(2025, 0, 1), to: new Date(2025, 4, 21), label: '2025-YTD'
+        });
+        expect(resolvePeriod('ytd', { year: 2023 }, now).to).toEqual(new Date(2023, 4, 21));
+    });
+
+    test('year to date on December 31 ends at the next New Year', () => {
+        expect(resolvePeriod('ytd', { year: 2024 }, new Date(2024, 11, 31)).to).toEqual(new Date(2025, 0, 1));
+    });
+
+    test('a full year', () => {
+        expect(resolvePeriod('year', { year: 2025 })).toEqual({
+            from: new Date(2025, 0, 1), to: new Date(2026, 0, 1), label: '2025'
+        });
+    });
+
+    test('a custom range includes its last day, across a month end', () => {
+        expect(resolvePeriod('custom', { from: '2025-01-30', to: '2025-02-28' })).toEqual({
+            from: new Date(2025, 0, 30), to: new Date(2025, 2, 1), label: '2025-01-30_2025-02-28'
+        });
+        expect(resolvePeriod('custom', { from: '2025-12-31', to: '2025-12-31' }).to).toEqual(new Date(2026, 0, 1));
+    });
+
+    test.each([
+        ['month', { year: 2025, month: 13 }, 'Month must be between 1 and 12'],
+        ['month', { year: 2025, month: 0 }, 'Month must be between 1 and 12'],
+        ['quarter', { year: 2025, quarter: 5 }, 'Quarter must be between 1 and 4'],
+        ['year', { year: 'abc' }, 'Enter a valid year'],
+        ['custom', { from: '2025-01-01' }, 'Enter both dates'],
+        ['custom', { from: '2025-02-01', to: '2025-01-31' }, 'ends before it starts'],
+        ['week', { year: 2025 }, 'Unknown period']
+    ])('rejects %s %p', (type, params, message) => {
+        expect(() => resolvePeriod(type, params, now)).toThrow(message);
+    });
+});
+
+describe('resolveComparison', () => {
+    /**
+     * First and last included day of each side, as YYYY-MM-DD.
+     * @param {{ current:{ from:Date, to:Date }, previous:{ from:Date, to:Date } }} pair
+     * @returns {{ current:string[], previous:string[] }}
+     */
+    const days = (pair) => {
+        const span = ({ from, to }) => [toIsoDate(from), toIsoDate(new Date(to.getFullYear(), to.getMonth(), to.getDate() - 1))];
+        return { current: span(pair.current), previous: span(pair.previous) };
+    };
+
+    test('a month is compared with the month before, across the year start', () => {
+        expect(days(resolveComparison('month', { year: 2025, month: 1 }))).toEqual({
+            current: ['2025-01-01', '2025-01-31'],
+            previous: ['2024-12-01', '2024-12-31']
+        });
+    });
+
+    test('the previous month ends on its own last day', () => {
+        expect(days(resolveComparison('month', { year: 2024, month: 3 }))).toEqual({
+            current: ['2024-03-01', '2024-03-31'],
+            previous: ['2024-02-01', '2024-02-29']
+        });
+    });
+
+    test('a month is compared with the same month last year', () => {
+        expect(days(resolveComparison('month-yoy', { year: 2025, month: 2 }))).toEqual({
+            current: ['2025-02-01', '2025-02-28'],
+            previous: ['2024-02-01', '2024-02-29']
+        });
+    });
+
+    test('the quarter of the month is compared with the quarter before, across the year start', () => {
+        expect(days(resolveComparison('quarter', { year: 2025, month: 2 }))).toEqual({
+            current: ['2025-01-01', '2025-03-31'],
+            previous: ['2024-10-01', '2024-12-31']
+        });
+        expect(resolveComparison('quarter', { year: 2025, month: 12 }).previous.label).toBe('2025-Q3');
+    });
+
+    test('a year is compared with the year before', () => {
+        const pair = resolveComparison('year', { year: 2025, month: 6 });
+        expect([pair.current.label, pair.previous.label]).toEqual(['2025', '2024']);
+    });
+
+    test.each([
+        ['month', { year: 2025, month: 13 }, 'Month must be between 1 and 12'],
+        ['quarter', { year: 2025, month: 0 }, 'Month must be between 1 and 12'],
+        ['year', { year: 'abc', month: 1 }, 'Enter a valid year'],
+        ['week', { year: 2025, month: 1 }, 'Unknown comparison']
+    ])('rejects %s %p', (type, params, message) => {
+        expect(() => resolveComparison(type, params)).toThrow(message);
+    });
+});
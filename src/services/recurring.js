@@ -0,0 +1,321 @@
+/** /src/services/recurring.js
+ * Project: Cost Manager Front End
+ * File: src/services/recurring.js
+ * Description: Recurring cost templates (rent, subscriptions) and the scheduler that stores each due occurrence as a cost exactly once.
+ * Updated: 2026-10-19
+ */
+
+import { openCostsDB, buildCostItem, COSTS_STORE, RECURRING_STORE } from './idb';
+import { normalizeCurrencyCode, isIsoCurrency } from './currencies';
+import { toIsoDate, fromIsoDate } from './periods';
+import { promisify, whenDone } from './utils';
+
+/** =========================================================================
+ * Configurable constants
+ * =======================================================================*/
+
+/** @constant {Array<{value:'weekly'|'monthly'|'yearly', label:string}>} FREQUENCIES - Supported repeat intervals */
+export const FREQUENCIES = [
+    { value: 'weekly', label: 'Weekly' },
+    { value: 'monthly', label: 'Monthly' },
+    { value: 'yearly', label: 'Yearly' }
+];
+/** @constant {number} MAX_OCCURRENCES - Safety cap on occurrences computed for one template */
+const MAX_OCCURRENCES = 10000;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/** =========================================================================
+ * Types
+ * =======================================================================*/
+
+/**
+ * @typedef {Object} RecurringTemplate
+ * @property {number} id
+ * @property {number} sum
+ * @property {string} currency
+ * @property {string} category
+ * @property {string} description
+ * @property {'weekly'|'monthly'|'yearly'} frequency
+ * @property {string} startDate - First occurrence, local YYYY-MM-DD.
+ * @property {string|null} endDate - Last possible occurrence (inclusive), or null for open-ended.
+ * @property {string|null} lastOccurrence - Latest occurrence already stored as a cost.
+ */
+
+/** =========================================================================
+ * Helpers
+ * =======================================================================*/
+
+/**
+ * Date of the n-th occurrence (0 = start). Monthly and yearly repeats keep the start day,
+ * clamped to the month's last day (Jan 31 → Feb 28 → Mar 31).
+ * @param {string} startDate - YYYY-MM-DD.
+ * @param {'weekly'|'monthly'|'yearly'} frequency
+ * @param {number} n
+ * @returns {string} YYYY-MM-DD.
+ */
+function nthOccurrence(startDate, frequency, n) {
+    const [y, m, d] = startDate.split('-').map(Number);
+    if (frequency === 'weekly') {
+        return toIsoDate(new Date(y, m - 1, d + 7 * n));
+    }
+    const monthIndex = frequency === 'monthly' ? m - 1 + n : m - 1;
+    const year = frequency === 'yearly' ? y + n : y;
+    const lastDay = new Date(year, monthIndex + 1, 0).getDate();
+    return toIsoDate(new Date(year, monthIndex, Math.min(d, lastDay)));
+}
+
+/**
+ * Occurrences of a template after `after` (exclusive) up to `until` (inclusive) and its end date.
+ * @param {RecurringTemplate} template
+ * @param {string|null} after - YYYY-MM-DD, or null for all since the start.
+ * @param {string} until - YYYY-MM-DD.
+ * @returns {string[]} Dates in order.
+ */
+export function getOccurrences(template, after, until) {
+    const last = template.endDate && template.endDate < until ? template.endDate : until;
+    const dates = [];
+    for (let n = 0; n < MAX_OCCURRENCES; n += 1) {
+        const date = nthOccurrence(template.startDate, template.frequency, n);
+        if (date > last) break;
+        if (!after || date > after) dates.push(date);
+    }
+    return dates;
+}
+
+/**
+ * Next occurrence not yet stored, or null once the template has ended.
+ * @param {RecurringTemplate} template
+ * @returns {string|null} YYYY-MM-DD.
+ */
+export function getNextOccurrence(template) {
+    for (let n = 0; n < MAX_OCCURRENCES; n += 1) {
+        const date = nthOccurrence(template.startDate, template.frequency, n);
+        if (template.endDate && date > template.endDate) return null;
+        if (!template.lastOccurrence || date > template.lastOccurrence) return date;
+    }
+    return null;
+}
+
+/**
+ * Validate and normalize template fields.
+ * @param {Object} template
+ * @returns {{ sum:number, currency:string, category:string, description:string, frequency:string, startDate:string, endDate:string|null }}
+ * @throws {Error} If a field is missing or invalid.
+ */
+function cleanTemplate(template) {
+    const sum = Number(template.sum);
+    if (!Number.isFinite(sum) || sum <= 0) {
+        throw new Error('Amount must be a positive number');
+    }
+    const currency = normalizeCurrencyCode(template.currency);
+    if (!isIsoCurrency(currency)) {
+        throw new Error(`Unknown ISO 4217 currency: ${template.currency}`);
+    }
+    const category = String(template.category ?? '').trim();
+    const description = String(template.description ?? '').trim();
+    if (!category || !description) {
+        throw new Error('Category and description are required');
+    }
+    if (!FREQUENCIES.some((f) => f.value === template.frequency)) {
+        throw new Error(`Unknown frequency: ${template.frequency}`);
+    }
+    const startDate = template.startDate;
+    const endDate = template.endDate || null;
+    if (!ISO_DATE_PATTERN.test(startDate ?? '') || (endDate && !ISO_DATE_PATTERN.test(endDate))) {
+        throw new Error('Dates must be YYYY-MM-DD');
+    }
+    if (endDate && endDate < startDate) {
+        throw new Error('End date is before the start date');
+    }
+    return { sum, currency, category, description, frequency: template.frequency, startDate, endDate };
+}
+
+/** =========================================================================
+ * Templates
+ * =======================================================================*/
+
+/**
+ * Get all recurring templates, by description.
+ * @returns {Promise<RecurringTemplate[]>}
+ */
+export async function getRecurring() {
+    const db = await openCostsDB();
+    const tx = db.transaction(RECURRING_STORE, 'readonly');
+    const all = await promisify(tx.objectStore(RECURRING_STORE).getAll());
+    return all.sort((a, b) => a.description.localeCompare(b.description));
+}
+
+/**
+ * Create a recurring template. Occurrences are stored by `materializeRecurring`.
+ * @param {Omit<RecurringTemplate, 'id'|'lastOccurrence'>} template
+ * @returns {Promise<RecurringTemplate>}
+ * @throws {Error} If a field is invalid.
+ */
+export async function addRecurring(template) {
+    const item = { ...cleanTemplate(template), lastOccurrence: null };
+    const db = await openCostsDB();
+    const tx = db.transaction(RECURRING_STORE, 'readwrite');
+    const id = await promisify(tx.objectStore(RECURRING_STORE).add(item));
+    return { ...item, id };
+}
+
+/**
+ * Update a recurring template. Occurrences not stored yet always follow the new values;
+ * with `applyFrom`, costs already generated on or after that date are rewritten too, except those
+ * the user has since split into category lines or shared in exact amounts, whose parts would no
+ * longer match the new values; those keep theirs.
+ * Changing the schedule does not move or remove costs already stored.
+ * @param {number} id - Template id.
+ * @param {Partial<RecurringTemplate>} patch
+ * @param {string|null} [applyFrom=null] - YYYY-MM-DD.
+ * @returns {Promise<{ template:RecurringTemplate, updatedCosts:number }>}
+ * @throws {Error} If the template does not exist or a field is invalid.
+ */
+export async function updateRecurring(id, patch, applyFrom = null) {
+    const db = await openCostsDB();
+    const tx = db.transaction([RECURRING_STORE, COSTS_STORE], 'readwrite');
+    const store = tx.objectStore(RECURRING_STORE);
+    const done = whenDone(tx);
+
+    const existing = await promisify(store.get(id));
+    let template;
+    try {
+        if (!existing) throw new Error(`Recurring cost not found: ${id}`);
+        template = { ...existing, ...cleanTemplate({ ...existing, ...patch }) };
+    } catch (err) {
+        tx.abort();
+        await done.catch(() => {});
+        throw err;
+    }
+    store.put(template);
+
+    let updatedCosts = 0;
+    if (applyFrom) {
+        const range = IDBKeyRange.bound([id, applyFrom], [id, '\uffff']);
+        const request = tx.objectStore(COSTS_STORE).index('recurrence').openCursor(range);
+        await new Promise((resolve, reject) => {
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve();
+                    return;
+                }
+                const { sum, currency, category, description } = template;
+                const cost = cursor.value;
+                const exactShares = cost.shared?.mode === 'exact' && cost.sum !== sum;
+                if (!cost.splits && !exactShares) {
+                    cursor.update({ ...cost, sum, currency, category, description });
+                    updatedCosts += 1;
+                }
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+    await done;
+    return { template, updatedCosts };
+}
+
+/**
+ * Delete a recurring template. Costs it already generated are kept.
+ * @param {number} id - Template id.
+ * @returns {Promise<void>}
+ */
+export async function deleteRecurring(id) {
+    const db = await openCostsDB();
+    const tx = db.transaction(RECURRING_STORE, 'readwrite');
+    await promisify(tx.objectStore(RECURRING_STORE).delete(id));
+}
+
+/**
+ * Restore templates from a backup.
+ * Replace clears the store and keeps ids, so restored costs stay linked; merge adds templates
+ * not already present under new ids, continuing after their last stored occurrence.
+ * @param {RecurringTemplate[]} templates
+ * @param {'replace'|'merge'} mode
+ * @param {IDBTransaction|null} [tx=null] - Readwrite transaction to join (see restoreBackup); the caller waits for it to commit.
+ * @returns {Promise<number>} Number of added templates.
+ */
+export async function restoreRecurring(templates, mode, tx = null) {
+    const active = tx ?? (await openCostsDB()).transaction(RECURRING_STORE, 'readwrite');
+    const store = active.objectStore(RECURRING_STORE);
+    const done = tx ? null : whenDone(active);
+
+    /** @param {RecurringTemplate} t @returns {string} */
+    const signature = (t) => [t.description, t.category, t.sum, t.currency, t.frequency, t.startDate].join('|');
+
+    if (mode === 'replace') {
+        store.clear();
+    }
+    const seen = new Set((mode === 'replace' ? [] : await promisify(store.getAll())).map(signature));
+    let added = 0;
+    templates.forEach((t) => {
+        let item;
+        try {
+            item = { ...cleanTemplate(t), lastOccurrence: t.lastOccurrence ?? null };
+        } catch (err) {
+            return;
+        }
+        if (seen.has(signature(item))) return;
+        seen.add(signature(item));
+        if (mode === 'replace' && t.id !== undefined) item.id = t.id;
+        store.put(item);
+        added += 1;
+    });
+    if (done) await done;
+    return added;
+}
+
+/** =========================================================================
+ * Scheduler
+ * =======================================================================*/
+
+/**
+ * Store every occurrence that is due (up to and including `now`) and not stored yet.
+ * Each occurrence is built like any added cost (normalized currency, empty tags).
+ * Runs in one transaction: each template's `lastOccurrence` moves forward together with its new costs,
+ * and the unique costs.recurrence index rejects an occurrence stored twice (e.g. from another tab).
+ * @param {Date} [now=new Date()]
+ * @param {Record<string, number>} [rates] - Rate snapshot saved on the occurrence dated today, if any.
+ *   Occurrences caught up from earlier days get none, since these rates were not in effect on their dates.
+ * @returns {Promise<number>} Number of costs added.
+ */
+export async function materializeRecurring(now = new Date(), rates) {
+    const today = toIsoDate(now);
+    const db = await openCostsDB();
+    const tx = db.transaction([RECURRING_STORE, COSTS_STORE], 'readwrite');
+    const templates = tx.objectStore(RECURRING_STORE);
+    const costs = tx.objectStore(COSTS_STORE);
+    const done = whenDone(tx);
+
+    let added = 0;
+    const all = await promisify(templates.getAll());
+    all.forEach((t) => {
+        const due = getOccurrences(t, t.lastOccurrence, today);
+        if (due.length === 0) return;
+        due.forEach((occurrence) => {
+            const item = buildCostItem({
+                sum: t.sum,
+                currency: t.currency,
+                category: t.category,
+                description: t.description,
+                date: fromIsoDate(occurrence),
+                rates: occurrence === today ? rates : undefined,
+                recurringId: t.id,
+                occurrence
+            });
+            const request = costs.add(item);
+            request.onsuccess = () => {
+                added += 1;
+            };
+            request.onerror = (e) => {
+                // Already stored: keep the transaction alive
+                e.preventDefault();
+                e.stopPropagation();
+            };
+        });
+        templates.put({ ...t, lastOccurrence: due[due.length - 1] });
+    });
+    await done;
+    return added;
+}
@@ -0,0 +1,152 @@
+/** /src/services/recurring.test.js
+ * Project: Cost Manager Front End
+ * File: src/services/recurring.test.js
+ * Description: Tests for occurrence dates, the scheduler, and rewriting generated costs on update.
+ * Updated: 2026-10-19
+ */
+
+import { IDBFactory } from 'fake-indexeddb';
+import { getAllCosts, updateCost } from './idb';
+import { getOccurrences, getNextOccurrence, addRecurring, updateRecurring, materializeRecurring } from './recurring';
+
+/** =========================================================================
+ * Helpers
+ * =======================================================================*/
+
+/**
+ * A recurring template payload.
+ * @param {Object} [fields] - Fields to change.
+ * @returns {Object}
+ */
+function template(fields = {}) {
+    return {
+        sum: 100,
+        currency: 'usd',
+        category: 'Housing',
+        description: 'Rent',
+        frequency: 'monthly',
+        startDate: '2025-01-31',
+        endDate: null,
+        ...fields
+    };
+}
+
+beforeEach(() => {
+    global.indexedDB = new IDBFactory();
+});
+
+/** =========================================================================
+ * Tests
+ * =======================================================================*/
+
+describe('getOccurrences', () => {
+    test('clamps day 31 to the end of shorter months and returns to it', () => {
+        expect(getOccurrences(template(), null, '2025-05-31')).toEqual([
+            '2025-01-31', '2025-02-28', '2025-03-31', '2025-04-30', '2025-05-31'
+        ]);
+    });
+
+    test('clamps to February 29 in a leap year', () => {
+        expect(getOccurrences(template({ startDate: '2024-01-31' }), null, '2024-03-31')).toEqual([
+            '2024-01-31', '2024-02-29', '2024-03-31'
+        ]);
+    });
+
+    test('clamps a yearly February 29 to February 28', () => {
+        expect(getOccurrences(template({ frequency: 'yearly', startDate: '2024-02-29' }), null, '2026-12-31')).toEqual([
+            '2024-02-29', '2025-02-28', '2026-02-28'
+        ]);
+    });
+
+    test('steps weekly across a month end', () => {
+        expect(getOccurrences(template({ frequency: 'weekly', startDate: '2025-01-22' }), null, '2025-02-12')).toEqual([
+            '2025-01-22', '2025-01-29', '2025-02-05', '2025-02-12'
+        ]);
+    });
+
+    test('starts after `after` and stops at the end date', () => {
+        const t = template({ startDate: '2025-01-15', endDate: '2025-04-15' });
+        expect(getOccurrences(t, '2025-01-15', '2025-12-31')).toEqual(['2025-02-15', '2025-03-15', '2025-04-15']);
+    });
+
+    test('getNextOccurrence continues after the last stored one and ends with the template', () => {
+        expect(getNextOccurrence({ ...template(), lastOccurrence: '2025-02-28' })).toBe('2025-03-31');
+        expect(getNextOccurrence({ ...template({ endDate: '2025-02-28' }), lastOccurrence: '2025-02-28' })).toBeNull();
+    });
+});
+
+describe('materializeRecurring', () => {
+    test('stores due occurrences once, built like any added cost', async () => {
+        const rates = { usd: 1, EUR: 0.5 };
+        await addRecurring(template());
+
+        expect(await materializeRecurring(new Date(2025, 2, 31), rates)).toBe(3);
+        expect(await materializeRecurring(new Date(2025, 2, 31), rates)).toBe(0);
+
+        const costs = await getAllCosts();
+        expect(costs.map((c) => c.occurrence)).toEqual(['2025-01-31', '2025-02-28', '2025-03-31']);
+        expect(costs[1]).toMatchObject({ sum: 100, currency: 'USD', tags: [] });
+        expect(costs[1].date).toEqual(new Date(2025, 1, 28));
+    });
+
+    test('saves the rate snapshot on today\'s occurrence only', async () => {
+        await addRecurring(template());
+
+        await materializeRecurring(new Date(2025, 2, 31, 9), { USD: 1, EUR: 0.5 });
+
+        expect((await getAllCosts()).map((c) => c.rates)).toEqual([undefined, undefined, { USD: 1, EUR: 0.5 }]);
+    });
+});
+
+describe('updateRecurring', () => {
+    test('applyFrom rewrites generated costs on or after that date only', async () => {
+        const { id } = await addRecurring(template({ startDate: '2025-01-01' }));
+        await materializeRecurring(new Date(2025, 3, 1));
+
+        const result = await updateRecurring(id, { sum: 120, description: 'New rent' }, '2025-03-01');
+
+        expect(result.updatedCosts).toBe(2);
+        expect(result.template).toMatchObject({ sum: 120, description: 'New rent', lastOccurrence: '2025-04-01' });
+        const costs = await getAllCosts();
+        expect(costs.map((c) => [c.occurrence, c.sum, c.description])).toEqual([
+            ['2025-01-01', 100, 'Rent'],
+            ['2025-02-01', 100, 'Rent'],
+            ['2025-03-01', 120, 'New rent'],
+            ['2025-04-01', 120, 'New rent']
+        ]);
+    });
+
+    test('applyFrom leaves costs split into lines or shared in exact amounts as they are', async () => {
+        const { id } = await addRecurring(template({ startDate: '2025-01-01' }));
+        await materializeRecurring(new Date(2025, 2, 1));
+        const [jan, feb] = await getAllCosts();
+        await updateCost(jan.id, { splits: [{ category: 'Housing', sum: 70 }, { category: 'Utilities', sum: 30 }] });
+        await updateCost(feb.id, { shared: { paidBy: 'Me', mode: 'exact', shares: [{ person: 'Dana', value: 100 }] } });
+
+        const result = await updateRecurring(id, { sum: 120, category: 'Other' }, '2025-01-01');
+
+        expect(result.updatedCosts).toBe(1);
+        const costs = await getAllCosts();
+        expect(costs.map((c) => [c.sum, c.category])).toEqual([[100, 'Housing'], [100, 'Housing'], [120, 'Other']]);
+        expect(costs[0].splitCategories).toEqual(['Housing', 'Utilities']);
+    });
+
+    test('without applyFrom only later occurrences follow the new values', async () => {
+        const { id } = await addRecurring(template({ startDate: '2025-01-01' }));
+        await materializeRecurring(new Date(2025, 0, 1));
+
+        expect((await updateRecurring(id, { sum: 120 })).updatedCosts).toBe(0);
+        await materializeRecurring(new Date(2025, 1, 1));
+
+        expect((await getAllCosts()).map((c) => c.sum)).toEqual([100, 120]);
+    });
+
+    test('rejects an invalid patch and keeps the template', async () => {
+        const { id } = await addRecurring(template());
+
+        await expect(updateRecurring(id, { sum: -1 })).rejects.toThrow('positive');
+        await expect(updateRecurring(999, {})).rejects.toThrow('not found');
+        await materializeRecurring(new Date(2025, 0, 31));
+        expect((await getAllCosts()).map((c) => c.sum)).toEqual([100]);
+    });
+});
@@ -1,11 +1,18 @@
 /** /src/services/settings.js
  * Project: Cost Manager Front End
  * File: src/services/settings.js
- * Description: Local storage helper for persisting and retrieving the exchange rates URL.
- * Updated: 2025-09-12
+ * Description: Local storage helper for persisting and retrieving user settings.
+ * Updated: 2026-10-19
  */
 
 const KEY = 'exchangeRatesUrl';
+const KEY_FUTURE_DAYS = 'futureDateToleranceDays';
+const DEFAULT_FUTURE_DAYS = 0;
+const KEY_RATES_MAX_AGE = 'ratesMaxAgeHours';
+const DEFAULT_RATES_MAX_AGE_HOURS = 24;
+const KEY_CURRENCIES = 'enabledCurrencies';
+// Every key owned by this module; used for backup and restore.
+const SETTINGS_KEYS = [KEY, KEY_FUTURE_DAYS, KEY_RATES_MAX_AGE, KEY_CURRENCIES];
 
 /** =========================================================================
  * Service Functions
@@ -27,3 +34,94 @@ export function getRatesUrl() {
 export function setRatesUrl(url) {
     localStorage.setItem(KEY, url.trim());
 }
+
+/**
+ * Get how many days into the future a cost date may be set.
+ * @returns {number} Non-negative whole number of days (default 0: today at the latest).
+ */
+export function getFutureDateToleranceDays() {
+    const days = parseInt(localStorage.getItem(KEY_FUTURE_DAYS), 10);
+    return Number.isNaN(days) || days < 0 ? DEFAULT_FUTURE_DAYS : days;
+}
+
+/**
+ * Save how many days into the future a cost date may be set.
+ * @param {number} days - Non-negative whole number of days.
+ * @returns {void}
+ */
+export function setFutureDateToleranceDays(days) {
+    localStorage.setItem(KEY_FUTURE_DAYS, String(Math.max(0, Math.floor(days))));
+}
+
+/**
+ * Get how old cached exchange rates may be before a staleness warning is shown.
+ * @returns {number} Positive number of hours (default 24).
+ */
+export function getRatesMaxAgeHours() {
+    const hours = Number(localStorage.getItem(KEY_RATES_MAX_AGE));
+    return Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_RATES_MAX_AGE_HOURS;
+}
+
+/**
+ * Save how old cached exchange rates may be before a staleness warning is shown.
+ * @param {number} hours - Positive number of hours.
+ * @returns {void}
+ */
+export function setRatesMaxAgeHours(hours) {
+    localStorage.setItem(KEY_RATES_MAX_AGE, String(hours));
+}
+
+/**
+ * Get the stored list of enabled currency codes.
+ * Use the currency registry (services/currencies) rather than calling this directly.
+ * @returns {string[]|null} Stored codes, or null if never set or unreadable.
+ */
+export function getEnabledCurrencyCodes() {
+    try {
+        const codes = JSON.parse(localStorage.getItem(KEY_CURRENCIES));
+        return Array.isArray(codes) ? codes.map(String) : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Save the list of enabled currency codes.
+ * @param {string[]} codes - ISO 4217 codes.
+ * @returns {void}
+ */
+export function setEnabledCurrencyCodes(codes) {
+    localStorage.setItem(KEY_CURRENCIES, JSON.stringify(codes));
+}
+
+/**
+ * Collect all stored settings, e.g. for a backup file.
+ * Unset keys are omitted.
+ * @returns {Record<string, string>}
+ */
+export function exportSettings() {
+    const out = {};
+    SETTINGS_KEYS.forEach((key) => {
+        const value = localStorage.getItem(key);
+        if (value !== null) {
+            out[key] = value;
+        }
+    });
+    return out;
+}
+
+/**
+ * Store settings collected by exportSettings. Unknown keys are ignored.
+ * @param {Record<string, string>} values
+ * @returns {number} Number of settings written.
+ */
+export function importSettings(values) {
+    let written = 0;
+    SETTINGS_KEYS.forEach((key) => {
+        if (typeof values?.[key] === 'string') {
+            localStorage.setItem(key, values[key]);
+            written += 1;
+        }
+    });
+    return written;
+}
@@ -0,0 +1,258 @@
+/** /src/services/shares.js
+ * Project: Cost Manager Front End
+ * File: src/services/shares.js
+ * Description: Shared expenses: who paid a cost and how it is divided between people, net balances,
+ *              and the transfers that settle them.
+ * Updated: 2026-10-19
+ */
+
+import { convertAmount, findMissingRate } from './exchange';
+import { round2 } from './utils';
+
+/** =========================================================================
+ * Configurable constants
+ * =======================================================================*/
+
+/** @constant {Array<{ value:string, label:string }>} SHARE_MODES - How a shared cost is divided */
+export const SHARE_MODES = [
+    { value: 'equal', label: 'Equally' },
+    { value: 'percent', label: 'By percentages' },
+    { value: 'exact', label: 'By exact amounts' }
+];
+const PERCENT_TOTAL = 100;
+/** @constant {number} MAX_EXACT_PEOPLE - Most people whose fewest transfers are searched exactly (2^n subsets) */
+const MAX_EXACT_PEOPLE = 16;
+
+/** =========================================================================
+ * Types
+ * =======================================================================*/
+
+/**
+ * @typedef {Object} SharedInfo
+ * @property {string} paidBy - Name of the person who paid.
+ * @property {'equal'|'percent'|'exact'} mode - How the cost is divided.
+ * @property {Array<{ person:string, value:number|null }>} shares - People the cost is divided between;
+ *   `value` is a percentage or an amount in the cost currency (null when dividing equally).
+ * @property {string[]} people - The payer and every sharer (indexed, for usage checks).
+ */
+
+/**
+ * @typedef {Object} PersonBalance
+ * @property {string} person
+ * @property {number} paid - Total paid for shared costs, in the settlement currency.
+ * @property {number} owed - Total of this person's shares.
+ * @property {number} net - paid - owed: positive when others owe this person.
+ */
+
+/** =========================================================================
+ * Helpers
+ * =======================================================================*/
+
+/**
+ * Divide whole cents in proportion to weights, handing the leftover cents to the largest remainders
+ * so the parts always add up to the total.
+ * @param {number} cents - Total in cents.
+ * @param {number[]} weights - Non-negative weights, not all zero.
+ * @returns {number[]} Cents per weight.
+ */
+function allocateCents(cents, weights) {
+    const total = weights.reduce((acc, w) => acc + w, 0);
+    const exact = weights.map((w) => (cents * w) / total);
+    const parts = exact.map(Math.floor);
+    let left = cents - parts.reduce((acc, p) => acc + p, 0);
+    exact
+        .map((value, i) => ({ i, remainder: value - parts[i] }))
+        .sort((a, b) => b.remainder - a.remainder || a.i - b.i)
+        .forEach(({ i }) => {
+            if (left <= 0) return;
+            parts[i] += 1;
+            left -= 1;
+        });
+    return parts;
+}
+
+/**
+ * Settle one group of balances: the largest debtor repeatedly pays the largest creditor as much as
+ * both allow. Every transfer clears at least one person, so a group of k needs k - 1 transfers at most.
+ * @param {Array<{ person:string, cents:number }>} group - Signed balances in cents (positive: is owed).
+ * @returns {Array<{ from:string, to:string, amount:number }>}
+ */
+function settleGroup(group) {
+    const creditors = group.filter((e) => e.cents > 0).map((e) => ({ ...e }));
+    const debtors = group.filter((e) => e.cents < 0).map((e) => ({ person: e.person, cents: -e.cents }));
+    const transfers = [];
+
+    const largest = (list) => list.reduce((max, e) => (e.cents > max.cents ? e : max), list[0]);
+    while (creditors.some((e) => e.cents > 0) && debtors.some((e) => e.cents > 0)) {
+        const creditor = largest(creditors);
+        const debtor = largest(debtors);
+        const cents = Math.min(creditor.cents, debtor.cents);
+        transfers.push({ from: debtor.person, to: creditor.person, amount: cents / 100 });
+        creditor.cents -= cents;
+        debtor.cents -= cents;
+    }
+    return transfers;
+}
+
+/**
+ * Partition balances into the most groups that each total zero, by dynamic programming over subsets:
+ * best[mask] is the most zero-total groups the people in `mask` can be split into, counting a
+ * remainder that does not total zero as no group.
+ * @param {Array<{ person:string, cents:number }>} entries - At most MAX_EXACT_PEOPLE non-zero balances.
+ * @returns {Array<Array<{ person:string, cents:number }>>} Groups; a last group may not total zero
+ *   when rounding left the balances a cent apart.
+ */
+function findZeroSumGroups(entries) {
+    const size = 1 << entries.length;
+    const sums = new Array(size).fill(0);
+    const best = new Array(size).fill(0);
+    const bits = entries.map((_, i) => 1 << i);
+
+    for (let mask = 1; mask < size; mask += 1) {
+        const low = mask & -mask;
+        sums[mask] = sums[mask ^ low] + entries[31 - Math.clz32(low)].cents;
+        const most = bits.reduce((max, bit) => ((mask & bit) ? Math.max(max, best[mask ^ bit]) : max), 0);
+        best[mask] = most + (sums[mask] === 0 ? 1 : 0);
+    }
+
+    // Take people out along an optimal path; added back in reverse, each zero running total closes a group
+    const order = [];
+    for (let mask = size - 1; mask; ) {
+        const gain = sums[mask] === 0 ? 1 : 0;
+        const i = bits.findIndex((bit) => (mask & bit) && best[mask ^ bit] === best[mask] - gain);
+        order.unshift(i);
+        mask ^= bits[i];
+    }
+    const groups = [];
+    let current = [];
+    let total = 0;
+    order.forEach((i) => {
+        current.push(entries[i]);
+        total += entries[i].cents;
+        if (total === 0) {
+            groups.push(current);
+            current = [];
+        }
+    });
+    if (current.length) groups.push(current);
+    return groups;
+}
+
+/**
+ * Split off pairs of balances that cancel exactly, for groups too large to search.
+ * @param {Array<{ person:string, cents:number }>} entries
+ * @returns {Array<Array<{ person:string, cents:number }>>} One group per pair, then the rest.
+ */
+function splitCancellingPairs(entries) {
+    const rest = [...entries];
+    const groups = [];
+    for (let i = 0; i < rest.length; i += 1) {
+        const j = rest.findIndex((e, k) => k > i && e.cents === -rest[i].cents);
+        if (j !== -1) {
+            groups.push([rest[i], rest[j]]);
+            rest.splice(j, 1);
+            rest.splice(i, 1);
+            i -= 1;
+        }
+    }
+    return rest.length ? [...groups, rest] : groups;
+}
+
+/** =========================================================================
+ * Service Functions
+ * =======================================================================*/
+
+/**
+ * Validate the sharing of a cost.
+ * @param {{ paidBy:string, mode:string, shares:Array<{ person:string, value?:number|string|null }> }|undefined|null} shared
+ * @param {number} sum - Cost total.
+ * @returns {SharedInfo|null} The normalized sharing, or null when the cost is not shared (no payer).
+ * @throws {Error} If the mode is unknown, nobody shares the cost, a value is not positive,
+ *   percentages do not add up to 100, or exact amounts do not add up to `sum`.
+ */
+export function normalizeShared(shared, sum) {
+    const paidBy = String(shared?.paidBy ?? '').trim();
+    if (!paidBy) return null;
+    const mode = shared.mode;
+    if (!SHARE_MODES.some((m) => m.value === mode)) {
+        throw new Error(`Unknown share mode: ${mode}`);
+    }
+
+    const seen = new Set();
+    const shares = (Array.isArray(shared.shares) ? shared.shares : [])
+        .map((s) => ({ person: String(s?.person ?? '').trim(), value: mode === 'equal' ? null : Number(s?.value) }))
+        .filter((s) => s.person && !seen.has(s.person) && seen.add(s.person));
+    if (shares.length === 0) {
+        throw new Error('A shared cost needs at least one person to share it');
+    }
+    if (mode !== 'equal') {
+        if (shares.some((s) => !Number.isFinite(s.value) || s.value <= 0)) {
+            throw new Error('Each share needs a positive value');
+        }
+        const total = round2(shares.reduce((acc, s) => acc + s.value, 0));
+        if (mode === 'percent' && total !== PERCENT_TOTAL) {
+            throw new Error('Percentages must add up to 100');
+        }
+        if (mode === 'exact' && total !== round2(Number(sum))) {
+            throw new Error('Share amounts must add up to the cost sum');
+        }
+    }
+    return { paidBy, mode, shares, people: [...new Set([paidBy, ...shares.map((s) => s.person)])] };
+}
+
+/**
+ * Each person's part of a shared cost, in the cost currency. Parts are whole cents adding up to the sum.
+ * @param {{ sum:number, shared:SharedInfo }} cost
+ * @returns {Array<{ person:string, amount:number }>}
+ */
+export function getShareAmounts(cost) {
+    const { mode, shares } = cost.shared;
+    const cents = Math.round(Number(cost.sum) * 100);
+    const parts = mode === 'exact'
+        ? shares.map((s) => Math.round(s.value * 100))
+        : allocateCents(cents, shares.map((s) => (mode === 'equal' ? 1 : s.value)));
+    return shares.map((s, i) => ({ person: s.person, amount: parts[i] / 100 }));
+}
+
+/**
+ * Net balance of every person over shared costs, converted to one currency.
+ * The payer is credited with the whole sum and every sharer (the payer included, when sharing)
+ * is debited with their part. Costs that cannot be converted to `currency` for lack of a rate are left out.
+ * @param {Array<{ sum:number, currency:string, shared?:SharedInfo }>} costs - Costs without `shared` are ignored.
+ * @param {string} currency - Settlement currency.
+ * @param {Record<string, number>} rates - Exchange rates (USD base).
+ * @returns {PersonBalance[]} Largest creditor first.
+ */
+export function computeBalances(costs, currency, rates) {
+    const byPerson = {};
+    const entry = (person) => byPerson[person] ?? (byPerson[person] = { person, paid: 0, owed: 0 });
+
+    costs.filter((c) => c.shared && !findMissingRate(c, currency, rates)).forEach((c) => {
+        entry(c.shared.paidBy).paid += convertAmount(c.sum, c.currency, currency, rates);
+        getShareAmounts(c).forEach(({ person, amount }) => {
+            entry(person).owed += convertAmount(amount, c.currency, currency, rates);
+        });
+    });
+
+    return Object.values(byPerson)
+        .map((b) => ({ person: b.person, paid: round2(b.paid), owed: round2(b.owed), net: round2(b.paid - b.owed) }))
+        .sort((a, b) => b.net - a.net || a.person.localeCompare(b.person));
+}
+
+/**
+ * Suggest the fewest transfers that settle every balance.
+ * People whose balances cancel out can settle among themselves, and a group of k people needs
+ * k - 1 transfers, so the minimum is (people with a balance) - (most groups with a zero total).
+ * Those groups are found exactly for up to MAX_EXACT_PEOPLE people; with more, only pairs that
+ * cancel each other are split off first. Each group is then settled by its largest debtor
+ * repeatedly paying its largest creditor, which takes k - 1 transfers at most.
+ * @param {PersonBalance[]} balances - Result of computeBalances.
+ * @returns {Array<{ from:string, to:string, amount:number }>}
+ */
+export function suggestTransfers(balances) {
+    const entries = balances
+        .map((b) => ({ person: b.person, cents: Math.round(b.net * 100) }))
+        .filter((e) => e.cents !== 0);
+    const groups = entries.length <= MAX_EXACT_PEOPLE ? findZeroSumGroups(entries) : splitCancellingPairs(entries);
+    return groups.flatMap(settleGroup);
+}
@@ -0,0 +1,186 @@
+/** /src/services/shares.test.js
+ * Project: Cost Manager Front End
+ * File: src/services/shares.test.js
+ * Description: Tests for shared expense validation, share amounts, balances, and settle-up transfers.
+ * Updated: 2026-10-19
+ */
+
+import { normalizeShared, getShareAmounts, computeBalances, suggestTransfers } from './shares';
+
+/** =========================================================================
+ * Helpers
+ * =======================================================================*/
+
+/**
+ * Balances as computeBalances returns them, from `person: net` pairs.
+ * @param {Record<string, number>} nets
+ * @returns {import('./shares').PersonBalance[]}
+ */
+function balancesOf(nets) {
+    return Object.entries(nets).map(([person, net]) => ({ person, paid: 0, owed: 0, net }));
+}
+
+/**
+ * Apply transfers to balances and return what is left per person, in cents.
+ * @param {Record<string, number>} nets
+ * @param {Array<{ from:string, to:string, amount:number }>} transfers
+ * @returns {number[]}
+ */
+function remainingCents(nets, transfers) {
+    const left = Object.fromEntries(Object.entries(nets).map(([p, n]) => [p, Math.round(n * 100)]));
+    transfers.forEach((t) => {
+        left[t.from] += Math.round(t.amount * 100);
+        left[t.to] -= Math.round(t.amount * 100);
+    });
+    return Object.values(left);
+}
+
+/**
+ * Fewest transfers by brute force: n minus the most zero-total groups the balances split into.
+ * @param {number[]} cents
+ * @returns {number}
+ */
+function bruteForceMinimum(cents) {
+    const groups = (list) => {
+        if (list.length === 0) return 0;
+        const [first, ...rest] = list;
+        let most = -Infinity;
+        for (let mask = 0; mask < 1 << rest.length; mask += 1) {
+            const picked = rest.filter((_, i) => mask & (1 << i));
+            if (picked.reduce((a, c) => a + c, first) !== 0) continue;
+            most = Math.max(most, 1 + groups(rest.filter((_, i) => !(mask & (1 << i)))));
+        }
+        return most;
+    };
+    const nonZero = cents.filter(Boolean);
+    return nonZero.length - groups(nonZero);
+}
+
+/** =========================================================================
+ * Tests
+ * =======================================================================*/
+
+describe('normalizeShared', () => {
+    test('a cost without a payer is not shared', () => {
+        expect(normalizeShared(undefined, 10)).toBeNull();
+        expect(normalizeShared({ paidBy: '  ', mode: 'equal', shares: [] }, 10)).toBeNull();
+    });
+
+    test('trims names, drops duplicates and lists everyone involved', () => {
+        expect(normalizeShared({
+            paidBy: ' Ann ',
+            mode: 'equal',
+            shares: [{ person: 'Bob', value: 3 }, { person: ' Bob' }, { person: '' }, { person: 'Cy' }]
+        }, 10)).toEqual({
+            paidBy: 'Ann',
+            mode: 'equal',
+            shares: [{ person: 'Bob', value: null }, { person: 'Cy', value: null }],
+            people: ['Ann', 'Bob', 'Cy']
+        });
+    });
+
+    test('converts values to numbers', () => {
+        const shared = normalizeShared({ paidBy: 'Ann', mode: 'exact', shares: [{ person: 'Ann', value: '2.5' }, { person: 'Bob', value: 7.5 }] }, 10);
+        expect(shared.shares).toEqual([{ person: 'Ann', value: 2.5 }, { person: 'Bob', value: 7.5 }]);
+        expect(shared.people).toEqual(['Ann', 'Bob']);
+    });
+
+    test.each([
+        [{ paidBy: 'Ann', mode: 'half', shares: [{ person: 'Bob' }] }, 'Unknown share mode'],
+        [{ paidBy: 'Ann', mode: 'equal', shares: [] }, 'at least one person'],
+        [{ paidBy: 'Ann', mode: 'percent', shares: [{ person: 'Bob', value: 60 }, { person: 'Cy', value: 30 }] }, '100'],
+        [{ paidBy: 'Ann', mode: 'percent', shares: [{ person: 'Bob', value: 110 }, { person: 'Cy', value: -10 }] }, 'positive'],
+        [{ paidBy: 'Ann', mode: 'exact', shares: [{ person: 'Bob', value: 4 }, { person: 'Cy', value: 5 }] }, 'cost sum']
+    ])('rejects %j', (shared, message) => {
+        expect(() => normalizeShared(shared, 10)).toThrow(message);
+    });
+});
+
+describe('getShareAmounts', () => {
+    const amounts = (sum, mode, shares) => getShareAmounts({ sum, shared: { mode, shares } }).map((s) => s.amount);
+
+    test('divides equally in whole cents that add up to the sum', () => {
+        expect(amounts(100, 'equal', [{ person: 'a' }, { person: 'b' }, { person: 'c' }])).toEqual([33.34, 33.33, 33.33]);
+        expect(amounts(0.05, 'equal', [{ person: 'a' }, { person: 'b' }, { person: 'c' }])).toEqual([0.02, 0.02, 0.01]);
+    });
+
+    test('gives leftover cents to the largest remainders', () => {
+        const parts = amounts(10, 'percent', [{ person: 'a', value: 33.3 }, { person: 'b', value: 33.3 }, { person: 'c', value: 33.4 }]);
+        expect(parts).toEqual([3.33, 3.33, 3.34]);
+        expect(Math.round(parts.reduce((a, p) => a + p, 0) * 100)).toBe(1000);
+    });
+
+    test('uses exact amounts as given', () => {
+        expect(amounts(20, 'exact', [{ person: 'a', value: 12.5 }, { person: 'b', value: 7.5 }])).toEqual([12.5, 7.5]);
+    });
+});
+
+describe('computeBalances', () => {
+    test('credits the payer and debits every share, converted to one currency', () => {
+        const shared = (paidBy, mode, shares) => normalizeShared({ paidBy, mode, shares }, 0) ?? undefined;
+        const costs = [
+            { sum: 90, currency: 'USD', shared: shared('Ann', 'equal', [{ person: 'Ann' }, { person: 'Bob' }, { person: 'Cy' }]) },
+            { sum: 30, currency: 'EUR', shared: shared('Bob', 'percent', [{ person: 'Ann', value: 50 }, { person: 'Cy', value: 50 }]) },
+            { sum: 999, currency: 'USD' }
+        ];
+
+        expect(computeBalances(costs, 'USD', { USD: 1, EUR: 0.5 })).toEqual([
+            { person: 'Ann', paid: 90, owed: 60, net: 30 },
+            { person: 'Bob', paid: 60, owed: 30, net: 30 },
+            { person: 'Cy', paid: 0, owed: 60, net: -60 }
+        ]);
+    });
+
+    test('returns no balances without shared costs', () => {
+        expect(computeBalances([{ sum: 5, currency: 'USD' }], 'USD', { USD: 1 })).toEqual([]);
+    });
+});
+
+describe('suggestTransfers', () => {
+    test('settles balances that cancel in pairs with one transfer per pair', () => {
+        const nets = { a: 5, b: 3, c: -3, d: -5 };
+        const transfers = suggestTransfers(balancesOf(nets));
+        expect(transfers).toHaveLength(2);
+        expect(transfers).toEqual(expect.arrayContaining([
+            { from: 'd', to: 'a', amount: 5 },
+            { from: 'c', to: 'b', amount: 3 }
+        ]));
+    });
+
+    test('finds zero-total groups larger than pairs', () => {
+        const nets = { a: 6, b: -2, c: -4, d: 7, e: -3, f: -4 };
+        const transfers = suggestTransfers(balancesOf(nets));
+        expect(transfers).toHaveLength(4);
+        expect(remainingCents(nets, transfers).every((c) => c === 0)).toBe(true);
+    });
+
+    test('needs no transfers when everyone is settled', () => {
+        expect(suggestTransfers(balancesOf({ a: 0, b: 0 }))).toEqual([]);
+        expect(suggestTransfers([])).toEqual([]);
+    });
+
+    test('matches the brute-force minimum and settles everyone', () => {
+        const cases = [
+            [10, -10, 20, -5, -15],
+            [1.5, 2.5, -4, 3, -3],
+            [12.34, -2.34, -10, 7, -3, -4],
+            [8, -3, -5, 6, -1, -2, -3],
+            [25, -5, -5, -5, -5, -5]
+        ];
+        cases.forEach((values) => {
+            const nets = Object.fromEntries(values.map((v, i) => [`p${i}`, v]));
+            const transfers = suggestTransfers(balancesOf(nets));
+            expect(remainingCents(nets, transfers).every((c) => c === 0)).toBe(true);
+            expect(transfers).toHaveLength(bruteForceMinimum(values.map((v) => Math.round(v * 100))));
+            expect(transfers.every((t) => t.amount > 0)).toBe(true);
+        });
+    });
+
+    test('still settles everyone when there are too many people to search', () => {
+        const values = [...Array(9)].flatMap((_, i) => [i + 1, -(i + 1)]);
+        const nets = Object.fromEntries(values.map((v, i) => [`p${i}`, v]));
+        const transfers = suggestTransfers(balancesOf(nets));
+        expect(transfers).toHaveLength(9);
+        expect(remainingCents(nets, transfers).every((c) => c === 0)).toBe(true);
+    });
+});
@@ -0,0 +1,53 @@
+/** /src/services/tags.js
+ * Project: Cost Manager Front End
+ * File: src/services/tags.js
+ * Description: Helpers for free-form cost tags such as #business-trip-berlin or #reimbursable.
+ * Updated: 2026-10-19
+ */
+
+/** =========================================================================
+ * Configurable constants
+ * =======================================================================*/
+
+/** @constant {string} TAG_PREFIX - Shown before a tag; not part of the stored value */
+export const TAG_PREFIX = '#';
+const MAX_TAG_LENGTH = 40;
+
+/** =========================================================================
+ * Service Functions
+ * =======================================================================*/
+
+/**
+ * Normalize one tag to its stored form: lower case, without a leading '#',
+ * whitespace runs turned into '-'.
+ * @param {string} tag
+ * @returns {string} The tag, or '' if nothing is left.
+ */
+export function normalizeTag(tag) {
+    return String(tag ?? '')
+        .trim()
+        .replace(/^#+/, '')
+        .toLowerCase()
+        .replace(/\s+/g, '-')
+        .slice(0, MAX_TAG_LENGTH);
+}
+
+/**
+ * Normalize a list of tags, dropping empty ones and duplicates but keeping their order.
+ * A string is split on whitespace and commas, so "#a, #b" gives ['a', 'b'].
+ * @param {string[]|string|undefined} tags
+ * @returns {string[]}
+ */
+export function normalizeTags(tags) {
+    const list = typeof tags === 'string' ? tags.split(/[\s,]+/) : tags ?? [];
+    return [...new Set(list.map(normalizeTag).filter(Boolean))];
+}
+
+/**
+ * Format a stored tag for display.
+ * @param {string} tag
+ * @returns {string}
+ */
+export function formatTag(tag) {
+    return `${TAG_PREFIX}${tag}`;
+}
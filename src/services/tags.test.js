@@ -0,0 +1,46 @@
+/** /src/services/tags.test.js
+ * Project: Cost Manager Front End
+ * File: src/services/tags.test.js
+ * Description: Tests for normalizing and formatting cost tags.
+ * Updated: 2026-10-19
+ */
+
+import { normalizeTag, normalizeTags, formatTag } from './tags';
+
+/** =========================================================================
+ * Tests
+ * =======================================================================*/
+
+describe('normalizeTag', () => {
+    test.each([
+        ['#Reimbursable', 'reimbursable'],
+        ['  ##Business Trip  Berlin ', 'business-trip-berlin'],
+        ['#', ''],
+        [null, ''],
+        ['x'.repeat(50), 'x'.repeat(40)]
+    ])('normalizes %p', (tag, expected) => {
+        expect(normalizeTag(tag)).toBe(expected);
+    });
+});
+
+describe('normalizeTags', () => {
+    test('drops empty tags and duplicates, keeping the first order', () => {
+        expect(normalizeTags(['#Trip', 'work', '', '#', 'trip', 'WORK'])).toEqual(['trip', 'work']);
+    });
+
+    test('splits a string on whitespace and commas', () => {
+        expect(normalizeTags('#a, #b  c,,#A')).toEqual(['a', 'b', 'c']);
+    });
+
+    test('treats a missing list as no tags', () => {
+        expect(normalizeTags(undefined)).toEqual([]);
+        expect(normalizeTags(null)).toEqual([]);
+        expect(normalizeTags('')).toEqual([]);
+    });
+});
+
+describe('formatTag', () => {
+    test('prefixes the stored tag', () => {
+        expect(formatTag('business-trip')).toBe('#business-trip');
+    });
+});
@@ -0,0 +1,137 @@
+/** /src/services/trends.js
+ * Project: Cost Manager Front End
+ * File: src/services/trends.js
+ * Description: Daily or monthly spending totals over a date range, per category, with a trailing moving average.
+ * Updated: 2026-10-19
+ */
+
+import { getReportRange } from './idb';
+import { convertCost, findMissingRate } from './exchange';
+import { toIsoDate } from './periods';
+import { round2 } from './utils';
+
+/** =========================================================================
+ * Configurable constants
+ * =======================================================================*/
+
+/** @constant {Array<{value:'day'|'month', label:string}>} GRANULARITIES - Bucket sizes of a trend */
+export const GRANULARITIES = [
+    { value: 'day', label: 'Daily' },
+    { value: 'month', label: 'Monthly' }
+];
+/** @constant {Record<'day'|'month', number[]>} MOVING_AVERAGE_WINDOWS - Moving average window choices, in buckets */
+export const MOVING_AVERAGE_WINDOWS = {
+    day: [7, 14, 30],
+    month: [3, 6, 12]
+};
+
+/** =========================================================================
+ * Types
+ * =======================================================================*/
+
+/**
+ * @typedef {Object} Trend
+ * @property {'day'|'month'} granularity
+ * @property {string} currency
+ * @property {string[]} buckets - YYYY-MM-DD (daily) or YYYY-MM (monthly), every bucket of the range in order.
+ * @property {number[]} totals - Converted total per bucket.
+ * @property {Array<{ category:string, data:number[] }>} categories - Converted total per bucket and category, biggest overall first.
+ * @property {Array<{ id:number, sum:number, currency:string, category:string, description:string, date:string, tags:string[], converted:number|null }>} costs
+ *   The range's costs as returned by getReportRange, plus the amount in the trend currency (null without a rate).
+ * @property {import('./exchange').Unconverted} unconverted - Costs left out of the totals for lack of a rate.
+ */
+
+/** =========================================================================
+ * Helpers
+ * =======================================================================*/
+
+/**
+ * Every bucket key of the half-open local range [from, to).
+ * @param {Date} from
+ * @param {Date} to
+ * @param {'day'|'month'} granularity
+ * @returns {string[]}
+ */
+function listBuckets(from, to, granularity) {
+    const keys = [];
+    const d = granularity === 'day'
+        ? new Date(from.getFullYear(), from.getMonth(), from.getDate())
+        : new Date(from.getFullYear(), from.getMonth(), 1);
+    while (d < to) {
+        keys.push(granularity === 'day' ? toIsoDate(d) : toIsoDate(d).slice(0, 7));
+        if (granularity === 'day') d.setDate(d.getDate() + 1);
+        else d.setMonth(d.getMonth() + 1);
+    }
+    return keys;
+}
+
+/** =========================================================================
+ * Trends
+ * =======================================================================*/
+
+/**
+ * Trailing moving average: each point averages itself and the `window - 1` points before it.
+ * Points without a full window yet are null, so the line starts once it is meaningful.
+ * @param {number[]} values
+ * @param {number} window - Number of points, >= 1.
+ * @returns {Array<number|null>}
+ */
+export function movingAverage(values, window) {
+    let sum = 0;
+    return values.map((v, i) => {
+        sum += v;
+        if (i >= window) sum -= values[i - window];
+        return i >= window - 1 ? round2(sum / window) : null;
+    });
+}
+
+/**
+ * Get converted spending totals per day or month over a date range.
+ * Days come from getReportRange's normalized YYYY-MM-DD dates, so they line up with the report grid.
+ * @param {Date} from - Range start (inclusive).
+ * @param {Date} to - Range end (exclusive).
+ * @param {'day'|'month'} granularity
+ * @param {string} targetCurrency
+ * @param {Record<string, number>} rates - Exchange rates (USD base).
+ * @param {'current'|'historical'} [rateMode='current']
+ * @param {'leaf'|'parent'} [level='leaf'] - Category level of the per-category series.
+ * @param {string|null} [tag=null] - Only costs with this tag.
+ * @returns {Promise<Trend>}
+ */
+export async function getTrend(from, to, granularity, targetCurrency, rates, rateMode = 'current', level = 'leaf', tag = null) {
+    const report = await getReportRange(from, to, targetCurrency, rates, rateMode, level, tag);
+    const buckets = listBuckets(new Date(from), new Date(to), granularity);
+    const indexOf = new Map(buckets.map((key, i) => [key, i]));
+    const keyLength = granularity === 'day' ? 10 : 7;
+
+    const totals = buckets.map(() => 0);
+    const byCategory = {};
+    const costs = report.costs.map((c) => {
+        if (findMissingRate(c, targetCurrency, rates, rateMode === 'historical')) return { ...c, converted: null };
+        const value = convertCost(c, targetCurrency, rates, rateMode === 'historical');
+        const i = indexOf.get(c.date.slice(0, keyLength));
+        if (i !== undefined) {
+            // Each line of a split cost goes to its own category series
+            c.lines.forEach((line) => {
+                const key = level === 'parent' ? line.parentCategory : line.category;
+                const data = byCategory[key] ?? (byCategory[key] = buckets.map(() => 0));
+                data[i] += convertCost({ ...c, sum: line.sum }, targetCurrency, rates, rateMode === 'historical');
+            });
+            totals[i] += value;
+        }
+        return { ...c, converted: round2(value) };
+    });
+
+    return {
+        granularity,
+        currency: targetCurrency,
+        buckets,
+        totals: totals.map(round2),
+        // Same order as the report's category totals (biggest first)
+        categories: report.categoryTotals
+            .filter((t) => byCategory[t.category])
+            .map((t) => ({ category: t.category, data: byCategory[t.category].map(round2) })),
+        costs,
+        unconverted: report.unconverted
+    };
+}
@@ -0,0 +1,93 @@
+/** /src/services/trends.test.js
+ * Project: Cost Manager Front End
+ * File: src/services/trends.test.js
+ * Description: Tests for the trailing moving average and daily or monthly trend buckets.
+ * Updated: 2026-10-19
+ */
+
+import { IDBFactory } from 'fake-indexeddb';
+import { addCost } from './idb';
+import { movingAverage, getTrend } from './trends';
+
+/** =========================================================================
+ * Helpers
+ * =======================================================================*/
+
+const RATES = { USD: 1, EUR: 0.5 };
+
+/**
+ * Store a cost.
+ * @param {Date} date
+ * @param {number} sum
+ * @param {Object} [fields] - Fields to change.
+ * @returns {Promise<Object>}
+ */
+function spend(date, sum, fields = {}) {
+    return addCost({ sum, currency: 'USD', category: 'Food', description: 'x', date, ...fields });
+}
+
+beforeEach(() => {
+    global.indexedDB = new IDBFactory();
+});
+
+/** =========================================================================
+ * Tests
+ * =======================================================================*/
+
+describe('movingAverage', () => {
+    test('averages each point with the points before it once the window is full', () => {
+        expect(movingAverage([1, 2, 3, 4, 5], 3)).toEqual([null, null, 2, 3, 4]);
+    });
+
+    test('a window of one returns the values', () => {
+        expect(movingAverage([4, 0, 2.5], 1)).toEqual([4, 0, 2.5]);
+    });
+
+    test('rounds to cents', () => {
+        expect(movingAverage([1, 1, 2], 3)).toEqual([null, null, 1.33]);
+    });
+
+    test('is all null when the window is longer than the values', () => {
+        expect(movingAverage([1, 2], 3)).toEqual([null, null]);
+        expect(movingAverage([], 3)).toEqual([]);
+    });
+});
+
+describe('getTrend', () => {
+    test('daily buckets cover every day across a month end, empty days included', async () => {
+        await spend(new Date(2025, 0, 30, 10), 5);
+        await spend(new Date(2025, 1, 1, 18), 4, { currency: 'EUR' });
+
+        const trend = await getTrend(new Date(2025, 0, 30), new Date(2025, 1, 2), 'day', 'USD', RATES);
+
+        expect(trend.buckets).toEqual(['2025-01-30', '2025-01-31', '2025-02-01']);
+        expect(trend.totals).toEqual([5, 0, 8]);
+    });
+
+    test('monthly buckets roll over into the next year', async () => {
+        await spend(new Date(2024, 11, 31, 23), 10);
+        await spend(new Date(2025, 0, 1), 20, { category: 'Health' });
+
+        const trend = await getTrend(new Date(2024, 10, 15), new Date(2025, 1, 1), 'month', 'USD', RATES);
+
+        expect(trend.buckets).toEqual(['2024-11', '2024-12', '2025-01']);
+        expect(trend.totals).toEqual([0, 10, 20]);
+        expect(trend.categories).toEqual([
+            { category: 'Health', data: [0, 0, 20] },
+            { category: 'Food', data: [0, 10, 0] }
+        ]);
+    });
+
+    test('split lines go to their own category series', async () => {
+        await spend(new Date(2025, 2, 3), 30, { splits: [{ category: 'Food', sum: 20 }, { category: 'Health', sum: 10 }] });
+
+        const trend = await getTrend(new Date(2025, 2, 1), new Date(2025, 3, 1), 'month', 'EUR', RATES);
+
+        expect(trend.totals).toEqual([15]);
+        expect(trend.categories).toEqual([
+            { category: 'Food', data: [10] },
+            { category: 'Health', data: [5] }
+        ]);
+        expect(trend.costs[0].converted).toBe(15);
+    });
+});
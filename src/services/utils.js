@@ -0,0 +1,48 @@
+/** /src/services/utils.js
+ * Project: Cost Manager Front End
+ * File: src/services/utils.js
+ * Description: Small helpers shared by the services: IndexedDB request/transaction promises and rounding to cents.
+ * Updated: 2026-10-19
+ */
+
+/** =========================================================================
+ * IndexedDB
+ * =======================================================================*/
+
+/**
+ * Wrap an IDBRequest in a Promise.
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+export function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Resolve when a transaction commits; reject when it fails or is aborted.
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+export function whenDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
+
+/** =========================================================================
+ * Numbers
+ * =======================================================================*/
+
+/**
+ * Round to cents.
+ * @param {number} value
+ * @returns {number}
+ */
+export function round2(value) {
+    return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,10 @@
+/** /src/setupTests.js
+ * Project: Cost Manager Front End
+ * File: src/setupTests.js
+ * Description: Jest setup: an in-memory IndexedDB (fake-indexeddb) for service tests, and the
+ *              structuredClone it needs, which the jsdom environment lacks.
+ * Updated: 2026-10-19
+ */
+
+import 'core-js/actual/structured-clone';
+import 'fake-indexeddb/auto';
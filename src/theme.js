@@ -2,7 +2,7 @@
  * Project: Cost Manager Front End
  * File: src/theme.js
  * Description: Centralized MUI theme with neutralized focus/selection styles and custom tokens under theme.custom.
- * Updated: 2025-09-12
+ * Updated: 2026-10-19
  */
 
 import { createTheme, alpha } from '@mui/material/styles';
@@ -31,6 +31,10 @@ const COLOR_TOKENS = {
         add: '#00DDB3',
         report: '#FFC857',
         charts: '#eaa2b9',
+        budgets: '#8BD450',
+        transactions: '#C39BFF',
+        shared: '#5CE1C6',
+        import: '#4DA3FF',
         settings: '#FF5C5C'
     },
     navTabsText: {
@@ -38,6 +42,10 @@ const COLOR_TOKENS = {
         add: '#00493c',
         report: '#685021',
         charts: '#735057',
+        budgets: '#2f4a17',
+        transactions: '#4a3370',
+        shared: '#1f5c50',
+        import: '#1d3f66',
         settings: '#7e2d2d'
     },
     neutral: {
@@ -345,6 +353,26 @@ function createAppTheme({ mode = 'dark', colors = COLOR_TOKENS } = {}) {
                 label: '#eaa2b9',
                 border: '#735057'
             },
+            budgets: {
+                fieldBg: colors.surface.raised,
+                border: colors.navTabsText.budgets,
+                label: colors.navTabs.budgets
+            },
+            transactions: {
+                fieldBg: colors.surface.raised,
+                border: colors.navTabsText.transactions,
+                label: colors.navTabs.transactions
+            },
+            shared: {
+                fieldBg: colors.surface.raised,
+                border: colors.navTabsText.shared,
+                label: colors.navTabs.shared
+            },
+            import: {
+                fieldBg: colors.surface.raised,
+                border: colors.navTabsText.import,
+                label: colors.navTabs.import
+            },
             settings: {
                 label: '#ff5c5c',
                 border: '#7e2d2d'
@@ -2,7 +2,11 @@
  * Project: Cost Manager Front End
  * File: idb.js (Vanilla Version)
  * Description: IndexedDB wrapper with global window.idb API.
- * Updated: 2025-09-10
+ *              Standalone library for test.html. It opens costsdb at whatever version it already has,
+ *              so it keeps working as the React app (src/services/idb.js) migrates the schema; it only
+ *              creates the v1 costs store when the database does not exist yet, and the app's
+ *              migrations upgrade it from there.
+ * Updated: 2026-10-19
  */
 
 (function () {
@@ -11,7 +15,6 @@
      * Configurable constants
      * =======================================================================*/
     const DB_NAME = 'costsdb';
-    const DB_VERSION = 1;
     const STORE_NAME = 'costs';
 
     /** =========================================================================
@@ -19,14 +22,17 @@
      * =======================================================================*/
 
     /**
-     * Open or upgrade the database.
+     * Open the database at its current version, creating it (at version 1) when missing.
+     * Opening at a fixed version would fail with a VersionError once the app has upgraded it.
      * @param {string} [databaseName='costsdb'] - Database name.
-     * @param {number} [databaseVersion=1] - Database version.
+     * @param {number} [databaseVersion] - Database version (defaults to the current one).
      * @returns {Promise<IDBDatabase>} Promise resolving to the opened database.
      */
-    function openCostsDB(databaseName = DB_NAME, databaseVersion = DB_VERSION) {
+    function openCostsDB(databaseName = DB_NAME, databaseVersion) {
         return new Promise((resolve, reject) => {
-            const request = indexedDB.open(databaseName, databaseVersion);
+            const request = databaseVersion === undefined
+                ? indexedDB.open(databaseName)
+                : indexedDB.open(databaseName, databaseVersion);
 
             request.onupgradeneeded = (event) => {
                 const db = event.target.result;
@@ -39,7 +45,12 @@
                 }
             };
 
-            request.onsuccess = () => resolve(request.result);
+            request.onsuccess = () => {
+                const db = request.result;
+                // Let the app upgrade the schema instead of blocking on this connection
+                db.onversionchange = () => db.close();
+                resolve(db);
+            };
             request.onerror = () => reject(request.error);
         });
     }
@@ -50,10 +61,16 @@
 
     /**
      * Add a new cost item.
-     * @param {{ sum:number, currency:string, category:string, description:string }} cost - Cost payload.
+     * The item is stamped with the current time unless `cost.date` is given.
+     * @param {{ sum:number, currency:string, category:string, description:string, date?:Date|string|number }} cost - Cost payload.
      * @returns {Promise<{ sum:number, currency:string, category:string, description:string, date:Date }>} Promise resolving to the stored item.
      */
     function addCost(cost) {
+        const date = cost.date !== undefined ? new Date(cost.date) : new Date();
+        if (Number.isNaN(date.getTime())) {
+            return Promise.reject(new Error('Invalid cost date: ' + cost.date));
+        }
+
         return openCostsDB().then((db) => {
             return new Promise((resolve, reject) => {
                 const tx = db.transaction(STORE_NAME, 'readwrite');
@@ -64,7 +81,7 @@
                     currency: cost.currency,
                     category: cost.category,
                     description: cost.description,
-                    date: new Date()
+                    date
                 };
 
                 const request = store.add(item);
@@ -139,7 +156,7 @@
     /**
      * @typedef {Object} IdbAPI
      * @property {(databaseName?:string, databaseVersion?:number) => Promise<IDBDatabase>} openCostsDB
-     * @property {(cost:{sum:number,currency:string,category:string,description:string}) => Promise<Object>} addCost
+     * @property {(cost:{sum:number,currency:string,category:string,description:string,date?:Date|string|number}) => Promise<Object>} addCost
      * @property {(year:number,month:number,currency?:string,exchangeRates?:Record<string,number>) => Promise<Object>} getReport
      */
 